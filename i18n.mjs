@@ -0,0 +1,71 @@
+/**
+ * i18n - 表示文字列の多言語化
+ *
+ * DOM に依存しない ES モジュール。言語ごとのリソースバンドル (locales/*.mjs) から
+ * 翻訳関数と数値の書式関数を作る。
+ *
+ * バンドルの形:
+ * - name: 言語切り替えに表示する名前 (その言語で書く)
+ * - lang: <html lang> に設定する言語タグ
+ * - numberLocale: Intl.NumberFormat に渡すロケール (小数点・桁区切りの表記)
+ * - messages: キー → 文字列 (または params を受け取って文字列を返す関数)。文字列中の {名前} を params の値に置き換える
+ * - html: index.html の data-i18n / data-i18n-attr のキー → 文字列 (HTML を含んでよい)。
+ *   日本語は index.html 自体が原文なので、ja.mjs には持たない
+ *
+ * @example
+ * import { createTranslator } from './i18n.mjs';
+ * const t = createTranslator(en, ja);
+ * t('calc.undefined', { log: 'log₂' });   // en になければ ja、どちらにもなければキーそのもの
+ *
+ * @module i18n
+ */
+
+/**
+ * テンプレートの {名前} を params の値に置き換える (params にない名前はそのまま残す)
+ * @param {string} template
+ * @param {Object<string, *>} [params]
+ * @returns {string}
+ */
+export function interpolate(template, params = {}){
+  return template.replace(/\{(\w+)\}/g, (match, name) => Object.hasOwn(params, name) ? String(params[name]) : match);
+}
+
+/**
+ * 翻訳関数を作る
+ * @param {{messages: Object}} bundle - 表示する言語のバンドル
+ * @param {{messages: Object}} [fallback] - bundle にないキーを探すバンドル (原文の言語)
+ * @returns {function(string, Object=): string} - t(key, params)
+ */
+export function createTranslator(bundle, fallback = bundle){
+  return (key, params) => {
+    const message = bundle.messages[key] ?? fallback.messages[key];
+    if (message === undefined) return key;
+    return typeof message === 'function' ? message(params || {}) : interpolate(message, params);
+  };
+}
+
+/**
+ * 小数点以下の桁数を固定した数値の書式関数を作る (途中式で桁がそろうよう桁区切りはしない)
+ * @param {string} numberLocale - 例: 'ja-JP', 'en-US', 'de-DE'
+ * @returns {function(number, number=): string} - format(x, digits)。有限でない値は '—'
+ */
+export function createNumberFormatter(numberLocale){
+  const cache = new Map();
+  return (x, digits = 4) => {
+    if (!Number.isFinite(x)) return '—';
+    if (!cache.has(digits)) {
+      cache.set(digits, new Intl.NumberFormat(numberLocale, { minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false }));
+    }
+    return cache.get(digits).format(x + 0);  // -0 は 0 として表示
+  };
+}
+
+/**
+ * 整数の書式関数を作る (回数・個数など、桁区切りあり)
+ * @param {string} numberLocale
+ * @returns {function(number): string}
+ */
+export function createIntegerFormatter(numberLocale){
+  const format = new Intl.NumberFormat(numberLocale, { maximumFractionDigits: 0 });
+  return (n) => Number.isFinite(n) ? format.format(n) : '—';
+}
@@ -0,0 +1,764 @@
+/**
+ * infoquantity - 情報量・エントロピーの計算ライブラリ
+ *
+ * DOM に依存しない純粋な関数だけを集めた ES モジュール。
+ * ブラウザー (script.js) と Node の両方から import できる。
+ *
+ * 約束:
+ * - 情報量・エントロピーの戻り値はすべて bit (底 2)。他の単位へは convertInfo() で換算する
+ * - 確率として不正な値 (NaN・負の数・1 を超える数) を受け取ると NaN を返す (例外は投げない)
+ * - P = 0 の情報量は +∞ (不可能事象)、エントロピーの項 0·log 0 は極限値 0 とみなす
+ * - エントロピー・ダイバージェンスは分布を正規化しない
+ *   (合計が 1 かどうかは isDistribution()、正規化は normalize() で行う)
+ *
+ * @example
+ * import { information, entropy, parseProbability, negLogChain } from './infoquantity.mjs';
+ * information(1/8);                               // 3
+ * entropy([0.5, 0.25, 0.25]);                     // 1.5
+ * negLogChain(parseProbability('1/8')).text;      // '-log₂(1/8) = -log₂(2⁻³) = 3'
+ *
+ * @module infoquantity
+ */
+
+/* ========= 基本 ========= */
+
+/** 合計を 1 とみなす許容誤差 */
+export const DISTRIBUTION_TOLERANCE = 1e-6;
+
+/**
+ * 情報量の単位
+ * ln は 1 単位あたりの nat 数 (対数の底の自然対数)、base は途中式で厳密に扱える整数の底
+ * (nat の底 e は整数でないので null)。dit と hartley は同じ単位の別名
+ */
+export const INFO_UNITS = Object.freeze({
+  bit: Object.freeze({ name: 'bit', log: 'log₂', ln: Math.LN2, base: 2n }),
+  nat: Object.freeze({ name: 'nat', log: 'ln', ln: 1, base: null }),
+  dit: Object.freeze({ name: 'dit', log: 'log₁₀', ln: Math.LN10, base: 10n }),
+  hartley: Object.freeze({ name: 'hartley', log: 'log₁₀', ln: Math.LN10, base: 10n })
+});
+
+/**
+ * 2 を底とする対数
+ * @param {number} x
+ * @returns {number}
+ */
+export const log2 = (x) => Math.log(x) / Math.log(2);
+
+/**
+ * bit 単位の値を他の単位に換算 (1 bit = ln 2 nat = log₁₀ 2 hartley)
+ * @param {number} bits - 情報量 (bit)
+ * @param {string} unit - INFO_UNITS のキー
+ * @returns {number}
+ * @throws {RangeError} 未知の単位
+ */
+export function convertInfo(bits, unit){
+  if (!Object.prototype.hasOwnProperty.call(INFO_UNITS, unit)) throw new RangeError(`未知の単位: ${unit}`);
+  return bits * Math.LN2 / INFO_UNITS[unit].ln;
+}
+
+/**
+ * 0 ≤ p ≤ 1 の数か
+ * @param {number} p
+ * @returns {boolean}
+ */
+export const isProbability = (p) => typeof p === 'number' && p >= 0 && p <= 1;
+
+/* ========= 情報量 ========= */
+
+/**
+ * 情報量 I(a) = -log₂ P(a)
+ * @param {number} p - 生起確率
+ * @returns {number} - bit (P = 0 なら Infinity、P = 1 なら 0、不正な確率なら NaN)
+ */
+export function information(p){
+  if (!isProbability(p)) return NaN;
+  if (p === 0) return Infinity;
+  return p === 1 ? 0 : -log2(p);   // -log₂ 1 が -0 にならないように
+}
+
+/**
+ * 独立事象の情報量と加算性 I(A∧B) = I(A) + I(B)
+ * @param {number} pa - P(A)
+ * @param {number} pb - P(B)
+ * @returns {{pab: number, IA: number, IB: number, IAB: number}} - P(A∧B) = P(A)P(B) と各情報量 (bit)
+ */
+export function jointInformation(pa, pb){
+  const pab = isProbability(pa) && isProbability(pb) ? pa * pb : NaN;
+  return { pab, IA: information(pa), IB: information(pb), IAB: information(pab) };
+}
+
+/**
+ * マンションの部屋特定: 階と号室を独立に一様に選ぶときの情報量
+ * @param {number} floors - 階数 (1 以上の整数)
+ * @param {number} perFloor - 各階の部屋数 (1 以上の整数)
+ * @returns {{rooms: number, floor: number, room: number, total: number}} - 総部屋数と各情報量 (bit)。不正な入力は NaN
+ */
+export function apartmentInformation(floors, perFloor){
+  if (!(Number.isInteger(floors) && floors >= 1 && Number.isInteger(perFloor) && perFloor >= 1)) {
+    return { rooms: NaN, floor: NaN, room: NaN, total: NaN };
+  }
+  const rooms = floors * perFloor;
+  return { rooms, floor: log2(floors), room: log2(perFloor), total: log2(rooms) };
+}
+
+/**
+ * 多段階の特定: 独立な段階を順に選んで1つを特定するときの情報量 (連鎖律)
+ * 各段階は選択肢の数 (一様) または重みの配列 (非一様、重み 0 の選択肢は数えない) で指定する
+ * @param {(number|number[])[]} stages - 例: [16, 8] はマンション例と同じ、[[3, 1]] は 3:1 の2択
+ * @returns {{outcomes: number, stages: {n: number, H: number, Hmax: number, Imin: number, Imax: number}[], H: number, Hmax: number, Imin: number, Imax: number}}
+ *   - 段階ごとの選択肢数・エントロピー・一様なときの値 log₂ n・最も起きやすい/起きにくい選択の情報量と、それらの合計 (bit)。不正な段階を含むと合計は NaN
+ */
+export function hierarchicalInformation(stages){
+  const invalid = { n: NaN, H: NaN, Hmax: NaN, Imin: NaN, Imax: NaN };
+  const rows = stages.map(stage => {
+    if (Number.isInteger(stage) && stage >= 1) {
+      const I = log2(stage);
+      return { n: stage, H: I, Hmax: I, Imin: I, Imax: I };
+    }
+    if (!Array.isArray(stage) || !stage.every(w => Number.isFinite(w) && w >= 0)) return invalid;
+    const ps = normalize(stage).filter(p => p > 0);
+    if (!ps.length || distributionSum(stage) <= 0) return invalid;
+    return { n: ps.length, H: entropy(ps), Hmax: log2(ps.length), Imin: -log2(Math.max(...ps)), Imax: -log2(Math.min(...ps)) };
+  });
+  const sum = (key) => rows.reduce((a, r) => a + r[key], 0);
+  return {
+    outcomes: rows.reduce((a, r) => a * r.n, 1),
+    stages: rows,
+    H: sum('H'), Hmax: sum('Hmax'), Imin: sum('Imin'), Imax: sum('Imax')
+  };
+}
+
+/* ========= エントロピー ========= */
+
+/**
+ * エントロピーの1項 -p log₂ p (0·log 0 は極限値 0)
+ * 合計で生じる丸め誤差 (DISTRIBUTION_TOLERANCE まで) で 0〜1 をはみ出した値は 0 または 1 とみなす
+ * @param {number} p
+ * @returns {number} - bit (不正な確率なら NaN)
+ */
+export function entropyTerm(p){
+  if (!(p >= -DISTRIBUTION_TOLERANCE && p <= 1 + DISTRIBUTION_TOLERANCE)) return NaN;
+  return p <= 0 || p >= 1 ? 0 : -p * log2(p);
+}
+
+/**
+ * エントロピー H = - Σ p log₂ p (正規化はしない)
+ * @param {number[]} ps - 確率の配列
+ * @returns {number} - bit (不正な確率を含むと NaN、空配列は 0)
+ */
+export const entropy = (ps) => ps.reduce((H, p) => H + entropyTerm(p), 0);
+
+/**
+ * 2値エントロピー関数 H(p) = -p log₂ p - (1-p) log₂ (1-p)
+ * @param {number} p
+ * @returns {number}
+ */
+export const binaryEntropy = (p) => isProbability(p) ? entropy([p, 1 - p]) : NaN;
+
+/**
+ * 確率の合計
+ * @param {number[]} ps
+ * @returns {number}
+ */
+export const distributionSum = (ps) => ps.reduce((a, b) => a + b, 0);
+
+/**
+ * 確率分布か (各値が 0〜1 で、合計が許容誤差内で 1)
+ * @param {number[]} ps
+ * @param {number} [tolerance=DISTRIBUTION_TOLERANCE]
+ * @returns {boolean}
+ */
+export const isDistribution = (ps, tolerance = DISTRIBUTION_TOLERANCE) =>
+  ps.length > 0 && ps.every(isProbability) && Math.abs(distributionSum(ps) - 1) <= tolerance;
+
+/**
+ * 非負の重みを合計 1 に正規化 (合計 0 なら一様分布)
+ * @param {number[]} weights
+ * @returns {number[]} - 負・NaN の重みを含むと NaN の配列
+ */
+export function normalize(weights){
+  if (!weights.every(w => w >= 0)) return weights.map(() => NaN);
+  const total = distributionSum(weights);
+  return total > 0 ? weights.map(w => w / total) : weights.map(() => 1 / weights.length);
+}
+
+/**
+ * 結合分布から各種エントロピーを計算
+ * @param {number[][]} P - 結合確率 p(x,y) (合計1に正規化済み)
+ * @returns {Object} - 周辺分布 px, py と HX, HY, HXY, HXgY, HYgX, I (bit)
+ */
+export function jointEntropies(P){
+  const px = P.map(row => distributionSum(row));
+  const py = P[0].map((_, j) => P.reduce((a, row) => a + row[j], 0));
+  const HX = entropy(px);
+  const HY = entropy(py);
+  const HXY = entropy(P.flat());
+  // 丸め誤差で負にならないよう 0 で下限を取る
+  const HXgY = Math.max(0, HXY - HY);
+  const HYgX = Math.max(0, HXY - HX);
+  const I = Math.max(0, HX + HY - HXY);
+  return { px, py, HX, HY, HXY, HXgY, HYgX, I };
+}
+
+/**
+ * 2つの分布のクロスエントロピーとダイバージェンス (単位 bit)
+ * Q(x) = 0 かつ P(x) > 0 の事象があると D_KL(P‖Q) と H(P,Q) は無限大になる
+ * @param {number[]} ps - 分布 P (合計1)
+ * @param {number[]} qs - 分布 Q (合計1, ps と同じ長さ)
+ * @returns {Object} - HP, HQ, HPQ, KLpq, KLqp, JS と各事象の項 terms
+ */
+export function divergences(ps, qs){
+  const terms = ps.map((p, i) => {
+    const q = qs[i];
+    return {
+      p, q,
+      cross: p > 0 ? (q > 0 ? -p * log2(q) : Infinity) : 0,
+      kl: p > 0 ? (q > 0 ? p * log2(p / q) : Infinity) : 0,
+      klRev: q > 0 ? (p > 0 ? q * log2(q / p) : Infinity) : 0
+    };
+  });
+  const sum = (key) => terms.reduce((a, t) => a + t[key], 0);
+  // JS = ½ D_KL(P‖M) + ½ D_KL(Q‖M), M = (P+Q)/2 は P, Q が正の所で必ず正なので有限
+  const JS = terms.reduce((a, { p, q }) => {
+    const m = (p + q) / 2;
+    return a + (p > 0 ? p * log2(p / m) / 2 : 0) + (q > 0 ? q * log2(q / m) / 2 : 0);
+  }, 0);
+  return {
+    HP: entropy(ps),
+    HQ: entropy(qs),
+    HPQ: sum('cross'),
+    KLpq: sum('kl'),
+    KLqp: sum('klRev'),
+    JS: Math.max(0, JS),
+    terms
+  };
+}
+
+/* ========= 通信路 ========= */
+
+/**
+ * 通信路の結合分布 p(x,y)
+ * @param {string} type - 'bsc' (二元対称通信路) または 'bec' (二元消失通信路)
+ * @param {number} q - 入力の偏り P(X=1)
+ * @param {number} eps - 反転確率 (BSC) または消失確率 (BEC)
+ * @returns {{y: string[], P: number[][]}} - 出力記号と結合確率 (行: X=0,1)
+ */
+export function channelJoint(type, q, eps){
+  const px = [1 - q, q];
+  if (type === 'bec') {
+    return { y: ['0', '?', '1'], P: [[px[0] * (1 - eps), px[0] * eps, 0], [0, px[1] * eps, px[1] * (1 - eps)]] };
+  }
+  return { y: ['0', '1'], P: [[px[0] * (1 - eps), px[0] * eps], [px[1] * eps, px[1] * (1 - eps)]] };
+}
+
+/**
+ * 通信路容量 (入力分布について I(X;Y) を最大化した値, いずれも P(X=1) = 0.5 で達成)
+ * @param {string} type - 'bsc' または 'bec'
+ * @param {number} eps - 反転確率または消失確率
+ * @returns {number} - bit/回
+ */
+export const channelCapacity = (type, eps) => type === 'bec' ? 1 - eps : 1 - binaryEntropy(eps);
+
+/* ========= 誤り訂正符号 ========= */
+// ビットは 0/1 の数値の配列で表す
+
+const isBits = (bits, length) => Array.isArray(bits) && bits.length === length && bits.every(b => b === 0 || b === 1);
+
+/**
+ * ハミング(7,4)符号の符号化: 位置 1〜7 を [p₁, p₂, d₁, p₃, d₂, d₃, d₄] とし、
+ * 検査ビット p₁, p₂, p₃ は位置の2進表現の各桁が1になる位置の偶数パリティ
+ * @param {number[]} data - 4ビットのデータ
+ * @returns {number[]|null} - 7ビットの符号語 (不正な入力は null)
+ */
+export function hammingEncode(data){
+  if (!isBits(data, 4)) return null;
+  const [d1, d2, d3, d4] = data;
+  return [d1 ^ d2 ^ d4, d1 ^ d3 ^ d4, d1, d2 ^ d3 ^ d4, d2, d3, d4];
+}
+
+/**
+ * ハミング(7,4)符号のシンドローム復号 (1ビットの誤りを訂正)
+ * @param {number[]} word - 受信した7ビット
+ * @returns {{syndrome: number, corrected: number[], data: number[]}|null}
+ *   - シンドローム (誤りの位置 1〜7、誤りなしなら 0)、訂正後の符号語とデータ (不正な入力は null)
+ */
+export function hammingDecode(word){
+  if (!isBits(word, 7)) return null;
+  let syndrome = 0;
+  word.forEach((b, i) => { if (b) syndrome ^= i + 1; });
+  const corrected = word.slice();
+  if (syndrome) corrected[syndrome - 1] ^= 1;
+  return { syndrome, corrected, data: [corrected[2], corrected[4], corrected[5], corrected[6]] };
+}
+
+/**
+ * 反復符号の多数決復号
+ * @param {number[]} block - 同じビットを n 回繰り返して送った n ビット (n は奇数)
+ * @returns {{bit: number, errors: number}|null} - 復号したビットと、それと異なる受信ビットの数 (不正な入力は null)
+ */
+export function repetitionDecode(block){
+  if (!isBits(block, block?.length) || block.length % 2 === 0) return null;
+  const ones = block.filter(b => b).length;
+  const bit = 2 * ones > block.length ? 1 : 0;
+  return { bit, errors: bit ? block.length - ones : ones };
+}
+
+/**
+ * BSC (反転確率 ε) で反復符号を多数決復号したときのビット誤り率
+ * Σ_{k > n/2} C(n,k) εᵏ (1-ε)ⁿ⁻ᵏ
+ * @param {number} n - 繰り返しの回数 (正の奇数、1 なら符号化なし)
+ * @param {number} eps - 反転確率
+ * @returns {number} - 不正な入力は NaN
+ */
+export function repetitionErrorRate(n, eps){
+  if (!(Number.isInteger(n) && n >= 1 && n % 2 === 1 && isProbability(eps))) return NaN;
+  let rate = 0;
+  for (let k = (n + 1) / 2; k <= n; k++) rate += binomial(n, k) * eps ** k * (1 - eps) ** (n - k);
+  return rate;
+}
+
+/**
+ * BSC (反転確率 ε) でハミング(7,4)符号をシンドローム復号したときのデータビットの誤り率
+ * 128通りの誤りパターンをすべて数える (2ビット以上の誤りは誤訂正されることがある)
+ * @param {number} eps - 反転確率
+ * @returns {number} - 不正な入力は NaN
+ */
+export function hammingErrorRate(eps){
+  if (!isProbability(eps)) return NaN;
+  const sent = hammingEncode([0, 0, 0, 0]);  // 線形符号なので全ゼロで代表できる
+  let rate = 0;
+  for (let pattern = 0; pattern < 128; pattern++) {
+    const error = sent.map((_, i) => (pattern >> i) & 1);
+    const w = error.filter(b => b).length;
+    const wrong = hammingDecode(error).data.filter(b => b).length;
+    if (wrong) rate += wrong / 4 * eps ** w * (1 - eps) ** (7 - w);
+  }
+  return rate;
+}
+
+/* ========= ハフマン符号 (最適な yes/no 質問) ========= */
+
+// 重み最小の2グループの結合を繰り返し、各記号の深さと最後に結合した2グループを返す
+function huffmanMerge(weights){
+  const depths = weights.map(() => 0);
+  let groups = weights.map((w, i) => ({ w, items: [i] })).filter(g => g.w > 0);
+  let last = [groups.map(g => g.items).flat(), []];
+  while (groups.length > 1) {
+    // 安定ソートなので同じ重みなら元の並び順を優先
+    const [a, b] = groups.slice().sort((x, y) => x.w - y.w);
+    for (const i of a.items.concat(b.items)) depths[i]++;
+    last = [b.items, a.items];
+    groups = groups.filter(g => g !== a && g !== b);
+    groups.push({ w: a.w + b.w, items: b.items.concat(a.items) });
+  }
+  return { depths, last };
+}
+
+/**
+ * ハフマン符号の符号長 = 最適な戦略で yes/no 質問をしたときに、その記号を特定するまでの質問数
+ * 平均 Σ pᵢ lᵢ は H ≤ L̄ < H + 1 を満たし、どの質問戦略よりも小さい
+ * @param {number[]} weights - 非負の重み (正規化は不要)
+ * @returns {number[]} - 各記号の符号長 (重み 0 の記号と、正の重みが1つだけのときは 0)。不正な重みを含むと NaN の配列
+ */
+export function huffmanLengths(weights){
+  if (!weights.every(w => Number.isFinite(w) && w >= 0)) return weights.map(() => NaN);
+  return huffmanMerge(weights).depths;
+}
+
+/**
+ * 最適な最初の質問: ハフマン木の根で分かれる2グループのうち、重みの大きい側 (同じなら後から結合した側) の添字
+ * 「答えはこの中にありますか？」と聞けば、はい/いいえの確率がなるべく半々に近くなる
+ * @param {number[]} weights - 非負の重み
+ * @returns {number[]} - 添字の配列 (正の重みが2つ未満、または不正な重みなら空配列)
+ */
+export function huffmanSplit(weights){
+  if (!weights.every(w => Number.isFinite(w) && w >= 0)) return [];
+  const [first, second] = huffmanMerge(weights).last;
+  return second.length ? first.slice().sort((a, b) => a - b) : [];
+}
+
+/* ========= マルコフ情報源 (n-gram) ========= */
+
+// 文脈 (直前 k 記号) を Map のキーにするときの区切り (単語の n-gram でも衝突しない制御文字)
+const NGRAM_SEP = '\u0000';
+
+/**
+ * k 次マルコフモデル (n-gram) の頻度表を作る
+ * @param {string[]} symbols - 記号列 (文字や単語の配列)
+ * @param {number} order - 文脈の長さ k (0 以上の整数。0 なら記号の出現頻度そのもの)
+ * @returns {Map<string, Map<string, number>>} - 文脈 → (次の記号 → 出現回数)。不正な次数は空の Map
+ */
+export function ngramModel(symbols, order){
+  const model = new Map();
+  if (!(Number.isInteger(order) && order >= 0)) return model;
+  for (let i = order; i < symbols.length; i++) {
+    const context = symbols.slice(i - order, i).join(NGRAM_SEP);
+    let next = model.get(context);
+    if (!next) model.set(context, next = new Map());
+    next.set(symbols[i], (next.get(symbols[i]) || 0) + 1);
+  }
+  return model;
+}
+
+/**
+ * n-gram の頻度表から条件付きエントロピー H(Xₙ | Xₙ₋ₖ…Xₙ₋₁) を推定する (最尤推定)
+ * 文脈ごとの次の記号のエントロピーを、文脈の出現回数で重み付けして平均したもの
+ * @param {Map<string, Map<string, number>>} model - ngramModel() の戻り値
+ * @returns {number} - 1記号あたりの bit。数えた記号がなければ NaN
+ */
+export function ngramEntropyRate(model){
+  let N = 0, sum = 0;
+  for (const next of model.values()) {
+    let n = 0;
+    for (const c of next.values()) n += c;
+    for (const c of next.values()) sum -= c * log2(c / n);
+    N += n;
+  }
+  return N ? Math.max(0, sum / N) : NaN;
+}
+
+// 重み (出現回数) に比例して Map のキーを1つ選ぶ
+function pickWeighted(counts, rng){
+  let total = 0;
+  for (const c of counts.values()) total += c;
+  let r = rng() * total;
+  let last;
+  for (const [key, c] of counts) {
+    last = key;
+    if ((r -= c) < 0) return key;
+  }
+  return last;
+}
+
+/**
+ * n-gram モデルから記号列をランダムに生成する
+ * 最初の文脈は出現回数に比例して選ぶ。テキスト末尾にしか現れない文脈で行き詰まったら、
+ * 新しい文脈を選び直して続ける
+ * @param {Map<string, Map<string, number>>} model - ngramModel() の戻り値
+ * @param {number} order - モデルの次数 k (ngramModel() に渡したもの)
+ * @param {number} length - 生成する記号数
+ * @param {function(): number} [rng=Math.random] - [0, 1) の乱数を返す関数
+ * @returns {string[]} - 生成した記号列 (モデルが空なら空配列)
+ */
+export function generateFromNgram(model, order, length, rng = Math.random){
+  const out = [];
+  if (!model.size) return out;
+  const contextCounts = new Map();
+  for (const [context, next] of model) {
+    let n = 0;
+    for (const c of next.values()) n += c;
+    contextCounts.set(context, n);
+  }
+  const restart = () => {
+    const context = pickWeighted(contextCounts, rng);
+    return order ? context.split(NGRAM_SEP) : [];
+  };
+
+  let context = restart();
+  out.push(...context.slice(0, length));
+  while (out.length < length) {
+    const next = model.get(context.join(NGRAM_SEP));
+    if (!next) {
+      context = restart();
+      out.push(...context.slice(0, length - out.length));
+      continue;
+    }
+    const sym = pickWeighted(next, rng);
+    out.push(sym);
+    if (order) context = [...context.slice(1), sym];
+  }
+  return out;
+}
+
+/**
+ * シャノンの予想ゲームの結果から言語のエントロピーの上限・下限を求める (Shannon 1951)
+ * qᵢ = i 回目の予想で当たった文字の割合 として
+ *   上限: -Σ qᵢ log₂ qᵢ
+ *   下限: Σ i (qᵢ - qᵢ₊₁) log₂ i   (q_{K+1} = 0)
+ * 下限の式は理想的な予想者 (q₁ ≥ q₂ ≥ … と単調に減る) を前提とするため、qᵢ を降順に並べ替えて計算する
+ * @param {number[]} counts - counts[i] = (i + 1) 回目の予想で当たった文字数
+ * @returns {{q: number[], n: number, upper: number, lower: number}} - 文字数 n が 0 なら上限・下限は NaN
+ */
+export function guessingBounds(counts){
+  const n = counts.reduce((a, c) => a + c, 0);
+  if (!(n > 0) || counts.some(c => !(Number.isInteger(c) && c >= 0))) {
+    return { q: counts.map(() => NaN), n: NaN, upper: NaN, lower: NaN };
+  }
+  const q = counts.map(c => c / n);
+  const sorted = q.slice().sort((a, b) => b - a);
+  const lower = sorted.reduce((sum, qi, idx) => sum + (idx + 1) * (qi - (sorted[idx + 1] || 0)) * log2(idx + 1), 0);
+  return { q, n, upper: entropy(q), lower };
+}
+
+/* ========= 回帰分析 ========= */
+
+/**
+ * 最小二乗法による単回帰 y = a + b x
+ * @param {number[]} xs - 説明変数
+ * @param {number[]} ys - 目的変数 (xs と同じ長さ)
+ * @returns {{n: number, intercept: number, slope: number, r2: number, residuals: number[]}}
+ *   - r2 は決定係数 1 - Σ残差² / Σ(y - ȳ)²。点が2つ未満か x がすべて同じなら係数は NaN、y がすべて同じなら r2 は NaN
+ */
+export function linearRegression(xs, ys){
+  const n = Math.min(xs.length, ys.length);
+  const mean = (vs) => vs.slice(0, n).reduce((a, v) => a + v, 0) / n;
+  const mx = mean(xs), my = mean(ys);
+  let sxx = 0, sxy = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - mx) ** 2;
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    syy += (ys[i] - my) ** 2;
+  }
+  if (n < 2 || !(sxx > 0)) return { n, intercept: NaN, slope: NaN, r2: NaN, residuals: ys.slice(0, n).map(() => NaN) };
+  const slope = sxy / sxx;
+  const intercept = my - slope * mx;
+  const residuals = ys.slice(0, n).map((y, i) => y - (intercept + slope * xs[i]));
+  const ssr = residuals.reduce((a, r) => a + r * r, 0);
+  return { n, intercept, slope, r2: syy > 0 ? 1 - ssr / syy : NaN, residuals };
+}
+
+/* ========= 乱数 ========= */
+
+/**
+ * シードから再現可能な乱数列を作る (mulberry32)
+ * 同じシードからは常に同じ列が得られるので、授業で同じシミュレーション結果を共有できる
+ * @param {string|number} seed - 任意の文字列または数値
+ * @returns {function(): number} - [0, 1) の乱数を返す関数
+ */
+export function seededRandom(seed){
+  // 文字列を 32bit の初期値に (FNV-1a)
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 重みに比例して添字を1つ選ぶ (重みの合計が 1 でなくてもよい)
+ * @param {number[]} weights - 非負の重み
+ * @param {function(): number} [rng=Math.random] - [0, 1) の乱数を返す関数
+ * @returns {number} - 選んだ添字 (重みの合計が 0 以下なら -1)
+ */
+export function sampleIndex(weights, rng = Math.random){
+  const total = distributionSum(weights);
+  if (!(total > 0)) return -1;
+  let r = rng() * total;
+  for (let i = 0; i < weights.length; i++) {
+    if (weights[i] > 0 && (r -= weights[i]) < 0) return i;
+  }
+  // 丸め誤差で最後まで来たら、重みが正の最後の添字
+  return weights.reduce((last, w, i) => w > 0 ? i : last, -1);
+}
+
+/* ========= パスワード ========= */
+
+/**
+ * 文字種と長さから見積もるパスワードのエントロピー (各文字を独立・一様に選ぶ場合)
+ * @param {number} length - 文字数 (0 以上の整数)
+ * @param {number} charsetSize - 文字種の数 (1 以上の整数)
+ * @returns {number} - length × log₂ charsetSize (bit)。不正な入力は NaN
+ */
+export function passwordEntropy(length, charsetSize){
+  if (!(Number.isInteger(length) && length >= 0 && Number.isInteger(charsetSize) && charsetSize >= 1)) return NaN;
+  return length === 0 ? 0 : length * log2(charsetSize);
+}
+
+/**
+ * 総当たりで当てるまでの平均試行回数 (候補 2^bits 個の半分)
+ * @param {number} bits - エントロピー (bit)
+ * @returns {number}
+ */
+export const averageGuesses = (bits) => Math.pow(2, bits - 1);
+
+/**
+ * log₂(k!) (パターンの組み合わせ順の数)
+ * @param {number} k
+ * @returns {number}
+ */
+export function log2Factorial(k){
+  let v = 0;
+  for (let i = 2; i <= k; i++) v += log2(i);
+  return v;
+}
+
+/**
+ * 二項係数 nCk
+ * @param {number} n
+ * @param {number} k
+ * @returns {number}
+ */
+export function binomial(n, k){
+  if (k < 0 || k > n) return 0;
+  let r = 1;
+  for (let i = 1; i <= k; i++) r = r * (n - k + i) / i;
+  return r;
+}
+
+/* ========= 分数・べき乗による厳密な表現 ========= */
+// 確率を 1/8, 2^-3, 0.125 のように受け取り、途中式では分数と底のべき乗のまま計算する
+// 分子・分母は BigInt で保持する (浮動小数点の値は value に別途保持)
+
+const PROB_MAX_LENGTH = 64;   // 入力文字列の上限
+const PROB_MAX_EXPONENT = 1024;
+const PROB_MAX_BITS = 4096;   // 分子・分母の桁数 (2進) の上限
+const PROB_TERM = /^(\d+(?:\.\d*)?|\.\d+)(?:\s*(?:\^|\*\*)\s*(?:\(\s*([+-]?\d+)\s*\)|([+-]?\d+)))?$/;
+
+const bigGcd = (a, b) => { while (b) [a, b] = [b, a % b]; return a; };
+const bitLength = (n) => n.toString(2).length;
+
+// 巨大な BigInt でも桁あふれしない log₂ (n > 0)
+function bigLog2(n){
+  const shift = Math.max(0, bitLength(n) - 53);
+  return shift + log2(Number(n >> BigInt(shift)));
+}
+
+/**
+ * 上付き文字表記 (-3 → ⁻³)
+ * @param {number} n
+ * @returns {string}
+ */
+export const toSuperscript = (n) => String(n).replace(/[-\d]/g, c => c === '-' ? '⁻' : '⁰¹²³⁴⁵⁶⁷⁸⁹'[c]);
+
+/**
+ * 分数の log₂
+ * @param {{num: bigint, den: bigint}} f
+ * @returns {number} - 分子が 0 なら -Infinity
+ */
+export const fractionLog2 = (f) => f.num === 0n ? -Infinity : bigLog2(f.num) - bigLog2(f.den);
+
+/**
+ * 約分した分数 (分母は正)
+ * @param {bigint} num - 分子
+ * @param {bigint} den - 分母 (0 以外)
+ * @returns {{num: bigint, den: bigint, value: number}|null} - 分母が 0 なら null
+ */
+export function makeFraction(num, den){
+  if (den === 0n) return null;
+  if (den < 0n) { num = -num; den = -den; }
+  const abs = num < 0n ? -num : num;
+  const g = bigGcd(abs, den);
+  return { num: num / g, den: den / g, value: (num < 0n ? -1 : 1) * Math.pow(2, fractionLog2({ num: abs, den })) };
+}
+
+/**
+ * 分数の積
+ * @param {{num: bigint, den: bigint}} a
+ * @param {{num: bigint, den: bigint}} b
+ * @returns {{num: bigint, den: bigint, value: number}}
+ */
+export const multiplyFractions = (a, b) => makeFraction(a.num * b.num, a.den * b.den);
+
+/**
+ * 分数の和
+ * @param {{num: bigint, den: bigint}} a
+ * @param {{num: bigint, den: bigint}} b
+ * @returns {{num: bigint, den: bigint, value: number}}
+ */
+export const addFractions = (a, b) => makeFraction(a.num * b.den + b.num * a.den, a.den * b.den);
+
+/**
+ * 分数の表示 (長すぎる分数は有効数字6桁の小数)
+ * @param {{num: bigint, den: bigint, value: number}} f
+ * @returns {string}
+ */
+export function fractionString(f){
+  const text = f.den === 1n ? String(f.num) : `${f.num}/${f.den}`;
+  return text.length > 24 ? String(Number(f.value.toPrecision(6))) : text;
+}
+
+/**
+ * n = base^e となる e
+ * @param {bigint} n
+ * @param {bigint} base
+ * @returns {number|null} - n が base のべき乗でなければ null
+ */
+export function powerExponent(n, base){
+  if (n < 1n) return null;
+  let e = 0;
+  while (n % base === 0n) { n /= base; e++; }
+  return n === 1n ? e : null;
+}
+
+// 「小数」または「小数^整数」を分数に変換
+function parseProbabilityTerm(text){
+  const m = PROB_TERM.exec(text.trim());
+  if (!m) return null;
+  const [int, frac = ''] = m[1].split('.');
+  let f = makeFraction(BigInt(int || '0') * 10n ** BigInt(frac.length) + BigInt(frac || '0'), 10n ** BigInt(frac.length));
+  const e = Number(m[2] ?? m[3] ?? 1);
+  if (Math.abs(e) > PROB_MAX_EXPONENT) return null;
+  if (e < 0) f = makeFraction(f.den, f.num);
+  if (!f) return null;
+  const k = BigInt(Math.abs(e));
+  if ((bitLength(f.num) + bitLength(f.den)) * Math.abs(e) > PROB_MAX_BITS) return null;
+  return makeFraction(f.num ** k, f.den ** k);
+}
+
+/**
+ * 確率の文字列を分数として解釈 (0.125, 1/8, 2^-3, 1/2^3 など)
+ * 値の範囲 (0〜1) は確認しない
+ * @param {string} text - 入力文字列
+ * @returns {{num: bigint, den: bigint, value: number, src: string}|null} - 解釈できなければ null
+ */
+export function parseProbability(text){
+  const src = String(text).trim();
+  if (!src || src.length > PROB_MAX_LENGTH) return null;
+  const parts = src.split('/');
+  if (parts.length > 2) return null;
+  const [a, b] = [parseProbabilityTerm(parts[0]), parts.length > 1 ? parseProbabilityTerm(parts[1]) : makeFraction(1n, 1n)];
+  if (!a || !b || b.num === 0n) return null;
+  const f = makeFraction(a.num * b.den, a.den * b.num);
+  return f && { ...f, src };
+}
+
+/**
+ * -log P の途中式を指定した単位の底で組み立てる (閉じた形があれば厳密に、なければ小数)
+ * 例: -log₂(0.125) = -log₂(1/8) = -log₂(2⁻³) = 3
+ * @param {{num: bigint, den: bigint, src?: string}} f - 0 < P ≤ 1 の分数
+ * @param {Object} [options]
+ * @param {string} [options.unit='bit'] - INFO_UNITS のキー
+ * @param {string} [options.sep=' = '] - 等号の区切り (改行して並べる場合など)
+ * @returns {{text: string, exact: number|null}} - 途中式と、整数になる場合はその値 (指定した単位)。
+ *   P ≤ 0 や P > 1 は {text: '—', exact: null}
+ */
+export function negLogChain(f, { unit = 'bit', sep = ' = ' } = {}){
+  if (f.num <= 0n || f.num > f.den) return { text: '—', exact: null };
+  const { log: L, base } = INFO_UNITS[unit];
+  const chain = [];
+  if (f.src && /[.^*]/.test(f.src) && f.src !== fractionString(f)) chain.push(`-${L}(${f.src})`);
+  chain.push(`-${L}(${fractionString(f)})`);
+
+  // P = base^k のとき -log P = -k
+  const powerOf = (b) => {
+    const i = powerExponent(f.num, b), j = powerExponent(f.den, b);
+    return i === null || j === null ? null : i - j;
+  };
+  const kb = base && powerOf(base);
+  if (f.num === f.den) return { text: [...chain, '0'].join(sep), exact: 0 };
+  if (base && kb !== null) {
+    chain.push(`-${L}(${base}${toSuperscript(kb)})`, String(-kb));
+    return { text: chain.join(sep), exact: -kb };
+  }
+  const k2 = powerOf(2n);
+  if (k2 !== null) {
+    // nat / hartley でも 2 のべき乗は -k log 2 まで厳密に書ける
+    chain.push(`-${L}(2${toSuperscript(k2)})`, `${-k2} ${L} 2`);
+  } else {
+    // -log(m/n) = log n - log m (底のべき乗になる項は整数に)
+    const term = (n) => {
+      const e = base ? powerExponent(n, base) : null;
+      return e === null ? `${L} ${n}` : String(e);
+    };
+    chain.push(f.num === 1n ? term(f.den) : `${term(f.den)} - ${term(f.num)}`);
+  }
+  return { text: chain.join(sep) + sep.replace('=', '≈') + convertInfo(-fractionLog2(f), unit).toFixed(6), exact: null };
+}
@@ -0,0 +1,1270 @@
+/**
+ * English resource bundle
+ *
+ * messages は locales/ja.mjs と同じキーを持つ。html は index.html の data-i18n / data-i18n-attr の
+ * キーに対応する訳 (HTML を含んでよい)。形式は i18n.mjs を参照。
+ */
+export default {
+  name: 'English',
+  lang: 'en',
+  numberLocale: 'en-US',
+  messages: {
+    // Units of information
+    'unit.changeOfBase': 'Change of base: {log} x = log₂ x × {log} 2, so {bits} bit × {factor} = {value} {unit}',
+    'unit.aside': ' (= {value})',
+
+    // Twenty questions
+    'tq.animal.dog': 'dog',
+    'tq.animal.cat': 'cat',
+    'tq.animal.rabbit': 'rabbit',
+    'tq.animal.hamster': 'hamster',
+    'tq.animal.parakeet': 'parakeet',
+    'tq.animal.goldfish': 'goldfish',
+    'tq.animal.turtle': 'turtle',
+    'tq.animal.medaka': 'killifish',
+    'tq.animal.ferret': 'ferret',
+    'tq.animal.guineaPig': 'guinea pig',
+    'tq.animal.hedgehog': 'hedgehog',
+    'tq.animal.chameleon': 'chameleon',
+    'tq.animal.penguin': 'penguin',
+    'tq.animal.capybara': 'capybara',
+    'tq.animal.alpaca': 'alpaca',
+    'tq.animal.sloth': 'sloth',
+    'tq.yes': 'yes',
+    'tq.no': 'no',
+    'tq.items': ' ({n} items)',
+    'tq.questions': '{n} questions',
+    'tq.status.ready': 'I have picked an answer. Ask your questions.',
+    'tq.status.selectFirst': '⚠️ Click candidates to select them first',
+    'tq.status.solved': ({ answer, count }) => `🎉 The answer was "${answer}" (${count} ${count === 1 ? 'question' : 'questions'})`,
+    'tq.status.answer': 'Answer: {answer}',
+    'tq.status.hint': '💡 The first split of the Huffman code: a question answered "yes" with probability {yes} and "no" with probability {no}',
+    'tq.status.gaveUp': 'The answer was "{answer}" ({len} questions with optimal questioning)',
+    'tq.steps': `Initial uncertainty H = -Σ p {log} p = {H0} (if uniform: {log} {N} = {logN})
+{lines}
+Remaining uncertainty H = {Hleft} ({left} candidates left){summary}`,
+    'tq.steps.none': '(no questions yet)',
+    'tq.steps.question': 'Q{k}: in {{question}}? → {answer}  P = {p}, information gained -{log} P = {info}',
+    'tq.steps.solved': `
+Total information gained = {gained} = -{log} P(answer) = -{log} {p} (chain rule)
+Your questions: {count}`,
+    'tq.steps.gaveUp': `
+Gave up: gained {gained}; another {missing} was needed to pin down the answer`,
+    'tq.steps.bounds': `
+{log} N = {log} {N} = {logN} → halving takes at most ⌈log₂ N⌉ = {ceil} questions
+Optimal questions (Huffman): {len} for this answer, average L̄ = {Lbar} (H = {H} bit ≤ L̄ < H + 1)`,
+
+    // Worked examples tab
+    'calc.invalid': 'Invalid input (e.g. 0.125, 1/8, 2^-3)',
+    'calc.undefined': '{log}0 is undefined when P=0 → cannot compute',
+    'calc.overOne': 'P>1 is invalid',
+    'calc.incomputable': 'Cannot compute',
+
+    // Monte Carlo simulation
+    'mc.outcome.heads': 'Heads',
+    'mc.outcome.tails': 'Tails',
+    'mc.outcome.stands': 'Stands',
+    'mc.outcome.breaks': 'Breaks',
+    'mc.run': '▶ Run',
+    'mc.pause': '⏸ Pause',
+    'mc.note': 'The same seed and distribution always give the same result (handy for sharing results in class).',
+    'mc.note.zero': '⚠️ All probabilities are 0, so the simulation cannot run',
+    'mc.note.normalized': '* The probabilities do not sum to 1, so they are divided by their sum {total}',
+    'mc.rare.item': '  toss {at}: {label} ({info})',
+    'mc.rare.none': '  none yet',
+    'mc.steps': `Theory            H = -Σ p {log} p       = {H}
+Mean surprise     (1/t) Σ -{log} p(xₜ)   = {mean}
+From frequencies  -Σ p̂ {log} p̂           = {plugin}
+Rare outcomes (P < {rare}, first {max} only):
+{rareText}`,
+    'mc.axis.tosses': 'tosses t',
+    'mc.legend.mean': '― mean surprise',
+    'mc.legend.plugin': '… estimate from frequencies',
+
+    // Additivity tab
+    'add.steps': `Independent events:  P(A∧B) = P(A) × P(B) = {pa} × {pb} = {pab}
+I(A)   = {IA}
+I(B)   = {IB}
+I(A∧B) = {IAB}
+
+Check:  I(A∧B)  = I(A) + I(B)  {check} {unit}`,
+    'apt.steps': `Rooms = floors × rooms per floor = {F} × {R} = {total}
+I(floor)       = {IF} {unit}
+I(room)        = {IR} {unit}
+I(room number) = {IT} {unit}
+
+Check: I(floor) + I(room) = {check} ≟ I(room number) = {It}`,
+
+    // Multi-stage identification
+    'hier.name.floor': 'Floor',
+    'hier.name.room': 'Room',
+    'hier.name.building': 'Building',
+    'hier.name.unit': 'Unit',
+    'hier.name.country': 'Country',
+    'hier.name.prefecture': 'State',
+    'hier.name.city': 'City',
+    'hier.name.street': 'Street address',
+    'hier.name.weekday': 'Weekday',
+    'hier.name.weather': 'Weather (sun/cloud/rain)',
+    'hier.name.transport': 'Transport (walk/train/car)',
+    'hier.stage': 'Stage {n}',
+    'hier.remove': 'Remove this stage',
+    'hier.invalid': '⚠️ Enter the number of choices as an integer from 1 to {maxCount}, or weights as non-negative numbers separated by commas (up to {maxWeights}, at least one positive)',
+    'hier.line.weighted': '{head} = -Σ p {log} p (weights {weights}) = {H} (if uniform {Hmax}; one choice carries {Imin}–{Imax})',
+    'hier.steps': `Chain rule: H({vars}) = {chain}
+  The stages are chosen independently, so the conditions drop out → {sum}
+
+{lines}
+
+Total H = {terms} = {H}
+Combinations = {counts} = {outcomes} → {log} {outcomes} = {Hmax}
+{verdict}`,
+    'hier.verdict.uniform': '→ Every stage is uniform, so H = log(combinations). The same relation as "floor + room = room number" in the apartment example',
+    'hier.verdict.skewed': '→ Some stages are skewed, so H < log(combinations). Identifying one combination carries {Imin} (most likely combination) to {Imax} (least likely combination)',
+    'hier.chart.invalid': 'Check the input',
+    'hier.chart.actual': 'H (actual)',
+    'hier.chart.uniform': 'If uniform',
+
+    // Entropy calculator
+    'h.coin.heads': 'heads',
+    'h.coin.tails': 'tails',
+    'h.dice.face': 'face {n}',
+    'h.weather.sunny': 'sunny',
+    'h.weather.cloudy': 'cloudy',
+    'h.weather.rainy': 'rainy',
+    'h.weather.snowy': 'snowy',
+    'h.zeroTerm': '- 0 × {log}(0) → 0 (taken as 0 in the limit)',
+    'h.remove': 'Remove this row',
+    'h.outOfRange': '※ Probabilities outside 0–1: {rows} (clamped to 0–1 for the calculation)',
+
+    // Entropy of a text
+    'te.level.char': 'character',
+    'te.level.byte': 'byte',
+    'te.level.word': 'word',
+    'te.empty': 'The text is empty',
+    'te.note.tooMany': '* k > 256, so a fixed 8-bit code cannot distinguish every symbol',
+    'te.note.redundancy': 'Redundancy of {value} bit per symbol compared with a fixed 8-bit code',
+    'te.steps': `Unit: {unitName}   N = {N}, k = {k}
+H = - Σ p {log} p = {H}/symbol   (max {log} k = {Hmax}){change}
+* Storage sizes are compared in bits (binary digits)
+
+Lower bound:     N × H        = {totalBits} bit ≈ {totalBytes}
+Fixed 8-bit:     N × 8        = {naiveBits} bit = {naiveBytes}
+Shortest fixed:  N × ⌈log₂ k⌉ = {fixedBits} bit ≈ {fixedBytes}
+
+Compression ratio (lower bound / fixed 8-bit) = {ratio}%
+{note}`,
+    'te.file.note': 'Files are read only inside your browser and never sent anywhere (max 2MB)',
+    'te.file.tooLarge': '⚠️ {name} is too large ({size} > 2MB)',
+    'te.file.loaded': '📄 Loaded {name} ({size})',
+    'te.file.error': '⚠️ Could not read {name}',
+    'te.other': 'other',
+
+    // Markov sources
+    'mk.info': 'N = {N} {unitName}s, k = {k} distinct',
+    'mk.truncated': ' (only the first {max} {unitName}s analyzed)',
+    'mk.order0': 'frequencies only',
+    'mk.context': 'previous {order} {unitName}(s)',
+    'mk.axis.order': 'order {order}',
+    'mk.axis.context': 'context length k',
+    'mk.placeholder': 'Press a button to show text generated by picking one symbol at a time from that model',
+    'mk.tooShort': 'The text is too short to build this model',
+    'mk.generated': '[order-{order} model]\n{text}',
+
+    // Coding visualizer
+    'coder.huffman.start': 'Start: {n} leaves (symbols)',
+    'coder.huffman.merge': 'Merge the two smallest, {a}({pa}) and {b}({pb}) → {p}',
+    'coder.sf.start': 'Start: sort the {n} symbols by decreasing probability',
+    'coder.sf.split': 'Split {node} into {left}({pl}) | {right}({pr})',
+    'coder.note.zero': '{n} symbol(s) with probability 0 are not encoded',
+    'coder.note.normalized': 'The total {total} is normalized to 1 before encoding',
+    'coder.note.tooFew': '⚠️ A code needs at least two symbols with positive probability',
+    'coder.method.huffman': 'Huffman',
+    'coder.method.sf': 'Shannon–Fano',
+    'coder.bound.ok': '✅ holds',
+    'coder.bound.ng': '⚠️ does not hold',
+    'coder.summary': `{method} code  ({n} symbols)
+H = - Σ p log₂ p   = {H} bit/symbol
+L = Σ p × ℓ        = {L} bit/symbol
+Fixed ⌈log₂ n⌉     = {fixed} bit/symbol
+
+H ≤ L < H + 1:  {H} ≤ {L} < {H1}  {verdict}
+Coding efficiency H / L = {efficiency}%`,
+    'coder.decode.message': 'Message: {n} symbols → {bits} bit ({naive} bit with a fixed 8-bit code)',
+    'coder.decode.perSymbol': '{value} bit per symbol',
+    'coder.decode.progress': 'Bits read: {pos} / {bits}   Codeword so far: {partial}',
+    'coder.decode.root': '(root)',
+    'coder.decode.result': 'Decoded: {text}',
+    'coder.decode.unknown': '⚠️ Skipped symbols not in the code table: {symbols}',
+    'coder.decode.ok': '✅ Everything decoded (matches the original message)',
+    'coder.decode.ng': '⚠️ The decoded text does not match the original message',
+
+    // Error-correcting code lab
+    'ecc.code.rep1': 'no coding',
+    'ecc.code.rep3': 'repetition code (n = 3)',
+    'ecc.code.rep5': 'repetition code (n = 5)',
+    'ecc.code.rep7': 'repetition code (n = 7)',
+    'ecc.code.hamming': 'Hamming(7,4) code',
+    'ecc.note.invalid': '⚠️ Enter 1–{max} bits using only 0 and 1 (spaces are ignored)',
+    'ecc.note.padding': '* The code works on {k} bits at a time, so {padding} zero bit(s) were appended',
+    'ecc.bit': 'Block {block}, bit {pos}: {bit}',
+    'ecc.bit.flipped': 'Block {block}, bit {pos}: {bit} (flipped)',
+    'ecc.syndrome.corrected': ' → correct position {pos}',
+    'ecc.syndrome.miscorrected': ' (two or more errors lead to a wrong correction)',
+    'ecc.syndrome.none': ' (no error)',
+    'ecc.majority': 'majority vote → {out}',
+    'ecc.majority.wrong': ' (most bits flipped, so the value is wrong)',
+    'ecc.majority.corrected': ' ({errors} flip(s) corrected)',
+    'ecc.decoded': 'decoded: {out}',
+    'ecc.wrongBits': '✗ {wrong} bit error(s)',
+    'ecc.perBlock': '{n} / block',
+    'ecc.errorBits': '{wrong} / {total} bits',
+    'ecc.compare.better': '{ratio} times lower',
+    'ecc.compare.worse': 'worse',
+    'ecc.compare.same': 'unchanged',
+    'ecc.steps.padding': ' + {padding} padding bit(s)',
+    'ecc.theorem.below': 'R < C → with long enough codes the error rate can be made arbitrarily small at this rate (channel coding theorem)',
+    'ecc.theorem.above': 'R ≥ C → no code can push the error rate toward 0 (R < C is required)',
+    'ecc.steps': `Code: {code}  n = {n} (codeword length), k = {k} (data bits carried)
+Rate R = k / n = {k}/{n} = {R} → {info} of information per transmitted bit
+Redundant bits n - k = {redundant} / block: {dataBits} data bits{padding} → {sentBits} bits sent ({redundantBits} redundant)
+Channel capacity C = 1 - H(ε) = 1 - H({eps2}) = {C}
+{theorem}
+Residual bit error rate: uncoded ε = {eps4} → {code} {residual} ({compare})`,
+    'ecc.axis.rate': 'rate R',
+    'ecc.axis.error': 'bit error rate',
+    'ecc.chart.hamming': 'Hamming(7,4)',
+
+    // Quizzes
+    'quiz.question': 'Question {n} ({topic}): {text}',
+    'quiz.placeholder': 'e.g. 1.58',
+    'quiz.answerLabel': 'Answer to question {n}',
+    'quiz.total': '{n} questions',
+    'quiz.grade': 'Grade',
+    'quiz.new': 'New questions',
+    'quiz.correct': '✓ Correct!',
+    'quiz.incorrect': '✗ Incorrect (answer: {expected})',
+    'quiz.unanswered': '－ Not answered (answer: {expected})',
+    'quiz.score': 'Score: {correct}/{total}',
+    'quiz.passed': 'Passing level!',
+    'quiz.loadError': '⚠️ Could not load the question bank (data/quiz-bank.json)',
+
+    // Intuition tab: built-in scenarios
+    'scn.coin.title': 'Coin toss',
+    'scn.coin.description': 'You toss an ordinary coin...',
+    'scn.coin.event.heads': 'heads',
+    'scn.coin.event.tails': 'tails',
+    'scn.coin.event.stands': 'it landed on its edge',
+    'scn.coin.event.breaks': 'it broke',
+    'scn.dice.title': 'Die',
+    'scn.dice.description': 'You roll a standard six-sided die...',
+    'scn.dice.event.one': 'a 1',
+    'scn.dice.event.even': 'an even number',
+    'scn.dice.event.seven': 'a 7',
+    'scn.dice.event.allSame': 'every face shows the same number',
+    'scn.lottery.title': 'Lottery',
+    'scn.lottery.description': 'In the year-end jumbo lottery...',
+    'scn.lottery.event.miss': 'no prize',
+    'scn.lottery.event.lowest': 'the smallest prize',
+    'scn.lottery.event.jackpot': 'the jackpot',
+    'scn.lottery.event.meteor': 'being hit by a meteorite',
+    'scn.weather.title': 'Weather forecast',
+    'scn.weather.description': 'As tomorrow\'s weather...',
+    'scn.weather.event.sunny': 'sunny',
+    'scn.weather.event.rainy': 'rain',
+    'scn.weather.event.summerSnow': 'snow (in summer)',
+    'scn.weather.event.meteorShower': 'a rain of meteorites',
+
+    // Intuition tab
+    'intuition.event': '"{name}"',
+    'intuition.reveal': '④ Show the answer',
+    'intuition.revealing': 'Showing result',
+    'intuition.explain.lotteryPerfect': 'Surprise {surprise} fits a lottery-level event ({info}). Perfect intuition!',
+    'intuition.explain.lotteryGood': 'Surprise {surprise} is a reasonable reaction to a lottery-level event ({info}).',
+    'intuition.explain.lotteryLow': 'For a lottery-level event ({info}) you could be much more surprised!',
+    'intuition.explain.rareGood': 'Surprise {surprise} is a fitting reaction to a very rare event ({info}).',
+    'intuition.explain.rareLow': 'This is a rare event ({info}). You could be a little more surprised.',
+    'intuition.explain.excellent': 'Surprise {surprise} matches the information {info} well. Excellent intuition!',
+    'intuition.explain.fair': 'Surprise {surprise} roughly matches the information {info}.',
+    'intuition.explain.off': 'Surprise {surprise} and the information {info} are a little apart.',
+    'intuition.explain.farOff': 'Surprise {surprise} and the information {info} are far apart. Let\'s train a logarithmic sense.',
+    'intuition.axis.surprise': 'surprise (subjective)',
+    'intuition.axis.info': 'information (theory) [{unit}]',
+    'intuition.axis.logProb': 'probability P (log scale)',
+
+    // Regression on intuition data
+    'fit.excluded': ' ({n} point(s) with P = 0 excluded)',
+    'fit.needPoints': 'Record two or more events with different information to see the regression results',
+    'fit.inBits': ' (I in bits)',
+    'fit.base': 'Your surprise rises by 1 each time the probability becomes 1/{B} (the base for bits is 2)',
+    'fit.base.none': 'Cannot be estimated because your surprise does not increase with information',
+    'fit.better.log': 'The logarithmic model fits better (surprise levels off for large information)',
+    'fit.better.linear': 'The linear model fits better (surprise proportional to information)',
+    'fit.residualRow': '{event} I = {I} {unit}  surprise {surprise}  predicted {predicted}  residual {residual}',
+    'fit.residuals': `Points used in the regression: {n}{note}
+{better}
+Residuals of the linear model (largest first, up to {max} points, RMSE = {rmse})
+{rows}`,
+    'fit.legend.linear': 'linear',
+    'fit.legend.log': 'log',
+
+    // Custom scenarios
+    'scn.error.format': 'The scenario is not in the expected format',
+    'scn.error.noTitle': 'Enter a title',
+    'scn.error.longTitle': 'Titles can be at most 32 characters',
+    'scn.error.noEvents': '"{title}": enter at least one event',
+    'scn.error.tooManyEvents': '"{title}": at most {max} events are allowed',
+    'scn.error.noEventName': '"{title}": the event on row {row} has no name',
+    'scn.error.longEventName': '"{title}": event names can be at most 32 characters',
+    'scn.error.duplicate': '"{title}": the event "{name}" appears more than once',
+    'scn.error.probability': '"{title}": the probability "{p}" of "{name}" is not a number or fraction between 0 and 1',
+    'scn.error.zeroProbability': '"{title}": the probability of "{name}" is 0 (an impossible event has infinite information, so use a value above 0)',
+    'scn.error.tooMany': 'At most {max} custom scenarios are allowed',
+    'scn.error.json': 'The JSON is not well-formed',
+    'scn.customGroup': 'Custom scenarios',
+    'scn.removeEvent': 'Remove this event',
+    'scn.copyTitle': '{title} (copy)',
+    'scn.confirmDelete': 'Delete the custom scenario "{title}"?',
+    'scn.status.saveFailed': '⚠️ Could not save in the browser (it will be lost when you close this page)',
+    'scn.status.imported': '✅ Added {added}, updated {updated}',
+    'scn.status.editing': 'Editing "{title}"',
+    'scn.status.copied': 'Copied the built-in scenario "{title}". Saving adds it as a custom scenario',
+    'scn.status.saved': '✅ Saved "{title}"',
+    'scn.status.deleted': 'Deleted "{title}"',
+    'scn.status.importFailed': '⚠️ Could not add: {reason}',
+
+    // Shannon's guessing game
+    'sg.hint': 'You can type the 27 symbols a–z and space',
+    'sg.hint.fallback': '⚠️ The corpus could not be loaded, so the three built-in sentences are used',
+    'sg.invalid': '"{input}" cannot be used. Choose from a–z and space',
+    'sg.alreadyTried': '"{ch}" has already been tried at this position',
+    'sg.finished': '🎉 You guessed all {n} characters (average {mean} guesses). Press "New sentence" to continue',
+    'sg.tried': 'Wrong guesses at this position: {chars}',
+    'sg.prompt': 'Guess character {pos}',
+    'sg.steps.empty': 'No records yet. Guess characters and the derivation appears here',
+    'sg.steps.row': 'guess {i}: {count} chars  q = {q}',
+    'sg.steps': `Characters n = {n} ({sentences} sentences completed), {K} symbols
+{rows}
+
+Upper bound: -Σ qᵢ {L} qᵢ           = {upper}/char
+Lower bound: Σ i (qᵢ - qᵢ₊₁) {L} i  = {lower}/char
+Reference: uniform {L} {K}          = {uniform}/char`,
+    'sg.axis.guess': 'guess i',
+    'sg.chart.upper': 'upper {value}',
+    'sg.chart.lower': 'lower {value}',
+    'sg.confirmReset': 'Erase the guessing game records?',
+
+    // Password strength
+    'pwd.guesses': '{n} guesses',
+    'pwd.security.weak': 'weak',
+    'pwd.security.moderate': 'moderate',
+    'pwd.security.strong': 'strong',
+    'pwd.security.veryStrong': 'very strong',
+
+    // Pattern-aware password analysis
+    'pa.class.lower': 'lowercase',
+    'pa.class.upper': 'uppercase',
+    'pa.class.digit': 'digits',
+    'pa.class.symbol': 'symbols',
+    'pa.class.other': 'other (non-ASCII)',
+    'pa.class.chip': '{name} ({size})',
+    'pa.separator': ', ',
+    'pa.attacker.online': 'Online attack (rate-limited)',
+    'pa.attacker.online.rate': '100 /hour',
+    'pa.attacker.slowHash': 'Offline attack (slow hash: bcrypt etc.)',
+    'pa.attacker.slowHash.rate': '10⁴ /s',
+    'pa.attacker.fastHash': 'Offline attack (fast hash: MD5 etc., GPU)',
+    'pa.attacker.fastHash.rate': '10¹⁰ /s',
+    'pa.duration.instant': 'instant (under 1 second)',
+    'pa.duration.centuries': '{value} centuries',
+    'pa.duration.about': 'about {value} {unit}',
+    'pa.duration.century': 'centuries',
+    'pa.duration.year': 'years',
+    'pa.duration.day': 'days',
+    'pa.duration.hour': 'hours',
+    'pa.duration.minute': 'minutes',
+    'pa.duration.second': 'seconds',
+    'pa.kind.password': 'common password',
+    'pa.kind.word': 'dictionary word',
+    'pa.pattern.dictionary': 'dictionary',
+    'pa.pattern.reversed': 'dictionary (reversed)',
+    'pa.pattern.leet': 'dictionary (leet)',
+    'pa.pattern.keyboard': 'keyboard walk',
+    'pa.pattern.sequence': 'sequence',
+    'pa.pattern.repeat': 'repeat',
+    'pa.pattern.date': 'date',
+    'pa.pattern.bruteforce': 'brute force',
+    'pa.detail.rank': '{kind} (rank {rank})',
+    'pa.detail.reversed': '{kind} "{word}" reversed',
+    'pa.detail.leet': 'substitution of "{word}" ({kind})',
+    'pa.detail.keyboard': 'adjacent keys ({turns} turn(s))',
+    'pa.detail.ascending': 'ascending run',
+    'pa.detail.descending': 'descending run',
+    'pa.detail.repeat': '"{base}" × {count}',
+    'pa.detail.year': 'year {y}',
+    'pa.detail.date': 'date {y}-{m}-{d}',
+    'pa.detail.shortDate': 'date (two-digit year)',
+    'pa.naive': '{len} chars × log₂ {charset} = {bits} bit{aside} ({security})',
+    'pa.truncated': ' / only the first {max} characters analyzed',
+    'pa.empty': 'Enter a password',
+    'pa.patternBits': 'log₂(guesses {guesses}) = {bits} bit{aside} ({security})',
+    'pa.savings': ' / {bits} bit fewer than the naive estimate',
+    'pa.order': 'Adds log₂({n}!) = {bits} bit for the order of the {n} patterns',
+    'pa.dict.note': 'Input is processed only in your browser and is never sent or stored',
+    'pa.dict.loaded': 'Dictionary: {passwords} common passwords and {words} words (input is processed only in your browser and is never sent or stored)',
+    'pa.dict.error': '⚠️ Could not load the dictionary (analyzing without dictionary matches)',
+
+    // Cross-entropy and KL divergence
+    'kl.class.cat': 'cat',
+    'kl.class.dog': 'dog',
+    'kl.class.bird': 'bird',
+    'kl.listSeparator': ', ',
+    'kl.warn.qZero': '⚠️ Events that Q gives probability 0 ({events}) can occur under P, so H(P,Q) and D_KL(P‖Q) are infinite',
+    'kl.warn.pZero': '⚠️ Events that P gives probability 0 ({events}) can occur under Q, so D_KL(Q‖P) is infinite',
+    'kl.zeroLog': ' (0 log 0 = 0)',
+    'kl.check': 'Check:  ',
+    'kl.jsRange': ' (0 ≤ JS ≤ 1 bit{aside})',
+
+    // 性質タブ
+    'prop.verdict.ok': '✅ Continuity holds',
+    'prop.verdict.slight': '⚠️ Roughly continuous',
+    'prop.verdict.large': '❌ A large change',
+
+    // 相互情報量
+    'joint.corner': 'X \\ Y',
+    'joint.noUmbrella': 'No umbrella',
+    'joint.umbrella': 'Umbrella',
+    'joint.sent': 'Sent {v}',
+    'joint.received': 'Got {v}',
+    'joint.odd': 'Odd',
+    'joint.even': 'Even',
+    'mi.verdict.independent': 'X and Y are independent (I(X;Y) = 0)',
+    'mi.verdict.determined': 'Knowing Y determines X (H(X|Y) = 0)',
+    'mi.verdict.reduced': 'Knowing Y reduces the uncertainty of X by {pct}%',
+    'mi.check': 'Check:',
+    'mi.verdict': 'Verdict:',
+    'mi.event.independent': 'independent',
+    'mi.event.dependent': 'dependent',
+    'mi.event.impossible': '∞ {unit} (a combination that cannot occur)',
+    'mi.event.diff': 'Difference',
+    'mi.event.additive': '→ Independent, so additivity I(A∧B) = I(A) + I(B) holds',
+    'mi.event.lessSurprise': '→ A and B tend to occur together, so seeing both is less surprising than I(A) + I(B)',
+    'mi.event.moreSurprise': '→ A and B rarely occur together, so seeing both is more surprising than I(A) + I(B)',
+
+    // 通信路
+    'ch.eps.erasure': 'Erasure probability',
+    'ch.eps.flip': 'Flip probability',
+    'ch.capacity': '{C} bit/use{aside} (at P(X=1) = 0.5)',
+    'ch.sent': 'Sent X',
+    'ch.received': 'Received Y',
+    'ch.rate.erasure': 'Erasure rate',
+    'ch.rate.flip': 'Error rate (flips)',
+    'ch.rate.value': '{rate} ({errors} / {total})',
+    'ch.run': '▶ Send continuously',
+    'ch.stop': '⏸ Stop',
+
+    // 共有リンク
+    'share.copyPrompt': 'Copy this link',
+
+    // 学習の進捗
+    'progress.rule.basics': 'Reach the passing level in the logarithm quiz',
+    'progress.rule.intuition': 'Record at least {n} points in the intuition graph',
+    'progress.rule.default': 'Use an input or button in the tab',
+    'progress.status.visited': 'In progress',
+    'progress.status.done': 'Completed',
+    'progress.status.none': 'Not started',
+    'progress.tabTitle': '{status} (to complete: {rule})',
+    'progress.summary': '{done} / {total} tabs completed',
+    'progress.quizHistory': 'Attempts so far: {n} ({passed} passed) · best {correct}/{total}',
+    'progress.error.format': 'The progress file has an invalid format',
+    'progress.error.json': 'invalid JSON',
+    'progress.import.ok': '✅ Loaded {name}',
+    'progress.import.fail': '⚠️ Could not load: {reason}',
+    'progress.confirmReset': 'Erase all learning progress (tab status, quiz history, intuition graph and guessing game data)?',
+    'progress.reset': 'Progress has been reset',
+
+    // Accessibility (graph data tables, announcements and sound)
+    'a11y.graphData': 'Show the data as a table',
+    'a11y.noData': 'No data',
+    'a11y.current': ' (current)',
+    'a11y.apt': 'floor {floor}, room {room}, whole room {total}',
+    'graph.event': 'Event',
+    'graph.total': 'Total',
+    'graph.symbol': 'Symbol',
+    'graph.count': 'Count',
+    'graph.quantity': 'Quantity',
+    'graph.value': 'Value',
+    'graph.mc.tosses': 'Tosses',
+    'graph.mc.mean': 'Mean surprise',
+    'graph.mc.plugin': 'Estimate from frequencies',
+    'graph.hier.stage': 'Stage',
+    'graph.ecc.code': 'Code',
+    'graph.ecc.repetition': 'Repetition code n = {n}',
+    'graph.capacity': 'Channel capacity C',
+    'sonify.unsupported': 'This browser cannot play sound (Web Audio API)',
+    'sonify.playing': 'Playing the information as P moves from near 0 to 1 over {seconds} s (higher pitch = more information)',
+    'sonify.done': 'Finished playing',
+
+    // Printing and export
+    'export.title': 'InfoQuantity Academy results',
+    'export.meta': '{date} · unit: {unit}',
+    'export.section.coin': 'Information of a coin toss',
+    'export.section.additivity': 'Additivity for independent events A, B',
+    'export.section.apartment': 'Finding a room in an apartment',
+    'export.section.entropy': 'Entropy',
+    'export.steps': 'Working',
+    'export.apt.floors': 'Floors',
+    'export.apt.perFloor': 'Rooms per floor',
+    'export.nothing': '⚠️ Choose at least one calculator to print',
+    'export.noChart': '⚠️ This graph has not been drawn yet',
+    'export.saved': '✅ Saved {name}',
+    'ws.title': 'Information worksheet',
+    'ws.answerTitle': 'Information worksheet (answer key)',
+    'ws.meta': 'Seed: {seed} · unit: {unit} · {date}',
+    'ws.name': 'Name:',
+    'ws.instructions': 'Give amounts of information in {unit} to 3 decimal places.',
+    'ws.separator': ', ',
+    'ws.coin': 'The {n} possible outcomes have probabilities {list}. Find the information gained on learning that each outcome occurred.',
+    'ws.additivity': 'Independent events A and B have P(A) = {pa} and P(B) = {pb}. Find I(A), I(B) and I(A∧B), and check that I(A∧B) = I(A) + I(B).',
+    'ws.apartment': 'You want to identify one room in an apartment building with {F} floors and {R} rooms per floor. Find the information needed to identify the floor, the room on that floor, and the room overall.',
+    'ws.entropy': 'Find the entropy H of the distribution {list} and compare it with the maximum {log} {n}.',
+    'ws.answer': 'Answer: {answer}',
+    'ws.answer.apartment': 'floor {floor}, room on the floor {room}, room overall {total}',
+    'ws.answer.entropy': 'H = {H} ({ratio}% of the maximum {Hmax})',
+    'ws.status': '{n} problems (seed: {seed})',
+    'ws.none': '⚠️ Choose at least one kind of problem',
+  },
+  html: {
+    'app.title': 'InfoQuantity Academy - Learn the Basics of Information Content',
+    'app.toggleLightDarkLabel': 'Toggle light/dark mode',
+    'app.copyLinkStateTooltip': 'Copy a link to this state (shares the inputs and the current tab)',
+    'app.copyLinkStateLabel': 'Copy a link to this state',
+    'app.subtitle': 'An interactive introduction to the intuition, definition and properties of information content, even if you are new to computer science or mathematics',
+    'app.learningTabsLabel': 'Learning tabs',
+    'app.tab.basics': '1. Basics',
+    'app.tab.def': '2. Definition',
+    'app.tab.intuition': '3. Intuition',
+    'app.tab.calc': '4. Worked examples',
+    'app.tab.add': '5. Additivity',
+    'app.tab.prop': '6. Properties',
+    'app.tab.applications': '7. Entropy & applications',
+    'app.tab.mutual': '8. Mutual information',
+    'app.unit.label': 'Unit of information:',
+    'app.unit.bit': 'bit (base 2)',
+    'app.unit.nat': 'nat (base e)',
+    'app.unit.dit': 'dit (base 10)',
+    'app.unit.hartley': 'hartley (base 10)',
+    'app.unit.note': 'dit and hartley are two names for the same unit. 1 nat ≈ 1.4427 bit, 1 hartley ≈ 3.3219 bit',
+    'app.language.label': 'Language: ',
+    'app.progress': 'Progress: ',
+    'app.export': '📤 Export',
+    'app.import': '📥 Import',
+    'app.resetProgress': 'Reset progress',
+    'app.exportBar.printExportResults': '🖨 Print & export (results and worksheets to hand out)',
+    'app.exportBar.printCurrentResults': 'Print the current results',
+    'app.exportBar.coinTossExamples': 'Coin toss (Examples tab)',
+    'app.exportBar.independentEventsAdditivity': 'Independent events A, B (Additivity tab)',
+    'app.exportBar.findingRoomApartment': 'Finding a room in an apartment (Additivity tab)',
+    'app.exportBar.entropyCalculatorEntropy': 'Entropy calculator (Entropy & applications tab)',
+    'app.exportBar.includeGraphs': 'Include graphs',
+    'app.exportBar.print': '🖨 Print',
+    'app.exportBar.saveGraphImage': 'Save a graph as an image',
+    'app.exportBar.graph': 'Graph: ',
+    'app.exportBar.savePng': 'Save as PNG',
+    'app.exportBar.saveSvg': 'Save as SVG',
+    'app.exportBar.printoutsImagesUse': 'Printouts and images use light colours that suit white paper (regardless of the screen theme).',
+    'app.exportBar.makeWorksheet': 'Make a worksheet',
+    'app.exportBar.problemsKind': 'Problems per kind: ',
+    'app.exportBar.seed': 'Seed: ',
+    'app.exportBar.newProblems': '🎲 New problems',
+    'app.exportBar.printProblems': '🖨 Print problems',
+    'app.exportBar.printAnswerKey': '🖨 Print answer key',
+    'app.exportBar.sameSeedAlways': 'The same seed always gives the same problems, so you can print the problems and the answer key separately. The worked answers use the selected unit and language.',
+    'basics.title': 'Basics: checking your understanding of logarithms',
+    'basics.logarithmQuiz.title': '🧩 Logarithm quiz',
+    'basics.logarithmQuiz.learningInformationContent': 'Learning about information content requires a basic understanding of logarithms. Check yourself with the quiz below ("New questions" gives different numbers every time).',
+    'basics.logarithmQuiz.loadingQuestions': 'Loading questions…',
+    'basics.stepLogarithms.title': '📚 Step by step: why logarithms?',
+    'basics.stepLogarithms.workStepDefinition': 'Let’s work out, step by step, why the definition of information content uses a logarithm.',
+    'basics.stepLogarithms.step1RarityValue': 'Step 1: "rarity" and "the value of information"',
+    'basics.stepLogarithms.thinkEverydayLife': 'Think about everyday life:',
+    'basics.stepLogarithms.rainTomorrowProbability': '"It will rain tomorrow" (probability 30%) → fairly uncommon → somewhat meaningful information',
+    'basics.stepLogarithms.meteoriteFallTomorrow': '"A meteorite will fall tomorrow" (probability 0.001%) → extremely rare → extremely important information',
+    'basics.stepLogarithms.sunRiseTomorrow': '"The sun will rise tomorrow" (probability 99.99%) → obvious → almost meaningless information',
+    'basics.stepLogarithms.otherWordsIntuitively': 'In other words, we intuitively feel that <strong>the less probable (rarer) something is, the more valuable it is as information</strong>.',
+    'basics.stepLogarithms.step2CombiningIndependent': 'Step 2: combining independent events',
+    'basics.stepLogarithms.considerTwoIndependent': 'Consider two independent events happening at the same time:',
+    'basics.stepLogarithms.coinLandsHeads': 'A coin lands heads (1/2) + a die shows 6 (1/6)',
+    'basics.stepLogarithms.probabilityBoth': 'Probability of both: 1/2 × 1/6 = 1/12',
+    'basics.stepLogarithms.informationAddHeads6': 'The information should "add up": I(heads) + I(6) = I(heads and 6)',
+    'basics.stepLogarithms.needFunctionTurns': 'We need a function that turns the "product" of probabilities into a "sum" of information.',
+    'basics.stepLogarithms.step3PropertiesLogarithms': 'Step 3: properties of logarithms',
+    'basics.stepLogarithms.logarithmsImportantProperty': 'Logarithms have an important property:',
+    'basics.stepLogarithms.turnsProductProbabilities': 'This turns a product of probabilities into a sum of information',
+    'basics.stepLogarithms.informationContentTakes': 'That is why information content takes the form <strong>I = -log P</strong>!',
+    'basics.proceed.title': '🎯 How to proceed',
+    'basics.proceed.checkBasicsLogarithm': '<strong>Check the basics with the logarithm quiz</strong> - aim for at least 2 of 3 correct in the quiz above',
+    'basics.proceed.understandDefinitionLearn': '<strong>Understand the definition</strong> - learn the formal definition of information content in the next tab',
+    'basics.proceed.buildIntuitionFeel': '<strong>Build intuition</strong> - feel the link between surprise and information in the "Intuition" tab',
+    'basics.proceed.practiceCalculationsGet': '<strong>Practice calculations</strong> - get used to concrete calculations in the "Worked examples" tab',
+    'basics.proceed.deepenTheoryUnderstand': '<strong>Deepen the theory</strong> - understand additivity and the other properties',
+    'basics.proceed.applicationsSeeUsed': '<strong>Applications</strong> - see how it is used in the real world',
+    'def.title': 'Definition of information content',
+    'def.plentyIntuitive.title': '🌟 Plenty of intuitive examples',
+    'def.plentyIntuitive.newsMedia': '📰 News and media',
+    'def.plentyIntuitive.bogartDictumDog': '<strong>Bogart’s dictum</strong>: "When a dog bites a man, that is not news; but if a man bites a dog, that is news" → the rarer the event, the more information',
+    'def.plentyIntuitive.sportsChampionWins': '<strong>Sports</strong>: "the champion wins" (probability 70%) vs "a huge upset" (probability 5%) → the latter is bigger news',
+    'def.plentyIntuitive.entertainmentPopularActor': '<strong>Entertainment</strong>: "a popular actor announces their marriage" → the more unexpected, the more people talk about it',
+    'def.plentyIntuitive.gamesChance': '🎲 Games and chance',
+    'def.plentyIntuitive.coinTossStood': '<strong>Coin toss</strong>: "it stood on edge" (0.01%) is rarer than "heads" (50%) → more information',
+    'def.plentyIntuitive.diceSameNumber': '<strong>Dice</strong>: "the same number six times in a row" (1/6⁶) vs "rolled a 1" (1/6) → the former is astonishing',
+    'def.plentyIntuitive.lotteryWinExpected': '<strong>Lottery</strong>: "no win" is expected; "first prize" is life-changing information',
+    'def.plentyIntuitive.everydayLife': '🌤️ Everyday life',
+    'def.plentyIntuitive.weatherRainDay': '<strong>Weather</strong>: "rain on a day forecast to be sunny" → a missed forecast is valuable information',
+    'def.plentyIntuitive.transportTrainTime': '<strong>Transport</strong>: "the train is on time" is expected; "a long delay" is important information',
+    'def.plentyIntuitive.emailSpamImportant': '<strong>Email</strong>: "spam" vs "an important message" → the information grows with how seldom a kind of message arrives',
+    'def.plentyIntuitive.learningDiscovery': '💡 Learning and discovery',
+    'def.plentyIntuitive.examResultsScore': '<strong>Exam results</strong>: "the score you expected" vs "an unexpectedly high or low score"',
+    'def.plentyIntuitive.scientificDiscoveryBehaves': '<strong>Scientific discovery</strong>: "behaves as the known laws predict" vs "a new phenomenon"',
+    'def.plentyIntuitive.aiPredictionsHigh': '<strong>AI predictions</strong>: "a high-confidence prediction" vs "a low-confidence prediction that turns out right" → the latter is more valuable',
+    'def.plentyIntuitive.keyInsight': '🔑 Key insight',
+    'def.plentyIntuitive.valueInformationContent': '<strong>Value of information ≠ information content</strong>: the "value" to the receiver and the probability-based "information content" must be kept apart. Information content is an objective measure; value is a subjective judgement.',
+    'def.shannonDefinition.title': 'Shannon’s definition',
+    'def.shannonDefinition.eventOccursProbability': 'If event <code>a</code> occurs with probability <code>P(a)</code>, its information content <code>I(a)</code> is',
+    'def.shannonDefinition.unitBit': '(unit: bit).',
+    'def.shannonDefinition.nonNegative0P1': '<strong>Non-negative</strong>: <code>0 ≤ P ≤ 1</code>, so <code>I ≥ 0</code>',
+    'def.shannonDefinition.monotonicallyDecreasingRarer': '<strong>Monotonically decreasing</strong>: the rarer the event, the larger the value',
+    'def.shannonDefinition.p1CertainEvent': '<strong>I = 0 when P = 1</strong>: a certain event carries no information',
+    'def.graphLog.title': 'Graph of I = -log₂ P',
+    'def.graphLog.graphLogPLabel': 'Graph of I = -log₂ P',
+    'def.graphLog.horizontalAxisP': 'Horizontal axis: P (0&lt;P≤1), vertical axis: I=-log₂P',
+    'def.graphLog.logarithmicPAxis': 'Logarithmic P axis',
+    'def.graphLog.zoomP': '🔍 Zoom in on P→0',
+    'def.graphLog.zoom': 'Zoom out',
+    'def.graphLog.reset': 'Reset',
+    'def.graphLog.scrollDragGraph': 'Scroll or drag on the graph (or use + − ← → on the keyboard) to zoom and pan; double-click (or press 0) to reset',
+    'def.graphLog.listenCurve': '🔊 Listen to the curve',
+    'def.graphLog.readingGraph': '📊 Reading this graph',
+    'def.graphLog.shapeCurveSmaller': '<strong>Shape of the curve</strong>: the smaller the probability, the faster the information grows',
+    'def.graphLog.keyPoints1Bit': '<strong>Key points</strong>: 1 bit at P=0.5, 2 bit at P=0.25, 3 bit at P=0.125',
+    'def.graphLog.ruleThumbEvery': '<strong>Rule of thumb</strong>: every time the probability halves, the information grows by 1 bit',
+    'def.comparisonY.title': 'Comparison: y=a<sup>x</sup> / y=x / y=logₐx',
+    'def.comparisonY.chooseBase': 'Choose base a:',
+    'def.comparisonY.comparisonYXLabel': 'Comparison of y = aˣ, y = x and y = logₐ x',
+    'def.comparisonY.use': '🔧 How to use',
+    'def.comparisonY.changeBaseCompare': '<strong>Change the base a</strong> to compare how the three functions relate.',
+    'def.comparisonY.exponentialBlueGrows': '<strong>Exponential (blue)</strong>: grows explosively, like information "spreading"',
+    'def.comparisonY.linearYellowGrows': '<strong>Linear (yellow)</strong>: grows steadily, a proportional relationship',
+    'def.comparisonY.logarithmCyanGrows': '<strong>Logarithm (cyan)</strong>: grows slowly, "compressing" large numbers into information',
+    'def.comparisonY.exponentialLogarithmInverse': 'When a=2, the exponential and the logarithm are inverse functions of each other.',
+    'def.twentyQuestions.title': '🎯 Twenty questions (guess with yes / no)',
+    'def.twentyQuestions.bitInformationFair': '1 bit is the information in one fair yes/no choice. The app secretly picks one candidate; click candidates to select them and ask "Is it among these?". Each answer reduces the remaining uncertainty (in bits).',
+    'def.twentyQuestions.puzzle': 'Puzzle:',
+    'def.twentyQuestions.numbersNEqually': 'Numbers (1 to N, all equally likely)',
+    'def.twentyQuestions.numbersNSmaller': 'Numbers (1 to N, smaller numbers more likely ∝ 1/k)',
+    'def.twentyQuestions.animalsFamiliarAnimals': 'Animals (familiar animals more likely)',
+    'def.twentyQuestions.newGame': 'New game',
+    'def.twentyQuestions.candidatesClickIncludeLabel': 'Candidates (click to include them in the question)',
+    'def.twentyQuestions.askAmongSelected': 'Ask "Is it among the selected?"',
+    'def.twentyQuestions.selectFirstHalf': 'Select the first half of the rest',
+    'def.twentyQuestions.hintOptimalQuestion': 'Hint (optimal question)',
+    'def.twentyQuestions.clearSelection': 'Clear selection',
+    'def.twentyQuestions.giveShowAnswer': 'Give up (show the answer)',
+    'def.twentyQuestions.questionsAsked': 'Questions asked',
+    'def.twentyQuestions.candidatesLeft': 'Candidates left',
+    'def.twentyQuestions.remainingUncertaintyH': 'Remaining uncertainty H',
+    'def.twentyQuestions.optimalNumberQuestions': 'Optimal number of questions (average)',
+    'def.twentyQuestions.readingGame': '🔍 Reading the game',
+    'def.twentyQuestions.informationGainedLog': '<strong>Information gained</strong>: -log₂ P bit if the answer had probability P. For a question where "yes" and "no" are equally likely, either answer gives exactly 1 bit',
+    'def.twentyQuestions.remainingUncertaintyEntropy': '<strong>Remaining uncertainty</strong>: the entropy of the remaining candidates (weighted by how likely each is). It falls by the information gained and ends at 0',
+    'def.twentyQuestions.logNCandidates': '<strong>log₂ N</strong>: if N candidates are equally likely, halving questions always find the answer in ⌈log₂ N⌉ questions (2²⁰ ≈ one million, so 20 questions tell about a million possibilities apart)',
+    'def.twentyQuestions.optimalQuestionsHuffman': '<strong>Optimal questions (Huffman)</strong>: when some candidates are more likely, checking the likely ones first lowers the average number of questions. The average L̄ satisfies H ≤ L̄ &lt; H + 1',
+    'def.reviewQuiz.title': '✅ Review quiz',
+    'def.reviewQuiz.questionsDrawnRandom': 'Questions are drawn at random from this tab’s content each time. Enter numeric answers as decimals or fractions (e.g. 3/4).',
+    'def.reviewQuiz.loadingQuestions': 'Loading questions…',
+    'intuition.title': 'Intuition: surprise and information content',
+    'intuition.surpriseSlider.title': '🎲 Surprise slider',
+    'intuition.surpriseSlider.useChooseScenario': '<strong>How to use</strong>: ① choose a scenario → ② choose an outcome → ③ set how surprised you are → ④ compare with the theory!',
+    'intuition.surpriseSlider.chooseScenario': '① Choose a scenario:',
+    'intuition.surpriseSlider.coinToss': 'Coin toss',
+    'intuition.surpriseSlider.dice': 'Dice',
+    'intuition.surpriseSlider.lottery': 'Lottery',
+    'intuition.surpriseSlider.weatherForecast': 'Weather forecast',
+    'intuition.surpriseSlider.chooseOutcome': '② Choose an outcome:',
+    'intuition.surpriseSlider.outcome': ' was the outcome...',
+    'intuition.surpriseSlider.surprisedOutcome': '③ How surprised would you be by this outcome?',
+    'intuition.surpriseSlider.surprise10Astonished': 'Surprise (1: not at all ~ 10: astonished)',
+    'intuition.surpriseSlider.surprise': 'Your surprise:',
+    'intuition.surpriseSlider.likelyThinkOutcome': 'How likely do you think this outcome is?',
+    'intuition.surpriseSlider.probabilityGuess': 'Your probability guess (%)',
+    'intuition.surpriseSlider.actualProbability': 'Actual probability',
+    'intuition.surpriseSlider.theoreticalInformation': 'Theoretical information',
+    'intuition.surpriseSlider.accuracyIntuition': 'Accuracy of your intuition',
+    'intuition.surpriseSlider.making': '💡 Making the most of it',
+    'intuition.surpriseSlider.tryExtremesCompare': '<strong>Try extremes</strong>: compare your surprise at "winning the lottery jackpot" vs "a coin landing heads"',
+    'intuition.surpriseSlider.guessCheckGuess': '<strong>Guess, then check</strong>: guess the probability → set your surprise → reveal the answer, to train your intuition',
+    'intuition.surpriseSlider.collectDataRecord': '<strong>Collect data</strong>: "Record current values" plots a point on the graph so you can see trends',
+    'intuition.surpriseSlider.trainLogarithmicSense': '<strong>Train a logarithmic sense</strong>: get used to +1 bit every time the probability halves',
+    'intuition.createScenario.title': '✏️ Create a scenario',
+    'intuition.createScenario.buildScenariosFamiliar': 'Build scenarios from familiar events such as school events or game drop rates. Saved scenarios are added to the list in ① as "custom scenarios".',
+    'intuition.createScenario.scenarioTitle': 'Title',
+    'intuition.createScenario.schoolFestivalRafflePlaceholder': 'e.g. School festival raffle',
+    'intuition.createScenario.description': 'Description',
+    'intuition.createScenario.drawingRaffleTicketPlaceholder': 'e.g. Drawing one raffle ticket at the school festival...',
+    'intuition.createScenario.outcome': 'Outcome',
+    'intuition.createScenario.probabilityColumn': 'Probability P (0.25, 1/4, 2^-2, ...)',
+    'intuition.createScenario.addOutcome': '+ Add outcome',
+    'intuition.createScenario.editSelectedScenario': 'Edit selected scenario',
+    'intuition.createScenario.new': 'New',
+    'intuition.createScenario.save': 'Save',
+    'intuition.createScenario.delete': 'Delete',
+    'intuition.createScenario.shareJson': 'Share as JSON',
+    'intuition.createScenario.exportsCustomScenarios': 'Exports all custom scenarios as JSON. Paste JSON you received, or choose a file, to add them (scenarios with the same title are overwritten).',
+    'intuition.createScenario.showJson': 'Show JSON',
+    'intuition.createScenario.saveFile': 'Save to file',
+    'intuition.createScenario.addPastedJson': 'Add pasted JSON',
+    'intuition.createScenario.addFile': 'Add from file',
+    'intuition.intuitionTheory.title': '📊 Intuition vs theory graph',
+    'intuition.intuitionTheory.visualizeAccurateSurprise': 'Visualize how accurate your "surprise" is and sharpen your intuition.',
+    'intuition.intuitionTheory.tutorial': '🎯 Tutorial',
+    'intuition.intuitionTheory.tryVariousScenarios': '<strong>Try various scenarios</strong><br>Set your surprise for outcomes with different probabilities: coins, dice, lotteries...',
+    'intuition.intuitionTheory.clickRecordCurrent': '<strong>Click "Record current values"</strong><br>Your surprise and the theoretical value are recorded as a point on the graph',
+    'intuition.intuitionTheory.lookPatternsCloser': '<strong>Look for patterns</strong><br>The closer the points are to the dashed (ideal) line, the more accurate your intuition',
+    'intuition.intuitionTheory.improveIntuitionKeep': '<strong>Improve your intuition</strong><br>Keep practicing until the points approach the ideal line',
+    'intuition.intuitionTheory.graphComparingSurpriseLabel': 'Graph comparing surprise with theoretical information',
+    'intuition.intuitionTheory.recordCurrentValues': 'Record current values',
+    'intuition.intuitionTheory.clearData': 'Clear data',
+    'intuition.intuitionTheory.show': 'Show:',
+    'intuition.intuitionTheory.surpriseTheoryIdeal': 'Surprise vs theory (ideal line)',
+    'intuition.intuitionTheory.regressionInformationSurprise': 'Regression (information → surprise)',
+    'intuition.intuitionTheory.probabilityLogAxis': 'Probability (log axis) vs surprise',
+    'intuition.intuitionTheory.exportCsv': 'Export CSV',
+    'intuition.intuitionTheory.pointsRecorded': 'Points recorded:',
+    'intuition.intuitionTheory.linearSurprise': 'Linear: surprise = a + b × I',
+    'intuition.intuitionTheory.logarithmicSurpriseLog': 'Logarithmic: surprise = a + b × log₂(1 + I)',
+    'intuition.intuitionTheory.logarithmBase': 'Your logarithm base',
+    'intuition.intuitionTheory.readingGraph': '📖 Reading the graph',
+    'intuition.intuitionTheory.idealPatternPoints': '<strong>Ideal pattern</strong><br>Points lie along the dashed line<br><small>Your intuition matches the theory well</small>',
+    'intuition.intuitionTheory.needsWorkPoints': '<strong>Needs work</strong><br>Points stray far from the dashed line<br><small>Practice your logarithmic sense</small>',
+    'intuition.intuitionTheory.learningPatternPoints': '<strong>Learning pattern</strong><br>Points gradually approach the dashed line<br><small>Steady improvement</small>',
+    'intuition.intuitionTheory.practicalTips': '💡 Practical tips',
+    'intuition.intuitionTheory.startExtremesGet': '<strong>Start with extremes</strong>: get a feel with certain events (surprise 1) and lottery-level events (surprise 10)',
+    'intuition.intuitionTheory.mindMiddlePractice': '<strong>Mind the middle</strong>: practice fine adjustments in the 5-7 range',
+    'intuition.intuitionTheory.consistentGiveSimilar': '<strong>Be consistent</strong>: give similar surprise to similar probabilities',
+    'intuition.intuitionTheory.resetNowClear': '<strong>Reset now and then</strong>: clear the data occasionally to see your progress',
+    'intuition.shannonGuessing.title': '🔤 Shannon’s guessing game',
+    'intuition.shannonGuessing.guessHiddenEnglish': 'Guess a hidden English sentence one letter at a time. The number of guesses needed for each letter is recorded, and its distribution gives upper and lower bounds on the entropy of English (information per letter). This recreates Shannon’s 1951 experiment.',
+    'intuition.shannonGuessing.newSentence': 'New sentence',
+    'intuition.shannonGuessing.guessNextLetter': 'Guess the next letter:',
+    'intuition.shannonGuessing.space': 'Space (␣)',
+    'intuition.shannonGuessing.lettersGuessed': 'Letters guessed',
+    'intuition.shannonGuessing.rightFirstGuess': 'Right on the first guess',
+    'intuition.shannonGuessing.upperBoundEntropy': 'Upper bound on entropy',
+    'intuition.shannonGuessing.lowerBoundEntropy': 'Lower bound on entropy',
+    'intuition.shannonGuessing.guessLetterFound': 'Guess on which the letter was found (qᵢ)',
+    'intuition.shannonGuessing.barChartDistributionLabel': 'Bar chart of the distribution of guess counts',
+    'intuition.shannonGuessing.working': 'Working',
+    'intuition.shannonGuessing.resetRecord': 'Reset record',
+    'intuition.shannonGuessing.readingGuessingGame': '🔍 Reading the guessing game',
+    'intuition.shannonGuessing.numbersLettersMany': '<strong>Numbers under the letters</strong>: how many guesses each letter took (a wrong letter is not counted twice at the same position)',
+    'intuition.shannonGuessing.upperBoundLog': '<strong>Upper bound</strong>: -Σ qᵢ log₂ qᵢ, where qᵢ is the fraction of letters found on the i-th guess. The guess counts are enough to rebuild the sentence, so the entropy cannot exceed that of the count sequence',
+    'intuition.shannonGuessing.lowerBoundLog': '<strong>Lower bound</strong>: Σ i (qᵢ - qᵢ₊₁) log₂ i. Even an optimal guesser cannot do better than this',
+    'intuition.shannonGuessing.comparison27SymbolsWere': '<strong>Comparison</strong>: if all 27 symbols were equally likely, log₂ 27 ≈ 4.75 bit. Shannon estimated about 0.6–1.3 bit for English with long context',
+    'intuition.shannonGuessing.recordKeptBrowser': '* The record is kept in your browser and can be exported together with your learning progress.',
+    'intuition.tipsIntuition.title': '🧠 Tips for intuition',
+    'intuition.tipsIntuition.rarityInformationRarer': '<strong>Rarity = information</strong>: the rarer the event, the more valuable the information',
+    'intuition.tipsIntuition.unexpectednessSurpriseLess': '<strong>Unexpectedness = surprise</strong>: the less you expected it, the more surprised you are',
+    'intuition.tipsIntuition.logarithmicSenseTime': '<strong>Logarithmic sense</strong>: each time the probability halves (1/2 → 1/4 → 1/8), the information grows by 1 bit',
+    'intuition.tipsIntuition.everydayFeelSeriously': '<strong>Everyday feel</strong>: "What?!", "Seriously?" and "Of course" correspond to different amounts of information',
+    'intuition.tipsIntuition.practiceExamples': 'Practice examples',
+    'intuition.tipsIntuition.rainsProbabilityBit': '<strong>It rains</strong><br>Probability 30% → 1.74 bit<br>An "Oh, I thought so" level of surprise',
+    'intuition.tipsIntuition.snowsSummerProbability': '<strong>It snows (in summer)</strong><br>Probability 0.01% → 13.29 bit<br>A "No way?!" level of surprise',
+    'intuition.tipsIntuition.sunRisesProbability': '<strong>The sun rises</strong><br>Probability 99.99% → 0.0001 bit<br>No surprise at all',
+    'calc.title': 'Information content of a coin toss',
+    'calc.enterProbabilities.title': 'Enter the probabilities',
+    'calc.enterProbabilities.eventsHeadsTails': 'Events: a₀ = heads, a₁ = tails, a₂ = stands on edge, a₃ = breaks',
+    'calc.enterProbabilities.presetsClickFill': 'Presets (click to fill in):',
+    'calc.enterProbabilities.fairCoin': 'Fair coin',
+    'calc.enterProbabilities.biasedCoin': 'Biased coin',
+    'calc.enterProbabilities.trickCoinTwo': 'Trick coin (two heads)',
+    'calc.enterProbabilities.standsEdge': 'Stands on edge 1/10000',
+    'calc.enterProbabilities.probabilitiesEnteredDecimals': 'Probabilities can be entered as decimals, fractions (<code>1/8</code>) or powers (<code>2^-3</code>, <code>1/2^3</code>). The working keeps fractions and powers of 2 exact.',
+    'calc.enterProbabilities.sumP': 'Sum P =',
+    'calc.enterProbabilities.probabilitiesSum1': '* The probabilities do not sum to 1',
+    'calc.enterProbabilities.usingCalculator': '🧮 Using the calculator',
+    'calc.enterProbabilities.enterProbabilitiesSet': '<strong>Enter probabilities</strong>: set each event’s probability between 0 and 1 (adjust so they sum to 1)',
+    'calc.enterProbabilities.usePresetsButtons': '<strong>Use presets</strong>: buttons such as "Fair coin" and "Biased coin" set up typical cases quickly',
+    'calc.enterProbabilities.resultsBoxShows': '<strong>Results</strong>: each box shows the information content live, together with the working',
+    'calc.enterProbabilities.compareSeeInformation': '<strong>Compare</strong>: see the information for different probabilities side by side and spot the pattern',
+    'calc.monteCarlo.title': '🎲 Monte Carlo simulation',
+    'calc.monteCarlo.tossCoinN': 'Toss the coin N times using the distribution above and watch the observed frequencies and the average "surprise per toss" approach the entropy (the law of large numbers). Rare outcomes such as "stands" and "breaks" show up as large spikes of information the moment they happen.',
+    'calc.monteCarlo.numberTossesN': 'Number of tosses N:',
+    'calc.monteCarlo.seed': 'Seed:',
+    'calc.monteCarlo.newSeed': '🔀 New seed',
+    'calc.monteCarlo.skipEnd': '⏭ Skip to end',
+    'calc.monteCarlo.reset': 'Reset',
+    'calc.monteCarlo.tosses': 'Tosses:',
+    'calc.monteCarlo.tossesUnit': '',
+    'calc.monteCarlo.surpriseTossLog': 'Surprise per toss -log₂ p(xₜ) and convergence of the average',
+    'calc.monteCarlo.surpriseTossRunningLabel': 'Surprise per toss and its running average',
+    'calc.monteCarlo.observedFrequencies': 'Observed frequencies',
+    'calc.monteCarlo.outcome': 'Outcome',
+    'calc.monteCarlo.count': 'Count',
+    'calc.monteCarlo.frequencyP': 'Frequency p̂',
+    'calc.exercises.title': '📝 Exercises',
+    'calc.exercises.exercise1BasicCalculation': 'Exercise 1: basic calculation',
+    'calc.exercises.eventProbabilityP': 'An event with probability P = 1/8 occurs. How many bits of information is that?',
+    'calc.exercises.showAnswer': 'Show answer',
+    'calc.exercises.answer3Bit': '<strong>Answer: 3 bit</strong>',
+    'calc.exercises.exercise2RealisticScenario': 'Exercise 2: a realistic scenario',
+    'calc.exercises.forecastSaysChance': 'The forecast says "70% chance of rain tomorrow". How much information is there if it does rain, and if it does not?',
+    'calc.exercises.rainsLogBit': '<strong>If it rains</strong>: I = -log₂(0.7) ≈ 0.51 bit',
+    'calc.exercises.rainLogBit': '<strong>If it does not rain</strong>: I = -log₂(0.3) ≈ 1.74 bit',
+    'calc.exercises.unexpectedRainCarries': 'The unexpected "no rain" carries more information!',
+    'calc.exercises.exercise3ComparingInformation': 'Exercise 3: comparing information',
+    'calc.exercises.orderEventsLeast': 'Order these events from most to least information:<br>A) a fair coin lands heads (P=0.5)<br>B) a die shows 1 (P=1/6)<br>C) winning the year-end jackpot (P≈2×10⁻⁸)',
+    'calc.exercises.answerC': '<strong>Answer: C > B > A</strong>',
+    'calc.exercises.jackpotCarriesOverwhelmingly': 'The jackpot carries overwhelmingly more information!',
+    'calc.exercises.exercise4UsingCalculator': 'Exercise 4: using the calculator',
+    'calc.exercises.useCalculatorAbove': 'Use the calculator above to find the information in this scenario:<br>With the "Biased coin" preset, how much information is a₂ (stands on edge)?',
+    'calc.exercises.hint': 'Hint',
+    'calc.exercises.pressPresetButton': 'Press the preset button, check the value of P(a₂), then calculate.',
+    'calc.notes.title': 'Notes',
+    'calc.notes.pLog0Undefined': '<strong>When P=0</strong>, <code>log₂ 0</code> is undefined, but in theory <strong>I = +∞ bit</strong> (an impossible event happened = the model is broken). The UI shows "∞ bit".',
+    'calc.notes.keepSubjectiveValue': 'Keep the subjective "value" to the receiver apart from the probability-based "information content".',
+    'add.title': 'Additivity: information when independent events happen together',
+    'add.logP.title': 'Why I(a) = -log₂ P(a)?',
+    'add.logP.reasonDefinitionTakes': 'One reason the definition takes this form is that it <strong>satisfies additivity</strong>.',
+    'add.logP.independentEventsBoth': 'When independent events A and B both happen:',
+    'add.logP.probabilitiesMultiplyP': 'Probabilities multiply: P(A∧B) = P(A) × P(B)',
+    'add.logP.informationAdds': 'Information adds: I(A∧B) = I(A) + I(B)',
+    'add.logP.onlyFunctionsBoth': 'The only functions with both properties are logarithms of the form <code>-log P</code> (up to a constant factor).',
+    'add.logP.otherWordsShannon': 'In other words, Shannon’s definition follows from the natural requirement that <strong>"combining independent pieces of information adds their information"</strong>.',
+    'add.generalIndependent.title': 'General independent events A and B',
+    'add.generalIndependent.fractionsPowers2Accepted': 'Fractions (<code>1/4</code>) and powers (<code>2^-2</code>) are accepted too',
+    'add.exampleFinding.title': 'Example: finding a room in an apartment building',
+    'add.exampleFinding.floors16': 'Floors (e.g. 16)',
+    'add.exampleFinding.roomsFloor8': 'Rooms per floor (e.g. 8)',
+    'add.exampleFinding.floor': 'I(floor)',
+    'add.exampleFinding.roomFloor': 'I(room on the floor)',
+    'add.exampleFinding.roomNumber': 'I(room number)',
+    'add.multiStage.title': '🏙️ Multi-stage identification (chain rule)',
+    'add.multiStage.extendFloorRoom': 'Extend "floor → room" to any number of stages (building → floor → room, country → state → city → street, ...). Give each stage either a <strong>number of choices</strong> (uniform, e.g. <code>8</code>) or <strong>weights</strong> (non-uniform, e.g. <code>5, 3, 2</code>). When the choices are independent, the total information is the <strong>sum</strong> of the information of each stage.',
+    'add.multiStage.apartmentFloorRoom': 'Apartment (floor → room)',
+    'add.multiStage.buildingFloorRoom': 'Building → floor → room',
+    'add.multiStage.countryStateCity': 'Country → state → city → street',
+    'add.multiStage.skewedStage': 'Skewed stage',
+    'add.multiStage.stageName': 'Stage name',
+    'add.multiStage.numberChoicesWeights': 'Number of choices / weights',
+    'add.multiStage.choices': 'Choices',
+    'add.multiStage.addStage': '+ Add stage',
+    'add.multiStage.stages': 'Stages =',
+    'add.multiStage.stackedBarChartLabel': 'Stacked bar chart of the information per stage',
+    'add.multiStage.totalCombinations': 'Total combinations',
+    'add.multiStage.hSumStages': 'H (sum of stages)',
+    'add.multiStage.logTotalUniform': 'log₂(total) if uniform',
+    'add.reviewQuiz.title': '✅ Review quiz',
+    'add.reviewQuiz.questionsDrawnRandom': 'Questions are drawn at random from this tab’s content each time. Enter numeric answers as decimals or fractions (e.g. 3/4).',
+    'add.reviewQuiz.loadingQuestions': 'Loading questions…',
+    'prop.title': 'Properties information content should satisfy',
+    'prop.monotonicity.title': '🔻 Monotonicity',
+    'prop.monotonicity.probableEventLess': 'The more probable an event, the less information; the less probable, the more information.',
+    'prop.monotonicity.movePCheck': 'Move P to check:',
+    'prop.monotonicity.currentP': 'Current P =',
+    'prop.monotonicity.graphShowingInformationLabel': 'Graph showing that information decreases monotonically',
+    'prop.monotonicity.currentPointProbability': '🔴 <strong>Current point</strong>: the probability set with the slider and its information',
+    'prop.monotonicity.wholeCurveMoving': '📈 <strong>Whole curve</strong>: moving right (probability ↑), the information goes down',
+    'prop.monotonicity.everydayExamples': '💡 Everyday examples',
+    'prop.monotonicity.certainEventP0': '<strong>Certain event</strong><br>P = 1.0 → I = 0 bit<br>"The sun rises"',
+    'prop.monotonicity.ordinaryEventP1': '<strong>Ordinary event</strong><br>P = 0.5 → I = 1 bit<br>"A coin lands heads"',
+    'prop.monotonicity.rareEventP': '<strong>Rare event</strong><br>P = 0.01 → I = 6.6 bit<br>"A 1-in-100 chance"',
+    'prop.monotonicity.veryRareEvent': '<strong>Very rare event</strong><br>P = 0.0001 → I = 13.3 bit<br>"Lottery level"',
+    'prop.continuity.title': '⚡ Continuity',
+    'prop.continuity.smallChangeProbability': 'A small change in probability does not make the information jump (it changes smoothly).',
+    'prop.continuity.probabilityDifferenceP': 'Probability difference: |P₂ - P₁| =',
+    'prop.continuity.informationDifference': 'Information difference: |I₂ - I₁| =',
+    'prop.continuity.checkingContinuity': '🔧 Checking continuity',
+    'prop.continuity.enterTwoClose': 'Enter two close probabilities in the calculator above. Close probabilities give close amounts of information.',
+    'prop.additivity.title': '➕ Additivity',
+    'prop.additivity.independentEvents': 'For independent events A and B, I(A∧B) = I(A) + I(B).',
+    'prop.additivity.exampleDieCoin': '🎲 Example: a die and a coin',
+    'prop.additivity.eventDieShows6': 'Event A: the die shows 6',
+    'prop.additivity.eventCoinLands': 'Event B: the coin lands heads',
+    'prop.additivity.eventBothHappen': 'Event A∧B: both happen',
+    'prop.additivity.check': 'Check: I(A) + I(B) =',
+    'prop.additivity.tryOwn': '🔧 Try your own',
+    'prop.additivity.agreement': 'Agreement: ',
+    'prop.normalization.title': '📏 Normalization',
+    'prop.normalization.choosingReferenceFixes': 'Choosing a reference fixes the scale. Usually "an event with P=1/2 carries 1 bit".',
+    'prop.normalization.comparingReferences': '🎯 Comparing references',
+    'prop.normalization.chooseReference': 'Choose the reference:',
+    'prop.normalization.binaryBitLog': 'Binary (bit): log₂',
+    'prop.normalization.naturalLogNat': 'Natural log (nat): ln',
+    'prop.normalization.decimalDitLog': 'Decimal (dit): log₁₀',
+    'prop.normalization.informationHalf': 'Information of P = 1/2',
+    'prop.normalization.informationQuarter': 'Information of P = 1/4',
+    'prop.normalization.informationTenth': 'Information of P = 1/10',
+    'prop.normalization.importantChangingReference': '<strong>Important</strong>: changing the reference keeps the relationships. The information of P=1/4 is always twice that of P=1/2.',
+    'applications.title': 'Entropy & applications: average information and real-world uses',
+    'applications.definitionEntropy.title': '📊 Definition of entropy (average information)',
+    'applications.definitionEntropy.informationObtainedAverage': 'The <strong>information obtained on average</strong> (expected value) from a source X, and a measure of the <strong>uncertainty of the distribution</strong>:',
+    'applications.definitionEntropy.evenDistributionGreater': 'The more even the distribution, the greater the uncertainty → the larger the entropy',
+    'applications.definitionEntropy.certainMassOutcome': 'If certain (all mass on one outcome), there is no uncertainty → entropy 0',
+    'applications.entropyCalculator.title': 'Entropy calculator (distributions of any length)',
+    'applications.entropyCalculator.presetsClickReplace': 'Presets (click to replace the distribution):',
+    'applications.entropyCalculator.fairCoin': 'Fair coin',
+    'applications.entropyCalculator.die': 'Die',
+    'applications.entropyCalculator.weather': 'Weather',
+    'applications.entropyCalculator.englishLetterFrequencies': 'English letter frequencies',
+    'applications.entropyCalculator.label': 'Label',
+    'applications.entropyCalculator.addRow': '+ Add row',
+    'applications.entropyCalculator.normalizeSum1': 'Normalize (sum to 1)',
+    'applications.entropyCalculator.makeUniform': 'Make uniform',
+    'applications.entropyCalculator.randomDistribution': 'Random distribution',
+    'applications.entropyCalculator.outcomesN': 'Outcomes n =',
+    'applications.entropyCalculator.sumP': 'Sum P =',
+    'applications.entropyCalculator.probabilitiesSum1': '* The probabilities do not sum to 1',
+    'applications.entropyCalculator.entropyHX': 'Entropy H(X)',
+    'applications.entropyCalculator.maximumLogN': 'Maximum log₂ n =',
+    'applications.entropyCalculator.efficiencyHLog': '(efficiency H / log₂ n =',
+    'applications.entropyCalculator.efficiencyClose': ')',
+    'applications.entropyCalculator.distributionContributionTerm': 'Distribution and the contribution of each term',
+    'applications.entropyCalculator.barChartProbabilitiesLabel': 'Bar chart of probabilities and entropy contributions',
+    'applications.entropyCalculator.pXP': '<span class="chip exp">P(xᵢ)</span> <span class="chip log">-P log₂ P</span> <span class="chip lin">log₂ n (maximum)</span>',
+    'applications.entropyCalculator.evenHLargest': 'Even: H is largest (log₂ n bit for n outcomes)',
+    'applications.entropyCalculator.concentratedHSmall': 'Concentrated: H is small (0 in the extreme)',
+    'applications.entropyCalculator.usingEntropyCalculator': '⚙️ Using the entropy calculator',
+    'applications.entropyCalculator.setDistributionAdd': '<strong>Set up a distribution</strong>: add or remove rows for up to 32 outcomes and label each row',
+    'applications.entropyCalculator.adjustNormalizeMakes': '<strong>Adjust</strong>: "Normalize" makes the sum 1; "Make uniform" and "Random distribution" create typical distributions instantly',
+    'applications.entropyCalculator.liveResultsEntropy': '<strong>Live results</strong>: the entropy, the working and the bar chart update as you type',
+    'applications.entropyCalculator.readingChartStacked': '<strong>Reading the chart</strong>: the stacked bar on the right is the sum of the terms -P log₂ P (= H); the yellow dashed line is the maximum log₂ n',
+    'applications.entropyCalculator.applicationsGetNumerical': '<strong>Applications</strong>: get a numerical feel for the theory behind data compression and cryptographic strength',
+    'applications.entropyAttacks.title': '🛡️ Entropy and attacks',
+    'applications.entropyAttacks.nBitsEntropy2': 'n bits of entropy → 2<sup>n</sup> possibilities → broken after 2<sup>n-1</sup> attempts on average',
+    'applications.entropyAttacks.caesarCipherBits': 'E.g. a Caesar cipher (4.7 bits) falls in 26 attempts, while AES-128 (128 bits) would take 10²⁰ times the age of the universe.',
+    'applications.entropyText.title': '📄 Entropy of a text or file',
+    'applications.entropyText.findEntropyMy': 'Find out "what is the entropy of my own writing?" with real data. Paste text or drop a file; the symbol frequencies give a probability distribution whose entropy is calculated.',
+    'applications.entropyText.pasteTextEnglishPlaceholder': 'Paste text here (e.g. English or Japanese prose, source code)',
+    'applications.entropyText.dropFile': '📂 Drop a file here, or',
+    'applications.entropyText.chooseFile': 'choose a file',
+    'applications.entropyText.symbolUnit': 'Symbol unit:',
+    'applications.entropyText.characters': 'Characters',
+    'applications.entropyText.bytesUtf': 'Bytes (UTF-8)',
+    'applications.entropyText.words': 'Words',
+    'applications.entropyText.sendEntropyCalculator': 'Send to the entropy calculator',
+    'applications.entropyText.hSymbol': 'H (per symbol)',
+    'applications.entropyText.symbolsNDistinct': 'Symbols N / distinct k',
+    'applications.entropyText.totalInformationN': 'Total information N × H',
+    'applications.entropyText.theoreticalMinimumCompressed': 'Theoretical minimum compressed size',
+    'applications.entropyText.frequencyHistogramTop30': 'Frequency histogram (top 30 symbols)',
+    'applications.entropyText.histogramSymbolFrequenciesLabel': 'Histogram of symbol frequencies',
+    'applications.entropyText.comparedFixedLength': 'Compared with a fixed-length code',
+    'applications.entropyText.usingTextAnalysis': '🔍 Using the text analysis',
+    'applications.entropyText.symbolUnitCharacters': '<strong>Symbol unit</strong>: "Characters" counts one character at a time, "Bytes" one UTF-8 byte at a time, "Words" one word at a time',
+    'applications.entropyText.minimumCompressedSize': '<strong>Minimum compressed size</strong>: the lower bound N × H bit when each symbol is encoded independently (Shannon’s source coding theorem)',
+    'applications.entropyText.comparedFixedLengthRough': '<strong>Compared with fixed length</strong>: a rough guide to how much shorter it can be than a naive 8 bits per symbol',
+    'applications.entropyText.sendCalculatorLoads': '<strong>Send to the calculator</strong>: loads the frequency distribution into the entropy calculator above (top 31 symbols + "other")',
+    'applications.entropyText.contextNeighbouringCharacters': '* Context (how neighbouring characters relate) is ignored, so real compression tools can beat this bound.',
+    'applications.markovSources.title': '🔗 Markov sources and the entropy rate of language',
+    'applications.markovSources.muchEasierNext': 'How much easier is the next character to predict once you know the previous ones (the context)? Build order 0–3 n-gram models from a text and estimate the conditional entropy H(X<sub>n</sub> | X<sub>n-k</sub>…X<sub>n-1</sub>). As in Shannon’s experiments with English, the information per character falls as the context grows.',
+    'applications.markovSources.pasteTextLongerPlaceholder': 'Paste text here (longer text gives more stable estimates)',
+    'applications.markovSources.symbolUnit': 'Symbol unit:',
+    'applications.markovSources.characters': 'Characters',
+    'applications.markovSources.words': 'Words',
+    'applications.markovSources.useTextAnalyzed': 'Use the text analyzed above',
+    'applications.markovSources.entropyRateOrder': 'Entropy rate by order',
+    'applications.markovSources.orderK': 'Order k',
+    'applications.markovSources.model': 'Model',
+    'applications.markovSources.distinctContexts': 'Distinct contexts',
+    'applications.markovSources.hXPrevious': 'H(X | previous k symbols)',
+    'applications.markovSources.shortTextsHigher': '* In short texts most higher-order contexts appear only once, so the estimates come out too small (overfitting).',
+    'applications.markovSources.contextLengthInformation': 'Context length and information per symbol',
+    'applications.markovSources.entropyRateContextLabel': 'Entropy rate by context length',
+    'applications.markovSources.generateRandomText': 'Generate random text from each model',
+    'applications.markovSources.length': 'Length:',
+    'applications.markovSources.symbols': 'symbols',
+    'applications.markovSources.order0': 'Order 0',
+    'applications.markovSources.order1': 'Order 1',
+    'applications.markovSources.order2': 'Order 2',
+    'applications.markovSources.order3': 'Order 3',
+    'applications.markovSources.readingMarkovSource': '🔍 Reading the Markov source',
+    'applications.markovSources.order0CharacterFrequencies': '<strong>Order 0</strong>: character frequencies only (the same H(X) as above). Generated text is a jumble of letters',
+    'applications.markovSources.orderKCounts': '<strong>Order k</strong>: counts the next-symbol distribution for each k-symbol context and computes H(X | context) = Σ P(context) H(X | that context)',
+    'applications.markovSources.generationHigherOrder': '<strong>Generation</strong>: the higher the order, the more the generated text looks like real words',
+    'applications.markovSources.havingPeopleGuess': '* By having people guess the next letter, Shannon estimated the entropy rate of English at about 1 bit per letter.',
+    'applications.principlesData.title': '💾 Principles of data compression',
+    'applications.principlesData.informationContentEntropy': 'Information content and entropy are the theoretical foundation of data compression.',
+    'applications.principlesData.compressionExampleLetter': 'Compression example: letter frequencies',
+    'applications.principlesData.letter': 'Letter',
+    'applications.principlesData.frequency': 'Frequency',
+    'applications.principlesData.probability': 'Probability',
+    'applications.principlesData.information': 'Information',
+    'applications.principlesData.idealCodeLength': 'Ideal code length',
+    'applications.principlesData.principleGiveFrequent': '<strong>Principle</strong>: give frequent letters short codes and rare letters long codes to minimize the average code length.',
+    'applications.principlesData.theoreticalLimitAverage': '<strong>Theoretical limit</strong>: average code length ≥ entropy (Shannon’s source coding theorem)',
+    'applications.principlesData.huffmanShannonFano': '🌳 Huffman / Shannon–Fano code visualizer',
+    'applications.principlesData.buildCodeProbability': 'Build a code from a probability distribution one step at a time and check the code tree and the average code length L.',
+    'applications.principlesData.distributionSource': 'Distribution source:',
+    'applications.principlesData.distributionEntropyCalculator': 'Distribution from the entropy calculator',
+    'applications.principlesData.stringEnter': 'A string you enter',
+    'applications.principlesData.enterStringPlaceholder': 'Enter a string',
+    'applications.principlesData.stringEncodeLabel': 'String to encode',
+    'applications.principlesData.codingMethod': 'Coding method:',
+    'applications.principlesData.huffmanCode': 'Huffman code',
+    'applications.principlesData.shannonFanoCode': 'Shannon–Fano code',
+    'applications.principlesData.buildCode': 'Build code',
+    'applications.principlesData.firstStepLabel': 'First step',
+    'applications.principlesData.previousStepLabel': 'Previous step',
+    'applications.principlesData.nextStepLabel': 'Next step',
+    'applications.principlesData.finishedTreeLabel': 'Finished tree',
+    'applications.principlesData.codeTreeSeeLabel': 'Code tree (see the table below for the codewords)',
+    'applications.principlesData.symbol': 'Symbol',
+    'applications.principlesData.probabilityP': 'Probability p',
+    'applications.principlesData.codeWord': 'Code word',
+    'applications.principlesData.length': 'Length ℓ',
+    'applications.principlesData.encodingMessageDecoding': '📨 Encoding a message and decoding it bit by bit',
+    'applications.principlesData.messageEncodePlaceholder': 'Message to encode',
+    'applications.principlesData.messageEncodeLabel': 'Message to encode',
+    'applications.principlesData.generateSample': 'Generate sample',
+    'applications.principlesData.encode': 'Encode',
+    'applications.principlesData.decode1Bit': 'Decode 1 bit',
+    'applications.principlesData.decode': 'Decode all',
+    'applications.principlesData.usingVisualizer': '🔧 Using the visualizer',
+    'applications.principlesData.huffmanCodeRepeatedly': '<strong>Huffman code</strong>: repeatedly merge the two least probable nodes, building the tree from the bottom up (an optimal code with the smallest average length)',
+    'applications.principlesData.shannonFanoCodeSort': '<strong>Shannon–Fano code</strong>: sort by probability and repeatedly split into two groups with sums as equal as possible, from the top down',
+    'applications.principlesData.readingTreeLabels': '<strong>Reading the tree</strong>: the 0/1 labels on the branches from the root to a leaf form the code word. Rarer symbols sit deeper (longer codes)',
+    'applications.principlesData.decode1BitRead': '<strong>Decode 1 bit</strong>: read the bits one at a time, follow the tree, and output a symbol on reaching a leaf (a prefix code needs no separators)',
+    'applications.principlesData.compressionAround': 'Compression around you',
+    'applications.principlesData.zipRarLz': '<strong>ZIP, RAR</strong>: LZ-family algorithms + Huffman coding',
+    'applications.principlesData.jpegDctQuantization': '<strong>JPEG</strong>: DCT + quantization + entropy coding',
+    'applications.principlesData.mpPsychoacousticModel': '<strong>MP3</strong>: psychoacoustic model + adaptive quantization',
+    'applications.principlesData.modernAiTransformers': '<strong>Modern AI</strong>: Transformers (GPT) are also trained to minimize information (cross-entropy)',
+    'applications.informationCryptography.title': '🔐 Information in cryptography',
+    'applications.informationCryptography.securityCipherQuantified': 'The security of a cipher can be quantified by the information (entropy) of its key or plaintext.',
+    'applications.informationCryptography.passwordStrength': 'Password strength',
+    'applications.informationCryptography.passwordLength': 'Password length:',
+    'applications.informationCryptography.characterSetSize': 'Character set size:',
+    'applications.informationCryptography.entropy': 'Entropy:',
+    'applications.informationCryptography.guesses': 'Guesses:',
+    'applications.informationCryptography.security': 'Security:',
+    'applications.informationCryptography.usingPasswordStrength': '🔐 Using the password strength calculator',
+    'applications.informationCryptography.lengthSetPassword': '<strong>Length</strong>: set the password length',
+    'applications.informationCryptography.characterSetSizeNumber': '<strong>Character set size</strong>: the number of characters allowed (letters, digits and symbols = 95, letters and digits = 62, ...)',
+    'applications.informationCryptography.entropyInformationTheoretic': '<strong>Entropy</strong>: an information-theoretic measure of strength',
+    'applications.informationCryptography.guessesAverageNumber': '<strong>Guesses</strong>: average number of attempts in a brute-force attack',
+    'applications.informationCryptography.guide40BitWeak40': '<strong>Guide</strong>: under 40 bit = weak, 40-60 bit = moderate, 60-80 bit = strong, 80 bit or more = very strong',
+    'applications.informationCryptography.comparingCiphers': 'Comparing ciphers',
+    'applications.informationCryptography.cipher': 'Cipher',
+    'applications.informationCryptography.keyLength': 'Key length',
+    'applications.informationCryptography.keySecurity': 'Security',
+    'applications.informationCryptography.broken': 'Broken',
+    'applications.informationCryptography.secure': 'Secure',
+    'applications.informationCryptography.verySecure': 'Very secure',
+    'applications.informationCryptography.analyzeRealPassword': '🔎 Analyze a real password (pattern-aware estimate)',
+    'applications.informationCryptography.calculatorAboveAssumes': 'The calculator above assumes "every character is completely random". Real passwords contain dictionary words, keyboard runs, dates and other patterns, and attackers try those first.',
+    'applications.informationCryptography.passwordAnalyzeLabel': 'Password to analyze',
+    'applications.informationCryptography.show': 'Show',
+    'applications.informationCryptography.naiveEstimateLength': 'Naive estimate (length × log₂ set size)',
+    'applications.informationCryptography.patternAwareEstimate': 'Pattern-aware estimate',
+    'applications.informationCryptography.substring': 'Substring',
+    'applications.informationCryptography.pattern': 'Pattern',
+    'applications.informationCryptography.explanation': 'Explanation',
+    'applications.informationCryptography.guessesColumn': 'Guesses',
+    'applications.informationCryptography.information': 'Information',
+    'applications.informationCryptography.attackerModel': 'Attacker model',
+    'applications.informationCryptography.guessRate': 'Guess rate',
+    'applications.informationCryptography.timeCrackNaive': 'Time to crack (naive)',
+    'applications.informationCryptography.timeCrackPattern': 'Time to crack (pattern-aware)',
+    'applications.informationCryptography.usingPasswordAnalysis': '🧪 Using the password analysis',
+    'applications.informationCryptography.characterClassesComputes': '<strong>Character classes</strong>: computes a naive entropy from the lowercase letters, uppercase letters, digits and symbols used',
+    'applications.informationCryptography.dictionaryCheckCompares': '<strong>Dictionary check</strong>: compares against the bundled lists of "common passwords" and "English words, names and romanized Japanese" (also catches capitalization, reversal and leet spelling such as p@ssw0rd)',
+    'applications.informationCryptography.patternDetectionKeyboard': '<strong>Pattern detection</strong>: keyboard runs (qwerty, 1qaz), repeats (aaaa, abcabc), sequences (1234, abcd), dates and years (19900512, 2024)',
+    'applications.informationCryptography.estimateWorksPassword': '<strong>How the estimate works</strong>: the password is split into patterns, and the product of the guesses for each part (plus the ways to order them) is taken as the number of guesses an attacker needs',
+    'applications.informationCryptography.timeCrackAssumes': '<strong>Time to crack</strong>: assumes a hit after half of all guesses on average, at each attacker model’s guess rate',
+    'applications.informationCryptography.simplifiedEstimateTeaching': '* A simplified estimate for teaching. Real cracking tools use much larger dictionaries and rule sets.',
+    'applications.informationCryptography.perfectSecrecy': 'Perfect secrecy',
+    'applications.informationCryptography.shannonConditionsIdeal': 'Shannon’s conditions for an ideal cipher:',
+    'applications.informationCryptography.hPlaintextCiphertext': '<strong>H(plaintext|ciphertext) = H(plaintext)</strong>: the ciphertext leaks nothing about the plaintext',
+    'applications.informationCryptography.keyEntropyPlaintext': '<strong>Key entropy ≥ plaintext entropy</strong>: enough randomness is required',
+    'applications.informationCryptography.timePadOnly': '<strong>One-time pad</strong>: the only practical cipher that meets these conditions',
+    'applications.errorCorrecting.title': '🧩 Error-correcting code lab (deliberate redundancy)',
+    'applications.errorCorrecting.compressionRemovesRedundancy': 'Compression removes redundancy, but on a noisy channel we add redundancy <strong>on purpose</strong> to fix errors. Encode some data, then click bits to flip them (or flip them at random with probability ε) and watch decoding correct single-bit errors.',
+    'applications.errorCorrecting.code': 'Code',
+    'applications.errorCorrecting.noCoding': 'No coding (n = 1)',
+    'applications.errorCorrecting.repetitionCodeN3': 'Repetition code (n = 3)',
+    'applications.errorCorrecting.repetitionCodeN5': 'Repetition code (n = 5)',
+    'applications.errorCorrecting.repetitionCodeN7': 'Repetition code (n = 7)',
+    'applications.errorCorrecting.hammingCode': 'Hamming(7,4) code',
+    'applications.errorCorrecting.dataSend1Bits': 'Data to send (0s and 1s, up to 32 bits)',
+    'applications.errorCorrecting.flipProbability': 'Flip probability ε =',
+    'applications.errorCorrecting.flipRandomProbability': 'Flip at random with probability ε',
+    'applications.errorCorrecting.undoFlips': 'Undo flips',
+    'applications.errorCorrecting.randomData': 'Random data',
+    'applications.errorCorrecting.flippedBits': 'Flipped bits:',
+    'applications.errorCorrecting.flippedBitsUnit': '',
+    'applications.errorCorrecting.codeWordClickLabel': 'Code word (click a bit to flip it)',
+    'applications.errorCorrecting.codeRateK': 'Code rate R = k / n',
+    'applications.errorCorrecting.redundantBits': 'Redundant bits',
+    'applications.errorCorrecting.errorsAfterDecoding': 'Errors after decoding (this data)',
+    'applications.errorCorrecting.residualBitError': 'Residual bit error rate (theory)',
+    'applications.errorCorrecting.codeRateBitLabel': 'Code rate and bit error rate after decoding',
+    'applications.errorCorrecting.horizontalAxisCode': 'Horizontal axis: code rate R (information carried per code bit); vertical axis: bit error rate after decoding (log scale). The vertical line is the BSC capacity C = 1 - H(ε)',
+    'applications.errorCorrecting.readingErrorCorrection': '🔍 Reading the error-correction lab',
+    'applications.errorCorrecting.repetitionCodeSend': '<strong>Repetition code</strong>: send each bit n times and decode by majority vote. Fixes up to (n-1)/2 flips, but R = 1/n is inefficient',
+    'applications.errorCorrecting.hammingCodeAdds3': '<strong>Hamming(7,4) code</strong>: adds 3 check bits to 4 data bits; the syndrome (which checks fail) gives the error position in binary. Corrects 1-bit errors at R = 4/7',
+    'applications.errorCorrecting.tradeOffRedundancy': '<strong>Trade-off</strong>: more redundancy (lower R) means fewer errors, but also less information carried',
+    'applications.errorCorrecting.shannonChannelCoding': '<strong>Shannon’s channel coding theorem</strong>: if R &lt; C, long enough codes make the error rate as small as you like. There is no need to push R → 0 as the repetition code does',
+    'applications.relationEntropy.title': '🌡️ Relation to entropy in physics',
+    'applications.relationEntropy.informationEntropyThermodynamic': 'Information entropy and thermodynamic entropy are deeply related.',
+    'applications.relationEntropy.similarities': 'Similarities',
+    'applications.relationEntropy.measuresUncertaintyBoth': '<strong>Measures of uncertainty</strong>: both quantify "disorder"',
+    'applications.relationEntropy.logarithmicStructureK': '<strong>Logarithmic structure</strong>: S = k log W, H = -Σp log p',
+    'applications.relationEntropy.additivityIndependentSystems': '<strong>Additivity</strong>: independent systems add',
+    'applications.relationEntropy.maximumPrincipleNature': '<strong>Maximum principle</strong>: nature tends toward maximum entropy',
+    'applications.relationEntropy.differences': 'Differences',
+    'applications.relationEntropy.subjectInformationPhysical': '<strong>Subject</strong>: information vs physical systems',
+    'applications.relationEntropy.unitsBitK': '<strong>Units</strong>: bit vs J/K',
+    'applications.relationEntropy.reversibilityReversibleIrreversible': '<strong>Reversibility</strong>: reversible vs irreversible processes',
+    'applications.relationEntropy.observerSubjectiveObjective': '<strong>Observer</strong>: subjective vs objective',
+    'applications.relationEntropy.maxwellDemon': 'Maxwell’s demon',
+    'applications.relationEntropy.thoughtExperimentLinking': 'A thought experiment linking information and physical entropy:',
+    'applications.relationEntropy.demonObservesMolecules': 'A demon "observes" molecules and sorts them',
+    'applications.relationEntropy.gainingInformationObservation': 'Gaining "information" by observation → entropy decreases?',
+    'applications.relationEntropy.realityEnergyNeeded': 'In reality the energy needed for observation increases entropy',
+    'applications.relationEntropy.conclusionErasingInformation': '<strong>Conclusion</strong>: erasing information has a physical cost',
+    'applications.usesMachine.title': '🤖 Uses in machine learning and AI',
+    'applications.usesMachine.informationContentPlays': 'Information content plays a central role in many modern AI techniques.',
+    'applications.usesMachine.decisionTreeSplits': 'Decision tree splits',
+    'applications.usesMachine.informationGainH': '<strong>Information gain</strong> = H(whole) - H(after split)',
+    'applications.usesMachine.splitFeatureReduces': 'Split on the feature that reduces uncertainty the most',
+    'applications.usesMachine.languageModelsGpt': 'Language models (GPT, etc.)',
+    'applications.usesMachine.trainedCrossEntropy': 'Trained with <strong>cross-entropy loss</strong>',
+    'applications.usesMachine.optimizeProbabilityDistribution': 'Optimize the probability distribution of the next word',
+    'applications.usesMachine.variationalAutoencoders': 'Variational autoencoders',
+    'applications.usesMachine.regularizedKlDivergence': 'Regularized with <strong>KL divergence</strong>',
+    'applications.usesMachine.exploitInformationBottleneck': 'Exploit an information bottleneck',
+    'applications.usesMachine.reinforcementLearning': 'Reinforcement learning',
+    'applications.usesMachine.entropyRegularizationEncourages': '<strong>Entropy regularization</strong> encourages exploration',
+    'applications.usesMachine.keepingUncertaintyHelps': 'Keeping uncertainty helps avoid local optima',
+    'applications.usesMachine.crossEntropyKl': '📐 Cross-entropy and KL divergence calculator',
+    'applications.usesMachine.compareTwoDistributions': 'Compare two distributions over the same outcomes. P is the "true distribution" and Q is the "model’s prediction". Encoding P with a code built for Q costs H(P,Q) bit on average, and the excess over the optimal H(P) is D<sub>KL</sub>(P‖Q).',
+    'applications.usesMachine.classifierPrediction': 'Classifier prediction',
+    'applications.usesMachine.fairDieLoaded': 'Fair die vs loaded die',
+    'applications.usesMachine.weatherForecast': 'Weather forecast',
+    'applications.usesMachine.someOutcome': 'Q is 0 for some outcome',
+    'applications.usesMachine.label': 'Label',
+    'applications.usesMachine.addRow': '+ Add row',
+    'applications.usesMachine.normalizePSum1': 'Normalize (P and Q sum to 1)',
+    'applications.usesMachine.swapP': 'Swap P and Q',
+    'applications.usesMachine.sumP': 'Sum P =',
+    'applications.usesMachine.sumQ': ', sum Q =',
+    'applications.usesMachine.probabilitiesSum1Calculated': '* The probabilities do not sum to 1 (calculated with normalized values)',
+    'applications.usesMachine.entropyHP': 'Entropy H(P)',
+    'applications.usesMachine.crossEntropyH': 'Cross-entropy H(P,Q)',
+    'applications.usesMachine.jensenShannonDivergence': 'Jensen–Shannon divergence',
+    'applications.usesMachine.usingDivergenceCalculator': '⚙️ Using the divergence calculator',
+    'applications.usesMachine.crossEntropyHP': '<strong>Cross-entropy</strong>: H(P,Q) = - Σ P log₂ Q. The loss function of classifiers; with a single correct label (one-hot) it is -log₂ Q(correct)',
+    'applications.usesMachine.klDivergenceKl': '<strong>KL divergence</strong>: D<sub>KL</sub>(P‖Q) = Σ P log₂ (P/Q) = H(P,Q) - H(P) ≥ 0. Zero only when P = Q',
+    'applications.usesMachine.asymmetryGeneralKl': '<strong>Asymmetry</strong>: in general D<sub>KL</sub>(P‖Q) ≠ D<sub>KL</sub>(Q‖P). Check it with "Swap P and Q"',
+    'applications.usesMachine.infinityGivesProbability0': '<strong>Infinity</strong>: if Q gives probability 0 to an outcome possible under P, D<sub>KL</sub>(P‖Q) = ∞ (an event the model declared "impossible" happened)',
+    'applications.usesMachine.jensenShannonSymmetric': '<strong>Jensen–Shannon</strong>: a symmetric measure using the mixture M = (P+Q)/2. Always finite, between 0 and 1 bit',
+    'applications.usesMachine.informationBottleneckTheory': 'Information bottleneck theory',
+    'applications.usesMachine.explainingDeepLearning': 'Explaining how deep learning works with information theory:',
+    'applications.usesMachine.compressionPhaseMinimize': '<strong>Compression phase</strong>: minimize I(X;T) (remove redundancy in the input)',
+    'applications.usesMachine.generalizationPhaseMaximize': '<strong>Generalization phase</strong>: maximize I(T;Y) (strengthen correlation with the output)',
+    'applications.usesMachine.optimumTradeOff': '<strong>Optimum</strong>: a trade-off between compression and prediction',
+    'applications.otherFields.title': '🔬 Other fields',
+    'applications.otherFields.biologyGenetics': '🧬 Biology and genetics',
+    'applications.otherFields.informationAnalysisDna': 'Information analysis of DNA sequences',
+    'applications.otherFields.proteinStructurePrediction': 'Protein structure prediction',
+    'applications.otherFields.informationTheoreticModels': 'Information-theoretic models of evolution',
+    'applications.otherFields.statisticsDataScience': '📊 Statistics and data science',
+    'applications.otherFields.featureSelectionMutual': 'Feature selection by mutual information',
+    'applications.otherFields.anomalyDetectionAlgorithms': 'Anomaly detection algorithms',
+    'applications.otherFields.informationTheoreticMethods': 'Information-theoretic methods for causal inference',
+    'applications.otherFields.communicationsEngineering': '📡 Communications engineering',
+    'applications.otherFields.computingChannelCapacity': 'Computing channel capacity',
+    'applications.otherFields.designingErrorCorrecting': 'Designing error-correcting codes',
+    'applications.otherFields.efficiencyTechniques5': 'Efficiency techniques for 5G/6G',
+    'applications.otherFields.cognitiveSciencePsychology': '🧠 Cognitive science and psychology',
+    'applications.otherFields.measuringHumanInformation': 'Measuring human information-processing capacity',
+    'applications.otherFields.optimizingLearningEfficiency': 'Optimizing learning efficiency',
+    'applications.otherFields.informationTheoreticAnalysis': 'Information-theoretic analysis of decision making',
+    'applications.reviewQuiz.title': '✅ Review quiz',
+    'applications.reviewQuiz.questionsDrawnRandom': 'Questions are drawn at random from this tab’s content each time. Enter numeric answers as decimals or fractions (e.g. 3/4).',
+    'applications.reviewQuiz.loadingQuestions': 'Loading questions…',
+    'mutual.title': 'Joint entropy, conditional entropy and mutual information',
+    'mutual.twoSources.title': '📐 How two sources X and Y relate',
+    'mutual.twoSources.farOnlyDealt': 'So far we have only dealt with independent events (P(A∧B) = P(A)P(B)). Real sources are related to each other, and <strong>knowing one can reduce the uncertainty of the other</strong>.',
+    'mutual.twoSources.hXY': 'H(X,Y) = - Σ p(x,y) log₂ p(x,y)\nH(X|Y) = H(X,Y) - H(Y)      (uncertainty about X left after learning Y)\nI(X;Y) = H(X) + H(Y) - H(X,Y) = H(X) - H(X|Y)',
+    'mutual.twoSources.mutualInformationX': '<strong>Mutual information I(X;Y)</strong>: the average information about X gained by learning Y (symmetric in X and Y)',
+    'mutual.twoSources.independentXY0': '<strong>Independent ⇒ I(X;Y) = 0</strong>: H(X,Y) = H(X) + H(Y), so additivity holds as before',
+    'mutual.twoSources.fullyDependentX': '<strong>Fully dependent (X = Y) ⇒ I(X;Y) = H(X)</strong>: once Y is known, no uncertainty about X remains',
+    'mutual.jointProbability.title': '🧮 Joint probability table p(x, y)',
+    'mutual.jointProbability.presetsClickReplace': 'Presets (click to replace the table):',
+    'mutual.jointProbability.independentTwoCoins': 'Independent (two coins)',
+    'mutual.jointProbability.fullyDependentX': 'Fully dependent (X = Y)',
+    'mutual.jointProbability.weatherUmbrella': 'Weather and umbrella',
+    'mutual.jointProbability.noisyChannel': 'Noisy channel',
+    'mutual.jointProbability.dieFaceParity': 'Die face and parity',
+    'mutual.jointProbability.addXValue': '+ X value',
+    'mutual.jointProbability.removeXValue': '− X value',
+    'mutual.jointProbability.addYValue': '+ Y value',
+    'mutual.jointProbability.removeYValue': '− Y value',
+    'mutual.jointProbability.normalizeSum1': 'Normalize (sum to 1)',
+    'mutual.jointProbability.replaceIndependentP': 'Replace with the independent p(x)p(y)',
+    'mutual.jointProbability.sumP': 'Sum P =',
+    'mutual.jointProbability.probabilitiesSum1Calculated': '* The probabilities do not sum to 1 (calculated with normalized values)',
+    'mutual.informationDiagram.title': '🔵 Information diagram',
+    'mutual.informationDiagram.display': 'Display:',
+    'mutual.informationDiagram.vennDiagram': 'Venn diagram',
+    'mutual.informationDiagram.barChart': 'Bar chart',
+    'mutual.informationDiagram.diagramEntropiesMutualLabel': 'Diagram of entropies and mutual information',
+    'mutual.informationDiagram.readingDiagram': '📊 Reading the diagram',
+    'mutual.informationDiagram.wholeLeftCircle': '<strong>Whole left circle (bar)</strong>: H(X); <strong>whole right circle (bar)</strong>: H(Y)',
+    'mutual.informationDiagram.overlapMutualInformation': '<strong>Overlap</strong>: mutual information I(X;Y), the information X and Y share',
+    'mutual.informationDiagram.unionJointEntropy': '<strong>Union</strong>: joint entropy H(X,Y) = H(X|Y) + I(X;Y) + H(Y|X)',
+    'mutual.informationDiagram.independentCirclesOverlap': '<strong>When independent</strong>: the circles do not overlap and H(X,Y) = H(X) + H(Y)',
+    'mutual.additivityBreaks.title': '⚖️ Additivity breaks for dependent events',
+    'mutual.additivityBreaks.compareEventInformation': 'Compare the event information I(A∧B) with I(A) + I(B)',
+    'mutual.additivityBreaks.eventX': 'Event A: X =',
+    'mutual.additivityBreaks.eventY': 'Event B: Y =',
+    'mutual.additivityBreaks.keyPoints': '💡 Key points',
+    'mutual.additivityBreaks.independentPX': '<strong>If independent</strong>, p(x,y) = p(x)p(y), so I(A∧B) = I(A) + I(B) (as in the Additivity tab)',
+    'mutual.additivityBreaks.dependentDifferenceLog': '<strong>If dependent</strong>, the difference I(A) + I(B) - I(A∧B) = log₂ p(x,y) / (p(x)p(y)) remains (pointwise mutual information)',
+    'mutual.additivityBreaks.expectedValueDifference': 'The <strong>expected value of this difference</strong> is the mutual information I(X;Y)',
+    'mutual.binaryChannels.title': '📡 Binary channels and channel capacity',
+    'mutual.binaryChannels.bitXSent': 'A bit X is sent through a noisy channel and arrives as Y. How much the receiver learns about X from Y is the mutual information I(X;Y); its maximum over input distributions is the <strong>channel capacity</strong> C.',
+    'mutual.binaryChannels.channelType': 'Channel type',
+    'mutual.binaryChannels.binarySymmetricChannel': 'Binary symmetric channel (BSC): each bit flips with probability ε',
+    'mutual.binaryChannels.binaryErasureChannel': 'Binary erasure channel (BEC): each bit is erased (?) with probability ε',
+    'mutual.binaryChannels.inputBiasP': 'Input bias P(X=1) =',
+    'mutual.binaryChannels.inputEntropyH': 'Input entropy H(X)',
+    'mutual.binaryChannels.outputEntropyH': 'Output entropy H(Y)',
+    'mutual.binaryChannels.noiseHY': 'Noise H(Y|X)',
+    'mutual.binaryChannels.mutualInformationX': 'Mutual information I(X;Y)',
+    'mutual.binaryChannels.channelCapacityC': 'Channel capacity C',
+    'mutual.binaryChannels.mutualInformationVersusLabel': 'Mutual information versus input bias',
+    'mutual.binaryChannels.xYFunction': '<span class="chip exp">I(X;Y) (as a function of the input bias)</span> <span class="chip lin">Channel capacity C</span> <span class="chip log">Current input distribution</span>',
+    'mutual.binaryChannels.simulatingBitsThrough': '🎲 Simulating bits through the channel',
+    'mutual.binaryChannels.sendRandomBits': 'Send random bits with the input distribution above through the channel and compare the observed error (erasure) rate and the I(X;Y) estimated from the observed frequencies with the theory.',
+    'mutual.binaryChannels.sendBits': 'Send 100 bits',
+    'mutual.binaryChannels.reset': 'Reset',
+    'mutual.binaryChannels.sent': 'Sent:',
+    'mutual.binaryChannels.bits': 'bits',
+    'mutual.binaryChannels.recentlySentReceivedLabel': 'Most recently sent and received bits',
+    'mutual.binaryChannels.quantity': 'Quantity',
+    'mutual.binaryChannels.observed': 'Observed',
+    'mutual.binaryChannels.theory': 'Theory',
+    'mutual.binaryChannels.usingChannelSimulator': '📡 Using the channel simulator',
+    'mutual.binaryChannels.bscXY': '<strong>BSC</strong>: I(X;Y) = H(Y) - H(ε), capacity C = 1 - H(ε) (H(ε) is the binary entropy function)',
+    'mutual.binaryChannels.becXY': '<strong>BEC</strong>: I(X;Y) = (1 - ε) H(X), capacity C = 1 - ε',
+    'mutual.binaryChannels.graphHorizontalAxis': '<strong>Graph</strong>: the horizontal axis is the input bias P(X=1). For both channels I(X;Y) is largest (= capacity) at P(X=1) = 0.5',
+    'mutual.binaryChannels.bscOutputUnrelated': '<strong>BSC with ε = 0.5</strong>: the output is unrelated to the input and the capacity is 0 (nothing gets through)',
+    'mutual.binaryChannels.simulationBitsSend': '<strong>Simulation</strong>: the more bits you send, the closer the observed values get to the theory',
+    'mutual.reviewQuiz.title': '✅ Review quiz',
+    'mutual.reviewQuiz.questionsDrawnRandom': 'Questions are drawn at random from this tab’s content each time. Enter numeric answers as decimals or fractions (e.g. 3/4).',
+    'mutual.reviewQuiz.loadingQuestions': 'Loading questions…',
+    'app.repositoryLink': '🔗 GitHub repository ( <a href="https://github.com/ipusiron/infoquantity-academy" target="_blank">ipusiron/infoquantity-academy</a> )',
+  }
+};
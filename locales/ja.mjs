@@ -0,0 +1,538 @@
+/**
+ * 日本語のリソースバンドル (原文)
+ *
+ * index.html の静的な文言は index.html 自体が原文なので、ここには JS が表示する文言だけを置く。
+ * 他の言語のバンドルは同じキーを持ち、訳のないキーはこのバンドルの文言で表示される。
+ * 形式は i18n.mjs を参照。
+ */
+export default {
+  name: '日本語',
+  lang: 'ja',
+  numberLocale: 'ja-JP',
+  messages: {
+    // 情報量の単位
+    'unit.changeOfBase': '底の変換: {log} x = log₂ x × {log} 2 より {bits} bit × {factor} = {value} {unit}',
+    'unit.aside': '（= {value}）',
+
+    // 20の質問ゲーム
+    'tq.animal.dog': '犬',
+    'tq.animal.cat': '猫',
+    'tq.animal.rabbit': 'ウサギ',
+    'tq.animal.hamster': 'ハムスター',
+    'tq.animal.parakeet': 'インコ',
+    'tq.animal.goldfish': '金魚',
+    'tq.animal.turtle': 'カメ',
+    'tq.animal.medaka': 'メダカ',
+    'tq.animal.ferret': 'フェレット',
+    'tq.animal.guineaPig': 'モルモット',
+    'tq.animal.hedgehog': 'ハリネズミ',
+    'tq.animal.chameleon': 'カメレオン',
+    'tq.animal.penguin': 'ペンギン',
+    'tq.animal.capybara': 'カピバラ',
+    'tq.animal.alpaca': 'アルパカ',
+    'tq.animal.sloth': 'ナマケモノ',
+    'tq.yes': 'はい',
+    'tq.no': 'いいえ',
+    'tq.items': '（{n}個）',
+    'tq.questions': '{n} 回',
+    'tq.status.ready': '答えを1つ選びました。質問してください。',
+    'tq.status.selectFirst': '⚠️ 先に候補をクリックして選んでください',
+    'tq.status.solved': '🎉 正解は「{answer}」でした（{count} 回の質問）',
+    'tq.status.answer': '答え: {answer}',
+    'tq.status.hint': '💡 ハフマン符号の最初の分かれ目: 「はい」の確率 {yes}、「いいえ」の確率 {no} に分ける質問です',
+    'tq.status.gaveUp': '答えは「{answer}」でした（最適な質問なら {len} 回）',
+    'tq.steps': `はじめの不確かさ H = -Σ p {log} p = {H0}（一様なら {log} {N} = {logN}）
+{lines}
+残りの不確かさ H = {Hleft}（候補 {left} 個）{summary}`,
+    'tq.steps.none': '（まだ質問していません）',
+    'tq.steps.question': 'Q{k}: {{question}} の中？ → {answer}  P = {p}, 得た情報 -{log} P = {info}',
+    'tq.steps.solved': `
+得た情報の合計 = {gained} = -{log} P(答え) = -{log} {p}（連鎖律）
+あなたの質問数: {count} 回`,
+    'tq.steps.gaveUp': `
+降参: 得た情報 {gained}、答えを特定するにはあと {missing} 必要でした`,
+    'tq.steps.bounds': `
+{log} N = {log} {N} = {logN} → 半分ずつ分ければ最悪でも ⌈log₂ N⌉ = {ceil} 回
+最適な質問（ハフマン）: この答えなら {len} 回、平均 L̄ = {Lbar} 回（H = {H} bit ≤ L̄ < H + 1）`,
+
+    // 計算例タブ
+    'calc.invalid': '無効な入力値（例: 0.125, 1/8, 2^-3）',
+    'calc.undefined': 'P=0 のとき {log}0 は未定義 → 計算不能',
+    'calc.overOne': 'P>1 は不正',
+    'calc.incomputable': '計算不能',
+
+    // モンテカルロ・シミュレーション
+    'mc.outcome.heads': '表',
+    'mc.outcome.tails': '裏',
+    'mc.outcome.stands': '立つ',
+    'mc.outcome.breaks': '割れる',
+    'mc.run': '▶ 実行',
+    'mc.pause': '⏸ 一時停止',
+    'mc.note': '同じシードと分布なら、何度実行しても同じ結果になります（授業で結果を共有できます）。',
+    'mc.note.zero': '⚠️ 確率がすべて 0 のため実行できません',
+    'mc.note.normalized': '※ 合計が 1 ではないため、合計 {total} で割って正規化した分布を使います',
+    'mc.rare.item': '  {at} 回目: {label}（{info}）',
+    'mc.rare.none': '  まだ起きていません',
+    'mc.steps': `理論値     H = -Σ p {log} p           = {H}
+驚きの平均 (1/t) Σ -{log} p(xₜ)       = {mean}
+頻度から   -Σ p̂ {log} p̂               = {plugin}
+まれな結果（P < {rare}、最初の{max}回まで）:
+{rareText}`,
+    'mc.axis.tosses': '試行回数 t',
+    'mc.legend.mean': '― 驚きの平均',
+    'mc.legend.plugin': '… 頻度からの推定',
+
+    // 加算性タブ
+    'add.steps': `独立事象:  P(A∧B) = P(A) × P(B) = {pa} × {pb} = {pab}
+I(A)   = {IA}
+I(B)   = {IB}
+I(A∧B) = {IAB}
+
+確認:  I(A∧B)  = I(A) + I(B)  {check} {unit}`,
+    'apt.steps': `総部屋数 = 階数 × 各階の部屋数 = {F} × {R} = {total}
+I(階の特定)     = {IF} {unit}
+I(号室の特定)   = {IR} {unit}
+I(部屋番号の特定) = {IT} {unit}
+
+確認: I(階) + I(号室) = {check} ≟ I(部屋) = {It}`,
+
+    // 多段階の特定
+    'hier.name.floor': '階',
+    'hier.name.room': '号室',
+    'hier.name.building': '棟',
+    'hier.name.unit': '部屋',
+    'hier.name.country': '国',
+    'hier.name.prefecture': '都道府県',
+    'hier.name.city': '市区町村',
+    'hier.name.street': '番地',
+    'hier.name.weekday': '曜日',
+    'hier.name.weather': '天気（晴・曇・雨）',
+    'hier.name.transport': '交通手段（徒歩・電車・車）',
+    'hier.stage': '段階{n}',
+    'hier.remove': 'この段階を削除',
+    'hier.invalid': '⚠️ 選択肢の数は 1〜{maxCount} の整数、重みは 0 以上の数をカンマ区切りで（{maxWeights}個まで、少なくとも1つは正）入力してください',
+    'hier.line.weighted': '{head} = -Σ p {log} p（重み {weights}）= {H}（一様なら {Hmax}、1つの選択は {Imin}〜{Imax}）',
+    'hier.steps': `連鎖律: H({vars}) = {chain}
+  各段階を独立に選ぶので条件を外せる → {sum}
+
+{lines}
+
+合計 H = {terms} = {H}
+組み合わせの総数 = {counts} = {outcomes} → {log} {outcomes} = {Hmax}
+{verdict}`,
+    'hier.verdict.uniform': '→ どの段階も一様なので H = log(総数)。マンション例の「階 + 号室 = 部屋」と同じ関係です',
+    'hier.verdict.skewed': '→ 偏りのある段階があるので H < log(総数)。特定の1つの情報量は {Imin}（最も起きやすい組み合わせ）〜 {Imax}（最も起きにくい組み合わせ）',
+    'hier.chart.invalid': '入力を確認してください',
+    'hier.chart.actual': 'H（実際）',
+    'hier.chart.uniform': '一様なら',
+
+    // エントロピー計算機
+    'h.coin.heads': '表',
+    'h.coin.tails': '裏',
+    'h.dice.face': '{n}の目',
+    'h.weather.sunny': '晴れ',
+    'h.weather.cloudy': '曇り',
+    'h.weather.rainy': '雨',
+    'h.weather.snowy': '雪',
+    'h.zeroTerm': '- 0 × {log}(0) → 0（極限的に 0 と扱う）',
+    'h.remove': 'この行を削除',
+    'h.outOfRange': '※ {rows} の確率が 0〜1 の範囲外です（0〜1 に丸めて計算しています）',
+
+    // テキストのエントロピー
+    'te.level.char': '文字',
+    'te.level.byte': 'バイト',
+    'te.level.word': '単語',
+    'te.empty': 'テキストが空です',
+    'te.note.tooMany': '※ k > 256 のため 8bit 固定長では全記号を区別できません',
+    'te.note.redundancy': '8bit固定長に対して 1記号あたり {value} bit の冗長性',
+    'te.steps': `単位: {unitName}   N = {N}, k = {k}
+H = - Σ p {log} p = {H}/記号   (最大 {log} k = {Hmax}){change}
+※ 保存サイズの比較は bit（2進数の桁数）で行います
+
+理論下限:   N × H        = {totalBits} bit ≈ {totalBytes}
+固定長8bit: N × 8        = {naiveBits} bit = {naiveBytes}
+最小固定長: N × ⌈log₂ k⌉ = {fixedBits} bit ≈ {fixedBytes}
+
+圧縮率（理論下限 / 8bit固定長） = {ratio}%
+{note}`,
+    'te.file.note': 'ファイルはブラウザー内でのみ読み込まれ、送信されません（最大 2MB）',
+    'te.file.tooLarge': '⚠️ {name} は大きすぎます（{size} > 2MB）',
+    'te.file.loaded': '📄 {name}（{size}）を読み込みました',
+    'te.file.error': '⚠️ {name} を読み込めませんでした',
+    'te.other': 'その他',
+
+    // マルコフ情報源
+    'mk.info': '{unitName}数 N = {N}、種類数 k = {k}',
+    'mk.truncated': '（先頭 {max} {unitName}のみ解析）',
+    'mk.order0': '出現頻度のみ',
+    'mk.context': '直前 {order} {unitName}',
+    'mk.axis.order': '{order}次',
+    'mk.axis.context': '文脈の長さ k',
+    'mk.placeholder': 'ボタンを押すと、そのモデルの確率に従って記号を1つずつ選んだ文章を表示します',
+    'mk.tooShort': 'テキストが短すぎて、このモデルを作れません',
+    'mk.generated': '【{order}次モデル】\n{text}',
+
+    // 符号化ビジュアライザー
+    'coder.huffman.start': '初期状態: {n}個の葉（記号）から開始',
+    'coder.huffman.merge': '最小の2つ {a}({pa}) と {b}({pb}) を結合 → {p}',
+    'coder.sf.start': '初期状態: {n}個の記号を確率の大きい順に並べる',
+    'coder.sf.split': '{node} を {left}({pl}) | {right}({pr}) に分割',
+    'coder.note.zero': '確率0の記号 {n} 個は符号化の対象外です',
+    'coder.note.normalized': '合計 {total} を 1 に正規化して符号化しています',
+    'coder.note.tooFew': '⚠️ 符号を作るには確率が正の記号が2種類以上必要です',
+    'coder.method.huffman': 'ハフマン',
+    'coder.method.sf': 'シャノン・ファノ',
+    'coder.bound.ok': '✅ 成立',
+    'coder.bound.ng': '⚠️ 不成立',
+    'coder.summary': `{method}符号  (記号数 {n})
+H = - Σ p log₂ p   = {H} bit/記号
+L = Σ p × ℓ        = {L} bit/記号
+固定長 ⌈log₂ n⌉    = {fixed} bit/記号
+
+H ≤ L < H + 1:  {H} ≤ {L} < {H1}  {verdict}
+符号化効率 H / L = {efficiency}%`,
+    'coder.decode.message': 'メッセージ: {n} 記号 → {bits} bit（8bit固定長なら {naive} bit）',
+    'coder.decode.perSymbol': '1記号あたり {value} bit',
+    'coder.decode.progress': '読んだビット: {pos} / {bits}   たどり中の符号: {partial}',
+    'coder.decode.root': '（根）',
+    'coder.decode.result': '復号結果: {text}',
+    'coder.decode.unknown': '⚠️ 符号表にない記号を除外: {symbols}',
+    'coder.decode.ok': '✅ すべて復号できました（元のメッセージと一致）',
+    'coder.decode.ng': '⚠️ 復号結果が元のメッセージと一致しません',
+
+    // 誤り訂正符号ラボ
+    'ecc.code.rep1': '符号化なし',
+    'ecc.code.rep3': '反復符号 (n = 3)',
+    'ecc.code.rep5': '反復符号 (n = 5)',
+    'ecc.code.rep7': '反復符号 (n = 7)',
+    'ecc.code.hamming': 'ハミング(7,4)符号',
+    'ecc.note.invalid': '⚠️ 0 と 1 だけで 1〜{max} ビットを入力してください（空白は無視します）',
+    'ecc.note.padding': '※ {k}ビットずつ符号化するため、末尾に 0 を {padding} ビット補いました',
+    'ecc.bit': 'ブロック{block} の {pos} ビット目: {bit}',
+    'ecc.bit.flipped': 'ブロック{block} の {pos} ビット目: {bit}（反転）',
+    'ecc.syndrome.corrected': ' → 位置{pos}を訂正',
+    'ecc.syndrome.miscorrected': '（2ビット以上の誤りは誤訂正になる）',
+    'ecc.syndrome.none': '（誤りなし）',
+    'ecc.majority': '多数決 → {out}',
+    'ecc.majority.wrong': '（反転が過半数のため誤った値に）',
+    'ecc.majority.corrected': '（{errors}個の反転を訂正）',
+    'ecc.decoded': '復号: {out}',
+    'ecc.wrongBits': '✗ {wrong}ビット誤り',
+    'ecc.perBlock': '{n} / ブロック',
+    'ecc.errorBits': '{wrong} / {total} ビット',
+    'ecc.compare.better': '{ratio} 分の1',
+    'ecc.compare.worse': '悪化',
+    'ecc.compare.same': '変化なし',
+    'ecc.steps.padding': ' + 補った {padding} ビット',
+    'ecc.theorem.below': 'R < C → 十分長い符号を使えば、この符号化率でも誤り率をいくらでも小さくできる（通信路符号化定理）',
+    'ecc.theorem.above': 'R ≥ C → どんな符号でも誤り率を 0 に近づけることはできない（R < C が必要）',
+    'ecc.steps': `符号: {code}  n = {n}（符号語の長さ）, k = {k}（運ぶデータのビット数）
+符号化率 R = k / n = {k}/{n} = {R} → 送る1ビットあたり {info} の情報
+冗長ビット n - k = {redundant} / ブロック: データ {dataBits} ビット{padding} → 送信 {sentBits} ビット（冗長 {redundantBits} ビット）
+通信路容量 C = 1 - H(ε) = 1 - H({eps2}) = {C}
+{theorem}
+残留ビット誤り率: 符号化なし ε = {eps4} → {code} {residual}（{compare}）`,
+    'ecc.axis.rate': '符号化率 R',
+    'ecc.axis.error': 'ビット誤り率',
+    'ecc.chart.hamming': 'ハミング(7,4)',
+
+    // 確認クイズ
+    'quiz.question': '問題{n}（{topic}）: {text}',
+    'quiz.placeholder': '例: 1.58',
+    'quiz.answerLabel': '問題{n}の解答',
+    'quiz.total': '全{n}問',
+    'quiz.grade': '採点する',
+    'quiz.new': '新しい問題',
+    'quiz.correct': '✓ 正解！',
+    'quiz.incorrect': '✗ 不正解（正解: {expected}）',
+    'quiz.unanswered': '－ 未回答（正解: {expected}）',
+    'quiz.score': '正解数: {correct}/{total}',
+    'quiz.passed': '合格レベル！',
+    'quiz.loadError': '⚠️ 問題集を読み込めませんでした（data/quiz-bank.json）',
+
+    // 体感タブ: 組み込みシナリオ
+    'scn.coin.title': 'コイン投げ',
+    'scn.coin.description': '普通のコインを投げたとき...',
+    'scn.coin.event.heads': '表が出た',
+    'scn.coin.event.tails': '裏が出た',
+    'scn.coin.event.stands': '立った',
+    'scn.coin.event.breaks': '割れた',
+    'scn.dice.title': 'サイコロ',
+    'scn.dice.description': '標準的な6面サイコロを振ったとき...',
+    'scn.dice.event.one': '1が出た',
+    'scn.dice.event.even': '偶数が出た',
+    'scn.dice.event.seven': '7が出た',
+    'scn.dice.event.allSame': '全面同じ数',
+    'scn.lottery.title': '宝くじ',
+    'scn.lottery.description': '年末ジャンボ宝くじで...',
+    'scn.lottery.event.miss': 'はずれ',
+    'scn.lottery.event.lowest': '末等当選',
+    'scn.lottery.event.jackpot': '1等当選',
+    'scn.lottery.event.meteor': '隕石に当たる',
+    'scn.weather.title': '天気予報',
+    'scn.weather.description': '明日の天気として...',
+    'scn.weather.event.sunny': '晴れ',
+    'scn.weather.event.rainy': '雨',
+    'scn.weather.event.summerSnow': '雪（夏）',
+    'scn.weather.event.meteorShower': '隕石雨',
+
+    // 体感タブ
+    'intuition.event': '「{name}」',
+    'intuition.reveal': '④答えを見る',
+    'intuition.revealing': '結果表示中',
+    'intuition.explain.lotteryPerfect': '驚き度{surprise}は宝くじ級({info})に適切です。完璧な直感！',
+    'intuition.explain.lotteryGood': '驚き度{surprise}は宝くじ級({info})の出来事への反応として妥当です。',
+    'intuition.explain.lotteryLow': '宝くじ級({info})の出来事なら、もっと驚いても良いかも！',
+    'intuition.explain.rareGood': '驚き度{surprise}は非常に稀な出来事({info})への適切な反応です。',
+    'intuition.explain.rareLow': '{info}の稀な出来事です。もう少し驚いてもよいでしょう。',
+    'intuition.explain.excellent': '驚き度{surprise}は情報量{info}によく対応しています。優秀な直感です！',
+    'intuition.explain.fair': '驚き度{surprise}は情報量{info}にまあまあ対応しています。',
+    'intuition.explain.off': '驚き度{surprise}と情報量{info}に少しズレがあります。',
+    'intuition.explain.farOff': '驚き度{surprise}と情報量{info}のズレが大きいです。対数的感覚を養いましょう。',
+    'intuition.axis.surprise': '驚き度 (主観)',
+    'intuition.axis.info': '情報量 (理論) [{unit}]',
+    'intuition.axis.logProb': '確率 P (対数軸)',
+
+    // 体感データの回帰分析
+    'fit.excluded': '（P = 0 の {n} 点は除外）',
+    'fit.needPoints': '情報量の異なる出来事を2点以上記録すると、回帰分析の結果を表示します',
+    'fit.inBits': '（I は bit）',
+    'fit.base': '確率が 1/{B} になるごとに驚き度が 1 増える感覚です（bit の底は 2）',
+    'fit.base.none': '驚き度が情報量とともに増えていないため推定できません',
+    'fit.better.log': '対数モデルの方がよく当てはまります（大きな情報量で驚きが頭打ち）',
+    'fit.better.linear': '線形モデルの方がよく当てはまります（情報量に比例した驚き）',
+    'fit.residualRow': '{event} I = {I} {unit}  驚き度 {surprise}  予測 {predicted}  残差 {residual}',
+    'fit.residuals': `回帰に使った点: {n}{note}
+{better}
+線形モデルの残差（ずれの大きい順に最大{max}点、RMSE = {rmse}）
+{rows}`,
+    'fit.legend.linear': '線形',
+    'fit.legend.log': '対数',
+
+    // 自作シナリオ
+    'scn.error.format': 'シナリオの形式が正しくありません',
+    'scn.error.noTitle': 'タイトルを入力してください',
+    'scn.error.longTitle': 'タイトルは32文字以内にしてください',
+    'scn.error.noEvents': '「{title}」: 出来事を1つ以上入力してください',
+    'scn.error.tooManyEvents': '「{title}」: 出来事は{max}個までです',
+    'scn.error.noEventName': '「{title}」: {row}行目の出来事の名前がありません',
+    'scn.error.longEventName': '「{title}」: 出来事の名前は32文字以内にしてください',
+    'scn.error.duplicate': '「{title}」: 出来事「{name}」が重複しています',
+    'scn.error.probability': '「{title}」: 「{name}」の確率「{p}」は 0〜1 の数・分数ではありません',
+    'scn.error.zeroProbability': '「{title}」: 「{name}」の確率が 0 です（起こりえない出来事は情報量が無限大になるので、0 より大きい値にしてください）',
+    'scn.error.tooMany': '自作シナリオは{max}件までです',
+    'scn.error.json': 'JSON の形式が正しくありません',
+    'scn.customGroup': '自作シナリオ',
+    'scn.removeEvent': 'この出来事を削除',
+    'scn.copyTitle': '{title}（コピー）',
+    'scn.confirmDelete': '自作シナリオ「{title}」を削除しますか？',
+    'scn.status.saveFailed': '⚠️ ブラウザーに保存できませんでした（このページを閉じると消えます）',
+    'scn.status.imported': '✅ {added} 件追加・{updated} 件更新しました',
+    'scn.status.editing': '「{title}」を編集中です',
+    'scn.status.copied': '組み込みシナリオ「{title}」をコピーしました。保存すると自作シナリオとして追加されます',
+    'scn.status.saved': '✅ 「{title}」を保存しました',
+    'scn.status.deleted': '「{title}」を削除しました',
+    'scn.status.importFailed': '⚠️ 追加できませんでした: {reason}',
+
+    // シャノンの予想ゲーム
+    'sg.hint': '入力できるのは a〜z と空白の27種類です',
+    'sg.hint.fallback': '⚠️ コーパスを読み込めなかったため、組み込みの3文から出題します',
+    'sg.invalid': '「{input}」は使えません。a〜z と空白から選んでください',
+    'sg.alreadyTried': '「{ch}」はこの位置ですでに外れています',
+    'sg.finished': '🎉 全 {n} 文字を当てました（平均 {mean} 回）。「新しい文を出題」で続けられます',
+    'sg.tried': 'この位置で外れた文字: {chars}',
+    'sg.prompt': '{pos} 文字目を予想してください',
+    'sg.steps.empty': 'まだ記録がありません。文字を予想すると、ここに途中式が表示されます',
+    'sg.steps.row': '{i} 回目: {count} 文字  q = {q}',
+    'sg.steps': `文字数 n = {n}（完了した文 {sentences}）、記号 {K} 種類
+{rows}
+
+上限: -Σ qᵢ {L} qᵢ           = {upper}/文字
+下限: Σ i (qᵢ - qᵢ₊₁) {L} i  = {lower}/文字
+参考: 等確率 {L} {K}         = {uniform}/文字`,
+    'sg.axis.guess': 'i 回目',
+    'sg.chart.upper': '上限 {value}',
+    'sg.chart.lower': '下限 {value}',
+    'sg.confirmReset': '予想ゲームの記録を消去しますか？',
+
+    // パスワード強度
+    'pwd.guesses': '{n} 回',
+    'pwd.security.weak': '弱い',
+    'pwd.security.moderate': '中程度',
+    'pwd.security.strong': '強い',
+    'pwd.security.veryStrong': '非常に強い',
+
+    // パターンを考慮したパスワード分析
+    'pa.class.lower': '英小文字',
+    'pa.class.upper': '英大文字',
+    'pa.class.digit': '数字',
+    'pa.class.symbol': '記号',
+    'pa.class.other': 'その他（非ASCII）',
+    'pa.class.chip': '{name}（{size}）',
+    'pa.separator': '・',
+    'pa.attacker.online': 'オンライン攻撃（回数制限あり）',
+    'pa.attacker.online.rate': '100 回/時',
+    'pa.attacker.slowHash': 'オフライン攻撃（低速ハッシュ: bcrypt 等）',
+    'pa.attacker.slowHash.rate': '10⁴ 回/秒',
+    'pa.attacker.fastHash': 'オフライン攻撃（高速ハッシュ: MD5 等・GPU）',
+    'pa.attacker.fastHash.rate': '10¹⁰ 回/秒',
+    'pa.duration.instant': '一瞬（1秒未満）',
+    'pa.duration.centuries': '{value} 世紀',
+    'pa.duration.about': '約 {value} {unit}',
+    'pa.duration.century': '世紀',
+    'pa.duration.year': '年',
+    'pa.duration.day': '日',
+    'pa.duration.hour': '時間',
+    'pa.duration.minute': '分',
+    'pa.duration.second': '秒',
+    'pa.kind.password': 'よく使われるパスワード',
+    'pa.kind.word': '辞書の単語',
+    'pa.pattern.dictionary': '辞書',
+    'pa.pattern.reversed': '辞書（逆順）',
+    'pa.pattern.leet': '辞書（leet表記）',
+    'pa.pattern.keyboard': 'キーボード配列',
+    'pa.pattern.sequence': '連番',
+    'pa.pattern.repeat': '繰り返し',
+    'pa.pattern.date': '日付',
+    'pa.pattern.bruteforce': '総当たり',
+    'pa.detail.rank': '{kind}（{rank}位）',
+    'pa.detail.reversed': '{kind}「{word}」の逆順',
+    'pa.detail.leet': '「{word}」の置き換え（{kind}）',
+    'pa.detail.keyboard': '隣接キーの並び（方向転換 {turns} 回）',
+    'pa.detail.ascending': '昇順の連続',
+    'pa.detail.descending': '降順の連続',
+    'pa.detail.repeat': '「{base}」を {count} 回',
+    'pa.detail.year': '西暦 {y} 年',
+    'pa.detail.date': '日付 {y}年{m}月{d}日',
+    'pa.detail.shortDate': '日付（年は2桁）',
+    'pa.naive': '{len} 文字 × log₂ {charset} = {bits} bit{aside}（{security}）',
+    'pa.truncated': ' ／ 先頭 {max} 文字のみ分析',
+    'pa.empty': 'パスワードを入力してください',
+    'pa.patternBits': 'log₂(推測回数 {guesses}) = {bits} bit{aside}（{security}）',
+    'pa.savings': ' ／ 素朴な推定より {bits} bit 少ない',
+    'pa.order': '{n} 個のパターンの組み合わせ順として log₂({n}!) = {bits} bit を加算',
+    'pa.dict.note': '入力はブラウザー内でのみ処理され、送信・保存されません',
+    'pa.dict.loaded': '辞書: よく使われるパスワード {passwords} 件・単語 {words} 件（入力はブラウザー内でのみ処理され、送信・保存されません）',
+    'pa.dict.error': '⚠️ 辞書を読み込めませんでした（辞書照合なしで分析します）',
+
+    // クロスエントロピー・KLダイバージェンス
+    'kl.class.cat': '猫',
+    'kl.class.dog': '犬',
+    'kl.class.bird': '鳥',
+    'kl.listSeparator': '、',
+    'kl.warn.qZero': '⚠️ Q が確率 0 とする事象（{events}）が P では起こり得るため、H(P,Q) と D_KL(P‖Q) は無限大です',
+    'kl.warn.pZero': '⚠️ P が確率 0 とする事象（{events}）が Q では起こり得るため、D_KL(Q‖P) は無限大です',
+    'kl.zeroLog': '（0 log 0 = 0）',
+    'kl.check': '確認:  ',
+    'kl.jsRange': '（0 ≤ JS ≤ 1 bit{aside}）',
+
+    // 性質タブ
+    'prop.verdict.ok': '✅ 連続性が保たれています',
+    'prop.verdict.slight': '⚠️ やや連続的です',
+    'prop.verdict.large': '❌ 大きな変化です',
+
+    // 相互情報量
+    'joint.corner': 'X ＼ Y',
+    'joint.noUmbrella': '傘なし',
+    'joint.umbrella': '傘あり',
+    'joint.sent': '送信{v}',
+    'joint.received': '受信{v}',
+    'joint.odd': '奇数',
+    'joint.even': '偶数',
+    'mi.verdict.independent': 'X と Y は独立（I(X;Y) = 0）',
+    'mi.verdict.determined': 'Y を知れば X は確定（H(X|Y) = 0）',
+    'mi.verdict.reduced': 'Y を知ると X の不確定さが {pct}% 減る',
+    'mi.check': '確認:',
+    'mi.verdict': '判定:',
+    'mi.event.independent': '独立',
+    'mi.event.dependent': '依存',
+    'mi.event.impossible': '∞ {unit}（起こり得ない組み合わせ）',
+    'mi.event.diff': '差',
+    'mi.event.additive': '→ 独立なので加算性 I(A∧B) = I(A) + I(B) が成り立つ',
+    'mi.event.lessSurprise': '→ A と B は一緒に起きやすいため、同時に起きても I(A) + I(B) ほどは驚かない',
+    'mi.event.moreSurprise': '→ A と B は一緒に起きにくいため、同時に起きると I(A) + I(B) 以上に驚く',
+
+    // 通信路
+    'ch.eps.erasure': '消失確率',
+    'ch.eps.flip': '反転確率',
+    'ch.capacity': '{C} bit/回{aside}（P(X=1) = 0.5 のとき）',
+    'ch.sent': '送信 X',
+    'ch.received': '受信 Y',
+    'ch.rate.erasure': '消失率',
+    'ch.rate.flip': '誤り率（反転）',
+    'ch.rate.value': '{rate}（{errors} / {total}）',
+    'ch.run': '▶ 連続送信',
+    'ch.stop': '⏸ 停止',
+
+    // 共有リンク
+    'share.copyPrompt': 'このリンクをコピーしてください',
+
+    // 学習の進捗
+    'progress.rule.basics': '対数クイズで合格レベルに到達',
+    'progress.rule.intuition': '体感グラフに{n}点以上記録',
+    'progress.rule.default': 'タブ内の入力・ボタンを操作',
+    'progress.status.visited': '学習中',
+    'progress.status.done': '完了',
+    'progress.status.none': '未学習',
+    'progress.tabTitle': '{status}（完了条件: {rule}）',
+    'progress.summary': '{done} / {total} タブ完了',
+    'progress.quizHistory': 'これまでの挑戦 {n} 回（合格 {passed} 回）・最高 {correct}/{total}',
+    'progress.error.format': '進捗ファイルの形式が正しくありません',
+    'progress.error.json': 'JSON の形式が正しくありません',
+    'progress.import.ok': '✅ {name} を読み込みました',
+    'progress.import.fail': '⚠️ 読み込めませんでした: {reason}',
+    'progress.confirmReset': '学習の進捗（タブの達成状況・クイズの履歴・体感グラフと予想ゲームのデータ）をすべて消去しますか？',
+    'progress.reset': '進捗をリセットしました',
+
+    // アクセシビリティ (グラフのデータ表・読み上げ・音)
+    'a11y.graphData': 'データを表で表示',
+    'a11y.noData': 'データがありません',
+    'a11y.current': '（現在の値）',
+    'a11y.apt': '階 {floor}、号室 {room}、部屋 {total}',
+    'graph.event': '事象',
+    'graph.total': '合計',
+    'graph.symbol': '記号',
+    'graph.count': '回数',
+    'graph.quantity': '量',
+    'graph.value': '値',
+    'graph.mc.tosses': '試行回数',
+    'graph.mc.mean': '驚きの平均',
+    'graph.mc.plugin': '頻度からの推定',
+    'graph.hier.stage': '段階',
+    'graph.ecc.code': '符号',
+    'graph.ecc.repetition': '反復符号 n = {n}',
+    'graph.capacity': '通信路容量 C',
+    'sonify.unsupported': 'このブラウザは音の再生 (Web Audio API) に対応していません',
+    'sonify.playing': 'P を 0 付近から 1 まで動かしたときの情報量を {seconds} 秒で再生中（高い音ほど情報量が大きい）',
+    'sonify.done': '再生が終わりました',
+
+    // 印刷・書き出し
+    'export.title': 'InfoQuantity Academy 計算結果',
+    'export.meta': '{date}・単位: {unit}',
+    'export.section.coin': 'コイン投げの情報量',
+    'export.section.additivity': '独立事象 A, B の加算性',
+    'export.section.apartment': 'マンションの部屋の特定',
+    'export.section.entropy': 'エントロピー',
+    'export.steps': '途中式',
+    'export.apt.floors': '階数',
+    'export.apt.perFloor': '各階の部屋数',
+    'export.nothing': '⚠️ 印刷する計算を1つ以上選んでください',
+    'export.noChart': '⚠️ このグラフはまだ描かれていません',
+    'export.saved': '✅ {name} を保存しました',
+    'ws.title': '情報量の問題プリント',
+    'ws.answerTitle': '情報量の問題プリント（解答）',
+    'ws.meta': 'シード: {seed}・単位: {unit}・{date}',
+    'ws.name': '名前：',
+    'ws.instructions': '情報量は {unit} で、小数第 3 位まで求めなさい。',
+    'ws.separator': '、',
+    'ws.coin': '{n} 通りの結果が起こる確率が {list} のとき、それぞれの結果が起きたと知ったときの情報量を求めなさい。',
+    'ws.additivity': '独立な事象 A, B の確率が P(A) = {pa}、P(B) = {pb} のとき、I(A)、I(B)、I(A∧B) を求め、I(A∧B) = I(A) + I(B) となることを確かめなさい。',
+    'ws.apartment': '{F} 階建てで各階に {R} 部屋あるマンションの1部屋を特定します。階の特定・号室の特定・部屋の特定に必要な情報量をそれぞれ求めなさい。',
+    'ws.entropy': '確率分布 {list} のエントロピー H を求め、最大値 {log} {n} と比べなさい。',
+    'ws.answer': '答え：{answer}',
+    'ws.answer.apartment': '階 {floor}、号室 {room}、部屋 {total}',
+    'ws.answer.entropy': 'H = {H}（最大値 {Hmax} の {ratio}%）',
+    'ws.status': '問題 {n} 問（シード: {seed}）',
+    'ws.none': '⚠️ 出題する計算を1つ以上選んでください',
+  }
+};
@@ -0,0 +1,793 @@
+/**
+ * plot - Canvas のグラフ描画の共通部品
+ *
+ * script.js のすべてのグラフ (draw* 関数) が使う ES モジュール。
+ * - 目盛りと座標変換: niceTicks (線形)・logTicks (対数)・createScale。拡大・移動の計算は zoomDomain・panDomain
+ * - 色: style.css のデザイントークン (--plot-*) を themeColors で読む。テーマごとの色を JS に書かない
+ * - Canvas: beginPlot が表示幅に合わせて大きさを決め、devicePixelRatio 倍の解像度で描く (高密度の画面でもにじまない)。
+ *   描画は CSS ピクセルの座標で行う。表示幅・画素密度が変わると登録した描画関数を呼び直す
+ * - 操作: hover を渡したグラフはポインターの位置に十字線と値のツールチップを出す。
+ *   zoom を渡したグラフはホイール・ドラッグ・キー (+ − ← → 0) で横軸を拡大・移動できる
+ * - 書き出し: exportPlotSvg / exportPlotPng が登録した描画関数を書き出し先に向けて呼び直す (印刷向けに明るいテーマの色で描く)
+ *
+ * 目盛り・座標変換・拡大の計算は DOM に依存しないので node --test で確認できる。
+ * それ以外の関数はブラウザー (document / window) が必要
+ *
+ * @example
+ * function drawChart(){
+ *   const { ctx, W, H, colors, view } = beginPlot(canvas, { redraw: drawChart, zoom: { domain: [0, 1], limits: [1e-6, 1] } });
+ *   const frame = createFrame({ left: 40, top: 20, width: W - 60, height: H - 60 }, { domain: view }, { domain: [0, 8] });
+ *   drawAxes(ctx, frame, colors, { xLabel: 'P', yLabel: 'I' });
+ *   drawCurve(ctx, frame, P => -Math.log2(P), { color: colors.line });
+ *   endPlot(canvas, frame);
+ * }
+ *
+ * @module plot
+ */
+import { toSuperscript } from './infoquantity.mjs';
+
+/* ========= 目盛りと座標変換 ========= */
+
+// 1, 2, 5 × 10^k のうち raw 以上で最小の刻み
+function niceStep(raw){
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const f = raw / power;
+  return (f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10) * power;
+}
+
+// 0.1 × 3 = 0.30000000000000004 のような誤差を刻みの桁数で丸める
+function roundToStep(value, step){
+  const digits = Math.min(20, Math.max(0, -Math.floor(Math.log10(step))));
+  return Number(value.toFixed(digits)) + 0;
+}
+
+/**
+ * min〜max を count 個程度に区切る、きりのよい目盛り (刻みは 1, 2, 5 × 10^k)
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=5] - 目安の区間の数
+ * @returns {number[]} - 昇順。min, max が有限でなければ空
+ */
+export function niceTicks(min, max, count = 5){
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+  if (min > max) [min, max] = [max, min];
+  if (min === max) return [min];
+  const step = niceStep((max - min) / Math.max(1, count));
+  const ticks = [];
+  for (let i = Math.ceil(min / step - 1e-9); i <= Math.floor(max / step + 1e-9); i++) {
+    ticks.push(roundToStep(i * step, step));
+  }
+  return ticks;
+}
+
+/**
+ * min〜max を含み、両端が目盛りに乗るように広げた範囲 (自動の軸の表示範囲)
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=5]
+ * @returns {number[]} - [下端, 上端]。min === max のときは幅 1 の範囲
+ */
+export function niceDomain(min, max, count = 5){
+  if (min > max) [min, max] = [max, min];
+  if (min === max) return [min - 0.5, max + 0.5];
+  const step = niceStep((max - min) / Math.max(1, count));
+  return [roundToStep(Math.floor(min / step + 1e-9) * step, step), roundToStep(Math.ceil(max / step - 1e-9) * step, step)];
+}
+
+/**
+ * 対数目盛り: min〜max にある base の累乗
+ * 累乗が2つ未満しか入らない狭い範囲では niceTicks に切り替える
+ * @param {number} min - 正の数
+ * @param {number} max
+ * @param {number} [base=10]
+ * @returns {number[]}
+ */
+export function logTicks(min, max, base = 10){
+  if (!(min > 0) || !(max > 0) || !Number.isFinite(min) || !Number.isFinite(max)) return [];
+  if (min > max) [min, max] = [max, min];
+  const logBase = (v) => Math.log(v) / Math.log(base);
+  const ticks = [];
+  for (let k = Math.ceil(logBase(min) - 1e-9); k <= Math.floor(logBase(max) + 1e-9); k++) ticks.push(Number((base ** k).toPrecision(12)));
+  return ticks.length >= 2 ? ticks : niceTicks(min, max);
+}
+
+/**
+ * 値 → 座標の変換関数を作る
+ * @param {number[]} domain - [値の最小, 最大] (対数目盛りでは正の数)
+ * @param {number[]} range - [対応する座標, 座標] (縦軸は [下端, 上端] のように逆向きでよい)
+ * @param {'linear'|'log'} [type='linear']
+ * @returns {function(number): number} - scale(v)。scale.invert(座標) で逆変換、scale.ticks(count) で目盛り
+ */
+export function createScale(domain, range, type = 'linear'){
+  const forward = type === 'log' ? Math.log : (v) => v;
+  const [u0, u1] = domain.map(forward);
+  const [r0, r1] = range;
+  const scale = (v) => r0 + (forward(v) - u0) / (u1 - u0) * (r1 - r0);
+  scale.invert = (px) => {
+    const u = u0 + (px - r0) / (r1 - r0) * (u1 - u0);
+    return type === 'log' ? Math.exp(u) : u;
+  };
+  scale.ticks = (count) => type === 'log' ? logTicks(domain[0], domain[1]) : niceTicks(domain[0], domain[1], count);
+  scale.domain = [...domain];
+  scale.range = [...range];
+  scale.type = type;
+  return scale;
+}
+
+// 区間 [u0, u1] (変換後の座標) を limits の中に収める。幅が limits を超えるなら limits そのもの
+function clampSpan([u0, u1], [l0, l1]){
+  if (u1 - u0 >= l1 - l0) return [l0, l1];
+  if (u0 < l0) return [l0, l0 + (u1 - u0)];
+  if (u1 > l1) return [l1 - (u1 - u0), l1];
+  return [u0, u1];
+}
+
+/**
+ * 表示範囲を anchor を中心に factor 倍する (factor < 1 で拡大、> 1 で縮小)
+ * 計算は目盛りの上 (対数目盛りなら対数をとった値) で行い、anchor の画面上の位置は動かない
+ * @param {number[]} domain - 今の表示範囲 [min, max]
+ * @param {number} anchor - 動かさない値
+ * @param {number} factor
+ * @param {Object} [options]
+ * @param {'linear'|'log'} [options.type='linear']
+ * @param {number[]} [options.limits] - これより外は表示しない [min, max]
+ * @param {number} [options.minSpan=0] - 拡大の上限。表示範囲の幅 (対数目盛りでは max/min の自然対数) の最小値
+ * @returns {number[]} - 新しい表示範囲
+ */
+export function zoomDomain(domain, anchor, factor, { type = 'linear', limits = domain, minSpan = 0 } = {}){
+  const forward = type === 'log' ? Math.log : (v) => v;
+  const back = type === 'log' ? Math.exp : (v) => v;
+  const [u0, u1] = domain.map(forward);
+  const ua = clampValue(forward(anchor), u0, u1);
+  const scale = Math.max(factor, minSpan / (u1 - u0));
+  const zoomed = clampSpan([ua - (ua - u0) * scale, ua + (u1 - ua) * scale], limits.map(forward));
+  return zoomed.map(back);
+}
+
+/**
+ * 表示範囲を幅の fraction 倍だけ横にずらす (正で右、limits の外には出ない)
+ * @param {number[]} domain
+ * @param {number} fraction
+ * @param {Object} [options]
+ * @param {'linear'|'log'} [options.type='linear']
+ * @param {number[]} [options.limits]
+ * @returns {number[]}
+ */
+export function panDomain(domain, fraction, { type = 'linear', limits = domain } = {}){
+  const forward = type === 'log' ? Math.log : (v) => v;
+  const back = type === 'log' ? Math.exp : (v) => v;
+  const [u0, u1] = domain.map(forward);
+  const shift = (u1 - u0) * fraction;
+  return clampSpan([u0 + shift, u1 + shift], limits.map(forward)).map(back);
+}
+
+function clampValue(v, lo, hi){
+  return Math.min(hi, Math.max(lo, v));
+}
+
+/**
+ * 目盛りの値を丸めずに書くのに要る小数点以下の桁数 (0.25 刻みなら 2。有効数字 12 桁より先の誤差は無視する)
+ * @param {number[]} ticks
+ * @returns {number}
+ */
+export function tickDigits(ticks){
+  let digits = 0;
+  for (const v of ticks) {
+    if (!Number.isFinite(v) || v === 0) continue;
+    const [mantissa, exponent = '0'] = Math.abs(Number(v.toPrecision(12))).toExponential().split('e');
+    const decimals = (mantissa.split('.')[1] || '').length - Number(exponent);
+    digits = Math.max(digits, Math.min(20, decimals));
+  }
+  return digits;
+}
+
+/* ========= テーマの色 ========= */
+
+// themeColors() のキー → style.css のデザイントークン
+const PLOT_TOKENS = {
+  text: '--plot-text',          // 軸ラベル・凡例
+  muted: '--plot-muted',        // 目盛りの数値・補助の文字
+  frame: '--plot-frame',        // 描画領域の枠
+  grid: '--plot-grid',          // 目盛り線・補助線
+  surface: '--plot-surface',    // グラフの背景 (区切り線・ツールチップの地)
+  contrast: '--plot-contrast',  // 色の上に書く文字
+  line: '--plot-line',          // 主な曲線
+  exp: '--chip-exp',            // 系列 1 (指数関数など)
+  lin: '--chip-lin',            // 系列 2 (一次関数・強調)
+  log: '--chip-log',            // 系列 3 (対数関数など)
+  good: '--plot-good',          // 推定値・正解
+  warn: '--plot-warn',          // まれな結果・誤り
+  warnFill: '--plot-warn-fill', // 警告の領域の塗り
+  highlight: '--plot-highlight',// 背景に埋もれない強調色の文字
+  bar: '--plot-bar',            // 控えめな棒
+  box: '--box'                  // 節点などの塗り (入力欄と同じ地の色)
+};
+const SERIES_TOKENS = 8;        // --plot-series-1 〜 8: 区別したい系列の色 (積み上げ棒の区間など)
+
+/**
+ * 今のテーマでのグラフの色を style.css のトークンから読む
+ * @param {Element} [root=document.documentElement] - data-theme を持つ要素
+ * @returns {Object<string, string>} - PLOT_TOKENS のキー → 色、series → 色の配列
+ */
+export function themeColors(root = document.documentElement){
+  const style = getComputedStyle(root);
+  const read = (name) => style.getPropertyValue(name).trim() || 'gray';
+  const colors = Object.fromEntries(Object.entries(PLOT_TOKENS).map(([key, name]) => [key, read(name)]));
+  colors.series = Array.from({ length: SERIES_TOKENS }, (_, i) => read(`--plot-series-${i + 1}`));
+  return colors;
+}
+
+/* ========= Canvas の準備と再描画 ========= */
+
+// canvas → { base: HTML の width/height, options: 最後の beginPlot の options, view: 横軸の表示範囲,
+//            pointer: ポインターの描画座標, drag: ドラッグ開始時の位置と表示範囲, frame: 最後の描画の座標変換, W: 描画の幅, width: 表示幅 }
+const plots = new Map();
+// 書き出し中のグラフ: { canvas, ctx: 書き出し先, colors, W, H } (exportPlotSvg / exportPlotPng の間だけ)
+let capture = null;
+
+function initPlot(canvas){
+  const base = { width: canvas.width, height: canvas.height };
+  // HTML の width が最大の幅。縦横比を保ったまま親の幅に合わせて縮む (style.css の .plot-canvas)
+  canvas.classList.add('plot-canvas');
+  canvas.style.maxWidth = `${base.width}px`;
+  canvas.style.aspectRatio = `${base.width} / ${base.height}`;
+  const state = { base, options: {}, view: null, pointer: null, drag: null, frame: null, W: base.width, width: 0, interactive: false };
+  plots.set(canvas, state);
+  if (typeof ResizeObserver === 'function') {
+    new ResizeObserver(() => {
+      if (canvas.clientWidth && canvas.clientWidth !== state.width) redrawPlot(canvas);
+    }).observe(canvas);
+  }
+  if (plots.size === 1) watchPixelRatio();
+  return state;
+}
+
+// ウィンドウを画素密度の違う画面へ動かしたとき・ブラウザーの拡大率を変えたときに描き直す
+function watchPixelRatio(){
+  if (typeof matchMedia !== 'function') return;
+  matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`).addEventListener('change', () => {
+    redrawPlots();
+    watchPixelRatio();
+  }, { once: true });
+}
+
+function redrawPlot(canvas){
+  plots.get(canvas)?.options.redraw?.();
+}
+
+/**
+ * 登録済みのすべてのグラフを描き直す (テーマの切り替えなど)
+ */
+export function redrawPlots(){
+  plots.forEach((state, canvas) => redrawPlot(canvas));
+}
+
+/**
+ * グラフを描く準備: 大きさと解像度を合わせ、全体を消して、描画関数を登録する
+ * 返す ctx は CSS ピクセルの座標系 (W × H)。表示幅が HTML の width より狭いときは縦横比を保って小さくなる
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} [options]
+ * @param {function(): void} [options.redraw] - 描き直す関数 (表示幅・テーマ・画素密度の変化、ポインター操作のとき呼ぶ)
+ * @param {function(number, number): ?{x: number, y: number, lines: string[]}} [options.hover]
+ *   - ポインター位置の値 (x, y) から、十字線を引く点とツールチップの行を返す (null なら出さない)
+ * @param {{domain: number[], limits?: number[], type?: string, minSpan?: number}} [options.zoom]
+ *   - 横軸を拡大・移動できるようにする。domain は初期表示、type は今の目盛りの種類
+ * @returns {{ctx: CanvasRenderingContext2D, W: number, H: number, colors: Object, view: ?number[]}}
+ *   - view は zoom のときの横軸の表示範囲
+ */
+export function beginPlot(canvas, options = {}){
+  const state = plots.get(canvas) || initPlot(canvas);
+  // 書き出し中は表示中の Canvas に触れず、書き出し先に HTML の大きさで描く
+  if (capture?.canvas === canvas) {
+    const { ctx, colors, W, H } = capture;
+    ctx.setLineDash([]);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    return { ctx, W, H, colors, view: state.view && [...state.view] };
+  }
+  if ((options.hover || options.zoom) && !state.interactive) attachPointer(canvas, state);
+  if (options.zoom && canvas.tabIndex < 0) {
+    canvas.tabIndex = 0;
+    canvas.classList.add('plot-zoom');
+  }
+  // 目盛りの種類が変わったら表示範囲を初期に戻す (線形の 0 は対数目盛りに載らない)
+  if (!options.zoom || options.zoom.type !== state.options.zoom?.type) state.view = null;
+  state.options = options;
+  if (options.zoom && !state.view) state.view = [...options.zoom.domain];
+
+  const { width, height } = state.base;
+  const W = Math.min(width, canvas.clientWidth || width);
+  const H = Math.round(W * height / width);
+  const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+  if (canvas.width !== Math.round(W * ratio)) canvas.width = Math.round(W * ratio);
+  if (canvas.height !== Math.round(H * ratio)) canvas.height = Math.round(H * ratio);
+  state.W = W;
+  state.width = canvas.clientWidth;
+  state.frame = null;
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, W, H);
+  ctx.setLineDash([]);
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+  return { ctx, W, H, colors: themeColors(), view: state.view && [...state.view] };
+}
+
+/**
+ * 描画の仕上げ: 座標変換 (frame) を覚え、ポインターがグラフの上にあれば十字線とツールチップを描く
+ * hover / zoom を渡したグラフだけ呼べばよい
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} frame - createFrame の戻り値
+ */
+export function endPlot(canvas, frame){
+  const state = plots.get(canvas);
+  if (!state || capture?.canvas === canvas) return;
+  state.frame = frame;
+  const { pointer, options } = state;
+  if (!pointer || !options.hover || !frame.contains(pointer.x, pointer.y)) return;
+  const point = options.hover(frame.x.invert(pointer.x), frame.y.invert(pointer.y));
+  if (!point) return;
+  drawTooltip(canvas.getContext('2d'), frame, themeColors(), point, pointer);
+}
+
+/**
+ * 表示範囲を元に戻す
+ * @param {HTMLCanvasElement} canvas
+ */
+export function resetPlotView(canvas){
+  const state = plots.get(canvas);
+  if (!state?.options.zoom) return;
+  state.view = [...state.options.zoom.domain];
+  redrawPlot(canvas);
+}
+
+/**
+ * 横軸を拡大・縮小する (ボタン操作など)
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} factor - 1 未満で拡大
+ * @param {number} [anchor] - 動かさない値 (省略時は表示範囲の中央)
+ */
+export function zoomPlot(canvas, factor, anchor){
+  const state = plots.get(canvas);
+  if (!state?.options.zoom || !state.view) return;
+  const { type = 'linear', limits, minSpan } = state.options.zoom;
+  const center = type === 'log' ? Math.sqrt(state.view[0] * state.view[1]) : (state.view[0] + state.view[1]) / 2;
+  state.view = zoomDomain(state.view, anchor ?? center, factor, { type, limits, minSpan });
+  redrawPlot(canvas);
+}
+
+// ポインター・ホイール・キーの操作を付ける (最初に hover / zoom を渡されたとき1回だけ)
+function attachPointer(canvas, state){
+  state.interactive = true;
+  // イベントの位置 → 描画座標 (表示の大きさと描画の大きさは普通は同じだが、表示幅 0 のときに描いた直後などはずれる)
+  const toPlot = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    const k = rect.width ? state.W / rect.width : 1;
+    return { x: (e.clientX - rect.left) * k, y: (e.clientY - rect.top) * k };
+  };
+  const zoomOptions = () => {
+    const { type = 'linear', limits, minSpan } = state.options.zoom;
+    return { type, limits, minSpan };
+  };
+
+  canvas.addEventListener('pointermove', (e) => {
+    state.pointer = toPlot(e);
+    if (state.drag && state.options.zoom && state.frame) {
+      const dx = state.pointer.x - state.drag.x;
+      state.view = panDomain(state.drag.view, -dx / state.frame.width, zoomOptions());
+    }
+    redrawPlot(canvas);
+  });
+  canvas.addEventListener('pointerleave', () => {
+    state.pointer = null;
+    redrawPlot(canvas);
+  });
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!state.options.zoom || !state.view) return;
+    state.drag = { ...toPlot(e), view: [...state.view] };
+    canvas.setPointerCapture?.(e.pointerId);
+  });
+  const endDrag = () => { state.drag = null; };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+  canvas.addEventListener('wheel', (e) => {
+    if (!state.options.zoom || !state.view || !state.frame) return;
+    e.preventDefault();
+    const { x } = toPlot(e);
+    state.view = zoomDomain(state.view, state.frame.x.invert(x), e.deltaY < 0 ? 0.8 : 1.25, zoomOptions());
+    redrawPlot(canvas);
+  }, { passive: false });
+  canvas.addEventListener('dblclick', () => resetPlotView(canvas));
+  canvas.addEventListener('keydown', (e) => {
+    if (!state.options.zoom || !state.view) return;
+    const actions = {
+      '+': () => zoomPlot(canvas, 0.8), '=': () => zoomPlot(canvas, 0.8), '-': () => zoomPlot(canvas, 1.25),
+      ArrowLeft: () => { state.view = panDomain(state.view, -0.1, zoomOptions()); redrawPlot(canvas); },
+      ArrowRight: () => { state.view = panDomain(state.view, 0.1, zoomOptions()); redrawPlot(canvas); },
+      '0': () => resetPlotView(canvas)
+    };
+    if (!actions[e.key]) return;
+    e.preventDefault();
+    actions[e.key]();
+  });
+}
+
+/* ========= 軸と系列 ========= */
+
+/**
+ * 描画領域と縦横の座標変換をまとめる
+ * @param {{left: number, top: number, width: number, height: number}} rect
+ * @param {{domain: number[], type?: string}} x - 横軸
+ * @param {{domain: number[], type?: string}} y - 縦軸 (下が domain[0])
+ * @returns {Object} - rect の値と x, y (createScale)、contains(px, py)
+ */
+export function createFrame({ left, top, width, height }, x, y){
+  return {
+    left, top, width, height,
+    x: createScale(x.domain, [left, left + width], x.type),
+    y: createScale(y.domain, [top + height, top], y.type),
+    contains: (px, py) => px >= left && px <= left + width && py >= top && py <= top + height
+  };
+}
+
+/**
+ * 枠・目盛り・軸ラベルを描く
+ * 目盛りは frame の座標変換から自動で決める (xTicks / yTicks で値を指定することもできる)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} frame - createFrame の戻り値
+ * @param {Object} colors - themeColors の戻り値
+ * @param {Object} [options]
+ * @param {number[]} [options.xTicks]
+ * @param {number[]} [options.yTicks]
+ * @param {number} [options.xCount=5] - 自動の目盛りの目安の数
+ * @param {number} [options.yCount=4]
+ * @param {function(number, number): string} [options.xFormat] - (値, 小数点以下の桁数) → 目盛りの文字
+ * @param {function(number, number): string} [options.yFormat]
+ * @param {boolean} [options.grid=false] - 目盛りの位置に補助線を引く
+ * @param {string} [options.xLabel] - 枠の下の中央
+ * @param {string} [options.yLabel] - 枠の左上
+ */
+export function drawAxes(ctx, frame, colors, options = {}){
+  const { left, top, width, height } = frame;
+  const {
+    xTicks = frame.x.ticks(options.xCount ?? 5), yTicks = frame.y.ticks(options.yCount ?? 4),
+    xFormat = defaultFormat(frame.x), yFormat = defaultFormat(frame.y), grid = false, xLabel, yLabel
+  } = options;
+  const xDigits = tickDigits(xTicks), yDigits = tickDigits(yTicks);
+
+  ctx.save();
+  ctx.strokeStyle = colors.frame;
+  ctx.lineWidth = 1.2;
+  ctx.strokeRect(left, top, width, height);
+
+  ctx.lineWidth = 1;
+  ctx.fillStyle = colors.muted;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  xTicks.forEach(v => {
+    const x = frame.x(v);
+    if (!(x >= left - 0.5 && x <= left + width + 0.5)) return;
+    line(ctx, x, top + height, x, top + height + 5, colors.grid);
+    if (grid) line(ctx, x, top, x, top + height, colors.grid, [2, 4]);
+    ctx.fillText(xFormat(v, xDigits), x, top + height + 7);
+  });
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  yTicks.forEach(v => {
+    const y = frame.y(v);
+    if (!(y >= top - 0.5 && y <= top + height + 0.5)) return;
+    line(ctx, left - 5, y, left, y, colors.grid);
+    if (grid) line(ctx, left, y, left + width, y, colors.grid, [2, 4]);
+    ctx.fillText(yFormat(v, yDigits), left - 7, y);
+  });
+
+  ctx.fillStyle = colors.text;
+  if (xLabel) {
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(xLabel, left + width / 2, top + height + 22);
+  }
+  if (yLabel) {
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(yLabel, left, top - 6);
+  }
+  ctx.restore();
+}
+
+// 線形目盛りは小数点以下の桁数をそろえ、対数目盛りは 10 の累乗で書く
+function defaultFormat(scale){
+  if (scale.type === 'log') return (v) => powerLabel(v);
+  return (v, digits) => v.toFixed(digits);
+}
+
+/**
+ * 10 の累乗を 10⁻³ のように書く (累乗でない値はそのまま)
+ * @param {number} v
+ * @returns {string}
+ */
+export function powerLabel(v){
+  const k = Math.round(Math.log10(v));
+  if (Math.abs(10 ** k - v) > 1e-9 * v) return String(Number(v.toPrecision(3)));
+  return k === 0 ? '1' : `10${toSuperscript(k)}`;
+}
+
+function line(ctx, x0, y0, x1, y1, color, dash = []){
+  ctx.strokeStyle = color;
+  ctx.setLineDash(dash);
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y1);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+/**
+ * y = f(x) の曲線を描画領域の中だけに描く (横 1px ごとに f を計算。有限でない値で線を切る)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} frame
+ * @param {function(number): number} f
+ * @param {Object} [style]
+ * @param {string} [style.color]
+ * @param {number} [style.width=2]
+ * @param {number[]} [style.dash=[]]
+ * @param {number[]} [style.domain] - x をこの範囲に限る
+ */
+export function drawCurve(ctx, frame, f, { color = 'gray', width = 2, dash = [], domain } = {}){
+  const { left, top, width: w, height: h } = frame;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(left, top, w, h);
+  ctx.clip();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.setLineDash(dash);
+  ctx.beginPath();
+  let drawing = false;
+  for (let i = 0; i <= Math.ceil(w); i++) {
+    const x = frame.x.invert(left + i);
+    const y = domain && (x < domain[0] || x > domain[1]) ? NaN : f(x);
+    if (!Number.isFinite(y)) { drawing = false; continue; }
+    // 画面から大きく外れた値は描画領域の少し外に寄せる (clip されるので見た目は同じ)
+    const py = clampValue(frame.y(y), top - h, top + 2 * h);
+    if (drawing) ctx.lineTo(left + i, py); else ctx.moveTo(left + i, py);
+    drawing = true;
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+// 十字線・点・ツールチップ (ポインターの右上、はみ出すなら左・下へ)
+function drawTooltip(ctx, frame, colors, { x, y, lines }, pointer){
+  const { left, top, width, height } = frame;
+  const px = frame.x(x), py = frame.y(y);
+  ctx.save();
+  if (Number.isFinite(px) && px >= left && px <= left + width) line(ctx, px, top, px, top + height, colors.muted, [3, 3]);
+  if (Number.isFinite(py) && py >= top && py <= top + height) {
+    line(ctx, left, py, left + width, py, colors.muted, [3, 3]);
+    ctx.fillStyle = colors.lin;
+    ctx.beginPath();
+    ctx.arc(px, py, 4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.font = '12px ui-monospace, monospace';
+  const boxW = Math.max(...lines.map(s => ctx.measureText(s).width)) + 12;
+  const boxH = lines.length * 16 + 8;
+  let bx = pointer.x + 12, by = pointer.y - boxH - 8;
+  if (bx + boxW > left + width) bx = pointer.x - boxW - 12;
+  if (by < top) by = pointer.y + 12;
+  ctx.globalAlpha = 0.92;
+  ctx.fillStyle = colors.surface;
+  ctx.fillRect(bx, by, boxW, boxH);
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = colors.frame;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(bx, by, boxW, boxH);
+  ctx.fillStyle = colors.text;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  lines.forEach((s, i) => ctx.fillText(s, bx + 6, by + 6 + i * 16));
+  ctx.restore();
+}
+
+/* ========= 書き出し (SVG / PNG) ========= */
+
+const EXPORT_THEME = 'light';   // 紙に印刷しても読める色
+
+// data-theme を付けた見えない要素を置いて、そのテーマのトークンを読む
+function exportColors(theme){
+  const probe = document.createElement('div');
+  probe.dataset.theme = theme;
+  probe.hidden = true;
+  document.body.appendChild(probe);
+  const colors = themeColors(probe);
+  probe.remove();
+  return colors;
+}
+
+// 描画関数を ctx に向けて呼ぶ (背景は theme の地の色で塗る)。描画関数が登録されていなければ false
+function renderTo(canvas, ctx, theme){
+  const state = plots.get(canvas);
+  if (!state?.options.redraw) return false;
+  const { width: W, height: H } = state.base;
+  const colors = exportColors(theme);
+  ctx.fillStyle = colors.surface;
+  ctx.fillRect(0, 0, W, H);
+  capture = { canvas, ctx, colors, W, H };
+  try {
+    state.options.redraw();
+  } finally {
+    capture = null;
+  }
+  return true;
+}
+
+/**
+ * グラフを SVG (ベクター画像) の文字列にする。大きさは HTML の width × height、ツールチップは含まない
+ * @param {HTMLCanvasElement} canvas - beginPlot で描いたグラフ
+ * @param {string} [theme='light'] - 色を読む data-theme
+ * @returns {?string} - 描画関数が登録されていなければ null
+ */
+export function exportPlotSvg(canvas, theme = EXPORT_THEME){
+  const state = plots.get(canvas);
+  if (!state) return null;
+  const ctx = createSvgContext(state.base.width, state.base.height, { idPrefix: canvas.id ? `${canvas.id}-` : '' });
+  return renderTo(canvas, ctx, theme) ? ctx.toSvg(canvas.getAttribute('aria-label') || '') : null;
+}
+
+/**
+ * グラフを PNG にする。HTML の width × height の scale 倍の解像度で描く
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} [options]
+ * @param {string} [options.theme='light']
+ * @param {number} [options.scale=2]
+ * @returns {Promise<?Blob>} - 描画関数が登録されていなければ null
+ */
+export function exportPlotPng(canvas, { theme = EXPORT_THEME, scale = 2 } = {}){
+  const state = plots.get(canvas);
+  if (!state) return Promise.resolve(null);
+  const image = document.createElement('canvas');
+  image.width = state.base.width * scale;
+  image.height = state.base.height * scale;
+  const ctx = image.getContext('2d');
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  if (!renderTo(canvas, ctx, theme)) return Promise.resolve(null);
+  return new Promise(resolve => image.toBlob(resolve, 'image/png'));
+}
+
+const escapeXml = (text) => String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+const num = (v) => String(Math.round(v * 100) / 100);
+
+// 文字幅の計測用 (SVG では測れないので Canvas に頼る)
+let measureCtx = null;
+
+/**
+ * Canvas 2D の描画命令 (グラフが使う範囲) を SVG の要素として記録する書き出し先
+ * パス・矩形・円弧・文字・破線・透明度・クリップ・平行移動と回転に対応する
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options]
+ * @param {string} [options.idPrefix=''] - クリップの id の接頭辞 (1つのページに複数の SVG を埋め込むときに重ならないように)
+ * @returns {Object} - CanvasRenderingContext2D と同じ名前のメソッド・プロパティと toSvg(title)
+ */
+export function createSvgContext(width, height, { idPrefix = '' } = {}){
+  const elements = [];
+  const defs = [];
+  let path = [];
+  const initial = () => ({
+    fillStyle: '#000', strokeStyle: '#000', lineWidth: 1, font: '10px sans-serif', textAlign: 'start',
+    textBaseline: 'alphabetic', globalAlpha: 1, dash: [], matrix: [1, 0, 0, 1, 0, 0], clip: null
+  });
+  let state = initial();
+  const stack = [];
+
+  // 今の変換行列で点を移す
+  const apply = (x, y) => {
+    const [a, b, c, d, e, f] = state.matrix;
+    return [a * x + c * y + e, b * x + d * y + f];
+  };
+  const multiply = ([a, b, c, d, e, f]) => {
+    const [A, B, C, D, E, F] = state.matrix;
+    state.matrix = [A * a + C * b, B * a + D * b, A * c + C * d, B * c + D * d, A * e + C * f + E, B * e + D * f + F];
+  };
+  const common = () => [
+    state.globalAlpha < 1 ? ` opacity="${num(state.globalAlpha)}"` : '',
+    state.clip ? ` clip-path="url(#${state.clip})"` : ''
+  ].join('');
+  const strokeAttrs = () => ` fill="none" stroke="${escapeXml(state.strokeStyle)}" stroke-width="${num(state.lineWidth)}"`
+    + (state.dash.length ? ` stroke-dasharray="${state.dash.map(num).join(' ')}"` : '');
+  const polygon = (x, y, w, h) => {
+    const points = [[x, y], [x + w, y], [x + w, y + h], [x, y + h]].map(([px, py]) => apply(px, py));
+    return `M${points.map(([px, py]) => `${num(px)} ${num(py)}`).join('L')}Z`;
+  };
+
+  const ctx = {
+    get fillStyle(){ return state.fillStyle; }, set fillStyle(v){ state.fillStyle = v; },
+    get strokeStyle(){ return state.strokeStyle; }, set strokeStyle(v){ state.strokeStyle = v; },
+    get lineWidth(){ return state.lineWidth; }, set lineWidth(v){ state.lineWidth = v; },
+    get font(){ return state.font; }, set font(v){ state.font = v; },
+    get textAlign(){ return state.textAlign; }, set textAlign(v){ state.textAlign = v; },
+    get textBaseline(){ return state.textBaseline; }, set textBaseline(v){ state.textBaseline = v; },
+    get globalAlpha(){ return state.globalAlpha; }, set globalAlpha(v){ state.globalAlpha = v; },
+    save(){ stack.push({ ...state, dash: [...state.dash], matrix: [...state.matrix] }); },
+    restore(){ if (stack.length) state = stack.pop(); },
+    setLineDash(dash){ state.dash = [...dash]; },
+    getLineDash(){ return [...state.dash]; },
+    setTransform(a, b, c, d, e, f){ state.matrix = [a, b, c, d, e, f]; },
+    translate(x, y){ multiply([1, 0, 0, 1, x, y]); },
+    rotate(angle){ multiply([Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]); },
+    scale(x, y){ multiply([x, 0, 0, y, 0, 0]); },
+    clearRect(){},
+    beginPath(){ path = []; },
+    closePath(){ path.push('Z'); },
+    moveTo(x, y){ const [px, py] = apply(x, y); path.push(`M${num(px)} ${num(py)}`); },
+    lineTo(x, y){ const [px, py] = apply(x, y); path.push(`${path.length ? 'L' : 'M'}${num(px)} ${num(py)}`); },
+    rect(x, y, w, h){ path.push(polygon(x, y, w, h)); },
+    // 回転・拡大は一様とみなす (グラフは平行移動と回転しか使わない)
+    arc(x, y, r, start, end, counterclockwise = false){
+      const [a, b] = state.matrix;
+      const k = Math.hypot(a, b), turn = Math.atan2(b, a);
+      const [cx, cy] = apply(x, y);
+      const R = r * k;
+      let sweep = end - start;
+      if (counterclockwise) sweep = -sweep;
+      const full = Math.abs(sweep) >= Math.PI * 2 - 1e-9;
+      const at = (angle) => [cx + R * Math.cos(angle + turn), cy + R * Math.sin(angle + turn)];
+      const [x0, y0] = at(start);
+      path.push(`${path.length ? 'L' : 'M'}${num(x0)} ${num(y0)}`);
+      if (full) {
+        // 1つの円弧では円を描けないので半円2つ
+        const [x1, y1] = at(start + Math.PI);
+        path.push(`A${num(R)} ${num(R)} 0 1 1 ${num(x1)} ${num(y1)}A${num(R)} ${num(R)} 0 1 1 ${num(x0)} ${num(y0)}`);
+        return;
+      }
+      const [x1, y1] = at(end);
+      const large = ((counterclockwise ? start - end : end - start) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2) > Math.PI ? 1 : 0;
+      path.push(`A${num(R)} ${num(R)} 0 ${large} ${counterclockwise ? 0 : 1} ${num(x1)} ${num(y1)}`);
+    },
+    fill(){
+      if (path.length) elements.push(`<path d="${path.join('')}" fill="${escapeXml(state.fillStyle)}"${common()}/>`);
+    },
+    stroke(){
+      if (path.length) elements.push(`<path d="${path.join('')}"${strokeAttrs()}${common()}/>`);
+    },
+    clip(){
+      const id = `${idPrefix}clip${defs.length}`;
+      defs.push(`<clipPath id="${id}"><path d="${path.join('')}"/></clipPath>`);
+      state.clip = id;
+    },
+    fillRect(x, y, w, h){
+      elements.push(`<path d="${polygon(x, y, w, h)}" fill="${escapeXml(state.fillStyle)}"${common()}/>`);
+    },
+    strokeRect(x, y, w, h){
+      elements.push(`<path d="${polygon(x, y, w, h)}"${strokeAttrs()}${common()}/>`);
+    },
+    fillText(text, x, y){
+      const anchor = { center: 'middle', right: 'end', end: 'end' }[state.textAlign] || 'start';
+      const baseline = { top: 'hanging', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge' }[state.textBaseline];
+      const [a, b, c, d, e, f] = state.matrix;
+      const transform = a === 1 && b === 0 && c === 0 && d === 1 ? '' : ` transform="matrix(${[a, b, c, d, e, f].map(v => Number(v.toFixed(4))).join(' ')})"`;
+      const [px, py] = transform ? [x, y] : apply(x, y);
+      elements.push(`<text x="${num(px)}" y="${num(py)}"${transform} fill="${escapeXml(state.fillStyle)}" text-anchor="${anchor}"`
+        + (baseline ? ` dominant-baseline="${baseline}"` : '') + ` style="font:${escapeXml(state.font)}"${common()}>${escapeXml(text)}</text>`);
+    },
+    measureText(text){
+      measureCtx = measureCtx || document.createElement('canvas').getContext('2d');
+      measureCtx.font = state.font;
+      return measureCtx.measureText(text);
+    },
+    /**
+     * 記録した描画を SVG 文書にする
+     * @param {string} [title] - 画像の説明 (title 要素)
+     * @returns {string}
+     */
+    toSvg(title = ''){
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + (title ? `<title>${escapeXml(title)}</title>` : '')
+        + (defs.length ? `<defs>${defs.join('')}</defs>` : '')
+        + elements.join('') + '</svg>\n';
+    }
+  };
+  return ctx;
+}
@@ -0,0 +1,181 @@
+/**
+ * quiz - 確認クイズの出題
+ *
+ * 問題集 (data/quiz-bank.json) の1問の定義から、params の値を選んで問題文・選択肢・解説の {式} を
+ * 計算結果に置き換えた問題を作る。表示 (DOM) と採点は script.js が行う。
+ * DOM に依存しないので node --test で問題集全体を確認できる
+ *
+ * @example
+ * instantiateQuestion({ id: 'si-power', type: 'choice', params: { k: { min: 1, max: 10 } },
+ *   text: '確率 1/{2^k} の情報量は？', answer: '{k} bit', choices: ['{2^k} bit', …], explanation: '…' });
+ * // { id: 'si-power', text: '確率 1/8 の情報量は？', answerText: '3 bit', choices: ['8 bit', '3 bit', …], … }
+ *
+ * @module quiz
+ */
+import { log2, binaryEntropy } from './infoquantity.mjs';
+
+/** 選択式の選択肢数 (正解 1 + 誤答) */
+export const QUIZ_CHOICES = 4;
+const QUIZ_DEFAULT_TOLERANCE = 0.01;
+const QUIZ_MAX_TRIES = 50;        // where 条件を満たす値を探す上限
+
+// 式で使える関数 (h は2値エントロピー関数)
+const QUIZ_FUNCTIONS = {
+  log2, ln: Math.log, log10: Math.log10, sqrt: Math.sqrt, abs: Math.abs,
+  round: Math.round, floor: Math.floor, min: Math.min, max: Math.max,
+  h: (p) => (p > 0 && p < 1) ? binaryEntropy(p) : 0
+};
+
+/**
+ * 四則演算・累乗・関数呼び出しからなる式を評価 (eval は使わない)
+ * @param {string} src - 式 (例: "-log2(p)", "2^(a+b)")
+ * @param {Object<string, number>} vars - 変数の値
+ * @returns {number}
+ * @throws {Error} 式の誤り (問題集を書く人向けなので訳さない)
+ */
+export function evalQuizExpression(src, vars){
+  const tokens = src.match(/\d*\.?\d+(?:e[+-]?\d+)?|[A-Za-z_]\w*|[-+*/^(),]|\S/g) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const expect = (t) => {
+    if (tokens[pos] !== t) throw new Error(`Malformed expression: ${src}`);
+    pos++;
+  };
+  const parseExpr = () => {
+    let v = parseTerm();
+    while (peek() === '+' || peek() === '-') v = tokens[pos++] === '+' ? v + parseTerm() : v - parseTerm();
+    return v;
+  };
+  const parseTerm = () => {
+    let v = parseUnary();
+    while (peek() === '*' || peek() === '/') v = tokens[pos++] === '*' ? v * parseUnary() : v / parseUnary();
+    return v;
+  };
+  const parseUnary = () => {
+    if (peek() === '-') { pos++; return -parseUnary(); }
+    if (peek() === '+') { pos++; return parseUnary(); }
+    return parsePower();
+  };
+  // 累乗は右結合 (2^3^2 = 2^9)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^') { pos++; return Math.pow(base, parseUnary()); }
+    return base;
+  };
+  const parsePrimary = () => {
+    const t = tokens[pos++];
+    if (t === undefined) throw new Error(`Unexpected end of expression: ${src}`);
+    if (t === '(') { const v = parseExpr(); expect(')'); return v; }
+    if (/^\d*\.?\d/.test(t)) return Number(t);
+    if (/^[A-Za-z_]/.test(t)) {
+      if (peek() === '(') {
+        const fn = QUIZ_FUNCTIONS[t];
+        if (!fn) throw new Error(`Unknown function: ${t}`);
+        pos++;
+        const args = [parseExpr()];
+        while (peek() === ',') { pos++; args.push(parseExpr()); }
+        expect(')');
+        return fn(...args);
+      }
+      if (!(t in vars)) throw new Error(`Undefined variable: ${t}`);
+      return vars[t];
+    }
+    throw new Error(`Malformed expression: ${src}`);
+  };
+  const v = parseExpr();
+  if (pos !== tokens.length) throw new Error(`Malformed expression: ${src}`);
+  return v;
+}
+
+// 問題文用の数値表示 (整数はそのまま、小数は末尾の0を省く)
+export function formatQuizNumber(v, digits = 3){
+  if (!Number.isFinite(v)) return '∞';
+  if (Math.abs(v - Math.round(v)) < 1e-9) return String(Math.round(v));
+  return String(Number(v.toFixed(digits)));
+}
+
+// テンプレートの {式} または {式|桁数} を置き換える
+export const fillQuizTemplate = (text, vars) =>
+  text.replace(/\{([^{}|]+)(?:\|(\d))?\}/g, (_, expr, digits) =>
+    formatQuizNumber(evalQuizExpression(expr, vars), digits ? Number(digits) : undefined));
+
+const randomItem = (list, rng) => list[Math.floor(rng() * list.length)];
+
+/**
+ * 配列を並べ替えた複製 (Fisher–Yates)
+ * @param {Array} list
+ * @param {function(): number} [rng=Math.random]
+ * @returns {Array}
+ */
+export function shuffle(list, rng = Math.random){
+  const a = list.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+/**
+ * params の値を選ぶ
+ * 配列: いずれか1つ / {min, max, step}: 範囲内の値 / 文字列: 他の変数から計算
+ * @param {Object} params - 問題の params 定義
+ * @param {string} [where] - 満たすべき条件式 (0 以外なら採用)
+ * @param {function(): number} rng
+ * @returns {Object<string, number>}
+ */
+function drawQuizParams(params = {}, where, rng){
+  for (let tries = 0; tries < QUIZ_MAX_TRIES; tries++) {
+    const vars = {};
+    Object.entries(params).forEach(([name, spec]) => {
+      if (Array.isArray(spec)) vars[name] = randomItem(spec, rng);
+      else if (typeof spec === 'string') vars[name] = evalQuizExpression(spec, vars);
+      else {
+        const step = spec.step || 1;
+        const count = Math.floor((spec.max - spec.min) / step + 1e-9) + 1;
+        vars[name] = Number((spec.min + step * Math.floor(rng() * count)).toFixed(10));
+      }
+    });
+    if (!where || evalQuizExpression(where, vars)) return vars;
+  }
+  throw new Error(`No params satisfy where: ${where}`);
+}
+
+/**
+ * 問題の定義から出題用の問題を生成
+ * @param {Object} def - 問題集の1問
+ * @param {function(): number} [rng=Math.random] - 値・選択肢の並びを選ぶ乱数
+ * @returns {Object} - text, explanation と、選択式なら choices / 数値式なら answer, tolerance
+ * @throws {Error} 生成できない問題 (メッセージに問題の id を含める)
+ */
+export function instantiateQuestion(def, rng = Math.random){
+  try {
+    return buildQuestion(def, rng);
+  } catch (e) {
+    throw new Error(`Quiz question "${def.id}": ${e.message}`);
+  }
+}
+
+// instantiateQuestion の本体 (例外は呼び出し元で問題の id を添える)
+function buildQuestion(def, rng){
+  const vars = drawQuizParams(def.params, def.where, rng);
+  const q = {
+    id: def.id,
+    topic: def.topic,
+    type: def.type,
+    text: fillQuizTemplate(def.text, vars),
+    explanation: fillQuizTemplate(def.explanation, vars)
+  };
+  if (def.type === 'numeric') {
+    q.answer = evalQuizExpression(def.answer, vars);
+    q.tolerance = def.tolerance ?? QUIZ_DEFAULT_TOLERANCE;
+    q.unit = def.unit || '';
+  } else {
+    const answer = fillQuizTemplate(def.answer, vars);
+    // 正解と重複する・互いに重複する誤答は除いてから選ぶ
+    const distractors = [...new Set(def.choices.map(c => fillQuizTemplate(c, vars)))].filter(c => c !== answer);
+    q.answerText = answer;
+    q.choices = shuffle([answer, ...shuffle(distractors, rng).slice(0, QUIZ_CHOICES - 1)], rng);
+  }
+  return q;
+}
@@ -8,18 +8,159 @@
  * - ライト/ダークモード切り替え
  * - Canvas 2D による数学的グラフ描画
  *
- * 技術スタック: Vanilla JavaScript, HTML5 Canvas, CSS Custom Properties
+ * 技術スタック: Vanilla JavaScript (ES Modules), HTML5 Canvas, CSS Custom Properties
+ * 計算そのものは DOM に依存しない infoquantity.mjs に分離している
  */
+import {
+  INFO_UNITS, log2, convertInfo, isProbability, information, jointInformation, apartmentInformation, hierarchicalInformation,
+  entropy, entropyTerm, binaryEntropy, normalize, jointEntropies, divergences, channelJoint, channelCapacity, huffmanLengths, huffmanSplit,
+  hammingEncode, hammingDecode, repetitionDecode, repetitionErrorRate, hammingErrorRate,
+  ngramModel, ngramEntropyRate, generateFromNgram, guessingBounds, linearRegression, seededRandom, sampleIndex,
+  passwordEntropy, averageGuesses, log2Factorial, binomial,
+  toSuperscript, makeFraction, fractionLog2, addFractions, multiplyFractions, fractionString, parseProbability, negLogChain
+} from './infoquantity.mjs';
+import { createTranslator, createNumberFormatter, createIntegerFormatter } from './i18n.mjs';
+import { niceDomain, beginPlot, endPlot, redrawPlots, zoomPlot, resetPlotView, createFrame, drawAxes, drawCurve, exportPlotSvg, exportPlotPng } from './plot.mjs';
+import { generateWorksheet } from './worksheet.mjs';
+import { instantiateQuestion, formatQuizNumber, shuffle } from './quiz.mjs';
+import ja from './locales/ja.mjs';
+import en from './locales/en.mjs';
+
+/* ========= 表示言語 ========= */
+// 言語ごとのリソースバンドル (locales/*.mjs)。原文は index.html と日本語バンドルで、訳のないキーは日本語で表示する
+const LOCALES = { ja, en };
+const LANG_KEY = 'infoquantity-lang';
+let locale = ja;
+let t = createTranslator(ja);
+let formatNumber = createNumberFormatter(ja.numberLocale);
+let formatInteger = createIntegerFormatter(ja.numberLocale);
+
+/**
+ * 表示言語を切り替える (翻訳関数と数値の書式、<html lang>)。画面の再描画は setLanguage が行う
+ * @param {string} lang - LOCALES のキー
+ * @returns {boolean} - 切り替えたら true (不明な言語は無視)
+ */
+function useLocale(lang){
+  if (!Object.hasOwn(LOCALES, lang)) return false;
+  locale = LOCALES[lang];
+  t = createTranslator(locale, ja);
+  formatNumber = createNumberFormatter(locale.numberLocale);
+  formatInteger = createIntegerFormatter(locale.numberLocale);
+  document.documentElement.lang = locale.lang;
+  return true;
+}
+
+// index.html の原文 (data-i18n の innerHTML と data-i18n-attr の属性値)。日本語に戻すときに使う
+const i18nSource = new WeakMap();
+
+// index.html の静的な文言を選択中の言語に置き換える (訳のないキーは原文のまま)
+function applyStaticTranslations(){
+  const messages = locale.html || {};
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    if (!i18nSource.has(el)) i18nSource.set(el, { html: el.innerHTML });
+    el.innerHTML = messages[el.dataset.i18n] ?? i18nSource.get(el).html;
+  });
+  document.querySelectorAll('[data-i18n-attr]').forEach(el => {
+    if (!i18nSource.has(el)) i18nSource.set(el, {});
+    const source = i18nSource.get(el);
+    // 形式: "title=app.copyLinkStateTooltip;aria-label=app.copyLinkStateLabel"
+    el.dataset.i18nAttr.split(';').forEach(spec => {
+      const [attr, key] = spec.split('=');
+      if (!Object.hasOwn(source, attr)) source[attr] = el.getAttribute(attr);
+      el.setAttribute(attr, messages[key] ?? source[attr]);
+    });
+  });
+}
+
+// JS が書き込むメッセージ (要素 → キーと引数)。言語を切り替えたら同じメッセージを訳し直す
+const i18nMessages = new Map();
+
+/**
+ * 要素にメッセージを表示し、言語の切り替えで訳し直せるよう記録する
+ * @param {HTMLElement} el
+ * @param {string} key - メッセージのキー
+ * @param {Object} [params] - 埋め込む値 (表示用に書式を整えた文字列)
+ */
+function setMessage(el, key, params){
+  i18nMessages.set(el, { key, params });
+  el.textContent = t(key, params);
+}
+
+function refreshMessages(){
+  i18nMessages.forEach(({ key, params }, el) => { el.textContent = t(key, params); });
+}
+
+useLocale(localStorage.getItem(LANG_KEY) || 'ja');
+applyStaticTranslations();
 
 /* ========= ユーティリティ関数 ========= */
 // 値を指定範囲内にクランプ
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 
-// 2を底とする対数計算 (情報量計算の基本)
-const log2 = (x) => Math.log(x) / Math.log(2);
+// 数値の表示用フォーマット (有限数のみ小数点表示、小数点の記号は表示言語に従う)
+const fmt = (x, d=4) => formatNumber(x, d);
+
+// 整数 (回数・個数など) の表示用フォーマット (表示言語の桁区切り)
+const fmtInt = (n) => formatInteger(n);
+
+// 添字表記 (x₁, x₂, ...)
+const toSubscript = (n) => String(n).replace(/\d/g, d => '₀₁₂₃₄₅₆₇₈₉'[d]);
+
+/**
+ * Blob をファイルとして保存させる (ファイル名は name の後ろに今日の日付を付ける)
+ * @param {Blob} blob
+ * @param {string} name - 例: 'infoquantity-progress' → infoquantity-progress-2025-01-31.json
+ * @param {string} extension - 例: 'json'
+ */
+function downloadFile(blob, name, extension){
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${name}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  a.click();
+  // click の直後に解放するとダウンロードが始まらないブラウザーがあるので、次のタスクで解放する
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+/* ========= 情報量の単位 (対数の底) ========= */
+// 計算は bit (底2) で行い、表示・グラフ・途中式で選択中の単位に変換する
+// 単位の一覧 INFO_UNITS は infoquantity.mjs (dit と hartley は同じ単位の別名)
+let infoUnit = INFO_UNITS.bit;
+
+// bit 単位の値を選択中の単位に変換 (1 bit = ln 2 nat = log₁₀ 2 hartley)
+const toUnit = (bits) => convertInfo(bits, infoUnit.name);
+
+// 選択中の単位での値と単位名
+const fmtInfo = (bits, d=4) => `${fmt(toUnit(bits), d)} ${infoUnit.name}`;
+
+/**
+ * 底の変換の説明行 (bit 以外の単位のときのみ)
+ * @param {number} bits - bit 単位の値
+ * @param {string} [indent] - 行頭の字下げ
+ * @returns {string} - 途中式に追記する文字列 (bit のときは空文字)
+ */
+function changeOfBaseLine(bits, indent = ''){
+  if (infoUnit === INFO_UNITS.bit || !Number.isFinite(bits)) return '';
+  const L = infoUnit.log;
+  return `\n${indent}${t('unit.changeOfBase', { log: L, bits: fmt(bits,6), factor: fmt(toUnit(1),6), value: fmt(toUnit(bits),6), unit: infoUnit.name })}`;
+}
+
+/**
+ * bit で計算した値に、選択中の単位での値を括弧書きで添える (bit 選択時は空文字)
+ * @param {number} bits - 情報量 (bit)
+ * @param {number} [d=4] - 小数点以下の桁数
+ * @returns {string}
+ */
+const unitAside = (bits, d = 4) =>
+  infoUnit === INFO_UNITS.bit || !Number.isFinite(bits) ? '' : t('unit.aside', { value: fmtInfo(bits, d) });
 
-// 数値の表示用フォーマット (有限数のみ小数点表示)
-const fmt = (x, d=4) => (Number.isFinite(x) ? x.toFixed(d) : "—");
+/* ========= 分数・べき乗による厳密な表現 ========= */
+// 確率の入力欄は 1/8, 2^-3, 0.125 のような表記を受け付ける (解釈は infoquantity.mjs の parseProbability)
+
+// 確率の入力欄の値 (解釈できなければ 0、1 を超える値は 1 に丸める)
+function readProbability(el){
+  const f = parseProbability(el.value) || makeFraction(0n, 1n);
+  return f.num > f.den ? { ...makeFraction(1n, 1n), src: f.src } : f;
+}
 
 /* ========= テーマ切り替えシステム ========= */
 const themeToggle = document.getElementById('theme-toggle');
@@ -41,23 +182,81 @@ themeToggle.addEventListener('click', () => {
   localStorage.setItem('theme', newTheme);
   themeIcon.textContent = newTheme === 'light' ? '🌙' : '☀️';
 
-  // Canvas描画はテーマ依存のため再描画が必要
-  if (document.querySelector('.panel.active').id === 'tab-def') {
-    drawILog();
-    drawCompare();
-  }
+  // Canvas のグラフの色はテーマのトークンから読むため描き直す
+  redrawPlots();
 });
 
+/* ========= 新機能: アクセシビリティ (グラフのデータ表と結果の読み上げ) ========= */
+// Canvas のグラフは見た目でしか値を伝えないため、描画と同じ値の表をグラフ直後の <details> に置く
+const graphTables = new Map();  // canvas の id → 表 (<table>)
+const GRAPH_TABLE_PS = [1, 0.75, 0.5, 0.25, 0.125, 0.0625, 0.01, 0.001];  // I = -log P の曲線の表に載せる P
+
+/**
+ * グラフの「データを表で表示」に値を書き込む (最初の呼び出しでグラフの直後に表を作る)
+ * @param {string} canvasId
+ * @param {string[]} headers - 列見出し
+ * @param {Array<Array<string|number>>} rows - 表示用に書式を整えた値 (空ならデータなしと表示)
+ */
+function setGraphTable(canvasId, headers, rows){
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) return;
+  if (!graphTables.has(canvasId)) {
+    const details = Object.assign(document.createElement('details'), { className: 'graph-data' });
+    const summary = document.createElement('summary');
+    setMessage(summary, 'a11y.graphData');
+    const table = Object.assign(document.createElement('table'), { className: 'crypto-table' });
+    details.append(summary, table);
+    canvas.after(details);
+    graphTables.set(canvasId, table);
+  }
+  const table = graphTables.get(canvasId);
+  table.innerHTML = '';
+  const head = table.createTHead().insertRow();
+  headers.forEach(text => head.appendChild(Object.assign(document.createElement('th'), { scope: 'col', textContent: text })));
+  const body = table.createTBody();
+  if (!rows.length) {
+    body.insertRow().appendChild(Object.assign(document.createElement('td'), { colSpan: headers.length, textContent: t('a11y.noData') }));
+    return;
+  }
+  rows.forEach(cells => {
+    const tr = body.insertRow();
+    cells.forEach(text => { tr.insertCell().textContent = text; });
+  });
+}
+
+// 計算結果の読み上げ (aria-live)。入力中に続けて変わったときは最後の結果だけを読む
+const announcerEl = document.getElementById('sr-announcer');
+let announceTimer = null;
+
+/**
+ * 計算結果が変わったことをスクリーンリーダーに伝える
+ * 利用者がその結果と同じタブを操作しているときだけ読む (初期表示や単位・言語の切り替えによる再計算は読まない)
+ * @param {HTMLElement} sourceEl - 結果を表示している要素
+ * @param {string} message
+ */
+function announce(sourceEl, message){
+  const panel = sourceEl.closest('.panel');
+  if (!panel || !panel.contains(document.activeElement)) return;
+  clearTimeout(announceTimer);
+  announceTimer = setTimeout(() => { announcerEl.textContent = message; }, 500);
+}
+
 /* ========= タブナビゲーション制御 ========= */
-// 5つのタブ間での切り替え処理
+// WAI-ARIA のタブパターン: 選択中のタブだけを Tab キーの移動先にし (roving tabindex)、タブ間は矢印キーで移動する
 document.querySelectorAll('.tab').forEach(btn=>{
   btn.addEventListener('click', ()=>{
     // 全タブのアクティブ状態をリセット
-    document.querySelectorAll('.tab').forEach(b=>b.classList.remove('active'));
+    document.querySelectorAll('.tab').forEach(b=>{
+      b.classList.remove('active');
+      b.setAttribute('aria-selected', 'false');
+      b.tabIndex = -1;
+    });
     document.querySelectorAll('.panel').forEach(p=>p.classList.remove('active'));
 
     // 選択されたタブをアクティブ化
     btn.classList.add('active');
+    btn.setAttribute('aria-selected', 'true');
+    btn.tabIndex = 0;
     document.getElementById(btn.dataset.tab).classList.add('active');
 
     // 定義タブ: Canvas要素が含まれるため描画更新が必要
@@ -68,76 +267,67 @@ document.querySelectorAll('.tab').forEach(btn=>{
   });
 });
 
+// ←→ で隣のタブ (端では反対側へ)、Home / End で最初・最後のタブへ移動して表示する
+document.querySelector('.tabs').addEventListener('keydown', (e)=>{
+  const tabs = Array.from(document.querySelectorAll('.tab'));
+  const idx = tabs.indexOf(e.target);
+  if (idx < 0) return;
+  const next = { ArrowRight: idx + 1, ArrowLeft: idx - 1, Home: 0, End: tabs.length - 1 }[e.key];
+  if (next === undefined) return;
+  e.preventDefault();
+  const target = tabs[(next + tabs.length) % tabs.length];
+  target.focus();
+  target.click();
+});
+
 /* ========= 1. 定義タブ: グラフ描画機能 ========= */
 
+// グラフのツールチップ用: 小さな確率は指数表記
+const fmtSmallP = (P) => P > 0 && P < 1e-3 ? P.toExponential(2) : fmt(P, 4);
+const ILOG_P_MIN = 1e-6;    // 対数目盛りで拡大できる P の下限
+const ILOG_RISE = 256;      // 縦軸の上端: 表示範囲の右端の 1/256 の確率 (右端から 8 bit 上) まで
+
 /**
  * 情報量グラフ I = -log₂ P の描画
- * 横軸: 確率P (0 < P ≤ 1)
- * 縦軸: 情報量I (0 ≤ I ≤ 8bit)
+ * 横軸: 確率P (0 < P ≤ 1)。P→0 付近はホイール・ボタンで拡大するか対数目盛りで見る
+ * 縦軸: 情報量I (表示範囲に合わせて自動で目盛りを決める)
  */
 function drawILog(){
   const canvas = document.getElementById('canvas-logI');
   if(!canvas) return;
-  const ctx = canvas.getContext('2d');
-  const W = canvas.width, H = canvas.height;
-  ctx.clearRect(0,0,W,H);
-
-  // テーマ依存の色設定
-  const isDark = html.getAttribute('data-theme') !== 'light';
-  ctx.fillStyle = isDark ? '#dfe9ff' : '#495057';
+  const logScale = document.getElementById('logI-logscale')?.checked;
+  const I = (P) => toUnit(-log2(P));
+  const { ctx, W, H, colors, view } = beginPlot(canvas, {
+    redraw: drawILog,
+    zoom: logScale
+      ? { type: 'log', domain: [ILOG_P_MIN, 1], limits: [ILOG_P_MIN, 1], minSpan: Math.LN10 }
+      : { type: 'linear', domain: [0, 1], limits: [0, 1], minSpan: 1e-6 },
+    hover: (P) => P > 0 ? { x: P, y: I(P), lines: [`P = ${fmtSmallP(P)}`, `I = ${fmtInfo(-log2(P), 3)}`] } : null
+  });
   ctx.font = '12px ui-monospace, monospace';
-  ctx.strokeStyle = isDark ? '#2a3b57' : '#6c757d';
-  ctx.lineWidth = 1.2;
-
-  // 描画エリアの境界線
-  ctx.strokeRect(40, 20, W-60, H-60);
-
-  // 軸ラベル
-  ctx.fillText('P', W-18, H-36);
-  ctx.fillText('I=-log₂P', 50, 18);
-
-  // 情報量曲線の描画 P ∈ (0,1]
-  const left = 40, top = 20, w = W-60, h = H-60;
-  const Imax = 8; // 表示上限: P→0で情報量は無限大だが8bitでキャップ
-
-  ctx.beginPath();
-  for(let i=0;i<=w;i++){
-    const P = clamp(i/w, 1e-6, 1); // P=0を避けるため最小値設定
-    const I = -log2(P);
-    const y = top + h - Math.min(I, Imax) / Imax * h;
-    const x = left + i;
-    if(i===0) ctx.moveTo(x,y); else ctx.lineTo(x,y);
-  }
-  // テーマ対応の曲線色
-  ctx.strokeStyle = isDark ? '#5aa9ff' : '#0066cc';
-  ctx.lineWidth = 2;
-  ctx.stroke();
 
-  // ticks for P
-  ctx.fillStyle = isDark ? '#9fb0c3' : '#6c757d';
-  const ticks = [0.0,0.25,0.5,0.75,1.0];
-  ticks.forEach(t=>{
-    const x = left + t*w;
-    ctx.beginPath();
-    ctx.moveTo(x, top+h);
-    ctx.lineTo(x, top+h+5);
-    ctx.strokeStyle = isDark ? '#344665' : '#6c757d';
-    ctx.lineWidth = 1;
-    ctx.stroke();
-    ctx.fillText(t.toFixed(2), x-10, top+h+18);
+  // 縦軸: 右端の P での値から、その 1/256 の確率 (対数目盛りでは左端) での値まで
+  const Plow = logScale ? view[0] : Math.max(view[0], view[1] / ILOG_RISE);
+  const frame = createFrame({ left: 48, top: 20, width: W - 68, height: H - 60 },
+    { domain: view, type: logScale ? 'log' : 'linear' }, { domain: niceDomain(I(view[1]), I(Plow), 4) });
+  drawAxes(ctx, frame, colors, {
+    xFormat: logScale ? undefined : (v, digits) => fmt(v, digits),
+    yFormat: (v, digits) => fmt(v, digits),
+    xLabel: 'P', yLabel: `I=-${infoUnit.log}P [${infoUnit.name}]`
   });
-  // ticks for I
-  for(let k=0;k<=Imax;k+=2){
-    const y = top + h - (k/Imax)*h;
-    ctx.beginPath();
-    ctx.moveTo(left-5, y);
-    ctx.lineTo(left, y);
-    ctx.strokeStyle = isDark ? '#344665' : '#6c757d';
-    ctx.stroke();
-    ctx.fillText(String(k), 8, y+4);
-  }
+  drawCurve(ctx, frame, I, { color: colors.line });
+  endPlot(canvas, frame);
+
+  setGraphTable('canvas-logI', ['P', `I = -${infoUnit.log} P [${infoUnit.name}]`],
+    GRAPH_TABLE_PS.map(P => [fmt(P, 4), fmt(toUnit(-log2(P)), 4)]));
 }
 
+document.getElementById('logI-logscale')?.addEventListener('change', drawILog);
+// 拡大は左端 (P の小さい側) を固定して P→0 へ寄っていく
+document.getElementById('logI-zoom-in')?.addEventListener('click', () => zoomPlot(document.getElementById('canvas-logI'), 0.5, 0));
+document.getElementById('logI-zoom-out')?.addEventListener('click', () => zoomPlot(document.getElementById('canvas-logI'), 2, 0));
+document.getElementById('logI-reset')?.addEventListener('click', () => resetPlotView(document.getElementById('canvas-logI')));
+
 /**
  * 比較グラフの描画: y=a^x, y=x, y=log_a(x)
  * 指数関数・一次関数・対数関数の関係性を視覚化
@@ -147,98 +337,267 @@ function drawCompare(){
   const a = Number(document.getElementById('cmp-base')?.value || 2);
   const canvas = document.getElementById('canvas-compare');
   if(!canvas) return;
-  const ctx = canvas.getContext('2d');
-  const W = canvas.width, H = canvas.height;
-  ctx.clearRect(0,0,W,H);
-
-  // テーマ判定
-  const isDark = html.getAttribute('data-theme') !== 'light';
-
-  // coordinate box for x in [0,4], y in [-4,16] to show exponential growth and negative log values
-  const left = 40, top = 20, w = W-60, h = H-60;
-  const xmin=0, xmax=4, ymin=-4, ymax=16;
-  const X = x => left + (x - xmin) / (xmax - xmin) * w;
-  const Y = y => top + (ymax - y) / (ymax - ymin) * h;
+  const curves = [
+    [`y = ${a}^x`, x => Math.pow(a, x), 'exp'],
+    ['y = x', x => x, 'lin'],
+    [`y = log_${a} x`, x => Math.log(x) / Math.log(a), 'log']
+  ];
+  const { ctx, W, H, colors } = beginPlot(canvas, {
+    redraw: drawCompare,
+    // 十字線はポインターに最も近い曲線の上に置き、ツールチップには3つの値を並べる
+    hover: (x, y) => {
+      const values = curves.map(([, f]) => f(x));
+      const nearest = values.reduce((best, v, i) => Math.abs(v - y) < Math.abs(values[best] - y) ? i : best, 0);
+      return { x, y: values[nearest], lines: [`x = ${fmt(x, 2)}`, ...curves.map(([label], i) => `${label} = ${fmt(values[i], 3)}`)] };
+    }
+  });
+  ctx.font = '12px ui-monospace, monospace';
 
-  // axes
-  ctx.strokeStyle = isDark ? '#2a3b57' : '#6c757d';
-  ctx.lineWidth = 1.2;
-  ctx.strokeRect(left, top, w, h);
+  const frame = createFrame({ left: 40, top: 20, width: W - 60, height: H - 60 }, { domain: [0, 4] }, { domain: [-4, 16] });
+  drawAxes(ctx, frame, colors, { xCount: 4, yCount: 10, xLabel: 'x', yLabel: 'y' });
 
-  // draw x-axis at y=0
-  const y0 = Y(0);
-  ctx.beginPath();
-  ctx.moveTo(left, y0);
-  ctx.lineTo(left + w, y0);
-  ctx.strokeStyle = isDark ? '#344665' : '#adb5bd';
+  // y = 0 の横軸
+  ctx.strokeStyle = colors.grid;
   ctx.lineWidth = 0.5;
-  ctx.stroke();
-
-  // draw y-axis at x=0
   ctx.beginPath();
-  ctx.moveTo(left, top);
-  ctx.lineTo(left, top + h);
-  ctx.strokeStyle = isDark ? '#344665' : '#adb5bd';
-  ctx.lineWidth = 0.5;
+  ctx.moveTo(frame.left, frame.y(0));
+  ctx.lineTo(frame.left + frame.width, frame.y(0));
   ctx.stroke();
 
-  ctx.fillStyle = isDark ? '#9fb0c3' : '#6c757d';
-  ctx.font = '12px ui-monospace, monospace';
-  // x ticks
-  for(let t=0;t<=4;t++){
-    let x = X(t);
-    ctx.beginPath(); ctx.moveTo(x, y0); ctx.lineTo(x, y0+5); ctx.strokeStyle='#344665'; ctx.stroke();
-    ctx.fillText(String(t), x-4, y0+18);
-  }
-  // y ticks
-  for(let t=-4;t<=16;t+=2){
-    let y = Y(t);
-    ctx.beginPath(); ctx.moveTo(left-5, y); ctx.lineTo(left, y); ctx.strokeStyle='#344665'; ctx.stroke();
-    ctx.fillText(String(t), t >= 10 || t <= -2 ? 6 : 12, y+4);
-  }
-  ctx.fillStyle = isDark ? '#dfe9ff' : '#495057';
-  ctx.fillText('x', X(4.2), y0);
-  ctx.fillText('y', X(0), Y(16.5));
-
-  // y = a^x
-  ctx.beginPath();
-  let expStarted = false;
-  for(let i=0;i<=400;i++){
-    const x = xmin + (i/400)*(xmax - xmin);
-    let y = Math.pow(a,x);
-    // Only draw the part that's within the visible range
-    if(y > ymax) continue;
-    if(y < ymin) continue;
-    const px = X(x), py = Y(y);
-    if(!expStarted){ ctx.moveTo(px,py); expStarted=true; } else ctx.lineTo(px,py);
-  }
-  ctx.strokeStyle = isDark ? '#7aa6ff' : '#4d7fff';
-  ctx.lineWidth = 2; ctx.stroke();
-
-  // y = x
-  ctx.beginPath();
-  ctx.moveTo(X(0), Y(0));
-  ctx.lineTo(X(4), Y(4));
-  ctx.strokeStyle = isDark ? '#ffd166' : '#ffc107'; ctx.lineWidth = 2; ctx.stroke();
+  curves.forEach(([, f, color]) => drawCurve(ctx, frame, f, { color: colors[color] }));
+  endPlot(canvas, frame);
 
-  // y = log_a x
-  ctx.beginPath();
-  let started=false;
-  for(let i=1;i<=400;i++){ // start from i=1 to avoid x=0
-    const x = xmin + (i/400)*(xmax - xmin);
-    if(x<=0) continue;
-    let y = Math.log(x)/Math.log(a);
-    // don't clamp to show full logarithm curve including negative values
-    if(y < ymin || y > ymax) continue; // skip points outside view
-    const px = X(x), py = Y(y);
-    if(!started){ ctx.moveTo(px,py); started=true; } else ctx.lineTo(px,py);
-  }
-  ctx.strokeStyle = isDark ? '#4dd0e1' : '#17a2b8'; ctx.lineWidth = 2; ctx.stroke();
+  setGraphTable('canvas-compare', ['x', `y = ${a}^x`, 'y = x', `y = log_${a} x`],
+    [0.25, 0.5, 1, 2, 3, 4].map(x => [fmt(x, 2), fmt(Math.pow(a, x), 3), fmt(x, 2), fmt(Math.log(x) / Math.log(a), 3)]));
 }
 
 document.getElementById('cmp-base')?.addEventListener('input', drawCompare);
 window.addEventListener('load', ()=>{ drawILog(); drawCompare(); });
 
+/* ========= 新機能: 情報量の曲線を音で聞く ========= */
+// グラフを左から右へ読むように P を 1/256 → 1 と動かし、I = -log₂ P を音の高さにする
+// 周波数は 220 × 2^(I/2) Hz (2 bit で1オクターブ、8 bit で 3520 Hz)。情報量が大きいほど高い音
+const SONIFY_SECONDS = 4;
+let sonifyCtx = null;
+let sonifyOsc = null;
+
+function sonifyLogI(){
+  const status = document.getElementById('sonify-status');
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) {
+    setMessage(status, 'sonify.unsupported');
+    return;
+  }
+  if (sonifyOsc) { sonifyOsc.onended = null; sonifyOsc.stop(); }
+  sonifyCtx = sonifyCtx || new AudioContextClass();
+
+  const steps = 256;
+  const freqs = new Float32Array(steps);
+  for (let i = 0; i < steps; i++) {
+    const P = 1 / 256 + (1 - 1 / 256) * i / (steps - 1);
+    freqs[i] = 220 * Math.pow(2, -log2(P) / 2);
+  }
+  const now = sonifyCtx.currentTime;
+  const osc = sonifyCtx.createOscillator();
+  const gain = sonifyCtx.createGain();
+  osc.type = 'sine';
+  osc.frequency.setValueCurveAtTime(freqs, now, SONIFY_SECONDS);
+  // 始まりと終わりのプツッという音を避けるため音量をなめらかに上げ下げする
+  gain.gain.setValueAtTime(0, now);
+  gain.gain.linearRampToValueAtTime(0.2, now + 0.05);
+  gain.gain.setValueAtTime(0.2, now + SONIFY_SECONDS - 0.1);
+  gain.gain.linearRampToValueAtTime(0, now + SONIFY_SECONDS);
+  osc.connect(gain).connect(sonifyCtx.destination);
+  osc.onended = () => {
+    sonifyOsc = null;
+    setMessage(status, 'sonify.done');
+  };
+  osc.start(now);
+  osc.stop(now + SONIFY_SECONDS);
+  sonifyOsc = osc;
+  setMessage(status, 'sonify.playing', { seconds: SONIFY_SECONDS });
+}
+
+document.getElementById('sonify-logI')?.addEventListener('click', sonifyLogI);
+
+/* ========= 新機能: 20の質問ゲーム ========= */
+// アプリが事前分布に従って1つを選び、「選んだ候補の中にありますか？」という yes/no 質問で当てる
+// 答えごとに得た情報 -log₂ P(答え) と残りのエントロピーを表示し、log₂ N やハフマン符号の質問数と比べる
+// 動物の名前は表示言語のバンドル (tq.animal.*) から引く
+const TQ_ANIMALS = [
+  ['dog', 30], ['cat', 30], ['rabbit', 8], ['hamster', 8], ['parakeet', 5], ['goldfish', 5],
+  ['turtle', 3], ['medaka', 3], ['ferret', 2], ['guineaPig', 2], ['hedgehog', 1], ['chameleon', 1],
+  ['penguin', 0.5], ['capybara', 0.5], ['alpaca', 0.5], ['sloth', 0.5]
+];
+const tqItemsEl = document.getElementById('tq-items');
+const tqStatusEl = document.getElementById('tq-status');
+
+// labels/prior: 候補と事前確率、alive: まだ残っている候補、history: {question (候補の添字), yes, p} の列
+let tqGame = null;
+
+// 候補の表示名 (動物は表示言語で、数は 1〜N)
+const tqLabels = (set, N) => set === 'animals'
+  ? TQ_ANIMALS.map(([id]) => t(`tq.animal.${id}`))
+  : Array.from({ length: N }, (_, k) => String(k + 1));
+
+/**
+ * 出題の候補と事前確率
+ * @returns {{set: string, labels: string[], prior: number[]}}
+ */
+function twentyQuestionsSet(){
+  const set = document.getElementById('tq-set').value;
+  if (set === 'animals') {
+    return { set, labels: tqLabels(set), prior: normalize(TQ_ANIMALS.map(([, w]) => w)) };
+  }
+  const labels = tqLabels(set, Number(document.getElementById('tq-n').value));
+  return { set, labels, prior: normalize(labels.map((_, k) => set === 'zipf' ? 1 / (k + 1) : 1)) };
+}
+
+function newTwentyQuestions(){
+  const { set, labels, prior } = twentyQuestionsSet();
+  const lengths = huffmanLengths(prior);
+  tqGame = {
+    set, labels, prior, lengths,
+    secret: sampleIndex(prior),
+    alive: labels.map(() => true),
+    selected: new Set(),
+    history: [],
+    done: false,
+    status: () => t('tq.status.ready')  // 言語を切り替えても訳し直せるよう関数で持つ
+  };
+  document.getElementById('tq-n-label').classList.toggle('hidden', document.getElementById('tq-set').value === 'animals');
+  tqItemsEl.innerHTML = '';
+  labels.forEach((label, i) => {
+    const btn = document.createElement('button');
+    btn.className = 'tq-item';
+    btn.dataset.index = i;
+    btn.textContent = label;
+    btn.title = `P = ${fmt(prior[i], 4)}`;
+    tqItemsEl.appendChild(btn);
+  });
+  renderTwentyQuestions();
+}
+
+// 残っている候補の添字
+const tqAliveIndices = () => tqGame.labels.map((_, i) => i).filter(i => tqGame.alive[i]);
+
+// 残っている候補の確率を合計 1 に正規化した分布
+function tqPosterior(){
+  const mass = tqAliveIndices().reduce((a, i) => a + tqGame.prior[i], 0);
+  return tqGame.prior.map((p, i) => tqGame.alive[i] ? p / mass : 0);
+}
+
+function askTwentyQuestions(){
+  if (!tqGame || tqGame.done) return;
+  const chosen = [...tqGame.selected].filter(i => tqGame.alive[i]).sort((a, b) => a - b);
+  if (!chosen.length) {
+    tqGame.status = () => t('tq.status.selectFirst');
+    renderTwentyQuestions();
+    return;
+  }
+  const post = tqPosterior();
+  const pYes = chosen.reduce((a, i) => a + post[i], 0);
+  const yes = chosen.includes(tqGame.secret);
+  const inChosen = new Set(chosen);
+  tqGame.alive = tqGame.alive.map((alive, i) => alive && inChosen.has(i) === yes);
+  tqGame.history.push({ question: chosen, yes, p: yes ? pYes : 1 - pYes });
+  tqGame.selected.clear();
+  tqGame.done = tqAliveIndices().length === 1;
+  tqGame.status = () => tqGame.done
+    ? t('tq.status.solved', { answer: tqGame.labels[tqGame.secret], count: tqGame.history.length })
+    : t('tq.status.answer', { answer: t(yes ? 'tq.yes' : 'tq.no') });
+  renderTwentyQuestions();
+}
+
+// 質問の表示用の短縮 (候補が多いときは先頭と末尾だけ)
+function tqQuestionText(question){
+  const labels = question.map(i => tqGame.labels[i]);
+  return labels.length <= 6 ? labels.join(', ') : `${labels.slice(0, 3).join(', ')}, …, ${labels.slice(-2).join(', ')}${t('tq.items', { n: labels.length })}`;
+}
+
+// 表示言語を切り替えたときに候補の名前を付け直す
+function relabelTwentyQuestions(){
+  if (!tqGame) return;
+  tqGame.labels = tqLabels(tqGame.set, tqGame.labels.length);
+  tqItemsEl.querySelectorAll('.tq-item').forEach(btn => { btn.textContent = tqGame.labels[Number(btn.dataset.index)]; });
+}
+
+function renderTwentyQuestions(){
+  if (!tqGame) return;
+  const { labels, prior, lengths, secret, alive, selected, history, done } = tqGame;
+  tqStatusEl.textContent = tqGame.status();
+  tqItemsEl.querySelectorAll('.tq-item').forEach(btn => {
+    const i = Number(btn.dataset.index);
+    btn.disabled = !alive[i] || done;
+    btn.classList.toggle('selected', selected.has(i));
+    btn.classList.toggle('secret', done && i === secret);
+    btn.setAttribute('aria-pressed', String(selected.has(i)));
+  });
+
+  const left = tqAliveIndices().length;
+  const Hleft = entropy(tqPosterior());
+  const H0 = entropy(prior);
+  const Lbar = prior.reduce((a, p, i) => a + p * lengths[i], 0);
+  const N = labels.length;
+  document.getElementById('tq-count').textContent = history.length;
+  document.getElementById('tq-left').textContent = `${left} / ${N}`;
+  document.getElementById('tq-h').textContent = fmtInfo(Hleft, 3);
+  document.getElementById('tq-optimal').textContent = t('tq.questions', { n: fmt(Lbar, 2) });
+  ['tq-ask', 'tq-half', 'tq-hint', 'tq-clear', 'tq-giveup'].forEach(id => { document.getElementById(id).disabled = done; });
+
+  const L = infoUnit.log;
+  const lines = history.map(({ question, yes, p }, k) => t('tq.steps.question', {
+    k: k + 1, question: tqQuestionText(question), answer: t(yes ? 'tq.yes' : 'tq.no'), p: fmt(p, 3), log: L, info: fmtInfo(-log2(p), 3)
+  }));
+  const gained = history.reduce((a, h) => a + -log2(h.p), 0);
+  const summary = !done ? '' : (left === 1
+    ? t('tq.steps.solved', { gained: fmtInfo(gained, 3), log: L, p: fmt(prior[secret], 4), count: history.length })
+    : t('tq.steps.gaveUp', { gained: fmtInfo(gained, 3), missing: fmtInfo(-log2(prior[secret]) - gained, 3) }))
+    + t('tq.steps.bounds', {
+      log: L, N, logN: fmtInfo(log2(N), 3), ceil: Math.ceil(log2(N) - 1e-9), len: lengths[secret], Lbar: fmt(Lbar, 3), H: fmt(H0, 3)
+    });
+  document.getElementById('tq-steps').textContent = t('tq.steps', {
+    log: L, H0: fmtInfo(H0, 3), N, logN: fmtInfo(log2(N), 3),
+    lines: lines.length ? lines.join('\n') : t('tq.steps.none'),
+    Hleft: fmtInfo(Hleft, 3), left, summary
+  });
+}
+
+tqItemsEl.addEventListener('click', (e) => {
+  const btn = e.target.closest('.tq-item');
+  if (!btn || btn.disabled || !tqGame) return;
+  const i = Number(btn.dataset.index);
+  if (tqGame.selected.has(i)) tqGame.selected.delete(i); else tqGame.selected.add(i);
+  renderTwentyQuestions();
+});
+document.getElementById('tq-ask').addEventListener('click', askTwentyQuestions);
+document.getElementById('tq-half').addEventListener('click', () => {
+  const alive = tqAliveIndices();
+  tqGame.selected = new Set(alive.slice(0, Math.ceil(alive.length / 2)));
+  renderTwentyQuestions();
+});
+document.getElementById('tq-hint').addEventListener('click', () => {
+  const post = tqPosterior();
+  tqGame.selected = new Set(huffmanSplit(post));
+  const pYes = [...tqGame.selected].reduce((a, i) => a + post[i], 0);
+  tqGame.status = () => t('tq.status.hint', { yes: fmt(pYes, 3), no: fmt(1 - pYes, 3) });
+  renderTwentyQuestions();
+});
+document.getElementById('tq-clear').addEventListener('click', () => {
+  tqGame.selected.clear();
+  renderTwentyQuestions();
+});
+document.getElementById('tq-giveup').addEventListener('click', () => {
+  tqGame.done = true;
+  tqGame.status = () => t('tq.status.gaveUp', { answer: tqGame.labels[tqGame.secret], len: tqGame.lengths[tqGame.secret] });
+  renderTwentyQuestions();
+});
+document.getElementById('tq-new').addEventListener('click', newTwentyQuestions);
+document.getElementById('tq-set').addEventListener('change', newTwentyQuestions);
+document.getElementById('tq-n').addEventListener('change', newTwentyQuestions);
+
+newTwentyQuestions();
+
 /* ========= 2. 計算例タブ: コイン投げ情報量計算 ========= */
 // DOM要素の取得
 const pEls = ['p0','p1','p2','p3'].map(id=>document.getElementById(id)); // 確率入力欄
@@ -249,48 +608,42 @@ const sEls = ['s0','s1','s2','s3'].map(id=>document.getElementById(id)); // 計
 
 /**
  * 単一事象の情報量計算 I(a) = -log₂ P(a)
- * @param {number} p - 事象の生起確率 (0 ≤ p ≤ 1)
- * @returns {Object} - {val: 情報量, steps: 計算過程}
+ * @param {{num: bigint, den: bigint, value: number, src?: string}|null} p - 事象の生起確率 (分数, 0 ≤ p ≤ 1)
+ * @returns {Object} - {val: 情報量 (bit), steps: 計算過程 (選択中の単位)}
  */
 function calcI(p){
-  // 入力値の検証とサニタイズ
-  if (!Number.isFinite(p)) return { val: NaN, steps: '無効な入力値' };
-  p = Math.max(0, Math.min(1, p)); // [0,1]区間にクランプ
+  // 入力値の検証
+  if (!p) return { val: NaN, steps: t('calc.invalid') };
 
   // 特殊ケースの処理
-  if(p === 0) return { val: NaN, steps: 'P=0 のとき log₂0 は未定義 → 計算不能' };
-  if(p < 0) return { val: NaN, steps: 'P<0 は不正' };
-  if(p > 1) return { val: NaN, steps: 'P>1 は不正' };
+  if(p.num === 0n) return { val: NaN, steps: t('calc.undefined', { log: infoUnit.log }) };
+  if(p.num > p.den) return { val: NaN, steps: t('calc.overOne') };
 
-  // 情報量計算
-  const I = -log2(p);
+  // 情報量計算 (分数・2のべき乗で表せる間は厳密に)
+  const I = -fractionLog2(p);
+  const { text } = negLogChain(p, { unit: infoUnit.name, sep: '\n  = ' });
   const steps =
-`I = -log₂(P)
-  = -log₂(${p})
-  = ${(-1).toString()} × ${fmt(log2(p),6)}
-  = ${fmt(I,6)} bit`;
+`I = -${infoUnit.log}(P)
+  = ${text} ${infoUnit.name}${changeOfBaseLine(I, '  ')}`;
   return { val: I, steps };
 }
 function updateCalc(){
-  const ps = pEls.map(el=>{
-    let val = Number(el.value);
-    // Sanitize input
-    if (!Number.isFinite(val)) val = 0;
-    val = Math.max(0, Math.min(1, val));
-    return val;
-  });
-  const s = ps.reduce((a,b)=>a+b,0);
-  sumEl.textContent = s.toFixed(5);
-  if(Math.abs(s-1) > 1e-6){
+  const ps = pEls.map(readProbability);
+  const s = ps.reduce(addFractions, makeFraction(0n, 1n));
+  // 分数・べき乗で入力された場合は合計も分数で表示 (例: 1/8 + 1/2 = 5/8)
+  const exactInput = pEls.some(el => /[/^*]/.test(el.value));
+  sumEl.textContent = !exactInput || s.den === 1n || fractionString(s).includes('.') ? fmt(s.value, 5) : `${fractionString(s)} ≈ ${fmt(s.value, 5)}`;
+  if(Math.abs(s.value-1) > 1e-6){
     errEl.classList.remove('hidden');
   } else {
     errEl.classList.add('hidden');
   }
   ps.forEach((p,idx)=>{
-    const {val, steps} = calcI(p);
-    iEls[idx].textContent = Number.isFinite(val) ? fmt(val,4) + ' bit' : '計算不能';
+    const {val, steps} = calcI(parseProbability(pEls[idx].value) ? p : null);
+    iEls[idx].textContent = Number.isFinite(val) ? fmtInfo(val) : t('calc.incomputable');
     sEls[idx].textContent = steps;
   });
+  announce(iEls[0], iEls.map((el, idx) => `I(a${toSubscript(idx)}) = ${el.textContent}`).join(', '));
 }
 pEls.forEach(el=>el.addEventListener('input', updateCalc));
 updateCalc();
@@ -299,14 +652,256 @@ updateCalc();
 document.querySelectorAll('.scenario').forEach(btn=>{
   btn.addEventListener('click', ()=>{
     const scn = btn.dataset.scn;
-    if(scn==='fair'){ pEls[0].value=0.5; pEls[1].value=0.5; pEls[2].value=0; pEls[3].value=0; }
-    if(scn==='biased'){ pEls[0].value=0.6; pEls[1].value=0.4; pEls[2].value=0; pEls[3].value=0; }
-    if(scn==='trick'){ pEls[0].value=1.0; pEls[1].value=0; pEls[2].value=0; pEls[3].value=0; }
-    if(scn==='stand'){ pEls[0].value=0.49995; pEls[1].value=0.49995; pEls[2].value=0.0001; pEls[3].value=0; }
+    // 教科書と同じく分数で設定 (途中式も分数のまま表示される)
+    if(scn==='fair'){ pEls[0].value='1/2'; pEls[1].value='1/2'; pEls[2].value=0; pEls[3].value=0; }
+    if(scn==='biased'){ pEls[0].value='3/5'; pEls[1].value='2/5'; pEls[2].value=0; pEls[3].value=0; }
+    if(scn==='trick'){ pEls[0].value=1; pEls[1].value=0; pEls[2].value=0; pEls[3].value=0; }
+    if(scn==='stand'){ pEls[0].value='9999/20000'; pEls[1].value='9999/20000'; pEls[2].value='1/10000'; pEls[3].value=0; }
     updateCalc();
   });
 });
 
+/* ========= 新機能: モンテカルロ・シミュレーション ========= */
+// 上の4事象の分布から N 回サンプリングし、頻度 p̂ と驚きの平均がエントロピーに収束する様子を描く
+// 乱数はシード付き (seededRandom) なので、同じシード・分布・N なら同じ結果になる
+const MC_OUTCOMES = ['heads', 'tails', 'stands', 'breaks'];   // 表示名は mc.outcome.*
+const MC_FRAMES = 240;     // アニメーションのおおよそのコマ数
+const MC_INTERVAL = 16;    // コマの間隔 (ms)
+const MC_RARE = 0.05;      // これより小さい確率の結果を「まれな結果」として記録
+const MC_RARE_MAX = 8;
+const MC_COLUMNS = 480;    // グラフの横の列数 (列ごとに最大の驚きと平均を記録する。表示幅によらない)
+const mcNoteEl = document.getElementById('mc-note');
+
+// ps: 正規化した分布、total: 正規化前の合計、columns: グラフの横の列ごとの最大の驚き・驚きの平均・頻度からの推定値
+const mcState = { ps: [], total: 1, rng: null, n: 0, t: 0, counts: [], sumSurprise: 0, rare: [], columns: null, timer: null };
+
+const mcLabel = (i) => t(`mc.outcome.${MC_OUTCOMES[i]}`);
+
+// 実行ボタンの表示 (実行中は一時停止)
+const renderMonteCarloButton = () => { document.getElementById('mc-run').textContent = t(mcState.timer ? 'mc.pause' : 'mc.run'); };
+
+function resetMonteCarlo(){
+  stopMonteCarlo();
+  const weights = pEls.map(el => readProbability(el).value);
+  const total = weights.reduce((a, b) => a + b, 0);
+  mcState.ps = total > 0 ? weights.map(w => w / total) : [];
+  mcState.total = total;
+  mcState.rng = seededRandom(document.getElementById('mc-seed').value);
+  mcState.n = Number(document.getElementById('mc-n').value);
+  mcState.t = 0;
+  mcState.counts = MC_OUTCOMES.map(() => 0);
+  mcState.sumSurprise = 0;
+  mcState.rare = [];
+  mcState.columns = { spike: new Float64Array(MC_COLUMNS), mean: new Float64Array(MC_COLUMNS).fill(NaN), plugin: new Float64Array(MC_COLUMNS).fill(NaN) };
+  renderMonteCarlo();
+}
+
+/**
+ * k 回投げて集計
+ * @param {number} k
+ */
+function stepMonteCarlo(k){
+  const { ps, n, counts, columns } = mcState;
+  if (!ps.length) return;
+  const width = columns.spike.length;
+  for (let j = 0; j < k && mcState.t < n; j++) {
+    const i = sampleIndex(ps, mcState.rng);
+    counts[i]++;
+    mcState.t++;
+    const surprise = -log2(ps[i]);
+    mcState.sumSurprise += surprise;
+    if (ps[i] < MC_RARE && mcState.rare.length < MC_RARE_MAX) mcState.rare.push([mcState.t, i]);
+    const col = Math.min(width - 1, Math.floor((mcState.t - 1) / n * width));
+    columns.spike[col] = Math.max(columns.spike[col], surprise);
+    columns.mean[col] = mcState.sumSurprise / mcState.t;
+    columns.plugin[col] = entropy(counts.map(c => c / mcState.t));
+  }
+}
+
+// グラフの表: 試行の 1/5 ごとの驚きの平均と頻度からの推定値 (グラフの列ごとの値から拾う)
+function monteCarloCheckpoints(){
+  const { n, t: tosses, columns } = mcState;
+  if (!columns || !tosses) return [];
+  const width = columns.spike.length;
+  const rows = [];
+  for (let k = 1; k <= 5; k++) {
+    const col = Math.min(width - 1, Math.floor((Math.ceil(tosses * k / 5) - 1) / n * width));
+    const at = fmtInt(Math.min(tosses, Math.ceil((col + 1) * n / width)));
+    if (rows.length && rows[rows.length - 1][0] === at) continue;
+    rows.push([at, fmtInfo(columns.mean[col], 3), fmtInfo(columns.plugin[col], 3)]);
+  }
+  return rows;
+}
+
+function renderMonteCarlo(){
+  const { ps, total, t: tosses, counts, rare } = mcState;
+  mcNoteEl.textContent = !(total > 0)
+    ? t('mc.note.zero')
+    : Math.abs(total - 1) > 1e-6 ? t('mc.note.normalized', { total: fmt(total, 5) }) : t('mc.note');
+  document.getElementById('mc-count').textContent = fmtInt(tosses);
+
+  const tbody = document.getElementById('mc-rows');
+  tbody.innerHTML = '';
+  MC_OUTCOMES.forEach((_, i) => {
+    const p = ps[i] || 0;
+    const tr = document.createElement('tr');
+    [mcLabel(i), fmt(p, 5), fmtInt(counts[i]), tosses ? fmt(counts[i] / tosses, 5) : '—'].forEach(text => {
+      tr.appendChild(Object.assign(document.createElement('td'), { textContent: text }));
+    });
+    // 頻度の棒と理論値の目印
+    const bar = document.createElement('div');
+    bar.className = 'mc-bar';
+    const fill = document.createElement('span');
+    fill.style.width = `${tosses ? counts[i] / tosses * 100 : 0}%`;
+    const mark = document.createElement('i');
+    mark.style.left = `calc(${p * 100}% - 1px)`;
+    bar.append(fill, mark);
+    const td = document.createElement('td');
+    td.appendChild(bar);
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  });
+
+  const H = entropy(ps);
+  const L = infoUnit.log;
+  const rareText = rare.length
+    ? rare.map(([at, i]) => t('mc.rare.item', { at: fmtInt(at), label: mcLabel(i), info: fmtInfo(-log2(ps[i]), 2) })).join('\n')
+    : t('mc.rare.none');
+  document.getElementById('mc-steps').textContent = !ps.length ? '' : t('mc.steps', {
+    log: L, H: fmtInfo(H),
+    mean: tosses ? fmtInfo(mcState.sumSurprise / tosses) : '—',
+    plugin: tosses ? fmtInfo(entropy(counts.map(c => c / tosses))) : '—',
+    rare: MC_RARE, max: MC_RARE_MAX, rareText
+  });
+  drawMonteCarloChart();
+}
+
+/**
+ * 各回の驚きのスパイク (列ごとの最大値) と、2つの平均の推移
+ * 実線: 驚きの平均、点線: 頻度から推定したエントロピー、破線: 理論値 H
+ */
+function drawMonteCarloChart(){
+  const canvas = document.getElementById('canvas-mc');
+  if(!canvas) return;
+  const { ps, n, t: tosses, columns } = mcState;
+  const used = columns ? Math.ceil(tosses / n * columns.spike.length) : 0;
+  const colOf = (toss) => Math.min(used - 1, Math.floor(toss / n * columns.spike.length));
+  const { ctx, W, H, colors } = beginPlot(canvas, {
+    redraw: drawMonteCarloChart,
+    hover: (toss) => {
+      if (!columns) return null;
+      const col = colOf(toss);
+      if (col < 0 || Number.isNaN(columns.mean[col])) return null;
+      return { x: (col + 1) / columns.spike.length * n, y: toUnit(columns.mean[col]), lines: [
+        `${t('graph.mc.tosses')} ${fmtInt(Math.ceil((col + 1) * n / columns.spike.length))}`,
+        `${t('graph.mc.mean')} ${fmtInfo(columns.mean[col], 3)}`,
+        `${t('graph.mc.plugin')} ${fmtInfo(columns.plugin[col], 3)}`
+      ] };
+    }
+  });
+  ctx.font = '11px ui-monospace, monospace';
+
+  setGraphTable('canvas-mc', [t('graph.mc.tosses'), t('graph.mc.mean'), t('graph.mc.plugin')], monteCarloCheckpoints());
+  const Imax = ps.length ? Math.max(1, Math.ceil(Math.max(...ps.filter(p => p > 0).map(p => -log2(p))))) : 1;
+  const frame = createFrame({ left: 44, top: 16, width: W - 60, height: H - 50 }, { domain: [0, n || 1] }, { domain: [0, toUnit(Imax)] });
+  drawAxes(ctx, frame, colors, {
+    xCount: 4, yCount: 4,
+    xFormat: (v) => fmtInt(v), yFormat: (v, digits) => fmt(v, digits),
+    xLabel: t('mc.axis.tosses'), yLabel: infoUnit.name
+  });
+  if (!ps.length || !columns) return;
+  const Y = (bits) => frame.y(clamp(toUnit(bits), 0, toUnit(Imax)));
+  const X = (col) => frame.x(col / columns.spike.length * n);
+
+  // 各回の驚き (まれな結果は警告色)
+  const H0 = entropy(ps);
+  ctx.lineWidth = 1;
+  for (let col = 0; col < used; col++) {
+    const s = columns.spike[col];
+    ctx.strokeStyle = s > Imax / 2 ? colors.warn : colors.bar;
+    ctx.beginPath();
+    ctx.moveTo(X(col) + 0.5, frame.top + frame.height);
+    ctx.lineTo(X(col) + 0.5, Y(s));
+    ctx.stroke();
+  }
+
+  // 理論値 H
+  ctx.setLineDash([6, 4]);
+  ctx.strokeStyle = colors.line;
+  ctx.beginPath();
+  ctx.moveTo(frame.left, Y(H0));
+  ctx.lineTo(frame.left + frame.width, Y(H0));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  const plotLine = (values, color, dash) => {
+    ctx.strokeStyle = color;
+    ctx.setLineDash(dash);
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let started = false;
+    for (let col = 0; col < used; col++) {
+      if (Number.isNaN(values[col])) continue;
+      if (started) ctx.lineTo(X(col), Y(values[col])); else { ctx.moveTo(X(col), Y(values[col])); started = true; }
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.lineWidth = 1;
+  };
+  plotLine(columns.mean, colors.lin, []);
+  plotLine(columns.plugin, colors.good, [2, 3]);
+
+  const legendX = frame.left + 8, legendY = frame.top + 14;
+  ctx.fillStyle = colors.line;
+  ctx.fillText(`- - H = ${fmtInfo(H0, 3)}`, legendX, legendY);
+  ctx.fillStyle = colors.highlight;
+  ctx.fillText(t('mc.legend.mean'), legendX, legendY + 14);
+  ctx.fillStyle = colors.good;
+  ctx.fillText(t('mc.legend.plugin'), legendX, legendY + 28);
+  endPlot(canvas, frame);
+}
+
+function stopMonteCarlo(){
+  clearInterval(mcState.timer);
+  mcState.timer = null;
+  renderMonteCarloButton();
+}
+
+document.getElementById('mc-run').addEventListener('click', function(){
+  if (mcState.timer) { stopMonteCarlo(); return; }
+  if (mcState.t >= mcState.n) resetMonteCarlo();
+  if (!mcState.ps.length) return;
+  const batch = Math.ceil(mcState.n / MC_FRAMES);
+  mcState.timer = setInterval(() => {
+    stepMonteCarlo(batch);
+    renderMonteCarlo();
+    if (mcState.t >= mcState.n) stopMonteCarlo();
+  }, MC_INTERVAL);
+  renderMonteCarloButton();
+});
+document.getElementById('mc-skip').addEventListener('click', () => {
+  stopMonteCarlo();
+  if (mcState.t >= mcState.n) resetMonteCarlo();
+  stepMonteCarlo(mcState.n - mcState.t);
+  renderMonteCarlo();
+});
+document.getElementById('mc-reset').addEventListener('click', resetMonteCarlo);
+document.getElementById('mc-new-seed').addEventListener('click', () => {
+  document.getElementById('mc-seed').value = String(Math.floor(Math.random() * 1e6));
+  resetMonteCarlo();
+});
+document.getElementById('mc-n').addEventListener('change', resetMonteCarlo);
+document.getElementById('mc-seed').addEventListener('input', resetMonteCarlo);
+// 分布を変えたらやり直す
+pEls.forEach(el => el.addEventListener('input', resetMonteCarlo));
+document.querySelectorAll('.scenario').forEach(btn => btn.addEventListener('click', resetMonteCarlo));
+// 他のタブへ移動したら止める
+document.querySelectorAll('.tab').forEach(btn => {
+  btn.addEventListener('click', () => { if (btn.dataset.tab !== 'tab-calc') stopMonteCarlo(); });
+});
+
+resetMonteCarlo();
+
 /* ========= 3. 加算性 ========= */
 // 一般 A, B
 const paEl = document.getElementById('pa');
@@ -316,30 +911,45 @@ const IBEl = document.getElementById('IB');
 const IABEl = document.getElementById('IAB');
 const addStepsEl = document.getElementById('add-steps');
 
+/**
+ * 独立事象 A, B の情報量と加算性の途中式 (問題プリントの解答でも使う)
+ * @param {{num: bigint, den: bigint, value: number}} pa - P(A) (分数)
+ * @param {{num: bigint, den: bigint, value: number}} pb - P(B)
+ * @returns {{pab: Object, IA: number, IB: number, IAB: number, steps: string}} - 情報量は bit (確率 0 は NaN)、途中式は選択中の単位
+ */
+function calcAdd(pa, pb){
+  const pab = multiplyFractions(pa, pb);
+  const info = (f) => f.num > 0n ? -fractionLog2(f) : NaN;
+  const IA = info(pa);
+  const IB = info(pb);
+  const IAB = info(pab);
+
+  // 途中式は分数・べき乗のまま (閉じた形がなければ小数)
+  const L = infoUnit.log;
+  const chain = (f) => {
+    if (f.num === 0n) return { text: `-${L}(0) → ${t('calc.incomputable')}`, exact: null };
+    const c = negLogChain(f, { unit: infoUnit.name });
+    return { text: `${c.text} ${infoUnit.name}`, exact: c.exact };
+  };
+  const [cA, cB, cAB] = [chain(pa), chain(pb), chain(pab)];
+  const check = cA.exact !== null && cB.exact !== null
+    ? `= ${cA.exact} + ${cB.exact} = ${cA.exact + cB.exact}`
+    : `≈ ${Number.isFinite(IA)&&Number.isFinite(IB)?fmt(toUnit(IA+IB),6):'—'}`;
+  const steps = t('add.steps', {
+    pa: fractionString(pa), pb: fractionString(pb), pab: fractionString(pab),
+    IA: cA.text, IB: cB.text, IAB: cAB.text, check, unit: infoUnit.name
+  }) + changeOfBaseLine(IAB);
+  return { pab, IA, IB, IAB, steps };
+}
+
 function updateAdd(){
-  let pa = Number(paEl.value);
-  let pb = Number(pbEl.value);
-  // Sanitize inputs
-  if (!Number.isFinite(pa)) pa = 0;
-  if (!Number.isFinite(pb)) pb = 0;
-  pa = Math.max(0, Math.min(1, pa));
-  pb = Math.max(0, Math.min(1, pb));
-  const IA = (pa>0 && pa<=1) ? -log2(pa) : NaN;
-  const IB = (pb>0 && pb<=1) ? -log2(pb) : NaN;
-  const pab = pa*pb;
-  const IAB = (pab>0 && pab<=1) ? -log2(pab) : NaN;
-
-  IAEl.textContent = Number.isFinite(IA) ? fmt(IA,4)+' bit' : '計算不能';
-  IBEl.textContent = Number.isFinite(IB) ? fmt(IB,4)+' bit' : '計算不能';
-  IABEl.textContent = Number.isFinite(IAB) ? fmt(IAB,4)+' bit' : '計算不能';
-
-  addStepsEl.textContent =
-`独立事象:  P(A∧B) = P(A) × P(B) = ${fmt(pa)} × ${fmt(pb)} = ${fmt(pab)}
-I(A)   = -log₂ P(A) = ${Number.isFinite(IA)?fmt(IA,6):'—'}
-I(B)   = -log₂ P(B) = ${Number.isFinite(IB)?fmt(IB,6):'—'}
-I(A∧B) = -log₂ P(A∧B) = -log₂(${fmt(pab)}) = ${Number.isFinite(IAB)?fmt(IAB,6):'—'}
-
-確認:  I(A∧B)  = I(A) + I(B)  ≈  ${Number.isFinite(IA)&&Number.isFinite(IB)?fmt(IA+IB,6):'—'}`;
+  const { IA, IB, IAB, steps } = calcAdd(readProbability(paEl), readProbability(pbEl));
+
+  IAEl.textContent = Number.isFinite(IA) ? fmtInfo(IA) : t('calc.incomputable');
+  IBEl.textContent = Number.isFinite(IB) ? fmtInfo(IB) : t('calc.incomputable');
+  IABEl.textContent = Number.isFinite(IAB) ? fmtInfo(IAB) : t('calc.incomputable');
+  announce(IABEl, `I(A) = ${IAEl.textContent}, I(B) = ${IBEl.textContent}, I(A∧B) = ${IABEl.textContent}`);
+  addStepsEl.textContent = steps;
 }
 [paEl, pbEl].forEach(el=>el.addEventListener('input', updateAdd));
 updateAdd();
@@ -352,6 +962,26 @@ const IroomEl = document.getElementById('Iroom');
 const ItotalEl = document.getElementById('Itotal');
 const aptStepsEl = document.getElementById('apt-steps');
 
+/**
+ * マンションの部屋の特定に必要な情報量と途中式 (問題プリントの解答でも使う)
+ * @param {number} F - 階数 (1 以上の整数)
+ * @param {number} R - 1 階あたりの部屋数 (1 以上の整数)
+ * @returns {{If: number, Ir: number, It: number, steps: string}} - 情報量は bit、途中式は選択中の単位
+ */
+function calcApt(F, R){
+  // I(階特定) = -log2(1/F), I(号室特定) = -log2(1/R), I(部屋特定) = -log2(1/(F*R))
+  const { rooms: total, floor: If, room: Ir, total: It } = apartmentInformation(F, R);
+  const [cF, cR, cT] = [F, R, total].map(n => negLogChain(makeFraction(1n, BigInt(n)), { unit: infoUnit.name }));
+  const check = cF.exact !== null && cR.exact !== null
+    ? `${cF.exact} + ${cR.exact} = ${cF.exact + cR.exact}`
+    : `${fmt(toUnit(If+Ir),6)}`;
+  const steps = t('apt.steps', {
+    F, R, total, IF: cF.text, IR: cR.text, IT: cT.text, unit: infoUnit.name,
+    check, It: cT.exact !== null ? cT.exact : fmt(toUnit(It),6)
+  }) + changeOfBaseLine(It);
+  return { If, Ir, It, steps };
+}
+
 function updateApt(){
   let F = Number(floorsEl.value);
   let R = Number(perfloorEl.value);
@@ -360,612 +990,4577 @@ function updateApt(){
   if (!Number.isFinite(R) || R < 1) R = 1;
   F = Math.max(1, Math.min(1000, Math.floor(F))); // Cap at reasonable values
   R = Math.max(1, Math.min(1000, Math.floor(R)));
-  const total = F*R;
-  // I(階特定) = -log2(1/F), I(号室特定) = -log2(1/R), I(部屋特定) = -log2(1/(F*R))
-  const If = -log2(1/F);
-  const Ir = -log2(1/R);
-  const It = -log2(1/total);
-
-  IfloorEl.textContent = fmt(If,4)+' bit';
-  IroomEl.textContent = fmt(Ir,4)+' bit';
-  ItotalEl.textContent = fmt(It,4)+' bit';
+  const { If, Ir, It, steps } = calcApt(F, R);
 
-  aptStepsEl.textContent =
-`総部屋数 = 階数 × 各階の部屋数 = ${F} × ${R} = ${total}
-I(階の特定)     = -log₂(1/${F})   = ${fmt(If,6)} bit
-I(号室の特定)   = -log₂(1/${R})   = ${fmt(Ir,6)} bit
-I(部屋番号の特定) = -log₂(1/${total}) = ${fmt(It,6)} bit
-
-確認: I(階) + I(号室) = ${fmt(If+Ir,6)} ≟ I(部屋) = ${fmt(It,6)}`;
+  IfloorEl.textContent = fmtInfo(If);
+  IroomEl.textContent = fmtInfo(Ir);
+  ItotalEl.textContent = fmtInfo(It);
+  announce(ItotalEl, t('a11y.apt', { floor: fmtInfo(If), room: fmtInfo(Ir), total: fmtInfo(It) }));
+  aptStepsEl.textContent = steps;
 }
 [floorsEl, perfloorEl].forEach(el=>el.addEventListener('input', updateApt));
 updateApt();
 
+/* ========= 新機能: 多段階の特定（連鎖律） ========= */
+// 独立な段階の積み重ね H(X₁,…,Xₙ) = H(X₁) + H(X₂|X₁) + … = H(X₁) + … + H(Xₙ) を任意の段数で確かめる
+const HIER_MIN_ROWS = 1;
+const HIER_MAX_ROWS = 8;
+const HIER_MAX_COUNT = 1e6;   // 一様な段階の選択肢数の上限
+const HIER_MAX_WEIGHTS = 64;  // 重みで指定する段階の選択肢数の上限
+// 段階の名前は表示言語のバンドル (hier.name.*) から引く
+const HIER_PRESETS = {
+  apartment: [['floor', '16'], ['room', '8']],
+  building: [['building', '4'], ['floor', '10'], ['unit', '6']],
+  // 数は説明用の概数
+  address: [['country', '5'], ['prefecture', '47'], ['city', '40'], ['street', '500']],
+  skewed: [['weekday', '7'], ['weather', '5, 3, 2'], ['transport', '6, 3, 1']]
+};
+const hierRowsEl = document.getElementById('hier-rows');
+
+/**
+ * 段階の指定を解釈: "8" → 選択肢数 8 (一様)、"5, 3, 2" → 重み (非一様)
+ * @param {string} text
+ * @returns {number|number[]|null} - 解釈できなければ null
+ */
+function parseStageSpec(text){
+  const parts = text.split(/[,、\s]+/).filter(Boolean);
+  if (parts.length === 1) {
+    const n = Number(parts[0]);
+    return Number.isInteger(n) && n >= 1 && n <= HIER_MAX_COUNT ? n : null;
+  }
+  const weights = parts.map(Number);
+  return parts.length <= HIER_MAX_WEIGHTS && weights.every(w => Number.isFinite(w) && w >= 0) && weights.some(w => w > 0)
+    ? weights : null;
+}
+
+function addHierRow(name, spec){
+  if (hierRowsEl.children.length >= HIER_MAX_ROWS) return;
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td class="h-index"></td>
+    <td><input type="text" class="hier-name" maxlength="24"></td>
+    <td><input type="text" class="hier-spec" autocomplete="off" spellcheck="false"></td>
+    <td class="h-term hier-n">—</td>
+    <td class="h-term hier-h">—</td>
+    <td><button class="h-remove">×</button></td>`;
+  tr.querySelector('.h-remove').setAttribute('aria-label', t('hier.remove'));
+  tr.querySelector('.hier-name').value = name;
+  tr.querySelector('.hier-spec').value = spec;
+  hierRowsEl.appendChild(tr);
+}
+
+function setHierStages(rows){
+  hierRowsEl.innerHTML = '';
+  rows.slice(0, HIER_MAX_ROWS).forEach(([name, spec]) => addHierRow(name, spec));
+  updateHierarchy();
+}
+
+// プリセットの段階 (名前は表示言語で)
+const hierPreset = (key) => HIER_PRESETS[key].map(([name, spec]) => [t(`hier.name.${name}`), spec]);
+
+/**
+ * 入力中の段階
+ * @returns {{name: string, spec: (number|number[]|null)}[]}
+ */
+function getHierStages(){
+  return Array.from(hierRowsEl.children).map((tr, idx) => ({
+    name: tr.querySelector('.hier-name').value.trim() || t('hier.stage', { n: idx+1 }),
+    spec: parseStageSpec(tr.querySelector('.hier-spec').value)
+  }));
+}
+
+let hierResult = null;
+
+function updateHierarchy(){
+  const stages = getHierStages();
+  const n = stages.length;
+  const valid = stages.every(s => s.spec !== null);
+  const result = hierarchicalInformation(stages.map(s => s.spec ?? NaN));
+  hierResult = valid ? { names: stages.map(s => s.name), ...result } : null;
+
+  Array.from(hierRowsEl.children).forEach((tr, idx) => {
+    const row = result.stages[idx];
+    tr.classList.toggle('hier-invalid', stages[idx].spec === null);
+    tr.querySelector('.h-index').textContent = `X${toSubscript(idx+1)}`;
+    tr.querySelector('.hier-n').textContent = Number.isNaN(row.n) ? '—' : fmtInt(row.n);
+    tr.querySelector('.hier-h').textContent = Number.isNaN(row.H) ? '⚠️' : fmt(toUnit(row.H), 4);
+    tr.querySelector('.h-remove').disabled = n <= HIER_MIN_ROWS;
+  });
+  document.getElementById('hier-add').disabled = n >= HIER_MAX_ROWS;
+  document.getElementById('hier-count').textContent = n;
+
+  const outcomesEl = document.getElementById('hier-outcomes');
+  const stepsEl = document.getElementById('hier-steps');
+  if (!valid) {
+    outcomesEl.textContent = document.getElementById('hier-total').textContent = document.getElementById('hier-max').textContent = '—';
+    stepsEl.textContent = t('hier.invalid', { maxCount: fmtInt(HIER_MAX_COUNT), maxWeights: HIER_MAX_WEIGHTS });
+    drawHierarchyChart();
+    return;
+  }
+
+  outcomesEl.textContent = fmtInt(result.outcomes);
+  document.getElementById('hier-total').textContent = fmtInfo(result.H);
+  announce(stepsEl, `H = ${fmtInfo(result.H)}`);
+  document.getElementById('hier-max').textContent = fmtInfo(result.Hmax);
+
+  const L = infoUnit.log;
+  const X = (i) => `X${toSubscript(i+1)}`;
+  const width = Math.max(...stages.map(s => s.name.length));
+  // 名前の桁をそろえる (全角の名前があれば全角空白で)
+  const pad = stages.some(s => /[^\x00-\x7f]/.test(s.name)) ? '　' : ' ';
+  const lines = stages.map((s, i) => {
+    const row = result.stages[i];
+    const head = `H(${X(i)}) ${s.name.padEnd(width, pad)}`;
+    return Array.isArray(s.spec)
+      ? t('hier.line.weighted', {
+        head, log: L, weights: s.spec.join(', '), H: fmtInfo(row.H), Hmax: fmtInfo(row.Hmax),
+        Imin: fmt(toUnit(row.Imin), 3), Imax: fmt(toUnit(row.Imax), 3)
+      })
+      : `${head} = ${L} ${fmtInt(row.n)} = ${fmtInfo(row.H)}`;
+  });
+  const uniform = result.Hmax - result.H < 1e-9;
+  stepsEl.textContent = t('hier.steps', {
+    vars: stages.map((_, i) => X(i)).join(', '),
+    chain: stages.map((_, i) => i ? `H(${X(i)}|${i > 2 ? `${X(0)},…,${X(i-1)}` : stages.slice(0, i).map((_, j) => X(j)).join(', ')})` : `H(${X(0)})`).join(' + '),
+    sum: stages.map((_, i) => `H(${X(i)})`).join(' + '),
+    lines: lines.join('\n'),
+    terms: result.stages.map(r => fmt(toUnit(r.H), 4)).join(' + '), H: fmtInfo(result.H),
+    counts: result.stages.map(r => fmtInt(r.n)).join(' × '), outcomes: fmtInt(result.outcomes), log: L, Hmax: fmtInfo(result.Hmax),
+    verdict: uniform
+      ? t('hier.verdict.uniform')
+      : t('hier.verdict.skewed', { Imin: fmtInfo(result.Imin, 3), Imax: fmtInfo(result.Imax, 3) })
+  }) + changeOfBaseLine(result.H);
+  drawHierarchyChart();
+}
+
+/**
+ * 段階ごとの情報量の積み上げ棒: 上段が H(Xᵢ)、下段が一様なときの log nᵢ
+ * 段数が増えても各区間の和が全体の情報量になる
+ */
+function drawHierarchyChart(){
+  const canvas = document.getElementById('canvas-hier');
+  if(!canvas) return;
+  const { ctx, W, H, colors: theme } = beginPlot(canvas, { redraw: drawHierarchyChart });
+  const textColor = theme.muted;
+  const colors = theme.series;
+  ctx.font = '11px ui-monospace, monospace';
+  setGraphTable('canvas-hier', [t('graph.hier.stage'), t('hier.chart.actual'), t('hier.chart.uniform')], !hierResult ? [] : [
+    ...hierResult.stages.map((r, i) => [hierResult.names[i], fmtInfo(r.H, 3), fmtInfo(r.Hmax, 3)]),
+    [t('graph.total'), fmtInfo(hierResult.H, 3), fmtInfo(hierResult.Hmax, 3)]
+  ]);
+  if (!hierResult) {
+    ctx.fillStyle = textColor;
+    ctx.fillText(t('hier.chart.invalid'), 20, H/2);
+    return;
+  }
+
+  const left = 96, right = 16, barH = 40;
+  const w = W - left - right;
+  const total = hierResult.Hmax;
+  const scale = total > 0 ? w / total : 0;
+  const bars = [
+    [t('hier.chart.actual'), hierResult.stages.map(r => r.H), hierResult.H, 24],
+    [t('hier.chart.uniform'), hierResult.stages.map(r => r.Hmax), hierResult.Hmax, 92]
+  ];
+  bars.forEach(([label, values, sum, y]) => {
+    ctx.fillStyle = textColor;
+    ctx.fillText(label, 8, y + barH/2 + 4);
+    let x = left;
+    values.forEach((v, i) => {
+      const segW = v * scale;
+      ctx.fillStyle = colors[i % colors.length];
+      ctx.fillRect(x, y, segW, barH);
+      ctx.strokeStyle = theme.surface;
+      ctx.strokeRect(x, y, segW, barH);
+      // 幅に収まるときだけ区間の中に名前と値を書く
+      const text = `${hierResult.names[i]} ${fmt(toUnit(v), 2)}`;
+      if (ctx.measureText(text).width + 8 < segW) {
+        ctx.fillStyle = theme.surface;
+        ctx.fillText(text, x + 4, y + barH/2 + 4);
+      }
+      x += segW;
+    });
+    ctx.fillStyle = textColor;
+    ctx.fillText(`= ${fmtInfo(sum, 3)}`, Math.min(x + 4, W - 90), y - 4);
+  });
+}
+
+hierRowsEl.addEventListener('input', updateHierarchy);
+hierRowsEl.addEventListener('click', (e)=>{
+  const btn = e.target.closest('.h-remove');
+  if (!btn || hierRowsEl.children.length <= HIER_MIN_ROWS) return;
+  btn.closest('tr').remove();
+  updateHierarchy();
+});
+document.getElementById('hier-add').addEventListener('click', ()=>{
+  addHierRow(t('hier.stage', { n: hierRowsEl.children.length+1 }), '2');
+  updateHierarchy();
+});
+document.querySelectorAll('.hier-preset').forEach(btn => {
+  btn.addEventListener('click', () => setHierStages(hierPreset(btn.dataset.preset)));
+});
+setHierStages(hierPreset('apartment'));
+
 /* ========= 4. 性質：スライダー ========= */
 const propP = document.getElementById('propP');
 const propPval = document.getElementById('propPval');
 const propIval = document.getElementById('propIval');
 function updateProp(){
   const p = Number(propP.value);
-  propPval.textContent = p.toFixed(4);
-  const I = (p>0 && p<=1)? -log2(p) : NaN;
-  propIval.textContent = Number.isFinite(I)? I.toFixed(4) : '—';
+  propPval.textContent = fmt(p, 4);
+  const I = p > 0 ? information(p) : NaN;
+  propIval.textContent = Number.isFinite(I)? fmtInfo(I) : '—';
+  announce(propIval, `P = ${propPval.textContent}, I = ${propIval.textContent}`);
 }
 propP?.addEventListener('input', updateProp);
 updateProp();
 
 /* ========= 5. エントロピー ========= */
-const hxEls = Array.from(document.querySelectorAll('.hx'));
+const hRowsEl = document.getElementById('h-rows');
+const hCountEl = document.getElementById('h-count');
 const hsumEl = document.getElementById('hsum');
 const herrEl = document.getElementById('herr');
+const hrangeEl = document.getElementById('hrange');
 const hvalEl = document.getElementById('hval');
+const hmaxEl = document.getElementById('hmax');
+const heffEl = document.getElementById('heff');
 const hstepsEl = document.getElementById('hsteps');
 
-function entropy(ps){
-  // H = - Σ p log2 p ; 0 log 0 は 0 とみなす（極限）
-  let H = 0;
-  let terms = [];
-  for(const p of ps){
-    if(p > 0){
-      const t = -p * log2(p);
-      H += t;
-      terms.push(`- ${p.toFixed(6)} × log₂(${p.toFixed(6)}) = ${t.toFixed(6)}`);
-    } else if (p===0){
-      terms.push(`- 0 × log₂(0) → 0（極限的に 0 と扱う）`);
-    }
-  }
-  return {H, terms};
+const H_MIN_ROWS = 1;
+const H_MAX_ROWS = 32;
+
+// プリセット分布 (ラベルと確率の組)。ラベルは選んだ時点の表示言語で作る
+const hPresets = {
+  coin: () => [[t('h.coin.heads'), 0.5], [t('h.coin.tails'), 0.5]],
+  dice: () => [1,2,3,4,5,6].map(n => [t('h.dice.face', { n }), 1/6]),
+  weather: () => [[t('h.weather.sunny'), 0.45], [t('h.weather.cloudy'), 0.3], [t('h.weather.rainy'), 0.2], [t('h.weather.snowy'), 0.05]],
+  // 英文テキストにおける英字の出現頻度 (%)
+  alphabet: () => Object.entries({
+    E:12.7, T:9.1, A:8.2, O:7.5, I:7.0, N:6.7, S:6.3, H:6.1, R:6.0, D:4.3, L:4.0, C:2.8, U:2.8,
+    M:2.4, W:2.4, F:2.2, G:2.0, Y:2.0, P:1.9, B:1.5, V:1.0, K:0.8, J:0.15, X:0.15, Q:0.1, Z:0.07
+  })
+};
+
+/**
+ * エントロピーの各項の途中式 (選択中の単位、0 log 0 は 0 とみなす)
+ * @param {number[]} ps - 確率の配列
+ * @returns {string[]}
+ */
+function entropyTerms(ps){
+  return ps.map(p => p > 0
+    ? `- ${fmt(p, 6)} × ${infoUnit.log}(${fmt(p, 6)}) = ${fmt(toUnit(entropyTerm(p)), 6)}`
+    : t('h.zeroTerm', { log: infoUnit.log }));
 }
 
-function updateH(){
-  const ps = hxEls.map(el=>Number(el.value));
-  const s = ps.reduce((a,b)=>a+b,0);
-  hsumEl.textContent = s.toFixed(4);
-  if(Math.abs(s-1)>1e-6){ herrEl.classList.remove('hidden'); } else { herrEl.classList.add('hidden'); }
-  const {H, terms} = entropy(ps);
-  hvalEl.textContent = fmt(H,6) + ' bit';
-  hstepsEl.textContent = `H = - Σ p log₂ p
+/**
+ * エントロピーと途中式 (問題プリントの解答でも使う)
+ * @param {number[]} ps - 確率の配列
+ * @returns {{H: number, steps: string}} - H は bit、途中式は選択中の単位
+ */
+function calcH(ps){
+  const H = entropy(ps);
+  const terms = entropyTerms(ps);
+  const steps = `H = - Σ p ${infoUnit.log} p
   = ${terms.length? terms.join('  +\n    ') : '—'}
-  = ${fmt(H,6)} bit`;
+  = ${fmtInfo(H,6)}${changeOfBaseLine(H, '  ')}`;
+  return { H, steps };
 }
-hxEls.forEach(el=>el.addEventListener('input', updateH));
-updateH();
-
-/* ========= 新機能: 基礎知識タブのクイズシステム ========= */
 
-// クイズの正解と解説
-const quizAnswers = {
-  q1: { correct: 'b', explanation: 'log₂ 8 = 3 (2³ = 8 なので)' },
-  q2: { correct: 'a', explanation: 'log₂ (1/4) = log₂ (2⁻²) = -2' },
-  q3: { correct: 'b', explanation: '2ˣ = 16 = 2⁴ なので x = 4' }
-};
+/**
+ * 重みを合計1の確率に変換 (表示桁で丸め、丸め誤差は最大の要素で吸収して重み 0 の事象は 0 のまま)
+ * @param {number[]} weights - 非負の重み
+ * @param {number} digits - 小数点以下の桁数
+ * @returns {number[]} - 確率の配列
+ */
+function toDistribution(weights, digits=6){
+  const total = weights.reduce((a,b)=>a+b,0);
+  if (!(total > 0)) return weights.map(() => Number((1/weights.length).toFixed(digits)));
+  const ps = weights.map(w => Number((w/total).toFixed(digits)));
+  const largest = ps.indexOf(Math.max(...ps));
+  const rest = ps.reduce((a, p, i) => i === largest ? a : a + p, 0);
+  ps[largest] = Number(Math.max(0, 1 - rest).toFixed(digits));
+  return ps;
+}
 
-let quizScore = 0;
+// 入力行の追加
+function addHRow(label, p){
+  if (hRowsEl.children.length >= H_MAX_ROWS) return;
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td class="h-index"></td>
+    <td><input type="text" class="hx-label" maxlength="16"></td>
+    <td><input type="number" class="hx" step="0.0001" min="0" max="1"></td>
+    <td class="h-term">—</td>
+    <td><button class="h-remove">×</button></td>`;
+  tr.querySelector('.h-remove').setAttribute('aria-label', t('h.remove'));
+  tr.querySelector('.hx-label').value = label;
+  tr.querySelector('.hx').value = p;
+  hRowsEl.appendChild(tr);
+}
 
-// クイズ回答処理
-document.querySelectorAll('input[type="radio"]').forEach(input => {
-  input.addEventListener('change', function() {
-    const questionName = this.name;
-    const resultEl = document.getElementById(`${questionName}-result`);
-    const answer = quizAnswers[questionName];
+// 分布全体の入れ替え: rows = [[label, p], ...]
+function setHDistribution(rows){
+  hRowsEl.innerHTML = '';
+  rows.slice(0, H_MAX_ROWS).forEach(([label, p]) => addHRow(label, p));
+  updateH();
+}
 
-    if (this.value === answer.correct) {
-      resultEl.innerHTML = `<span style="color: var(--accent2)">✓ 正解！</span> ${answer.explanation}`;
-      this.closest('.quiz-question').classList.add('correct');
-    } else {
-      resultEl.innerHTML = `<span style="color: var(--warn)">✗ 不正解</span> ${answer.explanation}`;
-      this.closest('.quiz-question').classList.remove('correct');
-    }
+/**
+ * 現在の分布を取得 (他の計算機からも参照する)
+ * @returns {{label: string, p: number, outOfRange: boolean}[]} - outOfRange: 入力が 0〜1 の外 (p は 0〜1 に丸めた値)
+ */
+function getHDistribution(){
+  return Array.from(hRowsEl.children).map((tr, idx) => {
+    const value = Number(tr.querySelector('.hx').value);
+    // 範囲外の値は 0〜1 に丸めて計算を続け、updateH で行を指摘する
+    const outOfRange = !Number.isFinite(value) || value < 0 || value > 1;
+    const p = Number.isFinite(value) ? clamp(value, 0, 1) : 0;
+    const label = tr.querySelector('.hx-label').value.trim() || `x${toSubscript(idx+1)}`;
+    return { label, p, outOfRange };
+  });
+}
+
+function updateH(){
+  const rows = getHDistribution();
+  const ps = rows.map(r => r.p);
+  const n = ps.length;
+  const s = ps.reduce((a,b)=>a+b,0);
+  hsumEl.textContent = fmt(s, 4);
+  hCountEl.textContent = n;
+  if(Math.abs(s-1)>1e-6){ herrEl.classList.remove('hidden'); } else { herrEl.classList.add('hidden'); }
+  const outOfRange = rows.flatMap((r, idx) => r.outOfRange ? [`x${toSubscript(idx+1)}`] : []);
+  if (outOfRange.length) setMessage(hrangeEl, 'h.outOfRange', { rows: outOfRange.join(', ') });
+  hrangeEl.classList.toggle('hidden', !outOfRange.length);
 
-    updateQuizScore();
+  // 行番号・各項の寄与・入力の誤り・ボタン状態を更新
+  Array.from(hRowsEl.children).forEach((tr, idx) => {
+    const p = ps[idx];
+    tr.querySelector('.h-index').textContent = `x${toSubscript(idx+1)}`;
+    tr.querySelector('.hx').setAttribute('aria-invalid', String(rows[idx].outOfRange));
+    tr.querySelector('.h-term').textContent = p > 0 ? fmt(toUnit(entropyTerm(p)), 4) : '0';
+    tr.querySelector('.h-remove').disabled = n <= H_MIN_ROWS;
   });
-});
+  document.getElementById('h-add').disabled = n >= H_MAX_ROWS;
+
+  const { H, steps } = calcH(ps);
+  const Hmax = log2(n);
+  hvalEl.textContent = fmtInfo(H,6);
+  announce(hvalEl, `H = ${fmtInfo(H)}`);
+  hmaxEl.textContent = fmtInfo(Hmax);
+  heffEl.textContent = Hmax > 0 ? fmt(H / Hmax * 100, 1) + '%' : '—';
+  hstepsEl.textContent = steps;
+
+  drawEntropyChart(rows, H);
+}
 
-// クイズスコア更新
-function updateQuizScore() {
-  const correctCount = document.querySelectorAll('.quiz-question.correct').length;
-  const totalEl = document.getElementById('quiz-total');
-  if (totalEl) {
-    totalEl.textContent = `正解数: ${correctCount}/3`;
-    if (correctCount >= 2) {
-      totalEl.style.color = 'var(--accent2)';
-      totalEl.innerHTML += ' <span style="font-size: 12px">合格レベル！</span>';
+/**
+ * 分布の棒グラフ描画
+ * 左: 各事象の P(xᵢ) と寄与 -P log₂ P (共通の縦軸 0〜1)
+ * 右: 寄与の積み上げ = H と最大値 log₂ n の比較
+ */
+function drawEntropyChart(rows = getHDistribution(), H = entropy(rows.map(r => r.p))){
+  const canvas = document.getElementById('canvas-entropy');
+  if(!canvas) return;
+  const { ctx, W, H: Hc, colors } = beginPlot(canvas, {
+    redraw: () => drawEntropyChart(rows, H),
+    hover: (x) => {
+      const r = rows[Math.floor(x)];
+      if (!r) return null;
+      return { x: Math.floor(x) + 0.5, y: r.p, lines: [r.label, `P = ${fmt(r.p, 4)}`, `-P ${infoUnit.log} P = ${fmtInfo(entropyTerm(r.p), 4)}`] };
     }
+  });
+  const textColor = colors.muted;
+  const pColor = colors.exp;
+  const tColor = colors.log;
+  const maxColor = colors.lin;
+  ctx.font = '11px ui-monospace, monospace';
+
+  const left = 34, top = 16, bottom = Hc - 34;
+  const h = bottom - top;
+  const stackW = 70;                       // 右側の積み上げ棒の領域
+  const w = W - left - stackW - 20;
+  const n = rows.length;
+  // 縦軸は選択中の単位 (寄与 -P log P も同じ単位)
+  const Hmax = toUnit(log2(n));
+  const Hu = toUnit(H);
+  setGraphTable('canvas-entropy', [t('graph.event'), 'P', `-P ${infoUnit.log} P [${infoUnit.name}]`], [
+    ...rows.map(r => [r.label, fmt(r.p, 4), fmt(r.p > 0 ? toUnit(entropyTerm(r.p)) : 0, 4)]),
+    [t('graph.total'), fmt(rows.reduce((a, r) => a + r.p, 0), 4), `H = ${fmt(Hu, 4)}`]
+  ]);
+
+  // 左側: 横軸は事象の番号 (棒の区画)、縦軸 0〜1
+  const frame = createFrame({ left, top, width: w, height: h }, { domain: [0, Math.max(n, 1)] }, { domain: [0, 1] });
+  drawAxes(ctx, frame, colors, { xTicks: [], yTicks: [0, 0.25, 0.5, 0.75, 1], yFormat: (v) => fmt(v, 2) });
+
+  // 一様分布での各項の寄与 (1/n)·log n を破線で表示
+  if (n > 1){
+    const yu = bottom - (Hmax / n) * h;
+    ctx.strokeStyle = maxColor;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath(); ctx.moveTo(left, yu); ctx.lineTo(left + w, yu); ctx.stroke();
+    ctx.setLineDash([]);
   }
+
+  const slot = w / Math.max(n, 1);
+  const barW = Math.max(2, slot * 0.38);
+  rows.forEach((r, idx) => {
+    const x0 = left + idx*slot + slot/2;
+    const t = toUnit(entropyTerm(r.p));
+    ctx.fillStyle = pColor;
+    ctx.fillRect(x0 - barW, bottom - r.p*h, barW, r.p*h);
+    ctx.fillStyle = tColor;
+    ctx.fillRect(x0, bottom - t*h, barW, t*h);
+    // ラベルは幅に余裕があるときのみ
+    if (slot >= 14){
+      ctx.fillStyle = textColor;
+      const text = r.label.length > 4 ? r.label.slice(0, 4) : r.label;
+      ctx.fillText(text, x0 - ctx.measureText(text).width/2, bottom + 14);
+    }
+  });
+
+  // 右側: 寄与の積み上げ (合計 = H) と log n
+  const sx = left + w + 20;
+  const scaleMax = Math.max(Hmax, Hu, toUnit(1));
+  const Y = v => bottom - v / scaleMax * h;
+  ctx.strokeStyle = colors.frame;
+  ctx.lineWidth = 1.2;
+  ctx.strokeRect(sx, top, stackW - 24, h);
+  let acc = 0;
+  ctx.strokeStyle = colors.box; // 区切り線 (ボックス背景色)
+  ctx.lineWidth = 1;
+  rows.forEach(r => {
+    if (!(r.p > 0)) return;
+    const t = toUnit(entropyTerm(r.p));
+    ctx.fillStyle = tColor;
+    ctx.fillRect(sx + 4, Y(acc + t), stackW - 32, Y(acc) - Y(acc + t));
+    ctx.beginPath(); ctx.moveTo(sx + 4, Y(acc + t)); ctx.lineTo(sx + stackW - 28, Y(acc + t)); ctx.stroke();
+    acc += t;
+  });
+  ctx.strokeStyle = maxColor;
+  ctx.lineWidth = 2;
+  ctx.setLineDash([5, 3]);
+  ctx.beginPath(); ctx.moveTo(sx - 4, Y(Hmax)); ctx.lineTo(sx + stackW - 20, Y(Hmax)); ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = textColor;
+  ctx.fillText('H', sx + (stackW - 24)/2 - 4, bottom + 14);
+  ctx.fillText(fmt(Hu,2), sx + 2, Math.max(top + 10, Y(Hu) - 4));
+  ctx.fillStyle = maxColor;
+  ctx.fillText(`${infoUnit.log}n`, sx + stackW - 22, Y(Hmax) + 4);
+  endPlot(canvas, frame);
 }
 
-// クイズリセット
-document.getElementById('quiz-reset')?.addEventListener('click', function() {
-  document.querySelectorAll('input[type="radio"]').forEach(input => input.checked = false);
-  document.querySelectorAll('.quiz-result').forEach(el => el.innerHTML = '');
-  document.querySelectorAll('.quiz-question').forEach(el => el.classList.remove('correct'));
-  updateQuizScore();
+hRowsEl.addEventListener('input', updateH);
+hRowsEl.addEventListener('click', (e)=>{
+  const btn = e.target.closest('.h-remove');
+  if (!btn || hRowsEl.children.length <= H_MIN_ROWS) return;
+  btn.closest('tr').remove();
+  updateH();
 });
 
-/* ========= 新機能: 体感タブの驚き度システム ========= */
+document.getElementById('h-add').addEventListener('click', ()=>{
+  addHRow(`x${toSubscript(hRowsEl.children.length+1)}`, 0);
+  updateH();
+});
 
-// シナリオデータ
-const scenarios = {
-  coin: {
-    title: 'コイン投げ',
-    description: '普通のコインを投げたとき...',
-    events: {
-      '表が出た': 0.5,
-      '裏が出た': 0.5,
-      '立った': 0.0001,
-      '割れた': 0.00001
-    }
-  },
-  dice: {
-    title: 'サイコロ',
-    description: '標準的な6面サイコロを振ったとき...',
-    events: {
-      '1が出た': 1/6,
-      '偶数が出た': 0.5,
-      '7が出た': 0,
-      '全面同じ数': 0.000001
-    }
-  },
-  lottery: {
-    title: '宝くじ',
-    description: '年末ジャンボ宝くじで...',
-    events: {
-      'はずれ': 0.999,
-      '末等当選': 0.0009,
-      '1等当選': 0.00000001,
-      '隕石に当たる': 0.0000000001
-    }
-  },
-  weather: {
-    title: '天気予報',
-    description: '明日の天気として...',
-    events: {
-      '晴れ': 0.4,
-      '雨': 0.3,
-      '雪（夏）': 0.0001,
-      '隕石雨': 0.0000000001
-    }
+// 正規化: 現在の値を重みとして合計1に揃える
+document.getElementById('h-normalize').addEventListener('click', ()=>{
+  const rows = getHDistribution();
+  const ps = toDistribution(rows.map(r => r.p));
+  setHDistribution(rows.map((r, idx) => [r.label, ps[idx]]));
+});
+
+// 一様分布: すべての事象を 1/n に
+document.getElementById('h-uniform').addEventListener('click', ()=>{
+  const rows = getHDistribution();
+  const ps = toDistribution(rows.map(() => 1));
+  setHDistribution(rows.map((r, idx) => [r.label, ps[idx]]));
+});
+
+// ランダム分布: 一様乱数の重みを正規化
+document.getElementById('h-random').addEventListener('click', ()=>{
+  const rows = getHDistribution();
+  const ps = toDistribution(rows.map(() => Math.random()));
+  setHDistribution(rows.map((r, idx) => [r.label, ps[idx]]));
+});
+
+document.querySelectorAll('.h-preset').forEach(btn=>{
+  btn.addEventListener('click', ()=>{
+    const preset = hPresets[btn.dataset.preset]?.();
+    if (!preset) return;
+    const ps = toDistribution(preset.map(([, p]) => p));
+    setHDistribution(preset.map(([label], idx) => [label, ps[idx]]));
+  });
+});
+
+// 初期状態: 4事象の一様分布
+setHDistribution([1,2,3,4].map(k => [`x${toSubscript(k)}`, 0.25]));
+
+/* ========= 新機能: テキスト・ファイルのエントロピー解析 ========= */
+const teTextEl = document.getElementById('te-text');
+const teLevelEl = document.getElementById('te-level');
+const teFileInfoEl = document.getElementById('te-file-info');
+const TE_MAX_FILE_SIZE = 2 * 1024 * 1024; // 2MB
+const TE_CHART_SYMBOLS = 30;
+
+// ファイルから読み込んだ生バイト列 (テキストを編集したら破棄)
+let teFileBytes = null;
+
+/**
+ * テキストを単語に分ける (小文字にそろえる)
+ * 分かち書きのない日本語にも対応するため Intl.Segmenter を優先
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitWords(text){
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const seg = new Intl.Segmenter(undefined, { granularity: 'word' });
+    return Array.from(seg.segment(text)).filter(s => s.isWordLike).map(s => s.segment.toLowerCase());
   }
-};
+  return text.toLowerCase().match(/[\p{L}\p{N}'-]+/gu) || [];
+}
 
-let currentEvent = { probability: 0.5, name: '表が出た' };
-let intuitionData = [];
+/**
+ * 記号の出現頻度を数える
+ * @param {string} text - 解析対象のテキスト
+ * @param {string} level - 'char' | 'byte' | 'word'
+ * @param {Uint8Array|null} bytes - バイト単位で使う生データ (省略時は text のUTF-8)
+ * @returns {Map<string|number, number>} - 記号 → 出現回数
+ */
+function countSymbols(text, level, bytes = null){
+  const counts = new Map();
+  const add = (sym) => counts.set(sym, (counts.get(sym) || 0) + 1);
 
-// シナリオ選択
-document.getElementById('scenario-select')?.addEventListener('change', function() {
-  const scenario = scenarios[this.value];
-  if (scenario) {
-    document.getElementById('scenario-title').textContent = scenario.title;
-    document.getElementById('scenario-desc').textContent = scenario.description;
-
-    // イベント選択肢を更新
-    const eventSelect = document.getElementById('event-select');
-    if (eventSelect) {
-      eventSelect.innerHTML = '';
-      Object.keys(scenario.events).forEach(eventName => {
-        const option = document.createElement('option');
-        option.value = eventName;
-        option.textContent = eventName;
-        eventSelect.appendChild(option);
-      });
+  if (level === 'byte') {
+    (bytes || new TextEncoder().encode(text)).forEach(add);
+  } else if (level === 'word') {
+    splitWords(text).forEach(add);
+  } else {
+    for (const ch of text) add(ch); // サロゲートペアも1文字として扱う
+  }
+  return counts;
+}
+
+// 記号の表示用文字列 (空白・制御文字・バイト値を可視化)
+function symbolLabel(sym){
+  if (typeof sym === 'number') return '0x' + sym.toString(16).padStart(2, '0').toUpperCase();
+  if (sym === ' ') return '␣';
+  if (sym === '\n') return '⏎';
+  if (sym === '\t') return '⇥';
+  if (sym === '\r') return '␍';
+  return sym;
+}
+
+// バイト数の表示 (B / KB / MB)
+function fmtBytes(bytes){
+  if (!Number.isFinite(bytes)) return '—';
+  if (bytes < 1024) return fmt(bytes, 1) + ' B';
+  if (bytes < 1024 * 1024) return fmt(bytes / 1024, 2) + ' KB';
+  return fmt(bytes / 1024 / 1024, 2) + ' MB';
+}
+
+/**
+ * 頻度分布を解析 (上位から降順)
+ * @returns {{symbols: {sym, count, p}[], N: number, k: number, H: number}}
+ */
+function analyzeTextEntropy(){
+  const level = teLevelEl.value;
+  const counts = countSymbols(teTextEl.value, level, level === 'byte' ? teFileBytes : null);
+  const N = Array.from(counts.values()).reduce((a,b)=>a+b,0);
+  const symbols = Array.from(counts, ([sym, count]) => ({ sym, count, p: count / N }))
+    .sort((a, b) => b.count - a.count);
+  const H = entropy(symbols.map(s => s.p));
+  return { symbols, N, k: symbols.length, H };
+}
+
+function updateTextEntropy(){
+  const { symbols, N, k, H } = analyzeTextEntropy();
+  const unitName = t(`te.level.${teLevelEl.value}`);
+
+  if (N === 0) {
+    ['te-h','te-count','te-total','te-min'].forEach(id => document.getElementById(id).textContent = '—');
+    document.getElementById('te-steps').textContent = t('te.empty');
+    drawTextEntropyChart([]);
+    return;
+  }
+
+  const totalBits = N * H;
+  const naiveBits = N * 8;
+  const fixedBits = N * Math.ceil(log2(Math.max(k, 2)));
+  const naiveNote = k > 256 ? t('te.note.tooMany') : t('te.note.redundancy', { value: fmt(8 - H, 3) });
+
+  document.getElementById('te-h').textContent = fmtInfo(H);
+  document.getElementById('te-count').textContent = `${fmtInt(N)} / ${fmtInt(k)}`;
+  document.getElementById('te-total').textContent = fmtInfo(totalBits, 1);
+  document.getElementById('te-min').textContent = fmtBytes(totalBits / 8);
+
+  document.getElementById('te-steps').textContent = t('te.steps', {
+    unitName, N, k, log: infoUnit.log, H: fmtInfo(H,6), Hmax: fmt(toUnit(log2(k)),4), change: changeOfBaseLine(H),
+    totalBits: fmt(totalBits,1), totalBytes: fmtBytes(totalBits / 8),
+    naiveBits, naiveBytes: fmtBytes(N),
+    fixedBits, fixedBytes: fmtBytes(fixedBits / 8),
+    ratio: fmt(totalBits / naiveBits * 100, 1), note: naiveNote
+  });
+
+  drawTextEntropyChart(symbols);
+}
+
+/**
+ * 出現頻度ヒストグラムの描画 (上位 TE_CHART_SYMBOLS 記号)
+ * 棒の高さ: 確率 p, 折れ線: 情報量 -log p (選択中の単位)
+ */
+function drawTextEntropyChart(symbols = analyzeTextEntropy().symbols){
+  const canvas = document.getElementById('canvas-text-entropy');
+  if(!canvas) return;
+  const shown = symbols.slice(0, TE_CHART_SYMBOLS);
+  const { ctx, W, H, colors } = beginPlot(canvas, {
+    redraw: () => drawTextEntropyChart(symbols),
+    hover: (x) => {
+      const s = shown[Math.floor(x)];
+      if (!s) return null;
+      return { x: Math.floor(x) + 0.5, y: s.p, lines: [
+        `${t('graph.symbol')} ${symbolLabel(s.sym)}`, `${t('graph.count')} ${fmtInt(s.count)}`,
+        `P = ${fmt(s.p, 4)}`, `-${infoUnit.log} P = ${fmtInfo(-log2(s.p), 3)}`
+      ] };
     }
+  });
+  const textColor = colors.muted;
+  ctx.font = '11px ui-monospace, monospace';
 
-    // デフォルトイベントを設定
-    const firstEvent = Object.keys(scenario.events)[0];
-    currentEvent = {
-      name: firstEvent,
-      probability: scenario.events[firstEvent]
-    };
+  const left = 40, top = 16, w = W - 80, h = H - 50;
+  setGraphTable('canvas-text-entropy', [t('graph.symbol'), t('graph.count'), 'P', `-${infoUnit.log} P [${infoUnit.name}]`],
+    shown.map(s => [String(symbolLabel(s.sym)), fmtInt(s.count), fmt(s.p, 4), fmt(toUnit(-log2(s.p)), 3)]));
+  const pMax = shown.length ? shown[0].p : 1;
+  // 横軸は記号の順位 (棒の区画)、縦軸 (左) は確率
+  const frame = createFrame({ left, top, width: w, height: h }, { domain: [0, Math.max(shown.length, 1)] }, { domain: [0, pMax] });
+  drawAxes(ctx, frame, colors, { xTicks: [], yTicks: [0, pMax], yFormat: (v) => v ? fmt(v, 3) : '0' });
+  if (!symbols.length) return;
 
-    updateEventDisplay();
-    updateIntuitionDisplay();
-    hideResult(); // 結果を隠す
+  const Imax = Math.max(1, Math.ceil(-log2(shown[shown.length-1].p)));
+  const slot = w / shown.length;
+
+  // 縦軸 (左: 確率, 右: 情報量)
+  ctx.fillStyle = textColor;
+  ctx.fillText(fmtInfo(Imax, 1), left + w + 4, top + 8);
+  ctx.fillText('P', 4, top + h/2);
+  ctx.fillText(`-${infoUnit.log}P`, left + w + 4, top + h/2);
+
+  shown.forEach((s, idx) => {
+    const x = left + idx * slot;
+    const bh = s.p / pMax * h;
+    ctx.fillStyle = colors.exp;
+    ctx.fillRect(x + slot*0.15, top + h - bh, slot*0.7, bh);
+    ctx.fillStyle = textColor;
+    const label = String(symbolLabel(s.sym)).slice(0, 4);
+    ctx.save();
+    ctx.translate(x + slot/2 + 3, top + h + 6);
+    ctx.rotate(slot < 24 ? Math.PI/2 : 0);
+    ctx.fillText(label, slot < 24 ? 0 : -ctx.measureText(label).width/2 - 3, slot < 24 ? 0 : 8);
+    ctx.restore();
+  });
+
+  // 各記号の情報量 -log₂ p の折れ線
+  ctx.beginPath();
+  shown.forEach((s, idx) => {
+    const x = left + idx * slot + slot/2;
+    const y = top + h - (-log2(s.p)) / Imax * h;
+    if (idx === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+  });
+  ctx.strokeStyle = colors.lin;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  endPlot(canvas, frame);
+}
+
+// ファイル読み込み (FileReader でブラウザー内のみ処理)
+function loadTextEntropyFile(file){
+  if (!file) return;
+  if (file.size > TE_MAX_FILE_SIZE) {
+    setMessage(teFileInfoEl, 'te.file.tooLarge', { name: file.name, size: fmtBytes(file.size) });
+    return;
   }
+  const reader = new FileReader();
+  reader.onload = () => {
+    teFileBytes = new Uint8Array(reader.result);
+    teTextEl.value = new TextDecoder('utf-8').decode(teFileBytes);
+    setMessage(teFileInfoEl, 'te.file.loaded', { name: file.name, size: fmtBytes(file.size) });
+    updateTextEntropy();
+  };
+  reader.onerror = () => {
+    setMessage(teFileInfoEl, 'te.file.error', { name: file.name });
+  };
+  reader.readAsArrayBuffer(file);
+}
+
+teTextEl.addEventListener('input', ()=>{
+  teFileBytes = null; // 手で編集したらファイルの生バイト列は使わない
+  updateTextEntropy();
+});
+teLevelEl.addEventListener('change', updateTextEntropy);
+document.getElementById('te-file').addEventListener('change', function(){
+  loadTextEntropyFile(this.files[0]);
 });
 
-// 出来事選択
-document.getElementById('event-select')?.addEventListener('change', function() {
-  const selectedScenario = scenarios[document.getElementById('scenario-select').value];
-  if (selectedScenario && selectedScenario.events[this.value] !== undefined) {
-    currentEvent = {
-      name: this.value,
-      probability: selectedScenario.events[this.value]
-    };
-    updateEventDisplay();
-    updateIntuitionDisplay();
-    hideResult(); // 結果を隠す
+const teDropEl = document.getElementById('te-drop');
+teDropEl.addEventListener('dragover', (e)=>{ e.preventDefault(); teDropEl.classList.add('dragover'); });
+teDropEl.addEventListener('dragleave', ()=> teDropEl.classList.remove('dragover'));
+teDropEl.addEventListener('drop', (e)=>{
+  e.preventDefault();
+  teDropEl.classList.remove('dragover');
+  loadTextEntropyFile(e.dataTransfer.files[0]);
+});
+
+// 頻度分布をエントロピー計算器に送る (行数上限を超える分は「その他」にまとめる)
+document.getElementById('te-send').addEventListener('click', ()=>{
+  const { symbols, N } = analyzeTextEntropy();
+  if (!N) return;
+  let rows = symbols.map(s => [String(symbolLabel(s.sym)), s.count]);
+  if (rows.length > H_MAX_ROWS) {
+    const rest = rows.slice(H_MAX_ROWS - 1).reduce((a, [, c]) => a + c, 0);
+    rows = rows.slice(0, H_MAX_ROWS - 1).concat([[t('te.other'), rest]]);
   }
+  const ps = toDistribution(rows.map(([, c]) => c));
+  setHDistribution(rows.map(([label], idx) => [label, ps[idx]]));
+  hRowsEl.closest('.card').scrollIntoView({ behavior: 'smooth', block: 'start' });
 });
 
-// 結果表示/非表示の制御
-function hideResult() {
-  const resultEl = document.querySelector('.comparison-result');
-  const buttonEl = document.getElementById('reveal-answer');
-  if (resultEl) {
-    resultEl.classList.remove('visible');
+setMessage(teFileInfoEl, 'te.file.note');
+updateTextEntropy();
+
+/* ========= 新機能: マルコフ情報源と言語のエントロピー率 ========= */
+const mkTextEl = document.getElementById('mk-text');
+const mkLevelEl = document.getElementById('mk-level');
+const mkOutputEl = document.getElementById('mk-output');
+const MK_MAX_ORDER = 3;
+const MK_MAX_SYMBOLS = 100000; // これを超える分は解析しない (入力のたびに再計算するため)
+
+// 直近の解析結果 (文章の生成で使う)
+let mkAnalysis = { models: [], level: 'char', k: 0 };
+
+/**
+ * 0〜MK_MAX_ORDER 次の n-gram モデルを作り、各次数の条件付きエントロピーを推定
+ * @returns {{models: {order: number, model: Map, H: number}[], level: string, N: number, k: number, truncated: boolean}}
+ */
+function analyzeMarkov(){
+  const level = mkLevelEl.value;
+  const all = level === 'word' ? splitWords(mkTextEl.value) : Array.from(mkTextEl.value);
+  const symbols = all.slice(0, MK_MAX_SYMBOLS);
+  const models = [];
+  for (let order = 0; order <= MK_MAX_ORDER; order++) {
+    const model = ngramModel(symbols, order);
+    models.push({ order, model, H: ngramEntropyRate(model) });
   }
-  if (buttonEl) {
-    buttonEl.textContent = '④答えを見る';
-    buttonEl.disabled = false;
+  const k = models[0].model.size ? models[0].model.get('').size : 0;
+  return { models, level, N: symbols.length, k, truncated: all.length > symbols.length };
+}
+
+function updateMarkov(){
+  mkAnalysis = analyzeMarkov();
+  const { models, level, N, k, truncated } = mkAnalysis;
+  const unitName = t(`te.level.${level}`);
+  document.getElementById('mk-info').textContent = N
+    ? t('mk.info', { unitName, N: fmtInt(N), k: fmtInt(k) }) + (truncated ? t('mk.truncated', { max: fmtInt(MK_MAX_SYMBOLS), unitName }) : '')
+    : t('te.empty');
+
+  const tbody = document.getElementById('mk-table');
+  tbody.innerHTML = '';
+  models.forEach(({ order, model, H }) => {
+    const name = order === 0 ? t('mk.order0') : t('mk.context', { order, unitName });
+    const tr = document.createElement('tr');
+    [String(order), name, String(model.size), Number.isFinite(H) ? `${fmtInfo(H, 3)}/${unitName}` : '—'].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  drawMarkovChart();
+}
+
+/**
+ * 次数 k と条件付きエントロピーの折れ線 (選択中の単位)
+ * 破線: 全記号が等確率のときの最大値 log k
+ */
+function drawMarkovChart(){
+  const canvas = document.getElementById('canvas-markov');
+  if(!canvas) return;
+  const { models, k } = mkAnalysis;
+  const points = models.filter(m => Number.isFinite(m.H));
+  const { ctx, W, H, colors } = beginPlot(canvas, {
+    redraw: drawMarkovChart,
+    hover: (order) => {
+      const m = points.find(p => p.order === Math.round(order));
+      return m && { x: m.order, y: toUnit(m.H), lines: [t('mk.axis.order', { order: m.order }), `H = ${fmtInfo(m.H, 3)}`] };
+    }
+  });
+  const textColor = colors.muted;
+  ctx.font = '11px ui-monospace, monospace';
+
+  const Hmax = log2(Math.max(k, 2));
+  const yMax = Math.max(1, Math.ceil(toUnit(Hmax)));
+  const frame = createFrame({ left: 56, top: 16, width: W - 80, height: H - 50 }, { domain: [0, MK_MAX_ORDER] }, { domain: [0, yMax] });
+  const { left, width: w } = frame;
+  const xOf = (order) => frame.x(order);
+  const yOf = (bits) => frame.y(toUnit(bits));
+  setGraphTable('canvas-markov', [t('mk.axis.context'), `H [${infoUnit.name}]`], !points.length ? [] : [
+    ...points.map(m => [t('mk.axis.order', { order: m.order }), fmt(toUnit(m.H), 3)]),
+    [`${infoUnit.log} k`, fmt(toUnit(Hmax), 3)]
+  ]);
+
+  drawAxes(ctx, frame, colors, {
+    xTicks: Array.from({ length: MK_MAX_ORDER + 1 }, (_, order) => order), yCount: Math.min(yMax, 4),
+    xFormat: (order) => t('mk.axis.order', { order }), yFormat: (v, digits) => fmt(v, digits),
+    xLabel: t('mk.axis.context'), yLabel: infoUnit.name
+  });
+  if (!points.length) return;
+
+  // 最大値 log k (一様分布)
+  ctx.setLineDash([5, 4]);
+  ctx.strokeStyle = textColor;
+  ctx.beginPath();
+  ctx.moveTo(left, yOf(Hmax));
+  ctx.lineTo(left + w, yOf(Hmax));
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = textColor;
+  ctx.fillText(`${infoUnit.log} k`, left + w - 40, yOf(Hmax) - 4);
+
+  ctx.beginPath();
+  points.forEach((m, idx) => {
+    if (idx === 0) ctx.moveTo(xOf(m.order), yOf(m.H)); else ctx.lineTo(xOf(m.order), yOf(m.H));
+  });
+  ctx.strokeStyle = colors.exp;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  points.forEach(m => {
+    const x = xOf(m.order), y = yOf(m.H);
+    ctx.fillStyle = colors.lin;
+    ctx.beginPath();
+    ctx.arc(x, y, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = textColor;
+    ctx.fillText(fmt(toUnit(m.H), 2), x + 6, y - 6);
+  });
+  endPlot(canvas, frame);
+}
+
+// 指定した次数のモデルで文章を生成して表示
+function generateMarkovText(order){
+  const entry = mkAnalysis.models[order];
+  if (!entry || !entry.model.size) {
+    setMessage(mkOutputEl, 'mk.tooShort');
+    return;
   }
+  const length = clamp(parseInt(document.getElementById('mk-length').value, 10) || 200, 10, 2000);
+  const out = generateFromNgram(entry.model, order, length);
+  setMessage(mkOutputEl, 'mk.generated', { order, text: out.join(mkAnalysis.level === 'word' ? ' ' : '') });
 }
 
-// 出来事表示更新
-function updateEventDisplay() {
-  const selectedEventEl = document.getElementById('selected-event');
-  if (selectedEventEl) {
-    selectedEventEl.textContent = `「${currentEvent.name}」`;
+mkTextEl.addEventListener('input', updateMarkov);
+mkLevelEl.addEventListener('change', updateMarkov);
+document.getElementById('mk-use-te').addEventListener('click', ()=>{
+  mkTextEl.value = teTextEl.value;
+  updateMarkov();
+});
+document.querySelectorAll('#mk-generate button').forEach(btn => {
+  btn.addEventListener('click', () => generateMarkovText(Number(btn.dataset.order)));
+});
+
+setMessage(mkOutputEl, 'mk.placeholder');
+updateMarkov();
+
+/* ========= 新機能: ハフマン / シャノン・ファノ符号化ビジュアライザー ========= */
+
+// 木のノードの表示名 (葉はラベル、内部ノードは含まれる記号の集合)
+const nodeName = (node) => node.symbols.length === 1 ? node.symbols[0] : `{${node.symbols.join(',')}}`;
+
+/**
+ * ハフマン符号の構築 (確率最小の2ノードを結合する操作の繰り返し)
+ * @param {{label: string, p: number}[]} symbols - 正の確率を持つ2つ以上の記号
+ * @returns {{root: Object, steps: {forest: Object[], text: function(): string}[]}} - text は表示言語で説明文を作る
+ */
+function buildHuffmanCode(symbols){
+  let forest = symbols.map(s => ({ symbols: [s.label], p: s.p }));
+  const n = forest.length;
+  const steps = [{ forest: forest.slice(), text: () => t('coder.huffman.start', { n }) }];
+  let order = 0;
+  while (forest.length > 1) {
+    // 安定ソートなので同じ確率なら元の並び順を優先
+    const [a, b] = forest.slice().sort((x, y) => x.p - y.p);
+    const parent = { symbols: a.symbols.concat(b.symbols), p: a.p + b.p, children: [a, b], order: order++ };
+    const at = Math.min(forest.indexOf(a), forest.indexOf(b));
+    forest = forest.filter(n => n !== a && n !== b);
+    forest.splice(at, 0, parent);
+    steps.push({
+      forest: forest.slice(),
+      text: () => t('coder.huffman.merge', { a: nodeName(a), pa: fmt(a.p,3), b: nodeName(b), pb: fmt(b.p,3), p: fmt(parent.p,3) })
+    });
   }
+  return { root: forest[0], steps };
 }
 
-// 答えを見るボタン
-document.getElementById('reveal-answer')?.addEventListener('click', function() {
-  const resultEl = document.querySelector('.comparison-result');
-  if (resultEl) {
-    resultEl.classList.add('visible');
-    resultEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+/**
+ * シャノン・ファノ符号の構築 (確率の合計がなるべく等しくなる2分割の繰り返し)
+ * @param {{label: string, p: number}[]} symbols - 正の確率を持つ2つ以上の記号
+ * @returns {{root: Object, steps: {forest: Object[], collapseFrom: number, text: function(): string}[]}}
+ */
+function buildShannonFanoCode(symbols){
+  const sorted = symbols.slice().sort((a, b) => b.p - a.p);
+  const group = (items) => ({ symbols: items.map(s => s.label), p: items.reduce((a, s) => a + s.p, 0), items });
+  const root = group(sorted);
+  const steps = [{ forest: [root], collapseFrom: 0, text: () => t('coder.sf.start', { n: sorted.length }) }];
 
-    // ボタンテキストを変更
-    this.textContent = '結果表示中';
-    this.disabled = true;
+  // 幅優先で分割 (各分割がそのまま1ステップ)
+  const queue = [root];
+  let order = 0;
+  while (queue.length) {
+    const node = queue.shift();
+    if (node.items.length < 2) continue;
+    let best = 1, bestDiff = Infinity, prefix = 0;
+    for (let k = 1; k < node.items.length; k++) {
+      prefix += node.items[k-1].p;
+      const diff = Math.abs(2 * prefix - node.p);
+      if (diff < bestDiff) { bestDiff = diff; best = k; }
+    }
+    const left = group(node.items.slice(0, best));
+    const right = group(node.items.slice(best));
+    node.children = [left, right];
+    node.order = order++;
+    steps.push({
+      forest: [root],
+      collapseFrom: order,
+      text: () => t('coder.sf.split', { node: nodeName(node), left: nodeName(left), pl: fmt(left.p,3), right: nodeName(right), pr: fmt(right.p,3) })
+    });
+    queue.push(left, right);
+  }
+  return { root, steps };
+}
 
-    // 3秒後にボタンを再有効化
-    setTimeout(() => {
-      this.textContent = '④答えを見る';
-      this.disabled = false;
-    }, 3000);
+// 根から葉への 0/1 で符号語を割り当てる (Map: ラベル → 符号語)
+function assignCodes(root){
+  const codes = new Map();
+  const walk = (node, prefix) => {
+    if (!node.children) { codes.set(node.symbols[0], prefix); return; }
+    walk(node.children[0], prefix + '0');
+    walk(node.children[1], prefix + '1');
+  };
+  walk(root, '');
+  return codes;
+}
+
+// ラベルがすべて1文字か (メッセージを区切りなしで表記できるか)
+const allSingleChars = (labels) => labels.every(l => Array.from(l).length === 1);
+
+// メッセージを記号列に分解 (ラベルがすべて1文字なら文字単位、それ以外は空白区切り)
+function tokenizeMessage(text, labels){
+  if (allSingleChars(labels)) return Array.from(text);
+  return text.trim().split(/\s+/).filter(Boolean);
+}
+
+const coderState = {
+  symbols: [],     // {label, p}
+  root: null,
+  steps: [],
+  step: 0,
+  codes: new Map(),
+  bits: '',        // 符号化済みのビット列
+  bitOwners: [],   // 各ビットが属する記号の番号 (表示の色分け用)
+  pos: 0,          // 復号済みのビット数
+  node: null,      // 復号中に到達しているノード
+  decoded: [],
+  notes: []        // 注意書き (表示言語で文を作る関数)
+};
+
+// 入力元から符号化対象の分布を取得
+function coderSourceSymbols(){
+  if (document.getElementById('coder-source').value === 'text') {
+    const counts = countSymbols(document.getElementById('coder-text').value, 'char');
+    const N = Array.from(counts.values()).reduce((a,b)=>a+b,0);
+    return Array.from(counts, ([label, c]) => ({ label, p: c / N }));
+  }
+  return getHDistribution();
+}
+
+function buildCoder(){
+  const all = coderSourceSymbols();
+  const positive = all.filter(s => s.p > 0);
+  const notes = [];
+  const zeros = all.length - positive.length;
+  if (zeros) notes.push(() => t('coder.note.zero', { n: zeros }));
+
+  // ラベルの重複は符号表が作れないため番号で区別
+  const seen = new Set();
+  positive.forEach((s, idx) => { if (seen.has(s.label)) s.label = `${s.label}#${idx+1}`; seen.add(s.label); });
+
+  const total = positive.reduce((a, s) => a + s.p, 0);
+  if (positive.length && Math.abs(total - 1) > 1e-6) notes.push(() => t('coder.note.normalized', { total: fmt(total,4) }));
+  coderState.symbols = positive.map(s => ({ label: s.label, p: s.p / total }));
+
+  if (coderState.symbols.length < 2) {
+    notes.unshift(() => t('coder.note.tooFew'));
+    Object.assign(coderState, { root: null, steps: [], step: 0, codes: new Map() });
+  } else {
+    const method = document.getElementById('coder-method').value;
+    const { root, steps } = method === 'shannon-fano'
+      ? buildShannonFanoCode(coderState.symbols)
+      : buildHuffmanCode(coderState.symbols);
+    Object.assign(coderState, { root, steps, step: 0, codes: assignCodes(root) });
+  }
+  coderState.notes = notes;
+
+  renderCoderNotes();
+  renderCoderTable();
+  coderSampleMessage();
+  renderCoderStep();
+}
+
+function renderCoderNotes(){
+  document.getElementById('coder-note').textContent = coderState.notes.map(note => note()).join(' / ');
+}
+
+function renderCoderStep(){
+  const { steps, step } = coderState;
+  document.getElementById('coder-step-count').textContent = steps.length ? `${step} / ${steps.length - 1}` : '0 / 0';
+  document.getElementById('coder-step-text').textContent = steps.length ? steps[step].text() : '';
+  drawCodeTree();
+}
+
+function renderCoderTable(){
+  const tbody = document.getElementById('coder-table');
+  tbody.innerHTML = '';
+  const { symbols, codes } = coderState;
+  const summaryEl = document.getElementById('coder-summary');
+  if (!codes.size) { summaryEl.textContent = '—'; return; }
+
+  let H = 0, L = 0;
+  symbols.forEach(s => {
+    const code = codes.get(s.label);
+    H += -s.p * log2(s.p);
+    L += s.p * code.length;
+    const tr = document.createElement('tr');
+    [s.label, fmt(s.p,4), fmt(-log2(s.p),3), code, code.length].forEach(v => {
+      const td = document.createElement('td');
+      td.textContent = v;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  const fixed = Math.ceil(log2(symbols.length));
+  const method = t(document.getElementById('coder-method').value === 'shannon-fano' ? 'coder.method.sf' : 'coder.method.huffman');
+  const inBound = H <= L + 1e-12 && L < H + 1;
+  summaryEl.textContent = t('coder.summary', {
+    method, n: symbols.length, H: fmt(H,4), L: fmt(L,4), fixed, H1: fmt(H+1,4),
+    verdict: t(inBound ? 'coder.bound.ok' : 'coder.bound.ng'), efficiency: fmt(H / L * 100, 1)
+  });
+}
+
+/**
+ * 符号の木の描画
+ * 葉を左から等間隔に並べ、内部ノードは子の中点に配置 (複数の木は横に並べる)
+ */
+function drawCodeTree(){
+  const canvas = document.getElementById('canvas-coder');
+  if(!canvas) return;
+  const { ctx, W, H, colors } = beginPlot(canvas, { redraw: drawCodeTree });
+  const { steps, step } = coderState;
+  if (!steps.length) return;
+
+  const textColor = colors.text;
+  const edgeColor = colors.grid;
+  const nodeColor = colors.box;
+  const leafColor = colors.log;
+  const hiColor = colors.lin;
+
+  const { forest, collapseFrom = Infinity } = steps[step];
+  const isLeaf = (node) => !node.children || node.order >= collapseFrom;
+
+  // 葉の数・深さから座標を決定
+  const leaves = [];
+  let maxDepth = 0;
+  const layout = (node, depth) => {
+    node.depth = depth;
+    maxDepth = Math.max(maxDepth, depth);
+    if (isLeaf(node)) { node.x = leaves.length; leaves.push(node); return; }
+    node.children.forEach(c => layout(c, depth + 1));
+    node.x = (node.children[0].x + node.children[1].x) / 2;
+  };
+  forest.forEach(root => layout(root, 0));
+  const slot = (W - 40) / leaves.length;
+  const px = (node) => 20 + (node.x + 0.5) * slot;
+  const py = (node) => 30 + node.depth * Math.min(60, (H - 80) / Math.max(maxDepth, 1));
+
+  // 復号中のパス (根から現在ノードまで) を強調
+  const path = new Set();
+  if (coderState.node && step === steps.length - 1) {
+    let n = coderState.root;
+    path.add(n);
+    const partial = coderState.bits.slice(coderState.pos - coderState.partialLength, coderState.pos);
+    for (const b of partial) { n = n.children[Number(b)]; path.add(n); }
   }
+
+  ctx.font = '11px ui-monospace, monospace';
+  ctx.textAlign = 'center';
+  const drawNode = (node) => {
+    if (!isLeaf(node)) {
+      node.children.forEach((c, bit) => {
+        ctx.beginPath();
+        ctx.moveTo(px(node), py(node));
+        ctx.lineTo(px(c), py(c));
+        ctx.strokeStyle = path.has(c) ? hiColor : edgeColor;
+        ctx.lineWidth = path.has(c) ? 3 : 1.5;
+        ctx.stroke();
+        ctx.fillStyle = textColor;
+        ctx.fillText(String(bit), (px(node) + px(c)) / 2 + (bit ? 8 : -8), (py(node) + py(c)) / 2);
+        drawNode(c);
+      });
+    }
+    const leaf = isLeaf(node);
+    const r = leaf ? 13 : 9;
+    ctx.beginPath();
+    ctx.arc(px(node), py(node), r, 0, 2 * Math.PI);
+    ctx.fillStyle = leaf && node.symbols.length === 1 ? leafColor : nodeColor;
+    ctx.fill();
+    ctx.strokeStyle = path.has(node) ? hiColor : edgeColor;
+    ctx.lineWidth = path.has(node) ? 3 : 1;
+    ctx.stroke();
+    ctx.fillStyle = textColor;
+    if (leaf) {
+      const name = nodeName(node);
+      const label = name.length > 6 && slot < 60 ? name.slice(0, 5) + '…' : name;
+      ctx.fillText(label, px(node), py(node) + r + 12);
+      ctx.fillText(fmt(node.p, 2), px(node), py(node) + r + 24);
+    } else {
+      ctx.fillText(fmt(node.p, 2), px(node), py(node) - r - 4);
+    }
+  };
+  forest.forEach(drawNode);
+  ctx.textAlign = 'start';
+}
+
+function setCoderStep(k){
+  coderState.step = clamp(k, 0, Math.max(0, coderState.steps.length - 1));
+  renderCoderStep();
+}
+
+// 分布に従ってサンプルのメッセージを生成
+function coderSampleMessage(){
+  const input = document.getElementById('coder-message');
+  const { symbols } = coderState;
+  if (document.getElementById('coder-source').value === 'text') {
+    input.value = document.getElementById('coder-text').value;
+  } else if (symbols.length) {
+    const picked = [];
+    for (let i = 0; i < 12; i++) {
+      let r = Math.random(), k = 0;
+      while (k < symbols.length - 1 && r >= symbols[k].p) { r -= symbols[k].p; k++; }
+      picked.push(symbols[k].label);
+    }
+    input.value = picked.join(allSingleChars(symbols.map(s => s.label)) ? '' : ' ');
+  }
+  encodeCoderMessage();
+}
+
+function encodeCoderMessage(){
+  const { codes } = coderState;
+  const tokens = tokenizeMessage(document.getElementById('coder-message').value, Array.from(codes.keys()));
+  const unknown = tokens.filter(t => !codes.has(t));
+  coderState.bits = '';
+  coderState.bitOwners = [];
+  tokens.filter(t => codes.has(t)).forEach((t, idx) => {
+    const code = codes.get(t);
+    coderState.bits += code;
+    for (let i = 0; i < code.length; i++) coderState.bitOwners.push(idx);
+  });
+  coderState.tokens = tokens.filter(t => codes.has(t));
+  coderState.unknown = unknown;
+  resetCoderDecode();
+}
+
+function resetCoderDecode(){
+  Object.assign(coderState, { pos: 0, node: coderState.root, partialLength: 0, decoded: [] });
+  renderCoderDecode();
+}
+
+// 1ビット読み進めて木をたどる (葉に着いたら1記号を出力して根に戻る)
+function coderStepBit(render = true){
+  const st = coderState;
+  if (!st.root || st.pos >= st.bits.length) return;
+  if (st.step !== st.steps.length - 1) setCoderStep(st.steps.length - 1);
+  st.node = st.node.children[Number(st.bits[st.pos])];
+  st.pos++;
+  st.partialLength++;
+  if (!st.node.children) {
+    st.decoded.push(st.node.symbols[0]);
+    st.node = st.root;
+    st.partialLength = 0;
+  }
+  if (render) renderCoderDecode();
+}
+
+function renderCoderDecode(){
+  const st = coderState;
+  const bitsEl = document.getElementById('coder-bits');
+  bitsEl.innerHTML = '';
+  for (let i = 0; i < st.bits.length; i++) {
+    const span = document.createElement('span');
+    span.textContent = st.bits[i];
+    span.className = `bit sym${st.bitOwners[i] % 2}` + (i < st.pos ? ' done' : '') + (i === st.pos ? ' current' : '');
+    bitsEl.appendChild(span);
+  }
+
+  const decodeEl = document.getElementById('coder-decode');
+  if (!st.root) { decodeEl.textContent = '—'; drawCodeTree(); return; }
+  const n = st.tokens.length;
+  const sep = allSingleChars(st.symbols.map(s => s.label)) ? '' : ' ';
+  const partial = st.bits.slice(st.pos - st.partialLength, st.pos);
+  const lines = [
+    t('coder.decode.message', { n, bits: st.bits.length, naive: n * 8 }),
+    t('coder.decode.perSymbol', { value: n ? fmt(st.bits.length / n, 3) : '—' }),
+    '',
+    t('coder.decode.progress', { pos: st.pos, bits: st.bits.length, partial: partial || t('coder.decode.root') }),
+    t('coder.decode.result', { text: st.decoded.join(sep) })
+  ];
+  if (st.unknown && st.unknown.length) lines.push(t('coder.decode.unknown', { symbols: Array.from(new Set(st.unknown)).join(' ') }));
+  if (st.pos === st.bits.length && n) {
+    const same = st.decoded.length === n && st.decoded.every((token, i) => token === st.tokens[i]);
+    lines.push(t(same ? 'coder.decode.ok' : 'coder.decode.ng'));
+  }
+  decodeEl.textContent = lines.join('\n');
+  drawCodeTree();
+}
+
+document.getElementById('coder-build').addEventListener('click', buildCoder);
+document.getElementById('coder-method').addEventListener('change', buildCoder);
+document.getElementById('coder-source').addEventListener('change', buildCoder);
+document.getElementById('coder-text').addEventListener('input', ()=>{
+  if (document.getElementById('coder-source').value === 'text') buildCoder();
+});
+document.getElementById('coder-first').addEventListener('click', ()=> setCoderStep(0));
+document.getElementById('coder-prev').addEventListener('click', ()=> setCoderStep(coderState.step - 1));
+document.getElementById('coder-next').addEventListener('click', ()=> setCoderStep(coderState.step + 1));
+document.getElementById('coder-last').addEventListener('click', ()=> setCoderStep(coderState.steps.length - 1));
+document.getElementById('coder-sample').addEventListener('click', coderSampleMessage);
+document.getElementById('coder-encode').addEventListener('click', encodeCoderMessage);
+document.getElementById('coder-message').addEventListener('input', encodeCoderMessage);
+document.getElementById('coder-step-bit').addEventListener('click', coderStepBit);
+document.getElementById('coder-decode-all').addEventListener('click', ()=>{
+  while (coderState.root && coderState.pos < coderState.bits.length) coderStepBit(false);
+  renderCoderDecode();
 });
 
-// 驚き度スライダー
-document.getElementById('surprise-level')?.addEventListener('input', function() {
-  document.getElementById('surprise-display').textContent = this.value;
-  updateIntuitionDisplay();
+buildCoder();
+
+/* ========= 新機能: 誤り訂正符号ラボ ========= */
+// データを反復符号またはハミング(7,4)符号で符号化し、ビットの反転と復号 (多数決・シンドローム) を確かめる
+// 符号化率 R = k/n と残留誤り率のトレードオフを、BSC の通信路容量 C = 1 - H(ε) と比べる
+const ECC_MAX_BITS = 32;
+// 符号の名前は表示言語のバンドル (ecc.code.*) から引く
+const ECC_CODES = {
+  rep1: { id: 'rep1', n: 1, k: 1 },
+  rep3: { id: 'rep3', n: 3, k: 1 },
+  rep5: { id: 'rep5', n: 5, k: 1 },
+  rep7: { id: 'rep7', n: 7, k: 1 },
+  hamming: { id: 'hamming', n: 7, k: 4 }
+};
+const ECC_PARITY_POSITIONS = [0, 1, 3];  // ハミング(7,4)の検査ビット p₁, p₂, p₃ の位置 (0始まり)
+const ECC_Y_MIN = 1e-8;                  // グラフの縦軸の下限
+const eccDataEl = document.getElementById('ecc-data');
+const eccCodeEl = document.getElementById('ecc-code');
+const eccEpsEl = document.getElementById('ecc-eps');
+const eccBlocksEl = document.getElementById('ecc-blocks');
+const eccNoteEl = document.getElementById('ecc-note');
+
+// data: 送るビット (ハミング符号では 4 の倍数に 0 を補う)、blocks: 符号語ごとの送信ビットと反転した位置、invalid: 入力が不正
+let eccState = { code: ECC_CODES.rep3, data: [], padding: 0, blocks: [], invalid: false };
+
+// 符号ごとの残留ビット誤り率
+const eccErrorRate = (code, eps) => code === ECC_CODES.hamming ? hammingErrorRate(eps) : repetitionErrorRate(code.n, eps);
+
+// 1つの符号語の復号: 復号したデータと、訂正した位置 (なければ -1)
+function decodeEccBlock(code, received){
+  if (code === ECC_CODES.hamming) {
+    const { syndrome, data } = hammingDecode(received);
+    return { data, corrected: [syndrome - 1], syndrome };
+  }
+  const { bit, errors } = repetitionDecode(received);
+  return { data: [bit], corrected: errors ? received.map((b, i) => b !== bit ? i : -1).filter(i => i >= 0) : [], errors };
+}
+
+function encodeEcc(){
+  const code = ECC_CODES[eccCodeEl.value] || ECC_CODES.rep3;
+  const text = eccDataEl.value.replace(/\s+/g, '');
+  if (!/^[01]+$/.test(text) || text.length > ECC_MAX_BITS) {
+    eccState = { code, data: [], padding: 0, blocks: [], invalid: true };
+    renderEcc();
+    return;
+  }
+  const data = [...text].map(Number);
+  const padding = (code.k - data.length % code.k) % code.k;
+  data.push(...Array(padding).fill(0));
+  const blocks = [];
+  for (let i = 0; i < data.length; i += code.k) {
+    const chunk = data.slice(i, i + code.k);
+    const sent = code === ECC_CODES.hamming ? hammingEncode(chunk) : Array(code.n).fill(chunk[0]);
+    blocks.push({ data: chunk, sent, flips: new Set() });
+  }
+  eccState = { code, data, padding, blocks, invalid: false };
+  renderEcc();
+}
+
+function renderEcc(){
+  const { code, data, padding, blocks, invalid } = eccState;
+  const eps = Number(eccEpsEl.value);
+  const codeName = t(`ecc.code.${code.id}`);
+  document.getElementById('ecc-eps-val').textContent = fmt(eps, 2);
+  eccNoteEl.textContent = invalid ? t('ecc.note.invalid', { max: ECC_MAX_BITS })
+    : padding ? t('ecc.note.padding', { k: code.k, padding }) : '';
+
+  eccBlocksEl.innerHTML = '';
+  let wrongBits = 0, flips = 0;
+  blocks.forEach((block, b) => {
+    const received = block.sent.map((bit, i) => block.flips.has(i) ? bit ^ 1 : bit);
+    const decoded = decodeEccBlock(code, received);
+    // 補った 0 のビットは数えない
+    const wrong = decoded.data.filter((bit, i) => bit !== block.data[i] && b * code.k + i < data.length - padding).length;
+    wrongBits += wrong;
+    flips += block.flips.size;
+
+    const div = document.createElement('div');
+    div.className = 'ecc-block' + (wrong ? ' failed' : '');
+    const bits = document.createElement('div');
+    bits.className = 'ecc-bits';
+    received.forEach((bit, i) => {
+      const btn = document.createElement('button');
+      btn.className = 'ecc-bit';
+      btn.dataset.block = b;
+      btn.dataset.pos = i;
+      btn.textContent = bit;
+      btn.classList.toggle('parity', code === ECC_CODES.hamming && ECC_PARITY_POSITIONS.includes(i));
+      btn.classList.toggle('flipped', block.flips.has(i));
+      btn.classList.toggle('corrected', decoded.corrected.includes(i));
+      btn.setAttribute('aria-label', t(block.flips.has(i) ? 'ecc.bit.flipped' : 'ecc.bit', { block: b + 1, pos: i + 1, bit }));
+      bits.appendChild(btn);
+    });
+    const result = document.createElement('div');
+    result.className = 'ecc-result';
+    const out = decoded.data.join('');
+    const syndromeText = code === ECC_CODES.hamming
+      ? `s = ${decoded.syndrome.toString(2).padStart(3, '0')}₂ = ${decoded.syndrome}` + (decoded.syndrome
+        ? t('ecc.syndrome.corrected', { pos: decoded.syndrome }) + (wrong ? t('ecc.syndrome.miscorrected') : '')
+        : t('ecc.syndrome.none'))
+      : code.n > 1 ? t('ecc.majority', { out }) + (wrong ? t('ecc.majority.wrong') : decoded.errors ? t('ecc.majority.corrected', { errors: decoded.errors }) : '') : '';
+    result.textContent = `${syndromeText}${syndromeText ? '\n' : ''}` + t('ecc.decoded', { out }) + ' ' + (wrong ? t('ecc.wrongBits', { wrong }) : '✓');
+    div.append(bits, result);
+    eccBlocksEl.appendChild(div);
+  });
+  document.getElementById('ecc-flips').textContent = flips;
+
+  const { n, k } = code;
+  const R = k / n;
+  const C = channelCapacity('bsc', eps);
+  const residual = eccErrorRate(code, eps);
+  const sentBits = blocks.length * n;
+  const dataBits = data.length - padding;
+  document.getElementById('ecc-rate').textContent = `${k}/${n} = ${fmt(R, 3)}`;
+  document.getElementById('ecc-redundancy').textContent = t('ecc.perBlock', { n: n - k });
+  document.getElementById('ecc-errors').textContent = blocks.length ? t('ecc.errorBits', { wrong: wrongBits, total: data.length - padding }) : '—';
+  document.getElementById('ecc-residual').textContent = fmtErrorRate(residual);
+
+  const compare = residual < eps ? t('ecc.compare.better', { ratio: fmt(eps / residual, 1) }) : t(residual > eps ? 'ecc.compare.worse' : 'ecc.compare.same');
+  document.getElementById('ecc-steps').textContent = t('ecc.steps', {
+    code: codeName, n, k, R: fmt(R, 4), info: fmtInfo(R), redundant: n - k, dataBits,
+    padding: padding ? t('ecc.steps.padding', { padding }) : '', sentBits, redundantBits: blocks.length * (n - k),
+    eps2: fmt(eps, 2), C: fmtInfo(C), theorem: t(R < C ? 'ecc.theorem.below' : 'ecc.theorem.above'),
+    eps4: fmt(eps, 4), residual: fmtErrorRate(residual), compare
+  });
+  drawEccChart();
+}
+
+// 誤り率の表示 (小さい値は指数表記)
+const fmtErrorRate = (rate) => !Number.isFinite(rate) ? '—' : rate === 0 ? '0' : rate < 1e-3 ? rate.toExponential(2) : fmt(rate, 4);
+
+/**
+ * 符号化率と残留ビット誤り率のグラフ (縦軸は対数目盛)
+ * 反復符号 n = 1, 3, …, 15 の折れ線、ハミング(7,4)の点、通信路容量 C の縦線
+ */
+function drawEccChart(){
+  const canvas = document.getElementById('canvas-ecc');
+  if(!canvas) return;
+  const eps = Number(eccEpsEl.value);
+  // 反復符号 n = 1, 3, …, 15 とハミング(7,4) の [符号化率, 誤り率, 名前]
+  const reps = [];
+  for (let n = 1; n <= 15; n += 2) reps.push([1 / n, repetitionErrorRate(n, eps), n]);
+  const ham = hammingErrorRate(eps);
+  const codes = [...reps.map(([R, rate, n]) => [R, rate, t('graph.ecc.repetition', { n })]), [4 / 7, ham, t('ecc.chart.hamming')]];
+  const { ctx, W, H, colors } = beginPlot(canvas, {
+    redraw: drawEccChart,
+    hover: (R) => {
+      const [Rc, rate, name] = codes.reduce((best, c) => Math.abs(c[0] - R) < Math.abs(best[0] - R) ? c : best);
+      return { x: Rc, y: Math.max(rate, ECC_Y_MIN), lines: [name, `R = ${fmt(Rc, 3)}`, `${t('ecc.axis.error')} ${fmtErrorRate(rate)}`] };
+    }
+  });
+  const repColor = colors.exp;
+  const hamColor = colors.good;
+  const capColor = colors.lin;
+  ctx.font = '12px ui-monospace, monospace';
+
+  // 縦軸は対数目盛 (上が 1、下が ECC_Y_MIN)
+  const frame = createFrame({ left: 56, top: 20, width: W - 76, height: H - 60 }, { domain: [0, 1] }, { domain: [ECC_Y_MIN, 1], type: 'log' });
+  const { left, top, width: w, height: h } = frame;
+  const toX = (R) => frame.x(R);
+  const toY = (rate) => frame.y(Math.max(rate, ECC_Y_MIN));
+  drawAxes(ctx, frame, colors, {
+    xTicks: [0, 0.25, 0.5, 0.75, 1], yTicks: frame.y.ticks().filter(v => Math.round(-Math.log10(v)) % 2 === 0),
+    xFormat: (R) => fmt(R, 2), xLabel: t('ecc.axis.rate'), yLabel: t('ecc.axis.error')
+  });
+
+  // 通信路容量 C: これより右 (R > C) では誤り率を小さくできない
+  const C = channelCapacity('bsc', eps);
+  ctx.fillStyle = colors.warnFill;
+  ctx.fillRect(toX(C), top, left + w - toX(C), h);
+  ctx.setLineDash([6, 4]);
+  ctx.strokeStyle = capColor;
+  ctx.beginPath();
+  ctx.moveTo(toX(C), top);
+  ctx.lineTo(toX(C), top + h);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = capColor;
+  ctx.fillText(`C = ${fmt(C, 3)}`, clamp(toX(C) + 4, left, left + w - 80), top + 14);
+
+  // 反復符号 n = 1, 3, …, 15
+  ctx.strokeStyle = repColor;
+  ctx.fillStyle = repColor;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  reps.forEach(([R, rate], i) => { if (i) ctx.lineTo(toX(R), toY(rate)); else ctx.moveTo(toX(R), toY(rate)); });
+  ctx.stroke();
+  reps.forEach(([R, rate, n]) => {
+    ctx.beginPath();
+    ctx.arc(toX(R), toY(rate), 3, 0, 2 * Math.PI);
+    ctx.fill();
+    if (n <= 7) ctx.fillText(`n=${n}`, toX(R) + 5, toY(rate) - 5);
+  });
+
+  // ハミング(7,4)
+  ctx.fillStyle = hamColor;
+  ctx.beginPath();
+  ctx.arc(toX(4 / 7), toY(ham), 5, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.fillText(t('ecc.chart.hamming'), toX(4 / 7) + 8, toY(ham) + 4);
+
+  // 選択中の符号
+  const { code } = eccState;
+  ctx.strokeStyle = colors.contrast;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.arc(toX(code.k / code.n), toY(eccErrorRate(code, eps)), 8, 0, 2 * Math.PI);
+  ctx.stroke();
+  ctx.lineWidth = 1;
+  endPlot(canvas, frame);
+
+  setGraphTable('canvas-ecc', [t('graph.ecc.code'), t('ecc.axis.rate'), t('ecc.axis.error')], [
+    ...reps.map(([R, rate, n]) => [t('graph.ecc.repetition', { n }), fmt(R, 3), fmtErrorRate(rate)]),
+    [t('ecc.chart.hamming'), fmt(4 / 7, 3), fmtErrorRate(ham)],
+    [t('graph.capacity'), fmt(C, 3), '—']
+  ]);
+}
+
+eccBlocksEl.addEventListener('click', (e) => {
+  const btn = e.target.closest('.ecc-bit');
+  if (!btn) return;
+  const { flips } = eccState.blocks[Number(btn.dataset.block)];
+  const pos = Number(btn.dataset.pos);
+  if (flips.has(pos)) flips.delete(pos); else flips.add(pos);
+  renderEcc();
+});
+document.getElementById('ecc-noise').addEventListener('click', () => {
+  const eps = Number(eccEpsEl.value);
+  eccState.blocks.forEach(block => {
+    block.flips = new Set(block.sent.map((_, i) => i).filter(() => Math.random() < eps));
+  });
+  renderEcc();
+});
+document.getElementById('ecc-clear').addEventListener('click', () => {
+  eccState.blocks.forEach(block => block.flips.clear());
+  renderEcc();
+});
+document.getElementById('ecc-random-data').addEventListener('click', () => {
+  const bits = Array.from({ length: 8 }, () => Math.random() < 0.5 ? 1 : 0).join('');
+  eccDataEl.value = `${bits.slice(0, 4)} ${bits.slice(4)}`;
+  encodeEcc();
+});
+eccDataEl.addEventListener('input', encodeEcc);
+eccCodeEl.addEventListener('change', encodeEcc);
+eccEpsEl.addEventListener('input', renderEcc);
+
+encodeEcc();
+
+/* ========= 新機能: 確認クイズ（問題集から出題） ========= */
+// 問題は data/quiz-bank.json に定義する。params の値を毎回ランダムに選び、
+// 問題文・選択肢・解説の {式} を計算結果に置き換えて出題する (生成は quiz.mjs)
+// 日本語以外の文面は data/quiz-bank.<言語>.json に問題の id ごとに持ち、原文に重ねる
+
+let quizBank = null;         // 表示言語の文面を重ねた問題集
+let quizBankSource = null;   // data/quiz-bank.json (原文)
+const quizBankOverlays = {}; // 言語 → data/quiz-bank.<言語>.json (読み込めなければ null)
+
+// 数値解答の解釈 (小数または分数)
+function parseQuizNumber(text){
+  const m = String(text).trim().match(/^(-?\d*\.?\d+)(?:\s*\/\s*(\d*\.?\d+))?$/);
+  if (!m) return NaN;
+  return m[2] === undefined ? Number(m[1]) : Number(m[1]) / Number(m[2]);
+}
+
+// タブごとのクイズを新しく出題
+function renderQuiz(box){
+  const quizId = box.dataset.quiz;
+  const config = quizBank.quizzes[quizId];
+  const pool = quizBank.questions.filter(def => config.topics.includes(def.topic));
+  // 生成できない問題 (式の誤り・where を満たせない) は飛ばし、問題集全体は止めない
+  // (問題集の誤りは test/quiz.test.mjs で見つける)
+  const questions = [];
+  for (const def of shuffle(pool)) {
+    if (questions.length >= config.count) break;
+    try {
+      questions.push(instantiateQuestion(def));
+    } catch (e) {
+      // 次の問題を試す
+    }
+  }
+  if (!questions.length) {
+    box.replaceChildren(Object.assign(document.createElement('p'), { className: 'note', textContent: t('quiz.loadError') }));
+    return;
+  }
+  box.quizQuestions = questions;
+  box.innerHTML = '';
+
+  const container = document.createElement('div');
+  container.className = 'quiz-container';
+  questions.forEach((q, idx) => {
+    const item = document.createElement('div');
+    item.className = 'quiz-question';
+    const topic = quizBank.topics[q.topic] || q.topic;
+    item.appendChild(Object.assign(document.createElement('h4'), { textContent: t('quiz.question', { n: idx + 1, topic, text: q.text }) }));
+
+    if (q.type === 'numeric') {
+      const row = document.createElement('div');
+      row.className = 'quiz-numeric';
+      const input = Object.assign(document.createElement('input'), { type: 'text', inputMode: 'decimal', className: 'quiz-answer', placeholder: t('quiz.placeholder') });
+      input.setAttribute('aria-label', t('quiz.answerLabel', { n: idx + 1 }));
+      row.appendChild(input);
+      if (q.unit) row.appendChild(Object.assign(document.createElement('span'), { textContent: q.unit }));
+      item.appendChild(row);
+    } else {
+      const options = document.createElement('div');
+      options.className = 'quiz-options';
+      q.choices.forEach(choice => {
+        const label = document.createElement('label');
+        const radio = Object.assign(document.createElement('input'), { type: 'radio', name: `${quizId}-q${idx}`, value: choice });
+        label.append(radio, ` ${choice}`);
+        options.appendChild(label);
+      });
+      item.appendChild(options);
+    }
+    item.appendChild(Object.assign(document.createElement('div'), { className: 'quiz-result' }));
+    container.appendChild(item);
+  });
+  box.appendChild(container);
+
+  const summary = document.createElement('div');
+  summary.className = 'quiz-summary';
+  summary.appendChild(Object.assign(document.createElement('p'), { className: 'quiz-total', textContent: t('quiz.total', { n: questions.length }) }));
+  summary.appendChild(Object.assign(document.createElement('button'), { className: 'quiz-grade', textContent: t('quiz.grade') }));
+  summary.appendChild(Object.assign(document.createElement('button'), { className: 'quiz-new', textContent: t('quiz.new') }));
+  summary.appendChild(Object.assign(document.createElement('span'), { className: 'note quiz-history' }));
+  box.appendChild(summary);
+  renderQuizHistory(box);
+}
+
+// 採点して各問の正誤と解説を表示
+function gradeQuiz(box){
+  const quizId = box.dataset.quiz;
+  const config = quizBank.quizzes[quizId];
+  const results = box.quizQuestions.map((q, idx) => {
+    const item = box.querySelectorAll('.quiz-question')[idx];
+    let answer = '';
+    let correct = false;
+    if (q.type === 'numeric') {
+      answer = item.querySelector('.quiz-answer').value.trim();
+      const v = parseQuizNumber(answer);
+      correct = Number.isFinite(v) && Math.abs(v - q.answer) <= q.tolerance + 1e-12;
+    } else {
+      const checked = item.querySelector('input[type="radio"]:checked');
+      answer = checked ? checked.value : '';
+      correct = answer === q.answerText;
+    }
+    item.classList.toggle('correct', correct);
+    item.classList.toggle('incorrect', !correct);
+    item.querySelectorAll('input').forEach(input => { input.disabled = true; });
+
+    const resultEl = item.querySelector('.quiz-result');
+    resultEl.innerHTML = '';
+    const mark = document.createElement('span');
+    mark.style.color = correct ? 'var(--accent2)' : 'var(--warn)';
+    const expected = q.type === 'numeric' ? `${formatQuizNumber(q.answer, 4)}${q.unit ? ' ' + q.unit : ''}` : q.answerText;
+    mark.textContent = correct ? t('quiz.correct') : t(answer ? 'quiz.incorrect' : 'quiz.unanswered', { expected });
+    resultEl.append(mark, ` ${q.explanation}`);
+    return { question: q.id, answer, correct };
+  });
+
+  const correctCount = results.filter(r => r.correct).length;
+  const passed = correctCount / results.length >= config.passRatio;
+  const totalEl = box.querySelector('.quiz-total');
+  totalEl.textContent = t('quiz.score', { correct: correctCount, total: results.length });
+  totalEl.style.color = passed ? 'var(--accent2)' : '';
+  if (passed) totalEl.append(' ', Object.assign(document.createElement('span'), { textContent: t('quiz.passed'), style: 'font-size: 12px' }));
+  box.querySelector('.quiz-grade').disabled = true;
+
+  recordQuizResult(quizId, results, passed);
+  renderQuizHistory(box);
+}
+
+document.querySelectorAll('.quiz-box').forEach(box => {
+  box.addEventListener('click', (e) => {
+    if (!quizBank) return;
+    if (e.target.matches('.quiz-grade')) gradeQuiz(box);
+    else if (e.target.matches('.quiz-new')) renderQuiz(box);
+  });
+});
+
+// 原文の問題集に表示言語の文面 (topics と questions[id] の text / answer / choices / explanation) を重ねる
+function localizeQuizBank(source, overlay){
+  if (!overlay) return source;
+  return {
+    ...source,
+    topics: { ...source.topics, ...overlay.topics },
+    questions: source.questions.map(def => ({ ...def, ...overlay.questions?.[def.id] }))
+  };
+}
+
+/**
+ * 表示言語の問題集を用意してすべてのクイズを出題し直す (言語の切り替え時にも呼ぶ)
+ * 訳の問題集を読み込めなければ原文で出題する
+ */
+function loadQuizBank(){
+  const lang = locale.lang;
+  const fetchJson = (url) => fetch(url).then(res => { if (!res.ok) throw new Error(res.status); return res.json(); });
+  const source = quizBankSource ? Promise.resolve(quizBankSource) : fetchJson('data/quiz-bank.json');
+  const overlay = lang === 'ja' || Object.hasOwn(quizBankOverlays, lang)
+    ? Promise.resolve(quizBankOverlays[lang])
+    : fetchJson(`data/quiz-bank.${lang}.json`).catch(() => null);
+  Promise.all([source, overlay])
+    .then(([data, translation]) => {
+      quizBankSource = data;
+      if (lang !== 'ja') quizBankOverlays[lang] = translation;
+      if (lang !== locale.lang) return;  // 読み込み中に言語が変わった
+      quizBank = localizeQuizBank(quizBankSource, translation);
+      document.querySelectorAll('.quiz-box').forEach(box => {
+        if (quizBank.quizzes[box.dataset.quiz]) renderQuiz(box);
+      });
+    })
+    .catch(() => {
+      document.querySelectorAll('.quiz-box').forEach(box => {
+        box.innerHTML = '';
+        box.appendChild(Object.assign(document.createElement('p'), { className: 'note', textContent: t('quiz.loadError') }));
+      });
+    });
+}
+
+loadQuizBank();
+
+/* ========= 新機能: 体感タブの驚き度システム ========= */
+
+// シナリオデータ (出来事のキー → 確率)。組み込みシナリオの題名・説明・出来事の名前は表示言語のバンドル (scn.*) から引く
+const scenarios = {
+  coin: {
+    events: { heads: 0.5, tails: 0.5, stands: 0.0001, breaks: 0.00001 }
+  },
+  dice: {
+    events: { one: 1/6, even: 0.5, seven: 0, allSame: 0.000001 }
+  },
+  lottery: {
+    events: { miss: 0.999, lowest: 0.0009, jackpot: 0.00000001, meteor: 0.0000000001 }
+  },
+  weather: {
+    events: { sunny: 0.4, rainy: 0.3, summerSnow: 0.0001, meteorShower: 0.0000000001 }
+  }
+};
+
+// シナリオの表示用の文面 (自作シナリオは入力したまま、出来事のキーが名前)
+function scenarioText(id){
+  const s = scenarios[id];
+  if (s.custom) return { title: s.title, description: s.description, eventName: (key) => key };
+  return {
+    title: t(`scn.${id}.title`),
+    description: t(`scn.${id}.description`),
+    eventName: (key) => t(`scn.${id}.event.${key}`)
+  };
+}
+
+let currentEvent = { probability: 0.5, name: '' };
+let intuitionData = [];
+const intuitionViewEl = document.getElementById('intuition-view');
+
+// シナリオ選択
+document.getElementById('scenario-select')?.addEventListener('change', function() {
+  if (scenarios[this.value]) {
+    renderScenario();
+    updateIntuitionDisplay();
+    hideResult(); // 結果を隠す
+  }
+});
+
+/**
+ * 選択中のシナリオの説明と出来事の選択肢を表示 (言語の切り替え時は選択中の出来事を保つ)
+ * @param {string} [eventKey] - 選択する出来事 (省略時や見つからないときは最初の出来事)
+ */
+function renderScenario(eventKey) {
+  const id = document.getElementById('scenario-select').value;
+  const scenario = scenarios[id];
+  const text = scenarioText(id);
+  document.getElementById('scenario-title').textContent = text.title;
+  document.getElementById('scenario-desc').textContent = text.description;
+
+  // イベント選択肢を更新
+  const eventSelect = document.getElementById('event-select');
+  eventSelect.innerHTML = '';
+  Object.keys(scenario.events).forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = text.eventName(key);
+    eventSelect.appendChild(option);
+  });
+
+  const selected = scenario.events[eventKey] !== undefined ? eventKey : Object.keys(scenario.events)[0];
+  eventSelect.value = selected;
+  currentEvent = {
+    name: text.eventName(selected),
+    probability: scenario.events[selected]
+  };
+  updateEventDisplay();
+}
+
+// 出来事選択
+document.getElementById('event-select')?.addEventListener('change', function() {
+  const scenarioId = document.getElementById('scenario-select').value;
+  const selectedScenario = scenarios[scenarioId];
+  if (selectedScenario && selectedScenario.events[this.value] !== undefined) {
+    currentEvent = {
+      name: scenarioText(scenarioId).eventName(this.value),
+      probability: selectedScenario.events[this.value]
+    };
+    updateEventDisplay();
+    updateIntuitionDisplay();
+    hideResult(); // 結果を隠す
+  }
+});
+
+renderScenario();
+hideResult();
+
+// 結果表示/非表示の制御
+function hideResult() {
+  const resultEl = document.querySelector('.comparison-result');
+  const buttonEl = document.getElementById('reveal-answer');
+  if (resultEl) {
+    resultEl.classList.remove('visible');
+  }
+  if (buttonEl) {
+    buttonEl.textContent = t('intuition.reveal');
+    buttonEl.disabled = false;
+  }
+}
+
+// 出来事表示更新
+function updateEventDisplay() {
+  const selectedEventEl = document.getElementById('selected-event');
+  if (selectedEventEl) {
+    selectedEventEl.textContent = t('intuition.event', { name: currentEvent.name });
+  }
+}
+
+// 答えを見るボタン
+document.getElementById('reveal-answer')?.addEventListener('click', function() {
+  const resultEl = document.querySelector('.comparison-result');
+  if (resultEl) {
+    resultEl.classList.add('visible');
+    resultEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+    // ボタンテキストを変更
+    this.textContent = t('intuition.revealing');
+    this.disabled = true;
+
+    // 3秒後にボタンを再有効化
+    setTimeout(() => {
+      this.textContent = t('intuition.reveal');
+      this.disabled = false;
+    }, 3000);
+  }
+});
+
+// 驚き度スライダー
+document.getElementById('surprise-level')?.addEventListener('input', function() {
+  document.getElementById('surprise-display').textContent = this.value;
+  updateIntuitionDisplay();
+});
+
+// 確率推測
+document.getElementById('prob-guess')?.addEventListener('input', updateIntuitionDisplay);
+
+// 直感表示更新
+function updateIntuitionDisplay() {
+  const surpriseLevel = parseInt(document.getElementById('surprise-level')?.value || 5);
+  const probGuess = parseFloat(document.getElementById('prob-guess')?.value || 50) / 100;
+
+  // 理論的情報量
+  const theoreticalInfo = information(currentEvent.probability);
+
+  // 体感との一致度（驚き度を情報量に変換して比較）
+  // 改善: より適切なスケーリングと高情報量への対応
+  let surpriseInfo;
+  if (surpriseLevel <= 5) {
+    surpriseInfo = (surpriseLevel - 1) * 0.5; // 1-5 → 0-2 bit (低確率域)
+  } else {
+    surpriseInfo = 2 + (surpriseLevel - 5) * 4; // 6-10 → 2-22 bit (高確率域)
+  }
+
+  // 一致度計算の改善: 極端な情報量でも適切に評価
+  let matchScore;
+  if (theoreticalInfo > 20) {
+    // 極高情報量 (宝くじ級): 驚き8以上なら高評価
+    matchScore = surpriseLevel >= 8 ? 90 : Math.max(10, 50 - (8 - surpriseLevel) * 10);
+  } else if (theoreticalInfo > 10) {
+    // 高情報量: 驚き7以上で高評価
+    matchScore = surpriseLevel >= 7 ? 85 : Math.max(20, 70 - Math.abs(theoreticalInfo - surpriseInfo) * 5);
+  } else {
+    // 通常範囲: 従来の計算
+    matchScore = Math.max(0, 100 - Math.abs(theoreticalInfo - surpriseInfo) * 15);
+  }
+
+  // UI更新
+  document.getElementById('actual-prob').textContent = fmt(currentEvent.probability * 100, 4) + '%';
+  document.getElementById('theoretical-info').textContent = fmtInfo(theoreticalInfo, 2);
+  document.getElementById('match-score').textContent = Math.round(matchScore) + '%';
+
+  // 説明文生成
+  const explanation = generateIntuitionExplanation(surpriseLevel, theoreticalInfo, matchScore);
+  document.getElementById('intuition-explanation').textContent = explanation;
+}
+
+function generateIntuitionExplanation(surprise, theoretical, match) {
+  if (theoretical > 20) {
+    // 宝くじレベルの極低確率
+    if (surprise >= 9) return t('intuition.explain.lotteryPerfect', { surprise, info: fmtInfo(theoretical,1) });
+    if (surprise >= 7) return t('intuition.explain.lotteryGood', { surprise, info: fmtInfo(theoretical,1) });
+    return t('intuition.explain.lotteryLow', { info: fmtInfo(theoretical,1) });
+  } else if (theoretical > 10) {
+    // 非常に稀な出来事
+    if (surprise >= 7) return t('intuition.explain.rareGood', { surprise, info: fmtInfo(theoretical,1) });
+    return t('intuition.explain.rareLow', { info: fmtInfo(theoretical,1) });
+  } else {
+    // 通常範囲
+    if (match > 80) return t('intuition.explain.excellent', { surprise, info: fmtInfo(theoretical,1) });
+    if (match > 60) return t('intuition.explain.fair', { surprise, info: fmtInfo(theoretical,1) });
+    if (match > 40) return t('intuition.explain.off', { surprise, info: fmtInfo(theoretical,1) });
+    return t('intuition.explain.farOff', { surprise, info: fmtInfo(theoretical,1) });
+  }
+}
+
+// データポイント記録
+document.getElementById('add-data-point')?.addEventListener('click', function() {
+  const surprise = parseInt(document.getElementById('surprise-level').value);
+  const theoretical = currentEvent.probability > 0 ? -log2(currentEvent.probability) : 16;
+
+  intuitionData.push({ surprise, theoretical, probability: currentEvent.probability, event: currentEvent.name });
+  document.getElementById('point-count').textContent = intuitionData.length;
+
+  drawIntuitionGraph();
+  updateIntuitionStats();
+  saveIntuitionProgress();
+});
+
+// データクリア
+document.getElementById('clear-data')?.addEventListener('click', function() {
+  intuitionData = [];
+  document.getElementById('point-count').textContent = '0';
+  drawIntuitionGraph();
+  updateIntuitionStats();
+  saveIntuitionProgress();
+});
+
+// 直感グラフ描画
+function drawIntuitionGraph() {
+  const canvas = document.getElementById('intuition-graph');
+  if (!canvas) return;
+  setGraphTable('intuition-graph', ['#', t('graph.event'), 'P', `I [${infoUnit.name}]`, t('intuition.axis.surprise')],
+    intuitionData.map((d, i) => [i + 1, d.event, probabilityText(d.probability), fmt(toUnit(d.theoretical), 3), d.surprise]));
+  if (intuitionViewEl.value !== 'ideal') {
+    drawIntuitionFitGraph(intuitionViewEl.value);
+    return;
+  }
+
+  // 横軸: 驚き度 1〜10、縦軸: 0〜16 bit 相当 (目盛りは選択中の単位で表示)
+  const { ctx, W, H, colors } = beginPlot(canvas, {
+    redraw: drawIntuitionGraph,
+    hover: (surprise, I) => nearestIntuitionPoint(intuitionData, d => [(d.surprise - surprise) / 9, (toUnit(Math.min(d.theoretical, 16)) - I) / toUnit(16)],
+      d => ({ x: d.surprise, y: toUnit(Math.min(d.theoretical, 16)) }))
+  });
+  ctx.font = '12px ui-sans-serif';
+
+  const margin = 60;
+  const frame = createFrame({ left: margin, top: margin, width: W - 2 * margin, height: H - 2 * margin }, { domain: [1, 10] }, { domain: [0, toUnit(16)] });
+  drawAxes(ctx, frame, colors, {
+    xTicks: [1, 3, 5, 7, 9], yTicks: [0, 4, 8, 12, 16].map(toUnit),
+    xFormat: (v) => String(v), yFormat: (v) => fmt(v, 1),
+    xLabel: t('intuition.axis.surprise')
+  });
+  ctx.fillStyle = colors.text;
+  ctx.save();
+  ctx.translate(20, H/2);
+  ctx.rotate(-Math.PI/2);
+  ctx.fillText(t('intuition.axis.info', { unit: infoUnit.name }), -40, 0);
+  ctx.restore();
+
+  // 理想線（y=x的な関係）描画
+  ctx.strokeStyle = colors.line;
+  ctx.setLineDash([5, 5]);
+  ctx.beginPath();
+  ctx.moveTo(frame.left, frame.top + frame.height);
+  ctx.lineTo(frame.left + frame.width, frame.top);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // データポイント描画
+  ctx.fillStyle = colors.good;
+  intuitionData.forEach(point => {
+    ctx.beginPath();
+    ctx.arc(frame.x(point.surprise), frame.y(toUnit(Math.min(point.theoretical, 16))), 4, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+  endPlot(canvas, frame);
+}
+
+/**
+ * 体感グラフのツールチップ: ポインターに最も近い記録 (離れすぎていれば出さない)
+ * @param {Object[]} data - 記録
+ * @param {function(Object): number[]} offset - 記録 → ポインターとの差 [横, 縦] (表示範囲を 1 とした割合)
+ * @param {function(Object): {x: number, y: number}} at - 記録 → 十字線を引く点
+ * @returns {?{x: number, y: number, lines: string[]}}
+ */
+function nearestIntuitionPoint(data, offset, at){
+  let best = null, bestDist = 0.05;
+  data.forEach(d => {
+    const [dx, dy] = offset(d);
+    const dist = Math.hypot(dx, dy);
+    if (dist < bestDist) { best = d; bestDist = dist; }
+  });
+  return best && { ...at(best), lines: [
+    best.event, `P = ${probabilityText(best.probability)}`, `I = ${fmtInfo(best.theoretical, 2)}`, `${t('intuition.axis.surprise')} ${best.surprise}`
+  ] };
+}
+
+/* ========= 新機能: 体感データの回帰分析 ========= */
+// 記録した驚き度 S を理論的情報量 I (bit) で回帰する
+//   線形: S = a + b I          → 傾き b から「あなたの対数の底」B = 2^(1/b) を推定 (S ≈ a + log_B(1/P))
+//   対数: S = a + b log₂(1 + I) → 情報量が大きくなると驚きが頭打ちになる感覚
+// P = 0 の出来事は情報量が ∞ になるため、回帰と対数軸のグラフから除く
+const INTUITION_RESIDUAL_ROWS = 10;
+
+function analyzeIntuition(){
+  const points = intuitionData.filter(d => d.probability > 0);
+  const I = points.map(d => d.theoretical);
+  const S = points.map(d => d.surprise);
+  return {
+    points,
+    excluded: intuitionData.length - points.length,
+    linear: linearRegression(I, S),
+    log: linearRegression(I.map(i => log2(1 + i)), S)
+  };
+}
+
+// 推定した底の表示 (傾きが小さいと非常に大きな値になる)
+const fmtBase = (B) => B < 1e6 ? fmt(B, 2) : B.toExponential(2);
+
+function updateIntuitionStats(){
+  const { points, excluded, linear, log } = analyzeIntuition();
+  const set = (id, text) => { document.getElementById(id).textContent = text; };
+  const residualsEl = document.getElementById('fit-residuals');
+  const note = excluded ? t('fit.excluded', { n: excluded }) : '';
+
+  if (!Number.isFinite(linear.slope)) {
+    ['fit-linear', 'fit-log', 'fit-base'].forEach(id => set(id, '—'));
+    set('fit-linear-detail', '');
+    set('fit-log-detail', '');
+    set('fit-base-detail', '');
+    residualsEl.textContent = t('fit.needPoints') + note;
+    return;
+  }
+
+  const r2Text = (r2) => `R² = ${fmt(r2, 3)}`;
+  set('fit-linear', r2Text(linear.r2));
+  set('fit-linear-detail', `a = ${fmt(linear.intercept, 2)}, b = ${fmt(linear.slope / toUnit(1), 3)} / ${infoUnit.name}`);
+  set('fit-log', r2Text(log.r2));
+  set('fit-log-detail', `a = ${fmt(log.intercept, 2)}, b = ${fmt(log.slope, 3)}` + t('fit.inBits'));
+  if (linear.slope > 0) {
+    const B = Math.pow(2, 1 / linear.slope);
+    set('fit-base', `B ≈ ${fmtBase(B)}`);
+    set('fit-base-detail', t('fit.base', { B: fmtBase(B) }));
+  } else {
+    set('fit-base', '—');
+    set('fit-base-detail', t('fit.base.none'));
+  }
+
+  const better = Number.isFinite(linear.r2) && Number.isFinite(log.r2)
+    ? t(log.r2 > linear.r2 ? 'fit.better.log' : 'fit.better.linear')
+    : '';
+  const rmse = Math.sqrt(linear.residuals.reduce((a, r) => a + r * r, 0) / linear.n);
+  const rows = points
+    .map((d, idx) => ({ d, r: linear.residuals[idx] }))
+    .sort((x, y) => Math.abs(y.r) - Math.abs(x.r))
+    .slice(0, INTUITION_RESIDUAL_ROWS)
+    .map(({ d, r }) => '  ' + t('fit.residualRow', {
+      event: d.event.padEnd(10, /[^\x00-\x7f]/.test(d.event) ? '　' : ' '),
+      I: fmt(toUnit(d.theoretical), 2).padStart(6), unit: infoUnit.name, surprise: String(d.surprise).padStart(2),
+      predicted: fmt(d.surprise - r, 2).padStart(5), residual: `${r >= 0 ? '+' : ''}${fmt(r, 2)}`
+    }));
+  residualsEl.textContent = t('fit.residuals', {
+    n: linear.n, note, better, max: INTUITION_RESIDUAL_ROWS, rmse: fmt(rmse, 2), rows: rows.join('\n')
+  });
+}
+
+/**
+ * 回帰分析・対数軸の表示
+ * @param {string} view - 'regression' (横軸: 情報量) | 'log-prob' (横軸: 確率の対数軸)
+ */
+function drawIntuitionFitGraph(view) {
+  const canvas = document.getElementById('intuition-graph');
+  const { points, linear, log } = analyzeIntuition();
+
+  // 横軸はどちらの表示でも情報量 I (bit) の一次式。対数軸は目盛りを確率 10^k の位置に置く
+  let maxBits, xLabel, ticks;
+  if (view === 'log-prob') {
+    const minExp = Math.min(-4, Math.floor(Math.min(...points.map(d => Math.log10(d.probability)))));
+    maxBits = -minExp / Math.log10(2);
+    xLabel = t('intuition.axis.logProb');
+    const step = Math.ceil(-minExp / 8);
+    ticks = [];
+    for (let k = 0; k >= minExp; k -= step) ticks.push([-k / Math.log10(2), k === 0 ? '1' : `10${toSuperscript(k)}`]);
+  } else {
+    maxBits = Math.max(16, ...points.map(d => d.theoretical));
+    xLabel = t('intuition.axis.info', { unit: infoUnit.name });
+    ticks = [0, 0.25, 0.5, 0.75, 1].map(r => [r * maxBits, fmt(toUnit(r * maxBits), 1)]);
+  }
+  const tickLabels = new Map(ticks);
+
+  const { ctx, W, H, colors } = beginPlot(canvas, {
+    redraw: drawIntuitionGraph,
+    hover: (bits, surprise) => nearestIntuitionPoint(points, d => [(d.theoretical - bits) / maxBits, (d.surprise - surprise) / 9],
+      d => ({ x: d.theoretical, y: d.surprise }))
+  });
+  ctx.font = '12px ui-sans-serif';
+
+  const margin = 60;
+  const frame = createFrame({ left: margin, top: margin, width: W - 2 * margin, height: H - 2 * margin }, { domain: [0, maxBits] }, { domain: [1, 10] });
+  drawAxes(ctx, frame, colors, {
+    xTicks: ticks.map(([bits]) => bits), yTicks: [1, 4, 7, 10],
+    xFormat: (bits) => tickLabels.get(bits), yFormat: (v) => String(v), xLabel
+  });
+  ctx.fillStyle = colors.text;
+  ctx.save();
+  ctx.translate(20, H/2);
+  ctx.rotate(-Math.PI/2);
+  ctx.fillText(t('intuition.axis.surprise'), -40, 0);
+  ctx.restore();
+
+  const X = (bits) => frame.x(bits);
+  const Y = (s) => frame.y(s);
+
+  // 当てはめた線 (線形: 実線、対数: 破線)
+  if (Number.isFinite(linear.slope)) {
+    // 残差 (点から線形モデルまでの縦線)
+    ctx.strokeStyle = colors.muted;
+    points.forEach((d, idx) => {
+      ctx.beginPath();
+      ctx.moveTo(X(d.theoretical), Y(d.surprise));
+      ctx.lineTo(X(d.theoretical), Y(d.surprise - linear.residuals[idx]));
+      ctx.stroke();
+    });
+    drawCurve(ctx, frame, bits => linear.intercept + linear.slope * bits, { color: colors.line });
+    if (view === 'regression') drawCurve(ctx, frame, bits => log.intercept + log.slope * log2(1 + Math.max(0, bits)), { color: colors.lin, dash: [6, 4] });
+
+    ctx.fillStyle = colors.line;
+    ctx.fillText(`― ${t('fit.legend.linear')} ${Number.isFinite(linear.r2) ? `R²=${fmt(linear.r2, 2)}` : ''}`, margin + 8, margin + 16);
+    if (view === 'regression') {
+      ctx.fillStyle = colors.highlight;
+      ctx.fillText(`- - ${t('fit.legend.log')} ${Number.isFinite(log.r2) ? `R²=${fmt(log.r2, 2)}` : ''}`, margin + 8, margin + 32);
+    }
+  }
+
+  ctx.fillStyle = colors.good;
+  points.forEach(d => {
+    ctx.beginPath();
+    ctx.arc(X(d.theoretical), Y(d.surprise), 4, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+  endPlot(canvas, frame);
+}
+
+// CSV の文字列欄 (表計算ソフトで数式として解釈されないよう、記号で始まる値は ' を付ける)
+function csvText(value){
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+document.getElementById('export-intuition-csv').addEventListener('click', () => {
+  if (!intuitionData.length) return;
+  const { linear } = analyzeIntuition();
+  const lines = [['event', 'probability', 'information_bits', 'surprise', 'fitted_linear', 'residual_linear'].join(',')];
+  intuitionData.forEach(d => {
+    const fitted = d.probability > 0 ? linear.intercept + linear.slope * d.theoretical : NaN;
+    const num = (v) => Number.isFinite(v) ? String(v) : '';
+    lines.push([csvText(d.event), num(d.probability), d.probability > 0 ? num(d.theoretical) : 'Infinity',
+      num(d.surprise), num(fitted), num(d.surprise - fitted)].join(','));
+  });
+  // Excel で日本語が文字化けしないよう BOM を付ける
+  const blob = new Blob(['\uFEFF' + lines.join('\r\n') + '\r\n'], { type: 'text/csv' });
+  downloadFile(blob, 'infoquantity-intuition', 'csv');
+});
+
+intuitionViewEl.addEventListener('change', drawIntuitionGraph);
+
+/* ========= 新機能: 自作シナリオ ========= */
+// 自作シナリオは localStorage に保存し、scenarios に 'custom-…' のキーで追加して①の一覧に表示する
+// 保存・共有の形式: { version, scenarios: [{ title, description, events: [{ name, p }] }] }
+// p は入力した表記のまま (1/6 などの分数を丸めずに残すため)
+const CUSTOM_SCENARIOS_KEY = 'infoquantity-scenarios';
+const CUSTOM_SCENARIO_VERSION = 1;
+const CUSTOM_SCENARIO_MAX = 50;
+const CUSTOM_EVENT_MAX = 12;
+const scenarioSelectEl = document.getElementById('scenario-select');
+const scnEventsEl = document.getElementById('scn-edit-events');
+const scnStatusEl = document.getElementById('scn-edit-status');
+const scnDeleteEl = document.getElementById('scn-edit-delete');
+
+let customScenarios = [];  // { id, title, description, events }
+let scnEditingId = null;   // 編集中の自作シナリオの ID (新規作成中は null)
+
+/**
+ * 確率の数値を入力欄の表記に (0.5 → '0.5'、1/6 → '1/6'、1e-8 → '0.00000001')
+ * @param {number} p
+ * @returns {string}
+ */
+function probabilityText(p){
+  const text = String(p);
+  if (!/e/.test(text) && text.length <= 10) return text;
+  for (let den = 2; den <= 1000; den++) {
+    const num = Math.round(p * den);
+    if (Math.abs(num / den - p) < 1e-12) return `${num}/${den}`;
+  }
+  return p.toFixed(20).replace(/0+$/, '');
+}
+
+/**
+ * シナリオ1件を検証して保存形式に整形
+ * @param {*} data - 入力欄や JSON から読み取った値
+ * @returns {{title: string, description: string, events: {name: string, p: string}[]}}
+ * @throws {Error} - 問題点の説明 (画面にそのまま表示する)
+ */
+function validateScenario(data){
+  if (!data || typeof data !== 'object') throw new Error(t('scn.error.format'));
+  const title = String(data.title ?? '').trim();
+  if (!title) throw new Error(t('scn.error.noTitle'));
+  if (title.length > 32) throw new Error(t('scn.error.longTitle'));
+  const description = String(data.description ?? '').trim().slice(0, 80);
+  if (!Array.isArray(data.events) || !data.events.length) throw new Error(t('scn.error.noEvents', { title }));
+  if (data.events.length > CUSTOM_EVENT_MAX) throw new Error(t('scn.error.tooManyEvents', { title, max: CUSTOM_EVENT_MAX }));
+
+  const names = new Set();
+  const events = data.events.map((e, idx) => {
+    const name = String(e?.name ?? '').trim();
+    if (!name) throw new Error(t('scn.error.noEventName', { title, row: idx + 1 }));
+    if (name.length > 32) throw new Error(t('scn.error.longEventName', { title }));
+    if (names.has(name)) throw new Error(t('scn.error.duplicate', { title, name }));
+    names.add(name);
+    const p = typeof e.p === 'number' ? probabilityText(e.p) : String(e.p ?? '').trim();
+    const f = parseProbability(p);
+    if (!f || f.num > f.den) throw new Error(t('scn.error.probability', { title, name, p }));
+    // 確率 0 の出来事は情報量が無限大になり、驚き度と比べられない
+    if (f.num === 0n) throw new Error(t('scn.error.zeroProbability', { title, name }));
+    return { name, p };
+  });
+  return { title, description, events };
+}
+
+// 保存形式 → scenarios の形式 (出来事名 → 確率)
+const toScenario = (s) => ({
+  title: s.title,
+  description: s.description,
+  events: Object.fromEntries(s.events.map(e => [e.name, parseProbability(e.p).value])),
+  custom: true
+});
+
+function loadCustomScenarios(){
+  try {
+    const data = JSON.parse(localStorage.getItem(CUSTOM_SCENARIOS_KEY) || 'null');
+    if (!data || !Array.isArray(data.scenarios)) return [];
+    return data.scenarios.slice(0, CUSTOM_SCENARIO_MAX).flatMap((s, idx) => {
+      try {
+        const id = /^custom-[0-9a-z]+$/.test(s.id) ? s.id : `custom-${idx.toString(36)}`;
+        return [{ id, ...validateScenario(s) }];
+      } catch (e) {
+        return [];  // 壊れた項目は読み飛ばす
+      }
+    });
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveCustomScenarios(){
+  try {
+    localStorage.setItem(CUSTOM_SCENARIOS_KEY, JSON.stringify({ version: CUSTOM_SCENARIO_VERSION, scenarios: customScenarios }));
+  } catch (e) {
+    scnStatusEl.textContent = t('scn.status.saveFailed');
+  }
+}
+
+// ①の一覧の「自作シナリオ」と scenarios の自作分を作り直す
+function renderCustomScenarioOptions(){
+  Object.keys(scenarios).filter(id => scenarios[id].custom).forEach(id => delete scenarios[id]);
+  scenarioSelectEl.querySelector('optgroup')?.remove();
+  if (!customScenarios.length) return;
+  const group = document.createElement('optgroup');
+  group.label = t('scn.customGroup');
+  customScenarios.forEach(s => {
+    scenarios[s.id] = toScenario(s);
+    const option = document.createElement('option');
+    option.value = s.id;
+    option.textContent = s.title;
+    group.appendChild(option);
+  });
+  scenarioSelectEl.appendChild(group);
+}
+
+// 一覧でシナリオを選んで表示を更新 (削除済みなら最初のシナリオに戻す)
+function selectScenario(id){
+  scenarioSelectEl.value = scenarios[id] ? id : Object.keys(scenarios)[0];
+  scenarioSelectEl.dispatchEvent(new Event('change'));
+}
+
+// 出来事の入力行
+function addScnEventRow(name = '', p = ''){
+  if (scnEventsEl.children.length >= CUSTOM_EVENT_MAX) return;
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td class="h-index"></td>
+    <td><input type="text" class="scn-event-name" maxlength="32"></td>
+    <td><input type="text" class="scn-event-p" autocomplete="off" spellcheck="false"></td>
+    <td class="h-term">—</td>
+    <td><button class="h-remove">×</button></td>`;
+  tr.querySelector('.h-remove').setAttribute('aria-label', t('scn.removeEvent'));
+  tr.querySelector('.scn-event-name').value = name;
+  tr.querySelector('.scn-event-p').value = p;
+  scnEventsEl.appendChild(tr);
+}
+
+// 行番号と各出来事の情報量の表示
+function updateScnEditor(){
+  Array.from(scnEventsEl.children).forEach((tr, idx) => {
+    tr.querySelector('.h-index').textContent = idx + 1;
+    const f = parseProbability(tr.querySelector('.scn-event-p').value);
+    tr.querySelector('.h-term').textContent = f && f.num <= f.den ? fmtInfo(information(f.value), 3) : '—';
+  });
+  document.getElementById('scn-edit-add').disabled = scnEventsEl.children.length >= CUSTOM_EVENT_MAX;
+  scnDeleteEl.disabled = scnEditingId === null;
+}
+
+// 入力欄の内容 (空の行は無視)
+function readScenarioEditor(){
+  return {
+    title: document.getElementById('scn-edit-title').value,
+    description: document.getElementById('scn-edit-desc').value,
+    events: Array.from(scnEventsEl.children)
+      .map(tr => ({ name: tr.querySelector('.scn-event-name').value, p: tr.querySelector('.scn-event-p').value }))
+      .filter(e => e.name.trim() || e.p.trim())
+  };
+}
+
+/**
+ * 入力欄にシナリオを読み込む
+ * @param {{title: string, description: string, events: {name: string, p: string}[]}|null} s - null なら空の入力欄
+ * @param {string|null} id - 自作シナリオの ID (組み込みシナリオのコピーや新規作成は null)
+ */
+function fillScenarioEditor(s, id){
+  scnEditingId = id;
+  document.getElementById('scn-edit-title').value = s ? s.title : '';
+  document.getElementById('scn-edit-desc').value = s ? s.description : '';
+  scnEventsEl.innerHTML = '';
+  (s ? s.events : [{ name: '', p: '' }, { name: '', p: '' }]).forEach(e => addScnEventRow(e.name, e.p));
+  updateScnEditor();
+}
+
+/**
+ * 自作シナリオを追加・更新 (同じ ID、または ID がなく同じタイトルのものは上書き)
+ * @param {Object} s - validateScenario() 済みのシナリオ
+ * @param {string|null} id
+ * @returns {string} - 保存したシナリオの ID
+ */
+function storeCustomScenario(s, id){
+  const existing = customScenarios.find(c => id ? c.id === id : c.title === s.title);
+  if (existing) {
+    Object.assign(existing, s);
+    return existing.id;
+  }
+  if (customScenarios.length >= CUSTOM_SCENARIO_MAX) throw new Error(t('scn.error.tooMany', { max: CUSTOM_SCENARIO_MAX }));
+  const newId = `custom-${Date.now().toString(36)}${customScenarios.length.toString(36)}`;
+  customScenarios.push({ id: newId, ...s });
+  return newId;
+}
+
+/**
+ * 共有された JSON から自作シナリオを追加
+ * { scenarios: [...] }・シナリオの配列・シナリオ1件のいずれも受け付ける
+ * @param {string} text
+ * @returns {string} - 結果の説明
+ */
+function importScenarioJson(text){
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.scenarios) ? data.scenarios : [data];
+  const valid = list.map(validateScenario);  // 1件でも不正なら何も追加しない
+  const before = customScenarios.length;
+  valid.forEach(s => storeCustomScenario(s, null));
+  saveCustomScenarios();
+  const current = scenarioSelectEl.value;
+  renderCustomScenarioOptions();
+  selectScenario(current);
+  const added = customScenarios.length - before;
+  return t('scn.status.imported', { added, updated: valid.length - added });
+}
+
+const scenarioJson = () => JSON.stringify({
+  version: CUSTOM_SCENARIO_VERSION,
+  scenarios: customScenarios.map(({ title, description, events }) => ({ title, description, events }))
+}, null, 2);
+
+scnEventsEl.addEventListener('input', updateScnEditor);
+scnEventsEl.addEventListener('click', (e) => {
+  const btn = e.target.closest('.h-remove');
+  if (!btn || scnEventsEl.children.length <= 1) return;
+  btn.closest('tr').remove();
+  updateScnEditor();
+});
+document.getElementById('scn-edit-add').addEventListener('click', () => {
+  addScnEventRow();
+  updateScnEditor();
+});
+document.getElementById('scn-edit-new').addEventListener('click', () => {
+  fillScenarioEditor(null, null);
+  scnStatusEl.textContent = '';
+});
+
+// 選択中のシナリオを入力欄へ (組み込みシナリオはコピーとして新規作成)
+document.getElementById('scn-edit-load').addEventListener('click', () => {
+  const id = scenarioSelectEl.value;
+  const custom = customScenarios.find(c => c.id === id);
+  if (custom) {
+    fillScenarioEditor(custom, id);
+    scnStatusEl.textContent = t('scn.status.editing', { title: custom.title });
+  } else {
+    const text = scenarioText(id);
+    // 確率 0 の出来事 (サイコロの「7が出る」など) は自作シナリオに保存できないので除く
+    fillScenarioEditor({
+      title: t('scn.copyTitle', { title: text.title }),
+      description: text.description,
+      events: Object.entries(scenarios[id].events).filter(([, p]) => p > 0).map(([key, p]) => ({ name: text.eventName(key), p: probabilityText(p) }))
+    }, null);
+    scnStatusEl.textContent = t('scn.status.copied', { title: text.title });
+  }
+});
+
+document.getElementById('scn-edit-save').addEventListener('click', () => {
+  try {
+    const s = validateScenario(readScenarioEditor());
+    scnEditingId = storeCustomScenario(s, scnEditingId);
+    saveCustomScenarios();
+    renderCustomScenarioOptions();
+    selectScenario(scnEditingId);
+    updateScnEditor();
+    scnStatusEl.textContent = t('scn.status.saved', { title: s.title });
+  } catch (e) {
+    scnStatusEl.textContent = `⚠️ ${e.message}`;
+  }
+});
+
+scnDeleteEl.addEventListener('click', () => {
+  const target = customScenarios.find(c => c.id === scnEditingId);
+  if (!target || !window.confirm(t('scn.confirmDelete', { title: target.title }))) return;
+  customScenarios = customScenarios.filter(c => c !== target);
+  saveCustomScenarios();
+  const current = scenarioSelectEl.value;
+  renderCustomScenarioOptions();
+  selectScenario(current);
+  fillScenarioEditor(null, null);
+  scnStatusEl.textContent = t('scn.status.deleted', { title: target.title });
+});
+
+document.getElementById('scn-json-export').addEventListener('click', () => {
+  document.getElementById('scn-json').value = scenarioJson();
+});
+document.getElementById('scn-json-download').addEventListener('click', () => {
+  const blob = new Blob([scenarioJson() + '\n'], { type: 'application/json' });
+  downloadFile(blob, 'infoquantity-scenarios', 'json');
+});
+
+const reportScenarioImport = (text) => {
+  try {
+    scnStatusEl.textContent = importScenarioJson(text);
+  } catch (e) {
+    scnStatusEl.textContent = t('scn.status.importFailed', { reason: e instanceof SyntaxError ? t('scn.error.json') : e.message });
+  }
+};
+document.getElementById('scn-json-import').addEventListener('click', () => {
+  reportScenarioImport(document.getElementById('scn-json').value);
+});
+document.getElementById('scn-json-file').addEventListener('change', async function(){
+  const file = this.files[0];
+  this.value = '';
+  if (file) reportScenarioImport(await file.text());
+});
+
+customScenarios = loadCustomScenarios();
+renderCustomScenarioOptions();
+fillScenarioEditor(null, null);
+
+/* ========= 新機能: シャノンの予想ゲーム ========= */
+// 隠した英文を1文字ずつ予想させ、何回目で当たったかの分布から英語のエントロピーの上限・下限を求める
+// 文は data/guessing-corpus.json から読み込む (失敗時は SG_FALLBACK_SENTENCES)
+const sgSentenceEl = document.getElementById('sg-sentence');
+const sgGuessEl = document.getElementById('sg-guess');
+const sgTriedEl = document.getElementById('sg-tried');
+const SG_FALLBACK_SENTENCES = [
+  'there is no reverse on a motorcycle a friend of mine found this out rather dramatically the other day',
+  'the quick brown fox jumps over the lazy dog',
+  'rare events carry more information than common ones'
+];
+const SG_CHART_MIN_BARS = 10;
+
+let sgCorpus = { alphabet: 'abcdefghijklmnopqrstuvwxyz ', sentences: SG_FALLBACK_SENTENCES };
+// sgCounts[i] = (i + 1) 回目の予想で当たった文字数 (学習の進捗として保存)
+let sgCounts = Array(sgCorpus.alphabet.length).fill(0);
+let sgSentences = 0;  // 最後まで当てた文の数
+// 出題中の文: 位置 pos の文字を予想中。tried は今の位置で外れた文字、guesses は当たった文字ごとの回数
+let sgRound = null;
+
+const sgLabel = (ch) => ch === ' ' ? '␣' : ch;
+
+function newGuessingRound(){
+  const candidates = sgCorpus.sentences.filter(s => !sgRound || s !== sgRound.sentence);
+  const sentence = candidates[Math.floor(Math.random() * candidates.length)];
+  sgRound = { sentence, pos: 0, tried: new Set(), guesses: [] };
+  renderGuessingRound();
+}
+
+/**
+ * 1文字を予想する
+ * @param {string} input - 入力された文字 (大文字は小文字として扱う)
+ */
+function guessCharacter(input){
+  if (!sgRound || sgRound.pos >= sgRound.sentence.length) return;
+  const ch = input.toLowerCase();
+  if (!ch || !sgCorpus.alphabet.includes(ch)) {
+    sgTriedEl.textContent = t('sg.invalid', { input });
+    return;
+  }
+  if (sgRound.tried.has(ch)) {
+    sgTriedEl.textContent = t('sg.alreadyTried', { ch: sgLabel(ch) });
+    return;
+  }
+  sgRound.tried.add(ch);
+  if (ch === sgRound.sentence[sgRound.pos]) {
+    const n = sgRound.tried.size;
+    sgRound.guesses.push(n);
+    sgCounts[n - 1]++;
+    sgRound.pos++;
+    sgRound.tried = new Set();
+    if (sgRound.pos === sgRound.sentence.length) sgSentences++;
+    saveGuessingProgress();
+    updateGuessingStats();
+  }
+  renderGuessingRound();
+}
+
+// 出題中の文を表示 (当てた文字の下に予想の回数、未予想の部分は隠す)
+function renderGuessingRound(){
+  sgSentenceEl.innerHTML = '';
+  if (!sgRound) return;
+  const addChar = (letter, note, className) => {
+    const span = document.createElement('span');
+    span.className = `sg-char ${className}`;
+    const l = document.createElement('span');
+    l.className = 'sg-letter';
+    l.textContent = letter;
+    const g = document.createElement('span');
+    g.className = 'sg-guesses';
+    g.textContent = note;
+    span.append(l, g);
+    sgSentenceEl.appendChild(span);
+  };
+  sgRound.guesses.forEach((n, idx) => addChar(sgLabel(sgRound.sentence[idx]), String(n), n === 1 ? 'hit' : ''));
+
+  const finished = sgRound.pos >= sgRound.sentence.length;
+  if (!finished) addChar('?', String(sgRound.tried.size + 1), 'current');
+  sgTriedEl.textContent = finished
+    ? t('sg.finished', { n: sgRound.sentence.length, mean: fmt(sgRound.guesses.reduce((a, b) => a + b, 0) / sgRound.guesses.length, 2) })
+    : sgRound.tried.size
+      ? t('sg.tried', { chars: Array.from(sgRound.tried, sgLabel).join(' ') })
+      : t('sg.prompt', { pos: sgRound.pos + 1 });
+}
+
+// 記録全体から上限・下限を計算して表示
+function updateGuessingStats(){
+  const { q, n, upper, lower } = guessingBounds(sgCounts);
+  const K = sgCorpus.alphabet.length;
+  document.getElementById('sg-count').textContent = String(n || 0);
+  document.getElementById('sg-first').textContent = n ? `${fmt(q[0] * 100, 1)}%` : '—';
+  document.getElementById('sg-upper').textContent = n ? fmtInfo(upper, 3) : '—';
+  document.getElementById('sg-lower').textContent = n ? fmtInfo(lower, 3) : '—';
+
+  const stepsEl = document.getElementById('sg-steps');
+  if (!n) {
+    stepsEl.textContent = t('sg.steps.empty');
+  } else {
+    const last = sgCounts.reduce((m, c, idx) => c ? idx : m, 0);
+    const rows = sgCounts.slice(0, last + 1).map((c, idx) =>
+      '  ' + t('sg.steps.row', { i: String(idx + 1).padStart(2), count: String(c).padStart(4), q: fmt(q[idx], 3) }));
+    stepsEl.textContent = t('sg.steps', {
+      n, sentences: sgSentences, K, rows: rows.join('\n'), L: infoUnit.log,
+      upper: fmtInfo(upper, 3), lower: fmtInfo(lower, 3), uniform: fmtInfo(log2(K), 3)
+    });
+  }
+  drawGuessingChart();
+}
+
+/**
+ * 予想回数の分布 qᵢ の棒グラフ (上限・下限を注記)
+ */
+function drawGuessingChart(){
+  const canvas = document.getElementById('canvas-guessing');
+  if(!canvas) return;
+  const { q, n, upper, lower } = guessingBounds(sgCounts);
+  const last = sgCounts.reduce((m, c, idx) => c ? idx : m, 0);
+  const bars = Math.max(SG_CHART_MIN_BARS, last + 1);
+  const { ctx, W, H, colors } = beginPlot(canvas, {
+    redraw: drawGuessingChart,
+    hover: (x) => {
+      const i = Math.floor(x);
+      if (!n || i < 0 || i >= bars) return null;
+      return { x: i + 0.5, y: q[i] || 0, lines: [`${t('sg.axis.guess')} ${i + 1}`, `${t('graph.count')} ${fmtInt(sgCounts[i] || 0)}`, `qᵢ = ${fmt(q[i] || 0, 3)}`] };
+    }
+  });
+  ctx.font = '11px ui-monospace, monospace';
+
+  // 横軸は i 回目の区画 (棒)、縦軸は割合 qᵢ
+  const frame = createFrame({ left: 40, top: 16, width: W - 60, height: H - 50 }, { domain: [0, bars] }, { domain: [0, 1] });
+  const { left, top, width: w, height: h } = frame;
+  setGraphTable('canvas-guessing', [t('sg.axis.guess'), t('graph.count'), 'qᵢ'],
+    !n ? [] : sgCounts.slice(0, last + 1).map((c, i) => [i + 1, fmtInt(c), fmt(q[i], 3)]));
+  const slot = w / bars;
+
+  drawAxes(ctx, frame, colors, {
+    xTicks: Array.from({ length: bars }, (_, i) => i + 0.5), yTicks: [0, 1],
+    xFormat: (x) => String(x + 0.5), yFormat: (v) => String(v), xLabel: t('sg.axis.guess')
+  });
+  if (!n) return;
+
+  ctx.fillStyle = colors.exp;
+  for (let i = 0; i < bars; i++) {
+    const bh = q[i] * h;
+    ctx.fillRect(left + i * slot + slot*0.15, top + h - bh, slot*0.7, bh);
+  }
+
+  ctx.fillStyle = colors.highlight;
+  ctx.fillText(t('sg.chart.upper', { value: fmtInfo(upper, 2) }), left + w - 130, top + 16);
+  ctx.fillText(t('sg.chart.lower', { value: fmtInfo(lower, 2) }), left + w - 130, top + 32);
+  endPlot(canvas, frame);
+}
+
+sgGuessEl.addEventListener('input', () => {
+  const ch = Array.from(sgGuessEl.value).pop() || '';
+  sgGuessEl.value = '';
+  if (ch) guessCharacter(ch);
+});
+document.getElementById('sg-space').addEventListener('click', () => {
+  guessCharacter(' ');
+  sgGuessEl.focus();
+});
+document.getElementById('sg-new').addEventListener('click', () => {
+  newGuessingRound();
+  sgGuessEl.focus();
+});
+document.getElementById('sg-reset').addEventListener('click', () => {
+  if (!window.confirm(t('sg.confirmReset'))) return;
+  sgCounts = Array(sgCorpus.alphabet.length).fill(0);
+  sgSentences = 0;
+  saveGuessingProgress();
+  updateGuessingStats();
+});
+
+setMessage(document.getElementById('sg-hint'), 'sg.hint');
+fetch('data/guessing-corpus.json')
+  .then(res => { if (!res.ok) throw new Error(res.status); return res.json(); })
+  .then(data => {
+    // 記録済みの回数の分布と対応させるため、記号の種類数が変わるコーパスは使わない
+    const sentences = (data.sentences || []).filter(s => typeof s === 'string' && s && Array.from(s).every(ch => sgCorpus.alphabet.includes(ch)));
+    if (data.alphabet === sgCorpus.alphabet && sentences.length) sgCorpus = { alphabet: data.alphabet, sentences };
+  })
+  .catch(() => {
+    setMessage(document.getElementById('sg-hint'), 'sg.hint.fallback');
+  })
+  .finally(() => {
+    if (!sgRound) newGuessingRound();
+  });
+
+/* ========= 新機能: 応用タブの計算機能 ========= */
+
+// パスワード強度計算
+function updatePasswordEntropy() {
+  const length = parseInt(document.getElementById('pwd-length')?.value || 8);
+  const charTypes = parseInt(document.getElementById('char-types')?.value || 62);
+
+  const entropy = passwordEntropy(length, charTypes);
+  const guessCount = averageGuesses(entropy); // 平均試行回数
+
+  let security = 'weak';
+  if (entropy > 80) security = 'veryStrong';
+  else if (entropy > 60) security = 'strong';
+  else if (entropy > 40) security = 'moderate';
+
+  document.getElementById('pwd-entropy').textContent = fmtInfo(entropy, 1);
+  document.getElementById('guess-count').textContent = t('pwd.guesses', { n: guessCount.toExponential(1) });
+  document.getElementById('security-level').textContent = t(`pwd.security.${security}`);
+}
+
+document.getElementById('pwd-length')?.addEventListener('input', updatePasswordEntropy);
+document.getElementById('char-types')?.addEventListener('input', updatePasswordEntropy);
+
+// 初期化
+updatePasswordEntropy();
+
+/* ========= 新機能: パターンを考慮したパスワード分析 ========= */
+const PA_MAX_LENGTH = 64;
+
+// 文字種と種類数 (名前は表示言語のバンドル pa.class.* から引く)
+const PA_CHAR_CLASSES = [
+  { id: 'lower', size: 26, test: (c) => /[a-z]/.test(c) },
+  { id: 'upper', size: 26, test: (c) => /[A-Z]/.test(c) },
+  { id: 'digit', size: 10, test: (c) => /[0-9]/.test(c) },
+  { id: 'symbol', size: 33, test: (c) => /[\x20-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]/.test(c) },
+  { id: 'other', size: 100, test: (c) => c.codePointAt(0) > 0x7e }
+];
+
+// 攻撃者モデル (1秒あたりの試行回数。名前と速さの表記は pa.attacker.*)
+const PA_ATTACKERS = [
+  { id: 'online', rate: 100 / 3600 },
+  { id: 'slowHash', rate: 1e4 },
+  { id: 'fastHash', rate: 1e10 }
+];
+
+// leet 表記 → 英字 (1 は i と l の両方を試す)
+const PA_LEET = { '4':'a', '@':'a', '8':'b', '(':'c', '3':'e', '6':'g', '1':'i', '!':'i', '|':'i', '0':'o', '$':'s', '5':'s', '7':'t', '+':'t', '2':'z' };
+
+// QWERTY キーボード (各行の横位置のずれを考慮) と Shift 時の文字
+const PA_KEYBOARD_ROWS = [['`1234567890-=', 0], ['qwertyuiop[]\\', 1.5], ["asdfghjkl;'", 1.75], ['zxcvbnm,./', 2.25]];
+const PA_SHIFTED = { '~':'`', '!':'1', '@':'2', '#':'3', '$':'4', '%':'5', '^':'6', '&':'7', '*':'8', '(':'9', ')':'0', '_':'-', '+':'=',
+  '{':'[', '}':']', '|':'\\', ':':';', '"':"'", '<':',', '>':'.', '?':'/' };
+const paKeyPos = new Map();
+PA_KEYBOARD_ROWS.forEach(([keys, offset], row) => {
+  Array.from(keys).forEach((k, col) => paKeyPos.set(k, { x: offset + col, y: row }));
+});
+
+// 辞書 (data/common-passwords.json を非同期で読み込む。単語 → 順位)
+let paDictionary = null;
+
+function paKey(c){
+  const lower = c.toLowerCase();
+  return paKeyPos.get(PA_SHIFTED[c] || lower) || null;
+}
+
+// 推測回数の表示 (指数表記)
+const fmtGuesses = (g) => g < 1e4 ? String(Math.round(g)) : g.toExponential(1).replace('e+', ' × 10^');
+
+// 秒数を人が読める時間に変換
+function fmtDuration(sec){
+  if (!Number.isFinite(sec)) return '—';
+  if (sec < 1) return t('pa.duration.instant');
+  const units = [['century', 3155695200], ['year', 31556952], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+  for (const [unit, size] of units) {
+    if (sec >= size) {
+      const v = sec / size;
+      if (unit === 'century' && v >= 1e4) return t('pa.duration.centuries', { value: v.toExponential(1).replace('e+', ' × 10^') });
+      return t('pa.duration.about', { value: v < 10 ? fmt(v, 1) : fmtInt(Math.round(v)), unit: t(`pa.duration.${unit}`) });
+    }
+  }
+  return '—';
+}
+
+// 使われている文字種
+function detectCharClasses(pwd){
+  return PA_CHAR_CLASSES.filter(cls => Array.from(pwd).some(cls.test));
+}
+
+// 総当たりの推測回数 (部分文字列に含まれる文字種の種類数^長さ)
+function bruteforceGuesses(token){
+  const size = detectCharClasses(token).reduce((a, cls) => a + cls.size, 0);
+  return Math.pow(Math.max(size, 10), Array.from(token).length);
+}
+
+// 大文字の混ぜ方による推測回数の倍率
+function uppercaseVariations(token){
+  const upper = (token.match(/[A-Z]/g) || []).length;
+  const lower = (token.match(/[a-z]/g) || []).length;
+  if (upper === 0) return 1;
+  // 先頭だけ大文字・末尾だけ大文字・すべて大文字はよくあるので倍率2
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || lower === 0) return 2;
+  let v = 0;
+  for (let k = 1; k <= Math.min(upper, lower); k++) v += binomial(upper + lower, k);
+  return Math.max(v, 2);
+}
+
+// leet 表記を英字に戻した候補 (1 → i / l の両方)
+function unleetCandidates(lower){
+  const base = Array.from(lower).map(c => PA_LEET[c] || c).join('');
+  const alt = Array.from(lower).map(c => c === '1' ? 'l' : (PA_LEET[c] || c)).join('');
+  return base === alt ? [base] : [base, alt];
+}
+
+/**
+ * 辞書照合 (部分文字列の完全一致、逆順、leet 表記)
+ * @returns {Object[]} - {i, j, token, pattern, detail, guesses}
+ */
+function matchDictionary(pwd){
+  if (!paDictionary) return [];
+  const matches = [];
+  const chars = Array.from(pwd);
+  const lookup = (word) => {
+    if (paDictionary.passwords.has(word)) return { rank: paDictionary.passwords.get(word), kind: t('pa.kind.password') };
+    if (paDictionary.words.has(word)) return { rank: paDictionary.words.get(word), kind: t('pa.kind.word') };
+    return null;
+  };
+  for (let i = 0; i < chars.length; i++) {
+    for (let j = i + 3; j <= Math.min(chars.length, i + 20); j++) {
+      const token = chars.slice(i, j).join('');
+      const lower = token.toLowerCase();
+      const upper = uppercaseVariations(token);
+      const hit = lookup(lower);
+      if (hit) {
+        matches.push({ i, j, token, pattern: t('pa.pattern.dictionary'), detail: t('pa.detail.rank', { kind: hit.kind, rank: hit.rank }), guesses: hit.rank * upper });
+      }
+      const reversed = Array.from(lower).reverse().join('');
+      const rhit = reversed !== lower && lookup(reversed);
+      if (rhit) {
+        matches.push({ i, j, token, pattern: t('pa.pattern.reversed'), detail: t('pa.detail.reversed', { kind: rhit.kind, word: reversed }), guesses: rhit.rank * upper * 2 });
+      }
+      if (Array.from(lower).some(c => PA_LEET[c])) {
+        for (const cand of unleetCandidates(lower)) {
+          const lhit = cand !== lower && lookup(cand);
+          if (!lhit) continue;
+          const subs = Array.from(lower).filter((c, k) => c !== cand[k]).length;
+          matches.push({ i, j, token, pattern: t('pa.pattern.leet'), detail: t('pa.detail.leet', { word: cand, kind: lhit.kind }), guesses: lhit.rank * upper * Math.pow(2, subs) });
+        }
+      }
+    }
+  }
+  return matches;
+}
+
+// キーボード配列上で隣り合うキーをたどる並び (3文字以上)
+function matchKeyboardWalks(pwd){
+  const chars = Array.from(pwd);
+  const matches = [];
+  const adjacent = (a, b) => {
+    const p = paKey(a), q = paKey(b);
+    if (!p || !q || (p.x === q.x && p.y === q.y)) return null;
+    const dy = q.y - p.y, dx = q.x - p.x;
+    if ((dy === 0 && Math.abs(dx) === 1) || (Math.abs(dy) === 1 && Math.abs(dx) <= 1)) return `${Math.sign(dx)},${dy}`;
+    return null;
+  };
+  let i = 0;
+  while (i < chars.length - 1) {
+    let j = i + 1, turns = 0, dir = adjacent(chars[i], chars[j]);
+    if (!dir) { i++; continue; }
+    while (j + 1 < chars.length) {
+      const d = adjacent(chars[j], chars[j + 1]);
+      if (!d) break;
+      if (d !== dir) { turns++; dir = d; }
+      j++;
+    }
+    const len = j - i + 1;
+    if (len >= 3) {
+      const token = chars.slice(i, j + 1).join('');
+      // 開始位置(47キー) × 長さ × 方向転換ごとの分岐(平均約4方向)
+      const guesses = 47 * (len - 1) * Math.pow(4, turns + 1);
+      matches.push({ i, j: j + 1, token, pattern: t('pa.pattern.keyboard'), detail: t('pa.detail.keyboard', { turns }), guesses });
+    }
+    i = j;
+  }
+  return matches;
+}
+
+// 連番 (abcd, 1234, 9876 など差が一定 ±1 の並び)
+function matchSequences(pwd){
+  const chars = Array.from(pwd);
+  const matches = [];
+  const code = (c) => c.toLowerCase().codePointAt(0);
+  const sameClass = (a, b) => (/[0-9]/.test(a) && /[0-9]/.test(b)) || (/[a-z]/i.test(a) && /[a-z]/i.test(b));
+  let i = 0;
+  while (i < chars.length - 2) {
+    const delta = code(chars[i + 1]) - code(chars[i]);
+    if (Math.abs(delta) !== 1 || !sameClass(chars[i], chars[i + 1])) { i++; continue; }
+    let j = i + 1;
+    while (j + 1 < chars.length && code(chars[j + 1]) - code(chars[j]) === delta && sameClass(chars[j], chars[j + 1])) j++;
+    const len = j - i + 1;
+    if (len >= 3) {
+      const token = chars.slice(i, j + 1).join('');
+      const first = chars[i].toLowerCase();
+      const start = 'az019'.includes(first) ? 4 : (/[0-9]/.test(first) ? 10 : 26);
+      matches.push({ i, j: j + 1, token, pattern: t('pa.pattern.sequence'), detail: t(delta > 0 ? 'pa.detail.ascending' : 'pa.detail.descending'), guesses: start * len * (delta > 0 ? 1 : 2) });
+    }
+    i = j;
+  }
+  return matches;
+}
+
+// 繰り返し (aaaa, abcabc)
+function matchRepeats(pwd){
+  const matches = [];
+  const chars = Array.from(pwd);
+  const text = chars.join('');
+  const re = /(.+?)\1+/gu;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const i = Array.from(text.slice(0, m.index)).length;
+    const len = Array.from(m[0]).length;
+    const base = m[1];
+    const count = len / Array.from(base).length;
+    const baseGuesses = estimatePasswordGuesses(base).guesses;
+    matches.push({ i, j: i + len, token: m[0], pattern: t('pa.pattern.repeat'), detail: t('pa.detail.repeat', { base, count }), guesses: baseGuesses * count });
+  }
+  return matches;
+}
+
+// 日付・西暦 (1900〜2099 年、yyyymmdd / ddmmyyyy / mmddyyyy / yymmdd など)
+function matchDates(pwd){
+  const matches = [];
+  const refYear = new Date().getFullYear();
+  const yearSpace = (y) => Math.max(Math.abs(y - refYear), 20);
+  const validMD = (m, d) => m >= 1 && m <= 12 && d >= 1 && d <= 31;
+  const chars = Array.from(pwd);
+  for (let i = 0; i < chars.length; i++) {
+    for (let j = i + 4; j <= Math.min(chars.length, i + 10); j++) {
+      const token = chars.slice(i, j).join('');
+      if (!/^[\d\/\-._]+$/.test(token) || !/^\d/.test(token) || !/\d$/.test(token)) continue;
+      const digits = token.replace(/[\/\-._]/g, '');
+      const sep = digits.length !== token.length;
+      let guesses = null, detail = '';
+      if (digits.length === 4 && !sep) {
+        const y = Number(digits);
+        if (y >= 1900 && y <= 2099) { guesses = yearSpace(y); detail = t('pa.detail.year', { y }); }
+      } else if (digits.length === 8) {
+        const cands = [
+          [Number(digits.slice(0,4)), Number(digits.slice(4,6)), Number(digits.slice(6,8))],   // yyyymmdd
+          [Number(digits.slice(4,8)), Number(digits.slice(2,4)), Number(digits.slice(0,2))],   // ddmmyyyy
+          [Number(digits.slice(4,8)), Number(digits.slice(0,2)), Number(digits.slice(2,4))]    // mmddyyyy
+        ];
+        const hit = cands.find(([y, mo, d]) => y >= 1900 && y <= 2099 && validMD(mo, d));
+        if (hit) { guesses = 365 * yearSpace(hit[0]); detail = t('pa.detail.date', { y: hit[0], m: hit[1], d: hit[2] }); }
+      } else if (digits.length === 6) {
+        const parts = [Number(digits.slice(0,2)), Number(digits.slice(2,4)), Number(digits.slice(4,6))];
+        if (validMD(parts[1], parts[2]) || validMD(parts[0], parts[1]) || validMD(parts[1], parts[0])) {
+          guesses = 365 * 100; detail = t('pa.detail.shortDate');
+        }
+      }
+      if (guesses !== null) {
+        if (sep) guesses *= 4; // 区切り文字の種類
+        matches.push({ i, j, token, pattern: t('pa.pattern.date'), detail, guesses });
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * パターンを考慮した推測回数の推定
+ * 文字列をパターン (辞書・キーボード・連番・繰り返し・日付・総当たり) に分割し、
+ * 推測回数の積 × 分割数の階乗 (組み合わせ方の順番) が最小になる分割を動的計画法で求める
+ * @param {string} pwd - パスワード
+ * @returns {{guesses: number, bits: number, sequence: Object[]}}
+ */
+function estimatePasswordGuesses(pwd){
+  const chars = Array.from(pwd);
+  const n = chars.length;
+  if (n === 0) return { guesses: 1, bits: 0, sequence: [] };
+
+  const candidates = [
+    ...matchDictionary(pwd), ...matchKeyboardWalks(pwd), ...matchSequences(pwd), ...matchDates(pwd),
+    ...(n > 1 ? matchRepeats(pwd).filter(m => m.j - m.i > 1) : [])
+  ];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j <= n; j++) {
+      const token = chars.slice(i, j).join('');
+      candidates.push({ i, j, token, pattern: t('pa.pattern.bruteforce'), detail: detectCharClasses(token).map(c => t(`pa.class.${c.id}`)).join(t('pa.separator')), guesses: bruteforceGuesses(token) });
+    }
+  }
+  const byEnd = Array.from({ length: n + 1 }, () => []);
+  candidates.forEach(m => byEnd[m.j].push(m));
+
+  // best[k][j]: 先頭 j 文字を k 個のパターンで覆うときの log₂(推測回数の積) の最小値
+  const best = Array.from({ length: n + 1 }, () => new Array(n + 1).fill(Infinity));
+  const back = Array.from({ length: n + 1 }, () => new Array(n + 1).fill(null));
+  best[0][0] = 0;
+  for (let j = 1; j <= n; j++) {
+    for (const m of byEnd[j]) {
+      const cost = log2(Math.max(m.guesses, 1));
+      for (let k = 1; k <= j; k++) {
+        const v = best[k - 1][m.i] + cost;
+        if (v < best[k][j]) { best[k][j] = v; back[k][j] = m; }
+      }
+    }
+  }
+  let bestBits = Infinity, bestK = 1;
+  for (let k = 1; k <= n; k++) {
+    const v = best[k][n] + log2Factorial(k);
+    if (v < bestBits) { bestBits = v; bestK = k; }
+  }
+  const sequence = [];
+  for (let k = bestK, j = n; k > 0; k--) {
+    const m = back[k][j];
+    sequence.unshift(m);
+    j = m.i;
+  }
+  return { guesses: Math.pow(2, bestBits), bits: bestBits, sequence };
+}
+
+// 安全性の目安 (上の計算器と同じ基準)
+function securityLabel(bits){
+  if (bits > 80) return t('pwd.security.veryStrong');
+  if (bits > 60) return t('pwd.security.strong');
+  if (bits > 40) return t('pwd.security.moderate');
+  return t('pwd.security.weak');
+}
+
+function updatePasswordAnalysis(){
+  const input = document.getElementById('pa-password');
+  const pwd = Array.from(input.value).slice(0, PA_MAX_LENGTH).join('');
+  const classes = detectCharClasses(pwd);
+  const classesEl = document.getElementById('pa-classes');
+  classesEl.innerHTML = '';
+  PA_CHAR_CLASSES.forEach(cls => {
+    const chip = document.createElement('span');
+    chip.className = 'pa-class' + (classes.includes(cls) ? ' used' : '');
+    chip.textContent = `${classes.includes(cls) ? '✓' : '–'} ` + t('pa.class.chip', { name: t(`pa.class.${cls.id}`), size: cls.size });
+    classesEl.appendChild(chip);
+  });
+
+  const len = Array.from(pwd).length;
+  const charset = classes.reduce((a, cls) => a + cls.size, 0);
+  const naiveBits = len ? passwordEntropy(len, charset) : 0;
+  const { bits, sequence } = estimatePasswordGuesses(pwd);
+
+  document.getElementById('pa-naive').textContent = fmtInfo(naiveBits, 1);
+  document.getElementById('pa-naive-detail').textContent = len
+    ? t('pa.naive', { len, charset, bits: fmt(naiveBits, 1), aside: unitAside(naiveBits, 1), security: securityLabel(naiveBits) })
+      + (Array.from(input.value).length > PA_MAX_LENGTH ? t('pa.truncated', { max: PA_MAX_LENGTH }) : '')
+    : t('pa.empty');
+  document.getElementById('pa-pattern').textContent = fmtInfo(bits, 1);
+  document.getElementById('pa-pattern-detail').textContent = len
+    ? t('pa.patternBits', { guesses: fmtGuesses(Math.pow(2, bits)), bits: fmt(bits, 1), aside: unitAside(bits, 1), security: securityLabel(bits) })
+      + (naiveBits - bits > 1 ? t('pa.savings', { bits: fmt(naiveBits - bits, 1) }) : '')
+    : '';
+
+  const matchesEl = document.getElementById('pa-matches');
+  matchesEl.innerHTML = '';
+  sequence.forEach(m => {
+    const tr = document.createElement('tr');
+    [m.token, m.pattern, m.detail, fmtGuesses(m.guesses), fmtInfo(log2(Math.max(m.guesses, 1)), 1)].forEach(v => {
+      const td = document.createElement('td');
+      td.textContent = v;
+      tr.appendChild(td);
+    });
+    matchesEl.appendChild(tr);
+  });
+  if (sequence.length > 1) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 5;
+    td.className = 'note';
+    td.textContent = t('pa.order', { n: sequence.length, bits: fmt(log2Factorial(sequence.length), 1) });
+    tr.appendChild(td);
+    matchesEl.appendChild(tr);
+  }
+
+  // 平均して全候補の半分を試したところで当たる
+  const crackEl = document.getElementById('pa-crack');
+  crackEl.innerHTML = '';
+  PA_ATTACKERS.forEach(att => {
+    const tr = document.createElement('tr');
+    [t(`pa.attacker.${att.id}`), t(`pa.attacker.${att.id}.rate`),
+      len ? fmtDuration(Math.pow(2, naiveBits - 1) / att.rate) : '—',
+      len ? fmtDuration(Math.pow(2, bits - 1) / att.rate) : '—'].forEach(v => {
+      const td = document.createElement('td');
+      td.textContent = v;
+      tr.appendChild(td);
+    });
+    crackEl.appendChild(tr);
+  });
+}
+
+document.getElementById('pa-password').addEventListener('input', updatePasswordAnalysis);
+document.getElementById('pa-show').addEventListener('change', function(){
+  document.getElementById('pa-password').type = this.checked ? 'text' : 'password';
+});
+
+// 辞書の読み込み (失敗時は辞書照合なしでパターン検出のみ行う)
+setMessage(document.getElementById('pa-dict-status'), 'pa.dict.note');
+fetch('data/common-passwords.json')
+  .then(res => { if (!res.ok) throw new Error(res.status); return res.json(); })
+  .then(data => {
+    const toRankMap = (list) => new Map(list.map((w, idx) => [w.toLowerCase(), idx + 1]));
+    paDictionary = { passwords: toRankMap(data.passwords), words: toRankMap(data.words) };
+    setMessage(document.getElementById('pa-dict-status'), 'pa.dict.loaded', { passwords: data.passwords.length, words: data.words.length });
+    updatePasswordAnalysis();
+  })
+  .catch(() => {
+    setMessage(document.getElementById('pa-dict-status'), 'pa.dict.error');
+  });
+
+updatePasswordAnalysis();
+
+/* ========= 新機能: クロスエントロピー・KLダイバージェンス計算器 ========= */
+const klRowsEl = document.getElementById('kl-rows');
+const KL_MIN_ROWS = 2;
+const KL_MAX_ROWS = 16;
+
+// プリセット ([ラベル, P, Q] の組)。ラベルは選んだ時点の表示言語で作る
+const klPresets = {
+  // 正解ラベルが「猫」の one-hot 分布と分類器のソフトマックス出力
+  classifier: () => [[t('kl.class.cat'), 1, 0.7], [t('kl.class.dog'), 0, 0.2], [t('kl.class.bird'), 0, 0.1]],
+  dice: () => [1,2,3,4,5,6].map(n => [t('h.dice.face', { n }), 1/6, n === 6 ? 0.5 : 0.1]),
+  weather: () => [[t('h.weather.sunny'), 0.5, 0.6], [t('h.weather.cloudy'), 0.3, 0.3], [t('h.weather.rainy'), 0.2, 0.1]],
+  zero: () => [['A', 0.5, 0.5], ['B', 0.4, 0.5], ['C', 0.1, 0]]
+};
+
+// 無限大を含む値の表示 (選択中の単位)
+const fmtInfoInf = (v, d=4) => Number.isFinite(v) ? fmtInfo(v, d) : '∞';
+
+function addKLRow(label, p, q){
+  if (klRowsEl.children.length >= KL_MAX_ROWS) return;
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td class="h-index"></td>
+    <td><input type="text" class="kl-label" maxlength="16"></td>
+    <td><input type="number" class="kl-p" step="0.01" min="0" max="1"></td>
+    <td><input type="number" class="kl-q" step="0.01" min="0" max="1"></td>
+    <td class="h-term kl-cross">—</td>
+    <td class="h-term kl-term">—</td>
+    <td><button class="h-remove">×</button></td>`;
+  tr.querySelector('.h-remove').setAttribute('aria-label', t('h.remove'));
+  tr.querySelector('.kl-label').value = label;
+  tr.querySelector('.kl-p').value = Number(p.toFixed(6));
+  tr.querySelector('.kl-q').value = Number(q.toFixed(6));
+  klRowsEl.appendChild(tr);
+}
+
+function setKLDistributions(rows){
+  klRowsEl.innerHTML = '';
+  rows.slice(0, KL_MAX_ROWS).forEach(([label, p, q]) => addKLRow(label, p, q));
+  updateKL();
+}
+
+/**
+ * 現在の入力を取得
+ * @returns {{label: string, p: number, q: number}[]}
+ */
+function getKLRows(){
+  const sanitize = (v) => Number.isFinite(v) ? Math.max(0, Math.min(1, v)) : 0;
+  return Array.from(klRowsEl.children).map((tr, idx) => ({
+    label: tr.querySelector('.kl-label').value.trim() || `x${toSubscript(idx+1)}`,
+    p: sanitize(Number(tr.querySelector('.kl-p').value)),
+    q: sanitize(Number(tr.querySelector('.kl-q').value))
+  }));
+}
+
+function updateKL(){
+  const rows = getKLRows();
+  const n = rows.length;
+  const pSum = rows.reduce((a, r) => a + r.p, 0);
+  const qSum = rows.reduce((a, r) => a + r.q, 0);
+  document.getElementById('kl-psum').textContent = fmt(pSum, 4);
+  document.getElementById('kl-qsum').textContent = fmt(qSum, 4);
+  document.getElementById('kl-err').classList.toggle('hidden', Math.abs(pSum - 1) <= 1e-6 && Math.abs(qSum - 1) <= 1e-6);
+
+  // 合計が1でない場合は正規化した値で計算 (合計0なら一様分布)
+  const normalize = (vs, total) => vs.map(v => total > 0 ? v / total : 1 / n);
+  const ps = normalize(rows.map(r => r.p), pSum);
+  const qs = normalize(rows.map(r => r.q), qSum);
+  const r = divergences(ps, qs);
+
+  Array.from(klRowsEl.children).forEach((tr, idx) => {
+    const term = r.terms[idx];
+    tr.querySelector('.h-index').textContent = `x${toSubscript(idx+1)}`;
+    tr.querySelector('.kl-cross').textContent = Number.isFinite(term.cross) ? fmt(term.cross, 4) : '∞';
+    tr.querySelector('.kl-term').textContent = Number.isFinite(term.kl) ? fmt(term.kl, 4) : '∞';
+    tr.classList.toggle('kl-infinite', !Number.isFinite(term.kl));
+    tr.querySelector('.h-remove').disabled = n <= KL_MIN_ROWS;
+  });
+  document.getElementById('kl-add').disabled = n >= KL_MAX_ROWS;
+
+  document.getElementById('kl-hp').textContent = fmtInfoInf(r.HP);
+  document.getElementById('kl-hpq').textContent = fmtInfoInf(r.HPQ);
+  document.getElementById('kl-pq').textContent = fmtInfoInf(r.KLpq);
+  document.getElementById('kl-qp').textContent = fmtInfoInf(r.KLqp);
+  document.getElementById('kl-js').textContent = fmtInfoInf(r.JS);
+  announce(klRowsEl, `D_KL(P‖Q) = ${fmtInfoInf(r.KLpq)}, D_KL(Q‖P) = ${fmtInfoInf(r.KLqp)}`);
+
+  // Q(x) = 0 なのに P(x) > 0 となる事象 (およびその逆) を警告
+  const zeroIn = (key) => rows.filter((_, i) => !Number.isFinite(r.terms[i][key])).map(row => row.label);
+  const qZero = zeroIn('kl'), pZero = zeroIn('klRev');
+  const warnings = [];
+  if (qZero.length) warnings.push(t('kl.warn.qZero', { events: qZero.join(t('kl.listSeparator')) }));
+  if (pZero.length) warnings.push(t('kl.warn.pZero', { events: pZero.join(t('kl.listSeparator')) }));
+  const warnEl = document.getElementById('kl-warn');
+  warnEl.textContent = warnings.join('\n');
+  warnEl.classList.toggle('hidden', warnings.length === 0);
+
+  const L = infoUnit.log;
+  const termLine = (term, kind) => {
+    const [a, b, v] = kind === 'rev' ? [term.q, term.p, term.klRev] : [term.p, term.q, kind === 'cross' ? term.cross : term.kl];
+    if (a === 0) return kind === 'cross' ? `- 0 × ${L}(${fmt(b)}) → 0` : `0 × ${L}(0/${fmt(b)}) → 0` + t('kl.zeroLog');
+    if (b === 0) return kind === 'cross' ? `- ${fmt(a)} × ${L}(0) = ∞` : `${fmt(a)} × ${L}(${fmt(a)}/0) = ∞`;
+    return kind === 'cross'
+      ? `- ${fmt(a)} × ${L}(${fmt(b)}) = ${fmt(toUnit(v), 6)}`
+      : `${fmt(a)} × ${L}(${fmt(a)}/${fmt(b)}) = ${fmt(toUnit(v), 6)}`;
+  };
+  const join = (kind) => r.terms.map(term => termLine(term, kind)).join('\n    + ');
+  const check = t('kl.check') + (Number.isFinite(r.KLpq)
+    ? `H(P,Q) - H(P) = ${fmt(toUnit(r.HPQ),4)} - ${fmt(toUnit(r.HP),4)} = ${fmt(toUnit(r.HPQ - r.HP),4)} = D_KL(P‖Q)`
+    : 'H(P,Q) = H(P) + D_KL(P‖Q) = ∞');
+  document.getElementById('kl-steps').textContent =
+`H(P)       = - Σ P ${L} P = ${fmtInfoInf(r.HP, 6)}
+
+H(P,Q)     = - Σ P ${L} Q
+    = ${join('cross')}
+    = ${fmtInfoInf(r.HPQ, 6)}
+
+D_KL(P‖Q)  = Σ P ${L} (P/Q)
+    = ${join('kl')}
+    = ${fmtInfoInf(r.KLpq, 6)}
+
+D_KL(Q‖P)  = Σ Q ${L} (Q/P)
+    = ${join('rev')}
+    = ${fmtInfoInf(r.KLqp, 6)}
+
+JS(P‖Q)    = ½ D_KL(P‖M) + ½ D_KL(Q‖M),  M = (P+Q)/2
+    = ${fmtInfoInf(r.JS, 6)}${t('kl.jsRange', { aside: unitAside(1) })}
+
+${check}`;
+}
+
+klRowsEl.addEventListener('input', updateKL);
+klRowsEl.addEventListener('click', (e)=>{
+  const btn = e.target.closest('.h-remove');
+  if (!btn || klRowsEl.children.length <= KL_MIN_ROWS) return;
+  btn.closest('tr').remove();
+  updateKL();
+});
+document.getElementById('kl-add').addEventListener('click', ()=>{
+  addKLRow(`x${toSubscript(klRowsEl.children.length + 1)}`, 0, 0);
+  updateKL();
+});
+document.getElementById('kl-normalize').addEventListener('click', ()=>{
+  const rows = getKLRows();
+  const ps = toDistribution(rows.map(r => r.p));
+  const qs = toDistribution(rows.map(r => r.q));
+  setKLDistributions(rows.map((r, i) => [r.label, ps[i], qs[i]]));
+});
+document.getElementById('kl-swap').addEventListener('click', ()=>{
+  setKLDistributions(getKLRows().map(r => [r.label, r.q, r.p]));
+});
+document.querySelectorAll('.kl-preset').forEach(btn=>{
+  btn.addEventListener('click', ()=>{
+    const preset = klPresets[btn.dataset.preset]?.();
+    if (preset) setKLDistributions(preset);
+  });
+});
+
+setKLDistributions(klPresets.classifier());
+
+// タブ切り替え時の描画更新
+document.querySelectorAll('.tab').forEach(btn => {
+  btn.addEventListener('click', () => {
+    const tabId = btn.dataset.tab;
+    if (tabId === 'tab-intuition') {
+      // 体感タブ初期化
+      updateIntuitionDisplay();
+      drawIntuitionGraph();
+    } else if (tabId === 'tab-prop') {
+      // 性質タブ初期化
+      updatePropertiesDisplay();
+      drawMonotonicGraph();
+    } else if (tabId === 'tab-mutual') {
+      // 相互情報量タブ: 関係図・通信路グラフの再描画
+      drawMutualDiagram();
+      drawChannelChart();
+    }
+  });
+});
+
+/* ========= 新機能: 性質タブのインタラクティブ機能 ========= */
+
+// 単調減少性の可視化
+function drawMonotonicGraph() {
+  const canvas = document.getElementById('monotonic-canvas');
+  if (!canvas) return;
+
+  const { ctx, W, H, colors } = beginPlot(canvas, {
+    redraw: drawMonotonicGraph,
+    hover: (P) => {
+      if (P <= 0 || P > 1) return null;
+      const I = toUnit(-log2(P));
+      return { x: P, y: I, lines: [`P = ${fmt(P, 3)}`, `I = ${fmtInfo(-log2(P), 3)}`] };
+    }
+  });
+  ctx.font = '12px ui-sans-serif';
+
+  // 表示上限は8bit相当 (目盛りは4分割)
+  const Imax = Math.ceil(toUnit(8));
+  const frame = createFrame({ left: 40, top: 40, width: W - 80, height: H - 80 }, { domain: [0, 1] }, { domain: [0, Imax] });
+  drawAxes(ctx, frame, colors, {
+    xTicks: [0, 0.25, 0.5, 0.75, 1], yTicks: [0, 1, 2, 3, 4].map(i => Imax * i / 4),
+    xFormat: (p) => fmt(p, 2), yFormat: (v) => String(Number(v.toFixed(2))),
+    xLabel: 'P', yLabel: `I(${infoUnit.name})`
+  });
+
+  // 情報量曲線
+  drawCurve(ctx, frame, P => toUnit(-log2(Math.max(0.001, P))), { color: colors.line, domain: [0.001, 1] });
+
+  // 現在の点
+  const currentP = parseFloat(document.getElementById('propP')?.value || 0.5);
+  const currentI = toUnit(-log2(currentP));
+  setGraphTable('monotonic-canvas', ['P', `I [${infoUnit.name}]`], [
+    [fmt(currentP, 4) + t('a11y.current'), fmt(currentI, 4)],
+    ...GRAPH_TABLE_PS.map(P => [fmt(P, 4), fmt(toUnit(-log2(P)), 4)])
+  ]);
+
+  ctx.fillStyle = colors.warn;
+  ctx.beginPath();
+  ctx.arc(frame.x(currentP), frame.y(Math.min(currentI, Imax)), 6, 0, 2 * Math.PI);
+  ctx.fill();
+  endPlot(canvas, frame);
+}
+
+// 連続性計算
+function updateContinuityDemo() {
+  const p1 = parseFloat(document.getElementById('p1-input')?.value || 0.5);
+  const p2 = parseFloat(document.getElementById('p2-input')?.value || 0.51);
+
+  const i1 = -log2(p1);
+  const i2 = -log2(p2);
+
+  document.getElementById('i1-result').textContent = fmtInfo(i1);
+  document.getElementById('i2-result').textContent = fmtInfo(i2);
+  document.getElementById('p-diff').textContent = fmt(Math.abs(p2 - p1), 4);
+  document.getElementById('i-diff').textContent = fmtInfo(Math.abs(i2 - i1));
+
+  // 連続性判定
+  const pDiff = Math.abs(p2 - p1);
+  const iDiff = Math.abs(i2 - i1);
+  const verdict = document.getElementById('continuity-verdict');
+
+  if (pDiff < 0.1 && iDiff < 1.0) {
+    verdict.textContent = t('prop.verdict.ok');
+    verdict.style.color = 'var(--accent2)';
+  } else if (pDiff < 0.2) {
+    verdict.textContent = t('prop.verdict.slight');
+    verdict.style.color = 'var(--warn)';
+  } else {
+    verdict.textContent = t('prop.verdict.large');
+    verdict.style.color = 'var(--warn)';
+  }
+}
+
+// 加法性の計算
+function updateAdditivityDemo() {
+  const pa = parseFloat(document.getElementById('custom-pa')?.value || 0.3);
+  const pb = parseFloat(document.getElementById('custom-pb')?.value || 0.4);
+
+  const { pab, IA: ia, IB: ib, IAB: iab } = jointInformation(pa, pb);
+  const sum = ia + ib;
+
+  document.getElementById('custom-ia').textContent = fmtInfo(ia, 2);
+  document.getElementById('custom-ib').textContent = fmtInfo(ib, 2);
+  document.getElementById('custom-pab').textContent = fmt(pab, 4);
+  document.getElementById('custom-iab').textContent = fmtInfo(iab, 2);
+  document.getElementById('custom-sum').textContent = fmtInfo(sum, 2);
+
+  const match = Math.abs(iab - sum) < 0.001 ? 100 : Math.max(0, 100 - Math.abs(iab - sum) * 100);
+  document.getElementById('additivity-check').textContent = Math.round(match) + '%';
+}
+
+// 規格化の計算
+function updateNormalizationDemo() {
+  const base = document.getElementById('norm-base')?.value || '2';
+  let logFunc, unit;
+
+  switch(base) {
+    case 'e':
+      logFunc = Math.log;
+      unit = 'nat';
+      break;
+    case '10':
+      logFunc = (x) => Math.log(x) / Math.log(10);
+      unit = 'dit';
+      break;
+    default:
+      logFunc = log2;
+      unit = 'bit';
+  }
+
+  const half = -logFunc(0.5);
+  const quarter = -logFunc(0.25);
+  const tenth = -logFunc(0.1);
+
+  document.getElementById('half-norm').textContent = fmt(half, 3) + ' ' + unit;
+  document.getElementById('quarter-norm').textContent = fmt(quarter, 3) + ' ' + unit;
+  document.getElementById('tenth-norm').textContent = fmt(tenth, 3) + ' ' + unit;
+}
+
+// 性質タブの全体更新
+function updatePropertiesDisplay() {
+  updateContinuityDemo();
+  updateAdditivityDemo();
+  updateNormalizationDemo();
+}
+
+// イベントリスナー
+document.getElementById('propP')?.addEventListener('input', function() {
+  document.getElementById('propPval').textContent = fmt(parseFloat(this.value), 4);
+  document.getElementById('propIval').textContent = fmtInfo(-log2(parseFloat(this.value)));
+  drawMonotonicGraph();
+});
+
+document.getElementById('p1-input')?.addEventListener('input', updateContinuityDemo);
+document.getElementById('p2-input')?.addEventListener('input', updateContinuityDemo);
+document.getElementById('custom-pa')?.addEventListener('input', updateAdditivityDemo);
+document.getElementById('custom-pb')?.addEventListener('input', updateAdditivityDemo);
+document.getElementById('norm-base')?.addEventListener('change', updateNormalizationDemo);
+
+// 初期化
+updatePropertiesDisplay();
+
+/* ========= 新機能: 相互情報量タブ ========= */
+const JOINT_MIN = 2;
+const JOINT_MAX = 6;
+
+// プリセット (行: X の値, 列: Y の値)。ラベルは表示言語で作る
+const jointPresets = {
+  independent: () => ({ x: [t('h.coin.heads'), t('h.coin.tails')], y: [t('h.coin.heads'), t('h.coin.tails')], P: [[0.25, 0.25], [0.25, 0.25]] }),
+  identical: () => ({ x: ['0', '1'], y: ['0', '1'], P: [[0.5, 0], [0, 0.5]] }),
+  weather: () => ({ x: [t('h.weather.sunny'), t('h.weather.rainy')], y: [t('joint.noUmbrella'), t('joint.umbrella')], P: [[0.56, 0.14], [0.03, 0.27]] }),
+  channel: () => ({ x: [t('joint.sent', { v: 0 }), t('joint.sent', { v: 1 })], y: [t('joint.received', { v: 0 }), t('joint.received', { v: 1 })], P: [[0.45, 0.05], [0.05, 0.45]] }),
+  dice: () => ({ x: ['1', '2', '3', '4', '5', '6'], y: [t('joint.odd'), t('joint.even')], P: [1,2,3,4,5,6].map(n => n % 2 ? [1/6, 0] : [0, 1/6]) })
+};
+
+const jointState = { x: [], y: [], P: [] };
+
+// 正規化した結合分布 (合計0のときは一様分布)
+function normalizedJoint(){
+  const total = jointState.P.flat().reduce((a, b) => a + b, 0);
+  const cells = jointState.x.length * jointState.y.length;
+  return jointState.P.map(row => row.map(v => total > 0 ? v / total : 1 / cells));
+}
+
+function setJoint({ x, y, P }){
+  jointState.x = x.slice();
+  jointState.y = y.slice();
+  jointState.P = P.map(row => row.map(v => Number(v.toFixed(6))));
+  renderJointTable();
+}
+
+// 表の再構築 (行・列の増減時のみ)
+function renderJointTable(){
+  const table = document.getElementById('joint-table');
+  table.innerHTML = '';
+  const { x, y, P } = jointState;
+
+  const head = document.createElement('tr');
+  head.appendChild(Object.assign(document.createElement('th'), { textContent: t('joint.corner') }));
+  y.forEach((label, j) => {
+    const th = document.createElement('th');
+    th.appendChild(Object.assign(document.createElement('input'), { type: 'text', value: label, className: 'joint-label', maxLength: 8 }));
+    th.firstChild.dataset.axis = 'y';
+    th.firstChild.dataset.index = j;
+    head.appendChild(th);
+  });
+  head.appendChild(Object.assign(document.createElement('th'), { textContent: 'p(x)' }));
+  table.appendChild(head);
+
+  x.forEach((label, i) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.appendChild(Object.assign(document.createElement('input'), { type: 'text', value: label, className: 'joint-label', maxLength: 8 }));
+    th.firstChild.dataset.axis = 'x';
+    th.firstChild.dataset.index = i;
+    tr.appendChild(th);
+    y.forEach((_, j) => {
+      const td = document.createElement('td');
+      const input = Object.assign(document.createElement('input'), { type: 'number', min: 0, max: 1, step: 0.01, value: P[i][j], className: 'joint-cell' });
+      input.dataset.i = i;
+      input.dataset.j = j;
+      td.appendChild(input);
+      tr.appendChild(td);
+    });
+    tr.appendChild(Object.assign(document.createElement('td'), { className: 'joint-marginal' }));
+    table.appendChild(tr);
+  });
+
+  const foot = document.createElement('tr');
+  foot.appendChild(Object.assign(document.createElement('th'), { textContent: 'p(y)' }));
+  y.forEach(() => foot.appendChild(Object.assign(document.createElement('td'), { className: 'joint-marginal' })));
+  foot.appendChild(Object.assign(document.createElement('td'), { className: 'joint-marginal' }));
+  table.appendChild(foot);
+
+  document.getElementById('joint-add-row').disabled = x.length >= JOINT_MAX;
+  document.getElementById('joint-remove-row').disabled = x.length <= JOINT_MIN;
+  document.getElementById('joint-add-col').disabled = y.length >= JOINT_MAX;
+  document.getElementById('joint-remove-col').disabled = y.length <= JOINT_MIN;
+
+  // 事象選択肢の更新
+  ['x', 'y'].forEach(axis => {
+    const select = document.getElementById(`mi-event-${axis}`);
+    const prev = select.selectedIndex;
+    select.innerHTML = '';
+    jointState[axis].forEach((label, k) => select.appendChild(new Option(label, k)));
+    select.selectedIndex = clamp(prev, 0, jointState[axis].length - 1);
+  });
+
+  updateJoint();
+}
+
+function updateJoint(){
+  const raw = jointState.P;
+  const total = raw.flat().reduce((a, b) => a + b, 0);
+  document.getElementById('joint-sum').textContent = fmt(total, 4);
+  document.getElementById('joint-err').classList.toggle('hidden', Math.abs(total - 1) <= 1e-6);
+
+  const P = normalizedJoint();
+  const r = jointEntropies(P);
+
+  // 周辺分布の表示
+  const table = document.getElementById('joint-table');
+  const rows = table.querySelectorAll('tr');
+  r.px.forEach((p, i) => { rows[i + 1].lastChild.textContent = fmt(p, 4); });
+  const foot = rows[rows.length - 1].querySelectorAll('.joint-marginal');
+  r.py.forEach((p, j) => { foot[j].textContent = fmt(p, 4); });
+  foot[foot.length - 1].textContent = fmt(1, 4);
+
+  const set = (id, v) => { document.getElementById(id).textContent = fmtInfo(v); };
+  set('mi-hx', r.HX); set('mi-hy', r.HY); set('mi-hxy', r.HXY);
+  set('mi-hxgy', r.HXgY); set('mi-hygx', r.HYgX); set('mi-i', r.I);
+  announce(table, `I(X;Y) = ${fmtInfo(r.I)}`);
+
+  const verdict = r.I < 1e-9 ? t('mi.verdict.independent')
+    : r.HXgY < 1e-9 ? t('mi.verdict.determined')
+    : t('mi.verdict.reduced', { pct: fmt(r.I / r.HX * 100, 1) });
+  const L = infoUnit.log;
+  document.getElementById('mi-steps').textContent =
+`H(X)   = - Σ p(x) ${L} p(x)        = ${fmtInfo(r.HX,6)}
+H(Y)   = - Σ p(y) ${L} p(y)        = ${fmtInfo(r.HY,6)}
+H(X,Y) = - Σ p(x,y) ${L} p(x,y)    = ${fmtInfo(r.HXY,6)}
+H(X|Y) = H(X,Y) - H(Y)  = ${fmt(toUnit(r.HXY),4)} - ${fmt(toUnit(r.HY),4)} = ${fmtInfo(r.HXgY,6)}
+H(Y|X) = H(X,Y) - H(X)  = ${fmt(toUnit(r.HXY),4)} - ${fmt(toUnit(r.HX),4)} = ${fmtInfo(r.HYgX,6)}
+I(X;Y) = H(X) + H(Y) - H(X,Y) = ${fmt(toUnit(r.HX),4)} + ${fmt(toUnit(r.HY),4)} - ${fmt(toUnit(r.HXY),4)} = ${fmtInfo(r.I,6)}
+
+${t('mi.check')}  H(X,Y) ≤ H(X) + H(Y)  →  ${fmt(toUnit(r.HXY),4)} ≤ ${fmt(toUnit(r.HX + r.HY),4)}
+${t('mi.verdict')}  ${verdict}`;
+
+  drawMutualDiagram(r);
+  updateJointEvent(P, r);
+}
+
+/**
+ * 情報量の関係図 (ベン図 / 帯グラフ)
+ * ベン図の円の直径は H(X), H(Y) に比例し、重なり幅が I(X;Y) に比例する (幅による模式図)
+ */
+function drawMutualDiagram(r = jointEntropies(normalizedJoint())){
+  const canvas = document.getElementById('canvas-mutual');
+  if(!canvas) return;
+  const { ctx, W, H, colors } = beginPlot(canvas, { redraw: () => drawMutualDiagram(r) });
+
+  const textColor = colors.text;
+  const xColor = colors.exp;
+  const iColor = colors.lin;
+  const yColor = colors.log;
+  ctx.font = '13px ui-monospace, monospace';
+  setGraphTable('canvas-mutual', [t('graph.quantity'), t('graph.value')],
+    [['H(X)', r.HX], ['H(Y)', r.HY], ['H(X,Y)', r.HXY], ['H(X|Y)', r.HXgY], ['H(Y|X)', r.HYgX], ['I(X;Y)', r.I]].map(([name, v]) => [name, fmtInfo(v)]));
+  ctx.textAlign = 'center';
+
+  const total = Math.max(r.HXY, 1e-9);
+  const scale = (W - 80) / total;   // 1 bit あたりの横幅 (図形の比率は単位によらない)
+
+  if (document.getElementById('mi-diagram').value === 'bar') {
+    const left = 40;
+    // 帯の位置と太さは高さに比例させる (表示幅が狭いと縦も縮む)
+    const row = H / 320, barH = 40 * row;
+    const bars = [
+      { y: 50 * row, label: 'H(X,Y)', parts: [[r.HXgY, xColor], [r.I, iColor], [r.HYgX, yColor]], offset: 0 },
+      { y: 140 * row, label: 'H(X)', parts: [[r.HXgY, xColor], [r.I, iColor]], offset: 0 },
+      { y: 230 * row, label: 'H(Y)', parts: [[r.I, iColor], [r.HYgX, yColor]], offset: r.HXgY }
+    ];
+    bars.forEach(bar => {
+      let x = left + bar.offset * scale;
+      ctx.fillStyle = textColor;
+      ctx.textAlign = 'left';
+      ctx.fillText(`${bar.label} = ${fmtInfo(bar.parts.reduce((a, [v]) => a + v, 0), 3)}`, x, bar.y - 8);
+      ctx.textAlign = 'center';
+      bar.parts.forEach(([v, color]) => {
+        const w = v * scale;
+        ctx.fillStyle = color;
+        ctx.fillRect(x, bar.y, w, barH);
+        if (w > 40) { ctx.fillStyle = '#0b0f15'; ctx.fillText(fmt(toUnit(v), 3), x + w / 2, bar.y + barH / 2 + 5); }
+        x += w;
+      });
+    });
+  } else {
+    // 円の直径 ∝ H、中心間距離は重なり幅が I になるように配置
+    const dX = Math.max(r.HX * scale, 4), dY = Math.max(r.HY * scale, 4);
+    const cy = H / 2 + 10;
+    const xLeft = 40;
+    const cxX = xLeft + dX / 2;
+    const cxY = xLeft + r.HXgY * scale + dY / 2;
+    ctx.globalAlpha = 0.55;
+    ctx.fillStyle = xColor;
+    ctx.beginPath(); ctx.arc(cxX, cy, dX / 2, 0, 2 * Math.PI); ctx.fill();
+    ctx.fillStyle = yColor;
+    ctx.beginPath(); ctx.arc(cxY, cy, dY / 2, 0, 2 * Math.PI); ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = xColor;
+    ctx.beginPath(); ctx.arc(cxX, cy, dX / 2, 0, 2 * Math.PI); ctx.stroke();
+    ctx.strokeStyle = yColor;
+    ctx.beginPath(); ctx.arc(cxY, cy, dY / 2, 0, 2 * Math.PI); ctx.stroke();
+
+    ctx.fillStyle = textColor;
+    ctx.fillText(`H(X) = ${fmt(toUnit(r.HX), 3)}`, cxX, 20);
+    ctx.fillText(`H(Y) = ${fmt(toUnit(r.HY), 3)}`, cxY, H - 8);
+    ctx.fillText('H(X|Y)', xLeft + r.HXgY * scale / 2, cy - 6);
+    ctx.fillText(fmt(toUnit(r.HXgY), 3), xLeft + r.HXgY * scale / 2, cy + 12);
+    const midI = xLeft + (r.HXgY + r.I / 2) * scale;
+    ctx.fillStyle = iColor;
+    ctx.fillText('I(X;Y)', midI, cy - 6);
+    ctx.fillText(fmt(toUnit(r.I), 3), midI, cy + 12);
+    ctx.fillStyle = textColor;
+    const midY = xLeft + (r.HXgY + r.I + r.HYgX / 2) * scale;
+    ctx.fillText('H(Y|X)', midY, cy - 6);
+    ctx.fillText(fmt(toUnit(r.HYgX), 3), midY, cy + 12);
+  }
+  ctx.textAlign = 'start';
+}
+
+// 事象 A = {X=x}, B = {Y=y} の情報量と加算性の比較
+function updateJointEvent(P = normalizedJoint(), r = jointEntropies(P)){
+  const i = Number(document.getElementById('mi-event-x').value) || 0;
+  const j = Number(document.getElementById('mi-event-y').value) || 0;
+  const pa = r.px[i], pb = r.py[j], pab = P[i][j];
+  // 周辺確率は丸め誤差でわずかに 1 を超えることがある
+  const IA = information(clamp(pa, 0, 1));
+  const IB = information(clamp(pb, 0, 1));
+  const IAB = information(clamp(pab, 0, 1));
+  const diff = IA + IB - IAB;
+  const independent = Math.abs(pab - pa * pb) < 1e-9;
+  const a = jointState.x[i], b = jointState.y[j];
+
+  const L = infoUnit.log;
+  document.getElementById('mi-event-steps').textContent =
+`A = {X = ${a}},  B = {Y = ${b}}
+P(A) = ${fmt(pa)},  P(B) = ${fmt(pb)},  P(A∧B) = ${fmt(pab)}
+P(A) × P(B) = ${fmt(pa * pb)}  ${independent ? `= P(A∧B)  → ${t('mi.event.independent')}` : `≠ P(A∧B)  → ${t('mi.event.dependent')}`}
+
+I(A)        = -${L} ${fmt(pa)} = ${fmtInfo(IA)}
+I(B)        = -${L} ${fmt(pb)} = ${fmtInfo(IB)}
+I(A) + I(B) = ${fmtInfo(IA + IB)}
+I(A∧B)      = -${L} ${fmt(pab)} = ${Number.isFinite(IAB) ? fmtInfo(IAB) : t('mi.event.impossible', { unit: infoUnit.name })}
+
+${t('mi.event.diff')} I(A) + I(B) - I(A∧B) = ${L} P(A∧B) / (P(A)P(B)) = ${Number.isFinite(diff) ? fmt(toUnit(diff), 4) : '-∞'} ${infoUnit.name}
+${independent ? t('mi.event.additive')
+  : diff > 0 ? t('mi.event.lessSurprise')
+  : t('mi.event.moreSurprise')}`;
+}
+
+document.getElementById('joint-table').addEventListener('input', (e)=>{
+  const el = e.target;
+  if (el.classList.contains('joint-cell')) {
+    let v = Number(el.value);
+    if (!Number.isFinite(v)) v = 0;
+    jointState.P[Number(el.dataset.i)][Number(el.dataset.j)] = Math.max(0, Math.min(1, v));
+    updateJoint();
+  } else if (el.classList.contains('joint-label')) {
+    const axis = el.dataset.axis, k = Number(el.dataset.index);
+    jointState[axis][k] = el.value.trim() || `${axis}${toSubscript(k + 1)}`;
+    document.getElementById(`mi-event-${axis}`).options[k].textContent = jointState[axis][k];
+    updateJointEvent();
+  }
+});
+
+document.getElementById('joint-add-row').addEventListener('click', ()=>{
+  if (jointState.x.length >= JOINT_MAX) return;
+  jointState.x.push(`x${toSubscript(jointState.x.length + 1)}`);
+  jointState.P.push(jointState.y.map(() => 0));
+  renderJointTable();
+});
+document.getElementById('joint-remove-row').addEventListener('click', ()=>{
+  if (jointState.x.length <= JOINT_MIN) return;
+  jointState.x.pop();
+  jointState.P.pop();
+  renderJointTable();
+});
+document.getElementById('joint-add-col').addEventListener('click', ()=>{
+  if (jointState.y.length >= JOINT_MAX) return;
+  jointState.y.push(`y${toSubscript(jointState.y.length + 1)}`);
+  jointState.P.forEach(row => row.push(0));
+  renderJointTable();
+});
+document.getElementById('joint-remove-col').addEventListener('click', ()=>{
+  if (jointState.y.length <= JOINT_MIN) return;
+  jointState.y.pop();
+  jointState.P.forEach(row => row.pop());
+  renderJointTable();
+});
+document.getElementById('joint-normalize').addEventListener('click', ()=>{
+  setJoint({ x: jointState.x, y: jointState.y, P: normalizedJoint() });
+});
+// 周辺分布を保ったまま独立な分布 p(x)p(y) に置き換える
+document.getElementById('joint-independent').addEventListener('click', ()=>{
+  const { px, py } = jointEntropies(normalizedJoint());
+  setJoint({ x: jointState.x, y: jointState.y, P: px.map(a => py.map(b => a * b)) });
+});
+document.querySelectorAll('.joint-preset').forEach(btn=>{
+  btn.addEventListener('click', ()=>{
+    const preset = jointPresets[btn.dataset.preset]?.();
+    if (preset) setJoint(preset);
+  });
+});
+document.getElementById('mi-diagram').addEventListener('change', ()=> drawMutualDiagram());
+document.getElementById('mi-event-toggle').addEventListener('change', function(){
+  document.getElementById('mi-event').classList.toggle('hidden', !this.checked);
+});
+document.getElementById('mi-event-x').addEventListener('change', ()=> updateJointEvent());
+document.getElementById('mi-event-y').addEventListener('change', ()=> updateJointEvent());
+
+setJoint(jointPresets.weather());
+
+/* ========= 新機能: 二元通信路と通信路容量 ========= */
+const CH_RECENT_BITS = 48;    // 表示する直近の送受信ビット数
+const CH_BATCH = 100;         // 1回の送信ビット数
+
+const channelState = {
+  counts: null,   // 送受信の回数 counts[x][y]
+  total: 0,
+  recent: [],     // 直近の [x, y] の組
+  timer: null
+};
+
+function getChannelParams(){
+  return {
+    type: document.getElementById('ch-type').value,
+    q: Number(document.getElementById('ch-q').value),
+    eps: Number(document.getElementById('ch-eps').value)
+  };
+}
+
+function updateChannel(){
+  renderChannelValues();
+  drawChannelChart();
+  resetChannelSim();
+}
+
+// 現在のパラメーターでのエントロピー・相互情報量・容量と途中式の表示
+function renderChannelValues(){
+  const { type, q, eps } = getChannelParams();
+  const isBec = type === 'bec';
+  document.getElementById('ch-q-val').textContent = fmt(q, 2);
+  document.getElementById('ch-eps-val').textContent = fmt(eps, 2);
+  document.getElementById('ch-eps-name').textContent = t(isBec ? 'ch.eps.erasure' : 'ch.eps.flip');
+
+  const { P } = channelJoint(type, q, eps);
+  const r = jointEntropies(P);
+  const C = channelCapacity(type, eps);
+  const set = (id, v) => { document.getElementById(id).textContent = fmtInfo(v); };
+  set('ch-hx', r.HX); set('ch-hy', r.HY); set('ch-hygx', r.HYgX); set('ch-i', r.I); set('ch-cap', C);
+  announce(document.getElementById('ch-i'), `I(X;Y) = ${fmtInfo(r.I)}, C = ${fmtInfo(C)}`);
+
+  const hEps = binaryEntropy(eps);
+  document.getElementById('ch-steps').textContent = isBec
+? `P(Y=0) = (1-q)(1-ε) = ${fmt(r.py[0])},  P(Y=?) = ε = ${fmt(r.py[1])},  P(Y=1) = q(1-ε) = ${fmt(r.py[2])}
+H(X)   = H(${fmt(q,2)}) = ${fmtInfo(r.HX,6)}
+H(Y)   = ${fmtInfo(r.HY,6)}
+H(Y|X) = H(ε) = H(${fmt(eps,2)}) = ${fmtInfo(hEps,6)}
+I(X;Y) = H(Y) - H(Y|X) = (1-ε) H(X) = ${fmt(1-eps,2)} × ${fmt(toUnit(r.HX),4)} = ${fmtInfo(r.I,6)}
+C      = 1 - ε = ${t('ch.capacity', { C: fmt(C,6), aside: unitAside(C, 6) })}`
+: `P(Y=1) = q(1-ε) + (1-q)ε = ${fmt(q,2)}×${fmt(1-eps,2)} + ${fmt(1-q,2)}×${fmt(eps,2)} = ${fmt(r.py[1])}
+H(X)   = H(${fmt(q,2)}) = ${fmtInfo(r.HX,6)}
+H(Y)   = H(${fmt(r.py[1])}) = ${fmtInfo(r.HY,6)}
+H(Y|X) = H(ε) = H(${fmt(eps,2)}) = ${fmtInfo(hEps,6)}
+I(X;Y) = H(Y) - H(Y|X) = ${fmt(toUnit(r.HY),4)} - ${fmt(toUnit(hEps),4)} = ${fmtInfo(r.I,6)}
+C      = 1 - H(ε) = ${t('ch.capacity', { C: fmt(C,6), aside: unitAside(C, 6) })}`;
+}
+
+/**
+ * I(X;Y) を入力の偏り P(X=1) の関数として描画
+ * 容量 C の水平線と現在の入力分布の点を重ねる
+ */
+function drawChannelChart(){
+  const canvas = document.getElementById('canvas-channel');
+  if(!canvas) return;
+  const { type, q, eps } = getChannelParams();
+  const mutualAt = (v) => jointEntropies(channelJoint(type, v, eps).P).I;
+  const { ctx, W, H, colors } = beginPlot(canvas, {
+    redraw: drawChannelChart,
+    hover: (v) => {
+      if (v < 0 || v > 1) return null;
+      const I = mutualAt(v);
+      return { x: v, y: toUnit(I), lines: [`P(X=1) = ${fmt(v, 3)}`, `I(X;Y) = ${fmtInfo(I, 3)}`] };
+    }
+  });
+  ctx.font = '12px ui-monospace, monospace';
+
+  // 縦軸は選択中の単位 (上端は 1 bit)
+  const frame = createFrame({ left: 44, top: 20, width: W - 64, height: H - 60 }, { domain: [0, 1] }, { domain: [0, toUnit(1)] });
+  const { left, width: w } = frame;
+  const ticks = [0, 0.25, 0.5, 0.75, 1];
+  drawAxes(ctx, frame, colors, {
+    xTicks: ticks, yTicks: ticks.map(toUnit), xFormat: (v) => fmt(v, 2), yFormat: (v) => fmt(v, 2),
+    xLabel: 'P(X=1)', yLabel: `I(X;Y) [${infoUnit.name}]`
+  });
+  const toY = (v) => frame.y(toUnit(clamp(v, 0, 1)));
+
+  // 容量 C の水平線
+  const C = channelCapacity(type, eps);
+  ctx.setLineDash([6, 4]);
+  ctx.strokeStyle = colors.lin;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(left, toY(C));
+  ctx.lineTo(left + w, toY(C));
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = colors.highlight;
+  ctx.fillText(`C = ${fmt(toUnit(C), 3)}`, left + w - 80, toY(C) - 6);
+
+  // I(X;Y) の曲線
+  drawCurve(ctx, frame, v => toUnit(mutualAt(v)), { color: colors.exp, domain: [0, 1] });
+
+  // 現在の入力分布
+  const I = mutualAt(q);
+  ctx.fillStyle = colors.log;
+  ctx.beginPath();
+  ctx.arc(frame.x(q), toY(I), 5, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.fillText(`I = ${fmt(toUnit(I), 3)}`, clamp(frame.x(q) + 8, left, left + w - 70), toY(I) + 18);
+
+  setGraphTable('canvas-channel', ['P(X=1)', `I(X;Y) [${infoUnit.name}]`], [
+    [fmt(q, 2) + t('a11y.current'), fmt(toUnit(I), 4)],
+    ...Array.from({ length: 11 }, (_, i) => i / 10).map(v => [fmt(v, 2), fmt(toUnit(mutualAt(v)), 4)]),
+    [t('graph.capacity'), fmt(toUnit(C), 4)]
+  ]);
+  endPlot(canvas, frame);
+}
+
+// 1ビットを通信路に通す
+function transmitBit(type, q, eps){
+  const x = Math.random() < q ? 1 : 0;
+  if (Math.random() >= eps) return [x, x];
+  // BSC は反転、BEC は消失 (出力記号 '?')
+  return [x, type === 'bec' ? '?' : 1 - x];
+}
+
+function sendChannelBits(n = CH_BATCH){
+  const { type, q, eps } = getChannelParams();
+  const { y } = channelJoint(type, q, eps);
+  for(let k=0;k<n;k++){
+    const [x, out] = transmitBit(type, q, eps);
+    channelState.counts[x][y.indexOf(String(out))]++;
+    channelState.total++;
+    channelState.recent.push([x, out]);
+  }
+  channelState.recent = channelState.recent.slice(-CH_RECENT_BITS);
+  renderChannelSim();
+}
+
+function resetChannelSim(){
+  const { type } = getChannelParams();
+  const cols = type === 'bec' ? 3 : 2;
+  channelState.counts = [new Array(cols).fill(0), new Array(cols).fill(0)];
+  channelState.total = 0;
+  channelState.recent = [];
+  renderChannelSim();
+}
+
+function renderChannelSim(){
+  const { type, q, eps } = getChannelParams();
+  const isBec = type === 'bec';
+  const { counts, total, recent } = channelState;
+  document.getElementById('ch-count').textContent = fmtInt(total);
+
+  // 直近のビット (上段: 送信, 下段: 受信)
+  const bitsEl = document.getElementById('ch-bits');
+  bitsEl.innerHTML = '';
+  [t('ch.sent'), t('ch.received')].forEach((name, row) => {
+    const line = document.createElement('div');
+    line.className = 'ch-bit-row';
+    line.appendChild(Object.assign(document.createElement('span'), { className: 'ch-bit-name', textContent: name }));
+    recent.forEach(([x, out]) => {
+      const bit = document.createElement('span');
+      bit.className = 'bit' + (String(x) === String(out) ? '' : isBec ? ' erased' : ' flipped');
+      bit.textContent = row === 0 ? x : out;
+      line.appendChild(bit);
+    });
+    bitsEl.appendChild(line);
+  });
+
+  // 実測値と理論値の比較
+  const errors = isBec ? counts[0][1] + counts[1][1] : counts[0][1] + counts[1][0];
+  const ones = counts[1].reduce((a, b) => a + b, 0);
+  const theory = jointEntropies(channelJoint(type, q, eps).P);
+  const empirical = total > 0 ? jointEntropies(counts.map(row => row.map(c => c / total))) : null;
+  const rows = [
+    [t(isBec ? 'ch.rate.erasure' : 'ch.rate.flip'), total ? t('ch.rate.value', { rate: fmt(errors / total), errors: fmtInt(errors), total: fmtInt(total) }) : '—', fmt(eps)],
+    ['P(X=1)', total ? fmt(ones / total) : '—', fmt(q)],
+    ['H(Y)', empirical ? fmtInfo(empirical.HY) : '—', fmtInfo(theory.HY)],
+    ['I(X;Y)', empirical ? fmtInfo(empirical.I) : '—', fmtInfo(theory.I)]
+  ];
+  const tbody = document.getElementById('ch-compare');
+  tbody.innerHTML = '';
+  rows.forEach(cells => {
+    const tr = document.createElement('tr');
+    cells.forEach(text => tr.appendChild(Object.assign(document.createElement('td'), { textContent: text })));
+    tbody.appendChild(tr);
+  });
+}
+
+// 連続送信ボタンの表示 (送信中は停止ボタン)
+function renderChannelRunButton(){
+  document.getElementById('ch-run').textContent = t(channelState.timer ? 'ch.stop' : 'ch.run');
+}
+
+function stopChannelRun(){
+  clearInterval(channelState.timer);
+  channelState.timer = null;
+  renderChannelRunButton();
+}
+
+['ch-type', 'ch-q', 'ch-eps'].forEach(id => {
+  document.getElementById(id).addEventListener('input', updateChannel);
+});
+document.getElementById('ch-send').addEventListener('click', () => sendChannelBits());
+document.getElementById('ch-run').addEventListener('click', function(){
+  if (channelState.timer) { stopChannelRun(); return; }
+  channelState.timer = setInterval(() => sendChannelBits(20), 100);
+  renderChannelRunButton();
+});
+document.getElementById('ch-reset').addEventListener('click', resetChannelSim);
+// 他のタブへ移動したら連続送信を止める
+document.querySelectorAll('.tab').forEach(btn => {
+  btn.addEventListener('click', () => { if (btn.dataset.tab !== 'tab-mutual') stopChannelRun(); });
+});
+
+renderChannelRunButton();
+updateChannel();
+
+/* ========= 新機能: 情報量の単位の切り替え ========= */
+// 計算はすべて bit で行い、表示の直前に選択中の単位 (nat, dit, hartley) へ換算する
+const UNIT_KEY = 'infoquantity-unit';
+const infoUnitSelect = document.getElementById('info-unit');
+
+// 静的に書かれた値 (加算性の例など) の表示
+function renderStaticInfoValues(){
+  document.querySelectorAll('[data-info-bits]').forEach(el => {
+    el.textContent = fmtInfo(Number(el.dataset.infoBits), 2);
+  });
+}
+
+/**
+ * 単位を切り替えて、情報量を表示しているすべての計算器・グラフを再描画
+ * @param {string} name - INFO_UNITS のキー (bit, nat, dit, hartley)
+ * @returns {boolean} - 切り替えたら true (不明な単位は無視)
+ */
+function setInfoUnit(name){
+  if (!Object.prototype.hasOwnProperty.call(INFO_UNITS, name)) return false;
+  infoUnit = INFO_UNITS[name];
+  infoUnitSelect.value = name;
+  renderStaticInfoValues();
+  renderTwentyQuestions(); renderEcc(); updateCalc(); renderMonteCarlo(); updateAdd(); updateApt(); updateHierarchy(); updateProp();
+  drawILog();
+  updatePropertiesDisplay(); drawMonotonicGraph();
+  updateIntuitionDisplay(); drawIntuitionGraph(); updateIntuitionStats(); updateGuessingStats();
+  updateH(); updateTextEntropy(); updateMarkov();
+  updatePasswordEntropy(); updatePasswordAnalysis();
+  updateKL();
+  updateJoint();
+  renderChannelValues(); drawChannelChart(); renderChannelSim();
+  return true;
+}
+
+infoUnitSelect.addEventListener('change', () => {
+  if (setInfoUnit(infoUnitSelect.value)) localStorage.setItem(UNIT_KEY, infoUnitSelect.value);
+});
+
+setInfoUnit(localStorage.getItem(UNIT_KEY) || 'bit');
+
+/* ========= 新機能: 表示言語の切り替え ========= */
+// 静的な文言は applyStaticTranslations、JS が書く文言は各タブの描画関数を呼び直して訳し直す
+// 入力欄の値 (分布のラベル・自作シナリオなど) と記録済みのデータは利用者のものなので訳さない
+const langSelect = document.getElementById('lang-select');
+
+Object.entries(LOCALES).forEach(([lang, bundle]) => {
+  langSelect.appendChild(new Option(bundle.name, lang));
+});
+langSelect.value = locale.lang;
+
+/**
+ * 表示言語を切り替えて画面全体を描き直す
+ * @param {string} lang - LOCALES のキー
+ * @returns {boolean} - 切り替えたら true
+ */
+function setLanguage(lang){
+  if (!useLocale(lang)) return false;
+  langSelect.value = lang;
+  applyStaticTranslations();
+  refreshMessages();
+  relabelTwentyQuestions();
+  setInfoUnit(infoUnit.name);
+  drawCompare();
+  renderMonteCarloButton();
+  renderScenario(document.getElementById('event-select').value);
+  hideResult();
+  const scenarioId = scenarioSelectEl.value;
+  renderCustomScenarioOptions();
+  scenarioSelectEl.value = scenarioId;
+  renderCoderNotes();
+  renderCoderTable();
+  renderCoderStep();
+  renderCoderDecode();
+  renderJointTable();
+  renderGuessingRound();
+  renderChannelRunButton();
+  renderProgress();
+  renderExportChartOptions();
+  loadQuizBank();
+  return true;
+}
+
+langSelect.addEventListener('change', () => {
+  if (setLanguage(langSelect.value)) localStorage.setItem(LANG_KEY, langSelect.value);
 });
 
-// 確率推測
-document.getElementById('prob-guess')?.addEventListener('input', updateIntuitionDisplay);
+/* ========= 新機能: URLによる状態共有 ========= */
+// 入力値と表示中のタブを URL のハッシュ (#tab=calc&p0=0.6&...) に保存し、読み込み時に復元する
+// 既定値と同じ項目は省略して URL を短く保つ
 
-// 直感表示更新
-function updateIntuitionDisplay() {
-  const surpriseLevel = parseInt(document.getElementById('surprise-level')?.value || 5);
-  const probGuess = parseFloat(document.getElementById('prob-guess')?.value || 50) / 100;
+let restoringShareState = false;
+let shareStateTimer = null;
 
-  // 理論的情報量
-  const theoreticalInfo = currentEvent.probability > 0 ? -log2(currentEvent.probability) : Infinity;
+/**
+ * 現在の状態を収集
+ * @returns {Object<string, string|string[]>} - キーと値 (配列はキーを繰り返して表現)
+ */
+function collectShareState(){
+  const rows = getHDistribution();
+  const { type, q, eps } = getChannelParams();
+  return {
+    tab: document.querySelector('.tab.active').dataset.tab.replace(/^tab-/, ''),
+    p0: pEls[0].value, p1: pEls[1].value, p2: pEls[2].value, p3: pEls[3].value,
+    pa: paEl.value, pb: pbEl.value,
+    floors: floorsEl.value, perfloor: perfloorEl.value,
+    hx: rows.map(r => r.p).join(','),
+    hl: rows.map(r => r.label),
+    scn: document.getElementById('scenario-select').value,
+    event: document.getElementById('event-select').value,
+    ch: type, chq: String(q), cheps: String(eps),
+    unit: infoUnitSelect.value
+  };
+}
 
-  // 体感との一致度（驚き度を情報量に変換して比較）
-  // 改善: より適切なスケーリングと高情報量への対応
-  let surpriseInfo;
-  if (surpriseLevel <= 5) {
-    surpriseInfo = (surpriseLevel - 1) * 0.5; // 1-5 → 0-2 bit (低確率域)
-  } else {
-    surpriseInfo = 2 + (surpriseLevel - 5) * 4; // 6-10 → 2-22 bit (高確率域)
+// 単位は閲覧者の好みなので、保存済みの設定によらず bit 以外のときだけリンクに含める
+const shareDefaults = { ...collectShareState(), unit: 'bit' };
+
+function serializeShareState(state){
+  const params = new URLSearchParams();
+  Object.entries(state).forEach(([key, value]) => {
+    if (JSON.stringify(value) === JSON.stringify(shareDefaults[key])) return;
+    // ラベルは分布が変わったときのみ意味を持つため、hx と一緒に出力する
+    if (Array.isArray(value)) value.forEach(v => params.append(key, v));
+    else params.set(key, value);
+  });
+  if (params.has('hx') && !params.has('hl')) shareDefaults.hl.forEach(v => params.append('hl', v));
+  return params.toString();
+}
+
+/**
+ * ハッシュから状態を復元 (不正な値は無視して既定値のまま)
+ * @param {string} hash - location.hash
+ */
+function applyShareState(hash){
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const get = (key) => params.has(key) ? params.get(key) : shareDefaults[key];
+  const num = (key, min, max) => {
+    const v = Number(get(key));
+    return Number.isFinite(v) ? String(clamp(v, min, max)) : shareDefaults[key];
+  };
+  // 確率は分数・べき乗の表記のまま復元 (解釈できない値は既定値)
+  const prob = (key) => parseProbability(get(key)) ? get(key).trim() : shareDefaults[key];
+
+  restoringShareState = true;
+  ['p0', 'p1', 'p2', 'p3'].forEach((key, idx) => { pEls[idx].value = prob(key); });
+  updateCalc();
+  paEl.value = prob('pa');
+  pbEl.value = prob('pb');
+  updateAdd();
+  floorsEl.value = num('floors', 1, 1000);
+  perfloorEl.value = num('perfloor', 1, 1000);
+  updateApt();
+
+  const hx = get('hx').split(',').map(Number).slice(0, H_MAX_ROWS);
+  const hl = params.has('hl') ? params.getAll('hl') : shareDefaults.hl;
+  if (hx.length >= H_MIN_ROWS && hx.every(p => Number.isFinite(p) && p >= 0 && p <= 1)) {
+    setHDistribution(hx.map((p, idx) => [(hl[idx] || `x${toSubscript(idx+1)}`).slice(0, 16), p]));
   }
 
-  // 一致度計算の改善: 極端な情報量でも適切に評価
-  let matchScore;
-  if (theoreticalInfo > 20) {
-    // 極高情報量 (宝くじ級): 驚き8以上なら高評価
-    matchScore = surpriseLevel >= 8 ? 90 : Math.max(10, 50 - (8 - surpriseLevel) * 10);
-  } else if (theoreticalInfo > 10) {
-    // 高情報量: 驚き7以上で高評価
-    matchScore = surpriseLevel >= 7 ? 85 : Math.max(20, 70 - Math.abs(theoreticalInfo - surpriseInfo) * 5);
-  } else {
-    // 通常範囲: 従来の計算
-    matchScore = Math.max(0, 100 - Math.abs(theoreticalInfo - surpriseInfo) * 15);
+  const scenarioSelect = document.getElementById('scenario-select');
+  const scn = get('scn');
+  // "constructor" などの継承したプロパティ名もシナリオとして扱わない
+  if (Object.hasOwn(scenarios, scn) && scenarioSelect.value !== scn) {
+    scenarioSelect.value = scn;
+    scenarioSelect.dispatchEvent(new Event('change'));
+  }
+  const eventSelect = document.getElementById('event-select');
+  const eventName = get('event');
+  if (Object.hasOwn(scenarios[scenarioSelect.value].events, eventName) && eventSelect.value !== eventName) {
+    eventSelect.value = eventName;
+    eventSelect.dispatchEvent(new Event('change'));
   }
 
-  // UI更新
-  document.getElementById('actual-prob').textContent = (currentEvent.probability * 100).toFixed(4) + '%';
-  document.getElementById('theoretical-info').textContent = fmt(theoreticalInfo, 2) + ' bit';
-  document.getElementById('match-score').textContent = Math.round(matchScore) + '%';
+  const chType = get('ch');
+  if (chType === 'bsc' || chType === 'bec') document.getElementById('ch-type').value = chType;
+  document.getElementById('ch-q').value = num('chq', 0, 1);
+  document.getElementById('ch-eps').value = num('cheps', 0, 1);
+  updateChannel();
 
-  // 説明文生成
-  const explanation = generateIntuitionExplanation(surpriseLevel, theoreticalInfo, matchScore);
-  document.getElementById('intuition-explanation').textContent = explanation;
-}
+  // 単位の指定がないリンクでは閲覧者の設定をそのまま使う
+  if (params.has('unit')) setInfoUnit(params.get('unit'));
 
-function generateIntuitionExplanation(surprise, theoretical, match) {
-  if (theoretical > 20) {
-    // 宝くじレベルの極低確率
-    if (surprise >= 9) return `驚き度${surprise}は宝くじ級(${fmt(theoretical,1)} bit)に適切です。完璧な直感！`;
-    if (surprise >= 7) return `驚き度${surprise}は宝くじ級(${fmt(theoretical,1)} bit)の出来事への反応として妥当です。`;
-    return `宝くじ級(${fmt(theoretical,1)} bit)の出来事なら、もっと驚いても良いかも！`;
-  } else if (theoretical > 10) {
-    // 非常に稀な出来事
-    if (surprise >= 7) return `驚き度${surprise}は非常に稀な出来事(${fmt(theoretical,1)} bit)への適切な反応です。`;
-    return `${fmt(theoretical,1)} bitの稀な出来事です。もう少し驚いてもよいでしょう。`;
-  } else {
-    // 通常範囲
-    if (match > 80) return `驚き度${surprise}は情報量${fmt(theoretical,1)} bitによく対応しています。優秀な直感です！`;
-    if (match > 60) return `驚き度${surprise}は情報量${fmt(theoretical,1)} bitにまあまあ対応しています。`;
-    if (match > 40) return `驚き度${surprise}と情報量${fmt(theoretical,1)} bitに少しズレがあります。`;
-    return `驚き度${surprise}と情報量${fmt(theoretical,1)} bitのズレが大きいです。対数的感覚を養いましょう。`;
-  }
+  // タブ名はセレクターに埋め込まず比較する (引用符などを含むハッシュでも例外にしない)
+  const tabs = [...document.querySelectorAll('.tab')];
+  const tabBtn = tabs.find(btn => btn.dataset.tab === `tab-${get('tab')}`) ||
+    tabs.find(btn => btn.dataset.tab === `tab-${shareDefaults.tab}`);
+  if (!tabBtn.classList.contains('active')) tabBtn.click();
+  restoringShareState = false;
 }
 
-// データポイント記録
-document.getElementById('add-data-point')?.addEventListener('click', function() {
-  const surprise = parseInt(document.getElementById('surprise-level').value);
-  const theoretical = currentEvent.probability > 0 ? -log2(currentEvent.probability) : 16;
+// 入力の変更は履歴を増やさずに URL へ反映 (連続入力はまとめて1回)
+function scheduleShareStateUpdate(){
+  if (restoringShareState) return;
+  clearTimeout(shareStateTimer);
+  shareStateTimer = setTimeout(() => {
+    const hash = serializeShareState(collectShareState());
+    if (hash !== location.hash.replace(/^#/, '')) {
+      history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+    }
+  }, 300);
+}
 
-  intuitionData.push({ surprise, theoretical, event: currentEvent.name });
-  document.getElementById('point-count').textContent = intuitionData.length;
+['input', 'change', 'click'].forEach(type => document.addEventListener(type, scheduleShareStateUpdate));
 
-  drawIntuitionGraph();
+// タブの切り替えは履歴に積み、ブラウザーの戻る・進むで移動できるようにする
+document.querySelectorAll('.tab').forEach(btn => {
+  btn.addEventListener('click', () => {
+    if (restoringShareState) return;
+    clearTimeout(shareStateTimer);
+    const hash = serializeShareState(collectShareState());
+    if (hash !== location.hash.replace(/^#/, '')) {
+      history.pushState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+    }
+  });
 });
+window.addEventListener('popstate', () => applyShareState(location.hash));
 
-// データクリア
-document.getElementById('clear-data')?.addEventListener('click', function() {
-  intuitionData = [];
-  document.getElementById('point-count').textContent = '0';
-  drawIntuitionGraph();
+// 現在の状態のリンクをコピー
+document.getElementById('share-link').addEventListener('click', function(){
+  clearTimeout(shareStateTimer);
+  const hash = serializeShareState(collectShareState());
+  const url = location.href.split('#')[0] + (hash ? `#${hash}` : '');
+  history.replaceState(null, '', url);
+  const done = () => {
+    this.textContent = '✅';
+    setTimeout(() => { this.textContent = '🔗'; }, 1500);
+  };
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(url).then(done, () => window.prompt(t('share.copyPrompt'), url));
+  } else {
+    window.prompt(t('share.copyPrompt'), url);
+  }
 });
 
-// 直感グラフ描画
-function drawIntuitionGraph() {
-  const canvas = document.getElementById('intuition-graph');
-  if (!canvas) return;
-
-  const ctx = canvas.getContext('2d');
-  const W = canvas.width, H = canvas.height;
-  ctx.clearRect(0, 0, W, H);
+if (location.hash) applyShareState(location.hash);
 
-  // テーマ対応色
-  const isDark = html.getAttribute('data-theme') !== 'light';
-  ctx.fillStyle = isDark ? '#dfe9ff' : '#495057';
-  ctx.strokeStyle = isDark ? '#344665' : '#6c757d';
-  ctx.font = '12px ui-sans-serif';
+/* ========= 新機能: 学習の進捗の保存 ========= */
+// タブごとの達成状況・クイズの採点履歴・体感グラフと予想ゲームのデータを localStorage に保存する
+// 状態: 'visited' (訪問済み) → 'done' (完了)。完了条件は PROGRESS_RULES を参照
 
-  // 軸描画
-  const margin = 60;
-  const graphW = W - 2 * margin;
-  const graphH = H - 2 * margin;
+const PROGRESS_KEY = 'infoquantity-progress';
+const PROGRESS_VERSION = 2;
+const PROGRESS_MAX_ATTEMPTS = 500;
+const PROGRESS_MAX_POINTS = 500;
+const INTUITION_DONE_POINTS = 3;  // 体感タブ完了に必要な記録数
 
-  ctx.strokeRect(margin, margin, graphW, graphH);
-  ctx.fillText('驚き度 (主観)', W/2 - 30, H - 20);
-  ctx.save();
-  ctx.translate(20, H/2);
-  ctx.rotate(-Math.PI/2);
-  ctx.fillText('情報量 (理論) [bit]', -40, 0);
-  ctx.restore();
+// 完了条件の説明のメッセージキー (タブのツールチップに表示)
+const PROGRESS_RULES = {
+  'tab-basics': 'progress.rule.basics',
+  'tab-intuition': 'progress.rule.intuition'
+};
+const PROGRESS_DEFAULT_RULE = 'progress.rule.default';
 
-  // 理想線（y=x的な関係）描画
-  ctx.strokeStyle = isDark ? '#5aa9ff' : '#0066cc';
-  ctx.setLineDash([5, 5]);
-  ctx.beginPath();
-  ctx.moveTo(margin, margin + graphH);
-  ctx.lineTo(margin + graphW, margin);
-  ctx.stroke();
-  ctx.setLineDash([]);
+const tabIds = Array.from(document.querySelectorAll('.tab')).map(btn => btn.dataset.tab);
 
-  // データポイント描画
-  ctx.fillStyle = isDark ? '#49d492' : '#28a745';
-  intuitionData.forEach(point => {
-    const x = margin + (point.surprise - 1) / 9 * graphW;
-    const y = margin + graphH - Math.min(point.theoretical, 16) / 16 * graphH;
+const emptyProgress = () => ({
+  version: PROGRESS_VERSION,
+  tabs: {},
+  quiz: { attempts: [], scores: [] },
+  intuition: [],
+  guessing: { counts: [], sentences: 0 }
+});
 
-    ctx.beginPath();
-    ctx.arc(x, y, 4, 0, 2 * Math.PI);
-    ctx.fill();
+/**
+ * 読み込んだデータを検証して進捗オブジェクトに整形 (不正な項目は捨てる)
+ * @param {*} data - JSON.parse した値
+ * @returns {Object} - 進捗オブジェクト
+ */
+function sanitizeProgress(data){
+  // バージョン1 (固定3問のクイズ) の回答履歴は現在の問題集と対応しないため引き継がない
+  if (!data || typeof data !== 'object' || (data.version !== PROGRESS_VERSION && data.version !== 1)) {
+    throw new Error(t('progress.error.format'));
+  }
+  const progress = emptyProgress();
+  Object.entries(data.tabs || {}).forEach(([id, status]) => {
+    if (tabIds.includes(id) && (status === 'visited' || status === 'done')) progress.tabs[id] = status;
   });
+  const quiz = data.version === PROGRESS_VERSION && data.quiz || {};
+  progress.quiz.attempts = (Array.isArray(quiz.attempts) ? quiz.attempts : [])
+    .filter(t => t && tabIds.includes(t.quiz) && typeof t.correct === 'boolean')
+    .slice(-PROGRESS_MAX_ATTEMPTS)
+    .map(t => ({ quiz: t.quiz, question: String(t.question).slice(0, 64), answer: String(t.answer).slice(0, 64), correct: t.correct, at: String(t.at || '').slice(0, 32) }));
+  progress.quiz.scores = (Array.isArray(quiz.scores) ? quiz.scores : [])
+    .filter(t => t && tabIds.includes(t.quiz) && Number.isInteger(t.correct) && Number.isInteger(t.total) && t.total > 0)
+    .slice(-PROGRESS_MAX_ATTEMPTS)
+    .map(t => ({ quiz: t.quiz, correct: clamp(t.correct, 0, t.total), total: t.total, passed: Boolean(t.passed), at: String(t.at || '').slice(0, 32) }));
+  progress.intuition = (Array.isArray(data.intuition) ? data.intuition : [])
+    .filter(d => d && Number.isFinite(d.surprise) && Number.isFinite(d.theoretical))
+    .slice(-PROGRESS_MAX_POINTS)
+    .map(d => ({
+      surprise: clamp(d.surprise, 1, 10),
+      theoretical: d.theoretical,
+      // 確率を記録していない古いデータは理論値から逆算する
+      probability: isProbability(d.probability) ? d.probability : Math.pow(2, -d.theoretical),
+      event: String(d.event || '').slice(0, 32)
+    }));
+  const guessing = data.guessing || {};
+  if (Array.isArray(guessing.counts) && guessing.counts.length <= sgCorpus.alphabet.length
+      && guessing.counts.every(c => Number.isInteger(c) && c >= 0)) {
+    progress.guessing.counts = guessing.counts.slice();
+    progress.guessing.sentences = Number.isInteger(guessing.sentences) && guessing.sentences >= 0 ? guessing.sentences : 0;
+  }
+  return progress;
+}
 
-  // 軸ラベル
-  ctx.fillStyle = isDark ? '#9fb0c3' : '#6c757d';
-  for (let i = 1; i <= 10; i += 2) {
-    const x = margin + (i - 1) / 9 * graphW;
-    ctx.fillText(i.toString(), x - 3, H - margin + 15);
+function loadProgress(){
+  try {
+    const raw = localStorage.getItem(PROGRESS_KEY);
+    return raw ? sanitizeProgress(JSON.parse(raw)) : emptyProgress();
+  } catch (e) {
+    return emptyProgress();
   }
-  for (let i = 0; i <= 16; i += 4) {
-    const y = margin + graphH - i / 16 * graphH;
-    ctx.fillText(i.toString(), margin - 20, y + 4);
+}
+
+let progress = loadProgress();
+
+function saveProgress(){
+  try {
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+  } catch (e) {
+    // 保存できない環境 (プライベートモード等) では進捗はこのページ内のみ有効
   }
+  renderProgress();
 }
 
-/* ========= 新機能: 応用タブの計算機能 ========= */
+// タブの状態を更新 (完了は訪問済みに戻さない)
+function markTab(id, status){
+  if (progress.tabs[id] === 'done' || progress.tabs[id] === status) return;
+  progress.tabs[id] = status;
+  saveProgress();
+}
 
-// パスワード強度計算
-function updatePasswordEntropy() {
-  const length = parseInt(document.getElementById('pwd-length')?.value || 8);
-  const charTypes = parseInt(document.getElementById('char-types')?.value || 62);
+/**
+ * 採点結果を記録 (合格したタブは完了にする)
+ * @param {string} quizId - クイズを出題したタブの ID
+ * @param {{question: string, answer: string, correct: boolean}[]} results - 各問の結果
+ * @param {boolean} passed - 合格レベルに達したか
+ */
+function recordQuizResult(quizId, results, passed){
+  const at = new Date().toISOString();
+  results.forEach(r => progress.quiz.attempts.push({ quiz: quizId, ...r, at }));
+  progress.quiz.attempts = progress.quiz.attempts.slice(-PROGRESS_MAX_ATTEMPTS);
+  const correct = results.filter(r => r.correct).length;
+  progress.quiz.scores.push({ quiz: quizId, correct, total: results.length, passed, at });
+  progress.quiz.scores = progress.quiz.scores.slice(-PROGRESS_MAX_ATTEMPTS);
+  if (passed) progress.tabs[quizId] = 'done';
+  saveProgress();
+}
 
-  const entropy = length * log2(charTypes);
-  const guessCount = Math.pow(2, entropy - 1); // 平均試行回数
+// クイズごとの挑戦回数と最高得点
+function renderQuizHistory(box){
+  const el = box.querySelector('.quiz-history');
+  if (!el) return;
+  const scores = progress.quiz.scores.filter(s => s.quiz === box.dataset.quiz);
+  const best = scores.reduce((a, s) => s.correct / s.total > a.correct / a.total ? s : a, scores[0]);
+  el.textContent = scores.length
+    ? t('progress.quizHistory', { n: fmtInt(scores.length), passed: fmtInt(scores.filter(s => s.passed).length), correct: best.correct, total: best.total })
+    : '';
+}
 
-  let security = '弱い';
-  if (entropy > 80) security = '非常に強い';
-  else if (entropy > 60) security = '強い';
-  else if (entropy > 40) security = '中程度';
+function saveIntuitionProgress(){
+  progress.intuition = intuitionData.slice(-PROGRESS_MAX_POINTS);
+  if (intuitionData.length >= INTUITION_DONE_POINTS) progress.tabs['tab-intuition'] = 'done';
+  saveProgress();
+}
 
-  document.getElementById('pwd-entropy').textContent = fmt(entropy, 1) + ' bit';
-  document.getElementById('guess-count').textContent = guessCount.toExponential(1) + ' 回';
-  document.getElementById('security-level').textContent = security;
+function saveGuessingProgress(){
+  progress.guessing = { counts: sgCounts.slice(), sentences: sgSentences };
+  saveProgress();
 }
 
-document.getElementById('pwd-length')?.addEventListener('input', updatePasswordEntropy);
-document.getElementById('char-types')?.addEventListener('input', updatePasswordEntropy);
+// 進捗インジケーターとクイズ履歴の表示
+function renderProgress(){
+  document.querySelectorAll('.tab').forEach(btn => {
+    const status = progress.tabs[btn.dataset.tab];
+    if (status) btn.dataset.progress = status; else delete btn.dataset.progress;
+    btn.title = t('progress.tabTitle', {
+      status: t(`progress.status.${status || 'none'}`),
+      rule: t(PROGRESS_RULES[btn.dataset.tab] || PROGRESS_DEFAULT_RULE, { n: INTUITION_DONE_POINTS })
+    });
+  });
+  const done = tabIds.filter(id => progress.tabs[id] === 'done').length;
+  document.getElementById('progress-summary').textContent = t('progress.summary', { done, total: tabIds.length });
+  document.getElementById('progress-fill').style.width = `${done / tabIds.length * 100}%`;
 
-// 初期化
-updatePasswordEntropy();
+  document.querySelectorAll('.quiz-box').forEach(renderQuizHistory);
+}
+
+// 保存された体感データ・予想ゲームの記録を画面に反映
+function applyProgress(){
+  intuitionData = progress.intuition.slice();
+  document.getElementById('point-count').textContent = intuitionData.length;
+  drawIntuitionGraph();
+  updateIntuitionStats();
+  sgCounts = sgCorpus.alphabet.split('').map((_, idx) => progress.guessing.counts[idx] || 0);
+  sgSentences = progress.guessing.sentences;
+  updateGuessingStats();
+  renderProgress();
+}
 
-// タブ切り替え時の描画更新
 document.querySelectorAll('.tab').forEach(btn => {
-  btn.addEventListener('click', () => {
-    const tabId = btn.dataset.tab;
-    if (tabId === 'tab-intuition') {
-      // 体感タブ初期化
-      updateIntuitionDisplay();
-      drawIntuitionGraph();
-    } else if (tabId === 'tab-prop') {
-      // 性質タブ初期化
-      updatePropertiesDisplay();
-      drawMonotonicGraph();
-    }
-  });
+  btn.addEventListener('click', () => markTab(btn.dataset.tab, 'visited'));
 });
 
-/* ========= 新機能: 性質タブのインタラクティブ機能 ========= */
+// 完了条件が「操作」のタブは、パネル内の入力・ボタン操作で完了とする
+document.querySelectorAll('.panel').forEach(panel => {
+  if (PROGRESS_RULES[panel.id]) return;
+  const complete = (e) => {
+    if (e.target.matches('input, select, textarea, button')) markTab(panel.id, 'done');
+  };
+  panel.addEventListener('input', complete);
+  panel.addEventListener('click', complete);
+});
 
-// 単調減少性の可視化
-function drawMonotonicGraph() {
-  const canvas = document.getElementById('monotonic-canvas');
-  if (!canvas) return;
+document.getElementById('progress-export').addEventListener('click', () => {
+  const blob = new Blob([JSON.stringify(progress, null, 2) + '\n'], { type: 'application/json' });
+  downloadFile(blob, 'infoquantity-progress', 'json');
+});
 
-  const ctx = canvas.getContext('2d');
-  const W = canvas.width, H = canvas.height;
-  ctx.clearRect(0, 0, W, H);
+document.getElementById('progress-import').addEventListener('change', async function(){
+  const file = this.files[0];
+  this.value = '';
+  if (!file) return;
+  const statusEl = document.getElementById('progress-status');
+  try {
+    progress = sanitizeProgress(JSON.parse(await file.text()));
+    saveProgress();
+    applyProgress();
+    statusEl.textContent = t('progress.import.ok', { name: file.name });
+  } catch (e) {
+    statusEl.textContent = t('progress.import.fail', { reason: e instanceof SyntaxError ? t('progress.error.json') : e.message });
+  }
+});
 
-  // テーマ対応色
-  const isDark = html.getAttribute('data-theme') !== 'light';
-  ctx.fillStyle = isDark ? '#dfe9ff' : '#495057';
-  ctx.strokeStyle = isDark ? '#344665' : '#6c757d';
-  ctx.font = '12px ui-sans-serif';
+document.getElementById('progress-reset').addEventListener('click', () => {
+  if (!window.confirm(t('progress.confirmReset'))) return;
+  progress = emptyProgress();
+  progress.tabs[document.querySelector('.tab.active').dataset.tab] = 'visited';
+  saveProgress();
+  applyProgress();
+  document.getElementById('progress-status').textContent = t('progress.reset');
+});
 
-  // 軸描画
-  const margin = 40;
-  const graphW = W - 2 * margin;
-  const graphH = H - 2 * margin;
+applyProgress();
+markTab(document.querySelector('.tab.active').dataset.tab, 'visited');
 
-  ctx.strokeRect(margin, margin, graphW, graphH);
-  ctx.fillText('P', W - 30, H - 20);
-  ctx.fillText('I(bit)', 10, 30);
+/* ========= 新機能: 印刷・書き出し（配布用の結果と問題プリント） ========= */
+// 計算器の今の入力・結果・途中式とグラフを印刷用のページ (#print-sheet) にまとめて印刷する
+// グラフは plot.mjs で明るいテーマの色の SVG に描き直して埋め込む (画面のテーマによらず紙で読める)
+// 問題プリントの数値は worksheet.mjs がシードから決め、途中式は計算器と同じ関数 (calcI など) で作る
+const printSheetEl = document.getElementById('print-sheet');
+const exportStatusEl = document.getElementById('export-status');
+const exportChartEl = document.getElementById('export-chart');
+const wsSeedEl = document.getElementById('ws-seed');
+const wsCountEl = document.getElementById('ws-count');
 
-  // 情報量曲線
-  ctx.strokeStyle = isDark ? '#5aa9ff' : '#0066cc';
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  for (let i = 0; i <= graphW; i++) {
-    const P = Math.max(0.001, i / graphW);
-    const I = -log2(P);
-    const x = margin + i;
-    const y = margin + graphH - Math.min(I, 8) / 8 * graphH;
-    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
-  }
-  ctx.stroke();
+// 計算器ごとの印刷内容: 入力・結果の表、途中式、グラフ
+const EXPORT_CALCULATORS = {
+  coin: () => ({
+    headers: [t('graph.event'), 'P', 'I'],
+    rows: pEls.map((el, idx) => [`a${toSubscript(idx)}`, el.value, iEls[idx].textContent]),
+    steps: sEls.map((el, idx) => `I(a${toSubscript(idx)})\n${el.textContent}`).join('\n\n'),
+    graphs: ['canvas-mc']
+  }),
+  additivity: () => ({
+    rows: [paEl, pbEl, IAEl, IBEl, IABEl].map(el => [fieldLabel(el), el.value ?? el.textContent]),
+    steps: addStepsEl.textContent,
+    graphs: []
+  }),
+  apartment: () => ({
+    // 入力欄の見出しには入力例が付いているので使わない
+    rows: [[t('export.apt.floors'), floorsEl.value], [t('export.apt.perFloor'), perfloorEl.value],
+      ...[IfloorEl, IroomEl, ItotalEl].map(el => [fieldLabel(el), el.textContent])],
+    steps: aptStepsEl.textContent,
+    graphs: []
+  }),
+  entropy: () => ({
+    headers: [t('graph.event'), 'p', `-p ${infoUnit.log} p`],
+    rows: getHDistribution().map(({ label, p }) => [label, fmt(p, 4), p > 0 ? fmt(toUnit(entropyTerm(p)), 4) : '0']),
+    summary: [fieldLabel(hvalEl) + ' = ' + hvalEl.textContent, hmaxEl.parentElement.textContent.replace(/\s+/g, ' ').trim()],
+    steps: hstepsEl.textContent,
+    graphs: ['canvas-entropy']
+  })
+};
 
-  // 現在の点
-  const currentP = parseFloat(document.getElementById('propP')?.value || 0.5);
-  const currentI = -log2(currentP);
-  const currentX = margin + currentP * graphW;
-  const currentY = margin + graphH - Math.min(currentI, 8) / 8 * graphH;
+// 入力欄・結果の見出し (直前の label / 見出し要素の文字)
+const fieldLabel = (el) => el.previousElementSibling?.textContent.trim() || el.id;
 
-  ctx.fillStyle = isDark ? '#ff6b6b' : '#dc3545';
-  ctx.beginPath();
-  ctx.arc(currentX, currentY, 6, 0, 2 * Math.PI);
-  ctx.fill();
+const printEl = (tag, text, className) => {
+  const el = document.createElement(tag);
+  if (text !== undefined) el.textContent = text;
+  if (className) el.className = className;
+  return el;
+};
 
-  // 軸ラベル
-  ctx.fillStyle = isDark ? '#9fb0c3' : '#6c757d';
-  for (let i = 0; i <= 4; i++) {
-    const p = i / 4;
-    const x = margin + p * graphW;
-    ctx.fillText(p.toFixed(1), x - 10, H - margin + 15);
-  }
-  for (let i = 0; i <= 8; i += 2) {
-    const y = margin + graphH - i / 8 * graphH;
-    ctx.fillText(i.toString(), margin - 20, y + 4);
+function printTable(headers, rows){
+  const table = printEl('table', undefined, 'print-table');
+  if (headers) {
+    const head = table.createTHead().insertRow();
+    headers.forEach(text => head.appendChild(Object.assign(printEl('th', text), { scope: 'col' })));
   }
+  const body = table.createTBody();
+  rows.forEach(cells => {
+    const tr = body.insertRow();
+    cells.forEach((text, i) => {
+      // 見出しのない表は1列目を行の見出しにする
+      const cell = !headers && i === 0 ? Object.assign(printEl('th', text), { scope: 'row' }) : printEl('td', text);
+      tr.appendChild(cell);
+    });
+  });
+  return table;
 }
 
-// 連続性計算
-function updateContinuityDemo() {
-  const p1 = parseFloat(document.getElementById('p1-input')?.value || 0.5);
-  const p2 = parseFloat(document.getElementById('p2-input')?.value || 0.51);
-
-  const i1 = -log2(p1);
-  const i2 = -log2(p2);
-
-  document.getElementById('i1-result').textContent = fmt(i1, 4);
-  document.getElementById('i2-result').textContent = fmt(i2, 4);
-  document.getElementById('p-diff').textContent = Math.abs(p2 - p1).toFixed(4);
-  document.getElementById('i-diff').textContent = Math.abs(i2 - i1).toFixed(4);
+// グラフを SVG 要素として埋め込む (まだ描かれていないグラフは null)
+function printGraph(canvasId){
+  const canvas = document.getElementById(canvasId);
+  const svg = canvas && exportPlotSvg(canvas);
+  if (!svg) return null;
+  const figure = printEl('figure', undefined, 'print-graph');
+  figure.appendChild(document.importNode(new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement, true));
+  figure.appendChild(printEl('figcaption', canvas.getAttribute('aria-label')));
+  return figure;
+}
 
-  // 連続性判定
-  const pDiff = Math.abs(p2 - p1);
-  const iDiff = Math.abs(i2 - i1);
-  const verdict = document.getElementById('continuity-verdict');
+function printHeader(title, meta){
+  const header = printEl('header', undefined, 'print-header');
+  header.append(printEl('h1', title), printEl('p', meta, 'print-meta'));
+  return header;
+}
 
-  if (pDiff < 0.1 && iDiff < 1.0) {
-    verdict.textContent = '✅ 連続性が保たれています';
-    verdict.style.color = 'var(--accent2)';
-  } else if (pDiff < 0.2) {
-    verdict.textContent = '⚠️ やや連続的です';
-    verdict.style.color = 'var(--warn)';
-  } else {
-    verdict.textContent = '❌ 大きな変化です';
-    verdict.style.color = 'var(--warn)';
-  }
+/**
+ * 印刷用のページを組み立てて印刷する (印刷が終わったら中身を消す)
+ * @param {string} title - 文書のタイトル (PDF に保存するときのファイル名にもなる)
+ * @param {Node[]} nodes
+ */
+function printSheet(title, nodes){
+  printSheetEl.replaceChildren(...nodes);
+  printSheetEl.hidden = false;
+  document.body.classList.add('printing');
+  printSheetEl.dataset.title = document.title;
+  document.title = title;
+  window.print();
 }
 
-// 加法性の計算
-function updateAdditivityDemo() {
-  const pa = parseFloat(document.getElementById('custom-pa')?.value || 0.3);
-  const pb = parseFloat(document.getElementById('custom-pb')?.value || 0.4);
+window.addEventListener('afterprint', () => {
+  if (printSheetEl.hidden) return;
+  document.title = printSheetEl.dataset.title;
+  document.body.classList.remove('printing');
+  printSheetEl.hidden = true;
+  printSheetEl.replaceChildren();
+});
 
-  const ia = -log2(pa);
-  const ib = -log2(pb);
-  const pab = pa * pb;
-  const iab = -log2(pab);
-  const sum = ia + ib;
+const checkedValues = (name) => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`), el => el.value);
+const todayText = () => new Date().toLocaleDateString(locale.lang);
 
-  document.getElementById('custom-ia').textContent = fmt(ia, 2);
-  document.getElementById('custom-ib').textContent = fmt(ib, 2);
-  document.getElementById('custom-pab').textContent = fmt(pab, 4);
-  document.getElementById('custom-iab').textContent = fmt(iab, 2);
-  document.getElementById('custom-sum').textContent = fmt(sum, 2);
+document.getElementById('export-print').addEventListener('click', () => {
+  const kinds = checkedValues('export-calc');
+  if (!kinds.length) { setMessage(exportStatusEl, 'export.nothing'); return; }
+  const withGraphs = document.getElementById('export-graphs').checked;
+  const sections = kinds.map(kind => {
+    const { headers, rows, summary = [], steps, graphs } = EXPORT_CALCULATORS[kind]();
+    const section = printEl('section', undefined, 'print-section');
+    section.append(printEl('h2', t(`export.section.${kind}`)), printTable(headers, rows));
+    summary.forEach(line => section.appendChild(printEl('p', line)));
+    section.append(printEl('h3', t('export.steps')), printEl('pre', steps, 'print-steps'));
+    if (withGraphs) graphs.map(printGraph).filter(Boolean).forEach(figure => section.appendChild(figure));
+    return section;
+  });
+  exportStatusEl.textContent = '';
+  printSheet(t('export.title'), [printHeader(t('export.title'), t('export.meta', { date: todayText(), unit: infoUnit.name })), ...sections]);
+});
 
-  const match = Math.abs(iab - sum) < 0.001 ? 100 : Math.max(0, 100 - Math.abs(iab - sum) * 100);
-  document.getElementById('additivity-check').textContent = Math.round(match) + '%';
+// グラフの一覧 (表示言語の説明文で)。言語を切り替えたら作り直す
+function renderExportChartOptions(){
+  const selected = exportChartEl.value;
+  exportChartEl.replaceChildren(...Array.from(document.querySelectorAll('canvas[role="img"]'), canvas =>
+    new Option(canvas.getAttribute('aria-label') || canvas.id, canvas.id)));
+  if (selected) exportChartEl.value = selected;
 }
 
-// 規格化の計算
-function updateNormalizationDemo() {
-  const base = document.getElementById('norm-base')?.value || '2';
-  let logFunc, unit;
+async function saveChart(format){
+  const canvas = document.getElementById(exportChartEl.value);
+  if (!canvas) return;
+  const blob = format === 'svg'
+    ? (svg => svg && new Blob([svg], { type: 'image/svg+xml' }))(exportPlotSvg(canvas))
+    : await exportPlotPng(canvas);
+  if (!blob) { setMessage(exportStatusEl, 'export.noChart'); return; }
+  downloadFile(blob, `infoquantity-${canvas.id}`, format);
+  setMessage(exportStatusEl, 'export.saved', { name: `${canvas.id}.${format}` });
+}
 
-  switch(base) {
-    case 'e':
-      logFunc = Math.log;
-      unit = 'nat';
-      break;
-    case '10':
-      logFunc = (x) => Math.log(x) / Math.log(10);
-      unit = 'dit';
-      break;
-    default:
-      logFunc = log2;
-      unit = 'bit';
-  }
+document.getElementById('export-png').addEventListener('click', () => saveChart('png'));
+document.getElementById('export-svg').addEventListener('click', () => saveChart('svg'));
+renderExportChartOptions();
 
-  const half = -logFunc(0.5);
-  const quarter = -logFunc(0.25);
-  const tenth = -logFunc(0.1);
+/* --- 問題プリント --- */
 
-  document.getElementById('half-norm').textContent = fmt(half, 3) + ' ' + unit;
-  document.getElementById('quarter-norm').textContent = fmt(quarter, 3) + ' ' + unit;
-  document.getElementById('tenth-norm').textContent = fmt(tenth, 3) + ' ' + unit;
-}
+const wsProbability = (f) => fractionString(f);
+const wsList = (items) => items.join(t('ws.separator'));
 
-// 性質タブの全体更新
-function updatePropertiesDisplay() {
-  updateContinuityDemo();
-  updateAdditivityDemo();
-  updateNormalizationDemo();
+/**
+ * 問題文・答え・途中式 (選択中の単位と表示言語)
+ * @param {Object} problem - worksheet.mjs の generateWorksheet の問題
+ * @returns {{text: string, answer: string, steps: string}}
+ */
+function describeProblem(problem){
+  const info = (bits) => fmtInfo(bits, 3);
+  switch (problem.kind) {
+    case 'coin': {
+      const names = problem.ps.map((_, i) => `a${toSubscript(i)}`);
+      return {
+        text: t('ws.coin', { n: problem.ps.length, list: wsList(problem.ps.map((f, i) => `P(${names[i]}) = ${wsProbability(f)}`)) }),
+        answer: wsList(problem.answers.map((I, i) => `I(${names[i]}) = ${info(I)}`)),
+        steps: problem.ps.map((f, i) => `I(${names[i]})\n${calcI(f).steps}`).join('\n\n')
+      };
+    }
+    case 'additivity': {
+      const { IA, IB, IAB } = problem.answers;
+      return {
+        text: t('ws.additivity', { pa: wsProbability(problem.pa), pb: wsProbability(problem.pb) }),
+        answer: wsList([`I(A) = ${info(IA)}`, `I(B) = ${info(IB)}`, `I(A∧B) = ${info(IAB)}`]),
+        steps: calcAdd(problem.pa, problem.pb).steps
+      };
+    }
+    case 'apartment': {
+      const { floor, room, total } = problem.answers;
+      return {
+        text: t('ws.apartment', { F: problem.floors, R: problem.perFloor }),
+        answer: t('ws.answer.apartment', { floor: info(floor), room: info(room), total: info(total) }),
+        steps: calcApt(problem.floors, problem.perFloor).steps
+      };
+    }
+    default: {
+      const { H, Hmax } = problem.answers;
+      return {
+        text: t('ws.entropy', { list: wsList(problem.ps.map((p, i) => `p${toSubscript(i + 1)} = ${fmt(p, 4)}`)), log: infoUnit.log, n: problem.ps.length }),
+        answer: t('ws.answer.entropy', { H: info(H), Hmax: info(Hmax), ratio: fmt(H / Hmax * 100, 1) }),
+        steps: calcH(problem.ps).steps
+      };
+    }
+  }
 }
 
-// イベントリスナー
-document.getElementById('propP')?.addEventListener('input', function() {
-  document.getElementById('propPval').textContent = parseFloat(this.value).toFixed(4);
-  document.getElementById('propIval').textContent = fmt(-log2(parseFloat(this.value)), 4);
-  drawMonotonicGraph();
-});
+// シードが空なら新しく決めて入力欄に残す (解答を同じシードで印刷できるように)
+function currentWorksheet(){
+  const kinds = checkedValues('ws-kind');
+  if (!kinds.length) { setMessage(exportStatusEl, 'ws.none'); return null; }
+  if (!wsSeedEl.value.trim()) wsSeedEl.value = Math.random().toString(36).slice(2, 8);
+  const worksheet = generateWorksheet({ seed: wsSeedEl.value.trim(), kinds, perKind: Number(wsCountEl.value) });
+  setMessage(exportStatusEl, 'ws.status', { n: worksheet.problems.length, seed: worksheet.seed });
+  return worksheet;
+}
 
-document.getElementById('p1-input')?.addEventListener('input', updateContinuityDemo);
-document.getElementById('p2-input')?.addEventListener('input', updateContinuityDemo);
-document.getElementById('custom-pa')?.addEventListener('input', updateAdditivityDemo);
-document.getElementById('custom-pb')?.addEventListener('input', updateAdditivityDemo);
-document.getElementById('norm-base')?.addEventListener('change', updateNormalizationDemo);
+/**
+ * 問題プリント (withAnswers なら解答) を印刷する
+ * @param {boolean} withAnswers
+ */
+function printWorksheet(withAnswers){
+  const worksheet = currentWorksheet();
+  if (!worksheet) return;
+  const title = t(withAnswers ? 'ws.answerTitle' : 'ws.title');
+  const header = printHeader(title, t('ws.meta', { seed: worksheet.seed, unit: infoUnit.name, date: todayText() }));
+  if (!withAnswers) header.appendChild(printEl('p', t('ws.name'), 'ws-name'));
+  const instructions = printEl('p', t('ws.instructions', { unit: infoUnit.name }), 'print-meta');
+  const list = printEl('ol', undefined, 'ws-problems');
+  worksheet.problems.forEach(problem => {
+    const { text, answer, steps } = describeProblem(problem);
+    const item = printEl('li');
+    item.appendChild(printEl('p', text));
+    if (withAnswers) {
+      item.append(printEl('p', t('ws.answer', { answer }), 'ws-answer'), printEl('pre', steps, 'print-steps'));
+    } else {
+      item.appendChild(printEl('div', undefined, 'ws-space'));
+    }
+    list.appendChild(item);
+  });
+  printSheet(`${title} (${worksheet.seed})`, [header, instructions, list]);
+}
 
-// 初期化
-updatePropertiesDisplay();
+document.getElementById('ws-new').addEventListener('click', () => {
+  wsSeedEl.value = '';
+  currentWorksheet();
+});
+document.getElementById('ws-print').addEventListener('click', () => printWorksheet(false));
+document.getElementById('ws-answers').addEventListener('click', () => printWorksheet(true));
@@ -0,0 +1,83 @@
+// i18n.mjs と言語バンドル (locales/*.mjs) の単体テスト (node --test で実行)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { interpolate, createTranslator, createNumberFormatter, createIntegerFormatter } from '../i18n.mjs';
+import ja from '../locales/ja.mjs';
+import en from '../locales/en.mjs';
+
+const readText = (path) => readFileSync(new URL(path, import.meta.url), 'utf8');
+
+test('interpolate: {名前} を置き換え、params にない名前は残す', () => {
+  assert.equal(interpolate('{a} + {b} = {c}', { a: 1, b: '2', c: 3 }), '1 + 2 = 3');
+  assert.equal(interpolate('{a} と {missing}', { a: 'x' }), 'x と {missing}');
+  assert.equal(interpolate('波かっこ {} はそのまま'), '波かっこ {} はそのまま');
+});
+
+test('createTranslator: 訳がなければ原文、どちらにもなければキー', () => {
+  const source = { messages: { greet: 'こんにちは {name}', only: '原文のみ', fn: ({ n }) => `${n} 個` } };
+  const target = { messages: { greet: 'Hello {name}' } };
+  const t = createTranslator(target, source);
+  assert.equal(t('greet', { name: 'A' }), 'Hello A');
+  assert.equal(t('only'), '原文のみ');
+  assert.equal(t('fn', { n: 3 }), '3 個');
+  assert.equal(t('no.such.key'), 'no.such.key');
+  assert.equal(createTranslator(source)('greet', { name: 'B' }), 'こんにちは B');
+});
+
+test('createNumberFormatter: 桁数固定、小数点は言語に従い、桁区切りなし', () => {
+  const fmtEn = createNumberFormatter('en-US');
+  const fmtDe = createNumberFormatter('de-DE');
+  assert.equal(fmtEn(Math.PI), '3.1416');
+  assert.equal(fmtEn(12345.678, 1), '12345.7');
+  assert.equal(fmtDe(Math.PI, 2), '3,14');
+  assert.equal(fmtEn(-0, 2), '0.00');
+  assert.equal(fmtEn(Infinity), '—');
+  assert.equal(fmtEn(NaN), '—');
+});
+
+test('createIntegerFormatter: 桁区切りあり', () => {
+  assert.equal(createIntegerFormatter('en-US')(1234567), '1,234,567');
+  assert.equal(createIntegerFormatter('de-DE')(1234567), '1.234.567');
+  assert.equal(createIntegerFormatter('en-US')(Infinity), '—');
+});
+
+test('言語バンドル: ja と en のメッセージのキーが一致する', () => {
+  const jaKeys = Object.keys(ja.messages).sort();
+  const enKeys = Object.keys(en.messages).sort();
+  assert.deepEqual(enKeys.filter(key => !jaKeys.includes(key)), []);
+  assert.deepEqual(jaKeys.filter(key => !enKeys.includes(key)), []);
+  for (const bundle of [ja, en]) {
+    assert.ok(bundle.name && bundle.lang && bundle.numberLocale);
+  }
+});
+
+test('言語バンドル: 埋め込む値の名前が ja と en で一致する', () => {
+  // 関数のメッセージ (単数形・複数形の使い分けなど) は対象外
+  const names = (message) => [...message.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+  for (const key of Object.keys(ja.messages)) {
+    const [source, translation] = [ja.messages[key], en.messages[key]];
+    if (typeof source === 'string' && typeof translation === 'string') {
+      assert.deepEqual(names(translation), names(source), key);
+    }
+  }
+});
+
+test('言語バンドル: index.html の data-i18n / data-i18n-attr のキーに en の訳がある', () => {
+  const html = readText('../index.html');
+  const keys = new Set([...html.matchAll(/data-i18n="([\w.]+)"/g)].map(m => m[1]));
+  for (const [, spec] of html.matchAll(/data-i18n-attr="([^"]+)"/g)) {
+    spec.split(';').forEach(pair => keys.add(pair.split('=')[1]));
+  }
+  assert.ok(keys.size > 0);
+  assert.deepEqual([...keys].filter(key => !Object.hasOwn(en.html, key)), []);
+  assert.deepEqual(Object.keys(en.html).filter(key => !keys.has(key)), []);
+});
+
+test('問題集の英訳: 原文にある話題と問題だけを訳している', () => {
+  const bank = JSON.parse(readText('../data/quiz-bank.json'));
+  const overlay = JSON.parse(readText('../data/quiz-bank.en.json'));
+  const ids = new Set(bank.questions.map(q => q.id));
+  assert.deepEqual(Object.keys(overlay.topics).filter(id => !Object.hasOwn(bank.topics, id)), []);
+  assert.deepEqual(Object.keys(overlay.questions).filter(id => !ids.has(id)), []);
+});
@@ -0,0 +1,398 @@
+// infoquantity.mjs の単体テスト (node --test で実行)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INFO_UNITS, log2, convertInfo, isProbability, information, jointInformation, apartmentInformation, hierarchicalInformation,
+  entropyTerm, entropy, binaryEntropy, distributionSum, isDistribution, normalize,
+  jointEntropies, divergences, channelJoint, channelCapacity, huffmanLengths, huffmanSplit,
+  hammingEncode, hammingDecode, repetitionDecode, repetitionErrorRate, hammingErrorRate,
+  ngramModel, ngramEntropyRate, generateFromNgram, guessingBounds, linearRegression,
+  seededRandom, sampleIndex,
+  passwordEntropy, averageGuesses, log2Factorial, binomial,
+  toSuperscript, makeFraction, fractionLog2, addFractions, multiplyFractions, fractionString,
+  powerExponent, parseProbability, negLogChain
+} from '../infoquantity.mjs';
+
+const EPS = 1e-12;
+const close = (actual, expected, eps = EPS) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `${actual} ≉ ${expected}`);
+
+test('log2 と単位の換算', () => {
+  assert.equal(log2(8), 3);
+  close(convertInfo(1, 'bit'), 1);
+  close(convertInfo(1, 'nat'), Math.LN2);
+  close(convertInfo(1, 'hartley'), Math.log10(2));
+  assert.equal(convertInfo(1, 'dit'), convertInfo(1, 'hartley'));
+  assert.throws(() => convertInfo(1, 'byte'), RangeError);
+  assert.equal(INFO_UNITS.nat.base, null);
+});
+
+test('isProbability は 0〜1 の数だけを受け付ける', () => {
+  [0, 0.5, 1].forEach(p => assert.ok(isProbability(p)));
+  [-0.1, 1.0001, NaN, Infinity, '0.5', null, undefined].forEach(p => assert.ok(!isProbability(p), String(p)));
+});
+
+test('information: 端点と不正な値', () => {
+  assert.equal(information(1), 0);              // 確実な事象は 0 bit
+  assert.equal(information(0), Infinity);       // 不可能事象は +∞
+  assert.equal(information(0.5), 1);
+  assert.equal(information(1 / 8), 3);
+  close(information(1 / 6), log2(6));
+  assert.ok(Number.isNaN(information(NaN)));
+  assert.ok(Number.isNaN(information(-0.5)));
+  assert.ok(Number.isNaN(information(1.5)));
+});
+
+test('jointInformation: 独立事象の加算性', () => {
+  const r = jointInformation(0.25, 0.5);
+  assert.equal(r.pab, 0.125);
+  assert.deepEqual([r.IA, r.IB, r.IAB], [2, 1, 3]);
+  for (const [pa, pb] of [[0.3, 0.7], [1e-6, 0.999], [1, 0.2]]) {
+    const { IA, IB, IAB } = jointInformation(pa, pb);
+    close(IAB, IA + IB, 1e-9);
+  }
+  assert.equal(jointInformation(0, 0.5).IAB, Infinity);
+  assert.ok(Number.isNaN(jointInformation(NaN, 0.5).IAB));
+});
+
+test('apartmentInformation: 階 + 号室 = 部屋', () => {
+  assert.deepEqual(apartmentInformation(16, 8), { rooms: 128, floor: 4, room: 3, total: 7 });
+  assert.equal(apartmentInformation(1, 1).total, 0);
+  const r = apartmentInformation(10, 7);
+  close(r.floor + r.room, r.total, 1e-9);
+  for (const [f, n] of [[0, 8], [2.5, 8], [NaN, 8], [16, -1]]) {
+    assert.ok(Number.isNaN(apartmentInformation(f, n).total), `${f}, ${n}`);
+  }
+});
+
+test('hierarchicalInformation: 段階ごとの情報量の和 (連鎖律)', () => {
+  const apt = hierarchicalInformation([16, 8]);
+  assert.equal(apt.outcomes, 128);
+  assert.equal(apt.H, apartmentInformation(16, 8).total);
+  assert.deepEqual(apt.stages.map(s => s.H), [4, 3]);
+  const r = hierarchicalInformation([4, [1, 1, 2], [3, 0, 1]]);
+  assert.equal(r.outcomes, 4 * 3 * 2);
+  assert.deepEqual(r.stages[1], { n: 3, H: 1.5, Hmax: log2(3), Imin: 1, Imax: 2 });
+  close(r.H, 2 + 1.5 + binaryEntropy(0.25), 1e-12);
+  close(r.Imin, 2 + 1 + log2(4/3), 1e-12);
+  close(r.Imax, 2 + 2 + 2, 1e-12);
+  assert.ok(r.H <= r.Hmax);
+  assert.deepEqual(hierarchicalInformation([]), { outcomes: 1, stages: [], H: 0, Hmax: 0, Imin: 0, Imax: 0 });
+  for (const bad of [0, 2.5, [], [0, 0], [1, -1], [NaN]]) {
+    assert.ok(Number.isNaN(hierarchicalInformation([8, bad]).H), JSON.stringify(bad));
+  }
+});
+
+test('entropyTerm: 0·log 0 は極限値 0', () => {
+  assert.equal(entropyTerm(0), 0);
+  assert.equal(entropyTerm(1), 0);
+  assert.equal(entropyTerm(0.5), 0.5);
+  // p → 0 で -p log p → 0 に近づく
+  assert.ok(entropyTerm(1e-12) < 1e-10);
+  assert.ok(entropyTerm(1e-300) >= 0);
+  assert.ok(Number.isNaN(entropyTerm(NaN)));
+  assert.ok(Number.isNaN(entropyTerm(-0.1)));
+  // 合計の丸め誤差で 1 をわずかに超えた値は 1 とみなす
+  assert.equal(entropyTerm(1.0000000000000002), 0);
+  assert.ok(Number.isNaN(entropyTerm(1.01)));
+});
+
+test('entropy: 一様分布・確定的な分布・0 を含む分布', () => {
+  assert.equal(entropy([0.5, 0.5]), 1);
+  close(entropy(Array(6).fill(1 / 6)), log2(6));
+  assert.equal(entropy([1, 0, 0]), 0);
+  assert.equal(entropy([0.5, 0.25, 0.25, 0]), 1.5);
+  assert.equal(entropy([]), 0);
+});
+
+test('entropy: 合計が 1 でない入力は正規化せずにそのまま計算する', () => {
+  // 0.5 + 0.5 + 0.5 = 1.5 → 各項 0.5 の和
+  assert.equal(entropy([0.5, 0.5, 0.5]), 1.5);
+  assert.ok(!isDistribution([0.5, 0.5, 0.5]));
+  assert.equal(entropy(normalize([1, 1, 1, 1])), 2);
+});
+
+test('entropy: NaN や範囲外の確率を含むと NaN', () => {
+  assert.ok(Number.isNaN(entropy([0.5, NaN])));
+  assert.ok(Number.isNaN(entropy([1.2, -0.2])));
+});
+
+test('distributionSum / isDistribution / normalize', () => {
+  assert.equal(distributionSum([0.2, 0.3]), 0.5);
+  assert.ok(isDistribution([0.1, 0.2, 0.7]));
+  assert.ok(isDistribution([1 / 3, 1 / 3, 1 / 3]));
+  assert.ok(isDistribution([0.5, 0.5000001]));       // 許容誤差内
+  assert.ok(!isDistribution([0.5, 0.51]));
+  assert.ok(!isDistribution([0.5, NaN]));
+  assert.ok(!isDistribution([]));
+  assert.deepEqual(normalize([1, 3]), [0.25, 0.75]);
+  assert.deepEqual(normalize([0, 0]), [0.5, 0.5]);
+  assert.ok(normalize([1, -1]).every(Number.isNaN));
+});
+
+test('binaryEntropy', () => {
+  assert.equal(binaryEntropy(0.5), 1);
+  assert.equal(binaryEntropy(0), 0);
+  assert.equal(binaryEntropy(1), 0);
+  close(binaryEntropy(0.11), binaryEntropy(0.89));
+  assert.ok(Number.isNaN(binaryEntropy(NaN)));
+});
+
+test('jointEntropies: 独立なら I = 0、同一なら I = H', () => {
+  const indep = jointEntropies([[0.25, 0.25], [0.25, 0.25]]);
+  close(indep.I, 0);
+  assert.equal(indep.HXY, 2);
+  const same = jointEntropies([[0.5, 0], [0, 0.5]]);
+  assert.equal(same.I, 1);
+  assert.equal(same.HXgY, 0);
+  assert.deepEqual(same.px, [0.5, 0.5]);
+});
+
+test('jointEntropies: 正規化の丸め誤差で周辺分布が 1 を超えても NaN にならない', () => {
+  // 1 行目がすべて 0 の表は px = [0, 1.0000000000000002] になる
+  const weights = [[0, 0, 0], [0.44, 0.395, 0.295]];
+  const total = weights.flat().reduce((a, b) => a + b, 0);
+  const r = jointEntropies(weights.map(row => row.map(v => v / total)));
+  assert.ok(r.px[1] > 1);
+  assert.equal(r.HX, 0);
+  close(r.HYgX, r.HY);
+  close(r.I, 0);
+});
+
+test('divergences: KL は非負で、Q = 0 の事象があれば無限大', () => {
+  const same = divergences([0.2, 0.8], [0.2, 0.8]);
+  close(same.KLpq, 0);
+  close(same.HPQ, same.HP);
+  const r = divergences([0.5, 0.5], [0.9, 0.1]);
+  assert.ok(r.KLpq > 0 && r.KLqp > 0);
+  close(r.HPQ - r.HP, r.KLpq);
+  const zero = divergences([0.5, 0.5], [1, 0]);
+  assert.equal(zero.KLpq, Infinity);
+  assert.equal(zero.HPQ, Infinity);
+  assert.ok(Number.isFinite(zero.KLqp));            // 0 log 0 = 0
+  assert.ok(zero.JS > 0 && zero.JS <= 1);
+});
+
+test('channelJoint / channelCapacity', () => {
+  const { P } = channelJoint('bsc', 0.5, 0);
+  assert.deepEqual(P, [[0.5, 0], [0, 0.5]]);
+  assert.equal(channelCapacity('bsc', 0), 1);
+  assert.equal(channelCapacity('bsc', 0.5), 0);
+  assert.equal(channelCapacity('bec', 0.25), 0.75);
+  close(jointEntropies(channelJoint('bec', 0.5, 0.25).P).I, 0.75);
+});
+
+test('hammingEncode / hammingDecode: 1ビットの誤りを訂正', () => {
+  assert.deepEqual(hammingEncode([1, 0, 1, 1]), [0, 1, 1, 0, 0, 1, 1]);
+  for (let d = 0; d < 16; d++) {
+    const data = [3, 2, 1, 0].map(k => (d >> k) & 1);
+    const word = hammingEncode(data);
+    assert.deepEqual(hammingDecode(word), { syndrome: 0, corrected: word, data });
+    for (let i = 0; i < 7; i++) {
+      const received = word.slice();
+      received[i] ^= 1;
+      const r = hammingDecode(received);
+      assert.equal(r.syndrome, i + 1);
+      assert.deepEqual(r.data, data);
+    }
+  }
+  assert.equal(hammingEncode([1, 0, 1]), null);
+  assert.equal(hammingDecode([1, 0, 1, 2, 0, 0, 0]), null);
+});
+
+test('repetitionDecode: 多数決', () => {
+  assert.deepEqual(repetitionDecode([1, 0, 1]), { bit: 1, errors: 1 });
+  assert.deepEqual(repetitionDecode([0, 0, 1, 1, 0]), { bit: 0, errors: 2 });
+  assert.equal(repetitionDecode([1, 0]), null);
+  assert.equal(repetitionDecode('101'), null);
+});
+
+test('repetitionErrorRate / hammingErrorRate: 復号後のビット誤り率', () => {
+  assert.equal(repetitionErrorRate(1, 0.1), 0.1);
+  close(repetitionErrorRate(3, 0.1), 3 * 0.01 * 0.9 + 0.001, 1e-15);
+  assert.ok(repetitionErrorRate(5, 0.1) < repetitionErrorRate(3, 0.1));
+  close(repetitionErrorRate(3, 0.5), 0.5, 1e-15);
+  assert.ok(Number.isNaN(repetitionErrorRate(2, 0.1)));
+  assert.equal(hammingErrorRate(0), 0);
+  const eps = 0.01;
+  // 1ビット誤りまでは訂正できるので、誤り率はおおむね ε² のオーダー
+  assert.ok(hammingErrorRate(eps) < 1 - (1 - eps) ** 7 - 7 * eps * (1 - eps) ** 6);
+  assert.ok(hammingErrorRate(eps) > 0 && hammingErrorRate(eps) < eps);
+  assert.ok(Number.isNaN(hammingErrorRate(1.5)));
+});
+
+test('huffmanLengths: 最適な質問数 (H ≤ L̄ < H + 1)', () => {
+  assert.deepEqual(huffmanLengths([1, 1, 1, 1]), [2, 2, 2, 2]);
+  assert.deepEqual(huffmanLengths([0.5, 0.25, 0.125, 0.125]), [1, 2, 3, 3]);
+  assert.deepEqual(huffmanLengths([3, 0, 1]), [1, 0, 1]);
+  assert.deepEqual(huffmanLengths([5]), [0]);
+  for (const ps of [[0.4, 0.3, 0.2, 0.1], [1, 1, 1, 1, 1, 1, 1, 1, 1, 1].map((_, k) => 1 / (k + 1))]) {
+    const q = normalize(ps);
+    const L = huffmanLengths(ps).reduce((a, l, i) => a + q[i] * l, 0);
+    const H = entropy(q);
+    assert.ok(H <= L + 1e-12 && L < H + 1, `${H} ${L}`);
+  }
+  assert.ok(huffmanLengths([1, -1]).every(Number.isNaN));
+});
+
+test('huffmanSplit: 最初の質問で分ける2グループ', () => {
+  assert.deepEqual(huffmanSplit([0.5, 0.25, 0.125, 0.125]), [1, 2, 3]);
+  // 根の分割はちょうど半々とは限らない (平均質問数が最小になる分け方)
+  assert.deepEqual(huffmanSplit([0.1, 0.2, 0.3, 0.4]), [0, 1, 2]);
+  assert.equal(huffmanSplit([1, 1, 1, 1]).length, 2);
+  assert.deepEqual(huffmanSplit([1, 0]), []);
+  assert.deepEqual(huffmanSplit([1, NaN]), []);
+});
+
+test('ngramModel / ngramEntropyRate: 文脈が長いほど条件付きエントロピーは下がる', () => {
+  const text = [...'abababab'];
+  assert.equal(ngramEntropyRate(ngramModel(text, 0)), 1);
+  // 直前の1文字で次が決まる
+  assert.equal(ngramEntropyRate(ngramModel(text, 1)), 0);
+  const m1 = ngramModel(text, 1);
+  assert.deepEqual([...m1.get('a')], [['b', 4]]);
+  assert.equal(m1.get('b').get('a'), 3);               // 末尾の b の次はない
+
+  const words = 'the cat the dog the cat'.split(' ');
+  const m = ngramModel(words, 1);
+  assert.deepEqual([...m.get('the')], [['cat', 2], ['dog', 1]]);
+  // H(X|the) = h(1/3) を the の出現回数 3/5 で重み付け
+  close(ngramEntropyRate(m), 3 / 5 * binaryEntropy(1 / 3));
+  for (let k = 1; k <= 3; k++) {
+    const s = [...'she sells sea shells by the sea shore'];
+    assert.ok(ngramEntropyRate(ngramModel(s, k)) <= ngramEntropyRate(ngramModel(s, k - 1)) + EPS, `k = ${k}`);
+  }
+  assert.ok(Number.isNaN(ngramEntropyRate(ngramModel([...'ab'], 2))));
+  assert.equal(ngramModel([...'ab'], -1).size, 0);
+});
+
+test('generateFromNgram: モデルに現れる遷移だけで指定の長さを生成する', () => {
+  let seed = 1;
+  const rng = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  // 2次モデルでは次の文字が決まるので、どこから始めても abc の繰り返しになる
+  const cyclic = generateFromNgram(ngramModel([...'abcabcab'], 2), 2, 30, rng).join('');
+  assert.equal(cyclic.length, 30);
+  assert.ok('abc'.repeat(12).includes(cyclic), cyclic);
+  // 'bd' は末尾にしか現れない文脈なので、そこで選び直して続ける
+  const out = generateFromNgram(ngramModel([...'abcabcabd'], 2), 2, 50, rng);
+  assert.equal(out.length, 50);
+  assert.ok(out.every(ch => 'abcd'.includes(ch)));
+  assert.equal(generateFromNgram(ngramModel([...'aaaa'], 0), 0, 5, rng).join(''), 'aaaaa');
+  assert.equal(generateFromNgram(ngramModel([...'ab'], 1), 1, 1, rng).length, 1);
+  assert.deepEqual(generateFromNgram(new Map(), 1, 5, rng), []);
+});
+
+test('guessingBounds: シャノンの予想ゲームの上限・下限', () => {
+  // 全部1回目で当たれば上限も下限も 0
+  assert.deepEqual(guessingBounds([10, 0, 0]), { q: [1, 0, 0], n: 10, upper: 0, lower: 0 });
+  // 1〜27回目が同じ割合なら、どちらも log₂ 27 (一様な当て推量)
+  const uniform = guessingBounds(Array(27).fill(1));
+  close(uniform.upper, log2(27));
+  close(uniform.lower, log2(27));
+  const b = guessingBounds([60, 20, 10, 5, 3, 2]);
+  assert.ok(b.lower > 0 && b.lower <= b.upper);
+  close(b.upper, entropy([0.6, 0.2, 0.1, 0.05, 0.03, 0.02]));
+  // 単調でない分布も降順に並べて下限を計算する (上限を超えない)
+  const uneven = guessingBounds([1, 3]);
+  assert.equal(uneven.lower, 0.5);
+  assert.ok(uneven.lower <= uneven.upper);
+  assert.ok(Number.isNaN(guessingBounds([0, 0]).upper));
+  assert.ok(Number.isNaN(guessingBounds([1, -1, 2]).lower));
+});
+
+test('linearRegression: 係数・決定係数・残差', () => {
+  const exact = linearRegression([0, 1, 2, 3], [1, 3, 5, 7]);
+  assert.deepEqual([exact.n, exact.intercept, exact.slope, exact.r2], [4, 1, 2, 1]);
+  assert.deepEqual(exact.residuals, [0, 0, 0, 0]);
+  const noisy = linearRegression([1, 2, 3, 4], [2, 1, 4, 3]);
+  close(noisy.slope, 0.6);
+  close(noisy.intercept, 1);
+  close(noisy.r2, 0.36);
+  close(noisy.residuals.reduce((a, r) => a + r, 0), 0);   // 残差の和は 0
+  assert.ok(Number.isNaN(linearRegression([1], [1]).slope));
+  assert.ok(Number.isNaN(linearRegression([2, 2, 2], [1, 2, 3]).slope));
+  assert.ok(Number.isNaN(linearRegression([1, 2, 3], [5, 5, 5]).r2));
+});
+
+test('seededRandom: 同じシードなら同じ乱数列', () => {
+  const a = seededRandom('class-1'), b = seededRandom('class-1'), c = seededRandom('class-2');
+  const xs = Array.from({ length: 1000 }, a);
+  assert.deepEqual(Array.from({ length: 1000 }, b), xs);
+  assert.notDeepEqual(Array.from({ length: 1000 }, c), xs);
+  assert.ok(xs.every(x => x >= 0 && x < 1));
+  const mean = xs.reduce((s, x) => s + x, 0) / xs.length;
+  assert.ok(Math.abs(mean - 0.5) < 0.05, String(mean));
+  assert.deepEqual(Array.from({ length: 5 }, seededRandom(42)), Array.from({ length: 5 }, seededRandom('42')));
+});
+
+test('sampleIndex: 重みに比例して選び、重み 0 は選ばない', () => {
+  const rng = seededRandom(1);
+  const counts = [0, 0, 0, 0];
+  for (let i = 0; i < 20000; i++) counts[sampleIndex([0.5, 0.25, 0, 0.25], rng)]++;
+  assert.equal(counts[2], 0);
+  close(counts[0] / 20000, 0.5, 0.02);
+  close(counts[1] / 20000, 0.25, 0.02);
+  assert.equal(sampleIndex([0, 3], () => 0), 1);
+  assert.equal(sampleIndex([2, 0], () => 0.999999), 0);
+  assert.equal(sampleIndex([0, 0], rng), -1);
+});
+
+test('パスワードの式', () => {
+  close(passwordEntropy(8, 62), 8 * log2(62));
+  assert.ok(Number.isNaN(passwordEntropy(0, 0)));
+  assert.equal(passwordEntropy(0, 26), 0);
+  assert.equal(passwordEntropy(10, 1), 0);
+  assert.ok(Number.isNaN(passwordEntropy(-1, 26)));
+  assert.ok(Number.isNaN(passwordEntropy(8, NaN)));
+  assert.equal(averageGuesses(10), 512);
+  assert.equal(log2Factorial(0), 0);
+  close(log2Factorial(4), log2(24));
+  assert.equal(binomial(5, 2), 10);
+  assert.equal(binomial(5, 6), 0);
+});
+
+test('分数: 約分・演算・表示', () => {
+  const f = makeFraction(6n, -8n);
+  assert.deepEqual([f.num, f.den, f.value], [-3n, 4n, -0.75]);
+  assert.equal(makeFraction(1n, 0n), null);
+  const sum = addFractions(makeFraction(1n, 3n), makeFraction(2n, 3n));
+  assert.deepEqual([sum.num, sum.den], [1n, 1n]);
+  const prod = multiplyFractions(makeFraction(1n, 4n), makeFraction(1n, 2n));
+  assert.equal(fractionString(prod), '1/8');
+  assert.equal(fractionLog2(prod), -3);
+  assert.equal(fractionLog2(makeFraction(0n, 1n)), -Infinity);
+  assert.equal(powerExponent(1024n, 2n), 10);
+  assert.equal(powerExponent(12n, 2n), null);
+  assert.equal(toSuperscript(-3), '⁻³');
+});
+
+test('parseProbability: 小数・分数・べき乗', () => {
+  for (const text of ['1/8', '0.125', '.125', '2^-3', '2^(-3)', '1/2^3', '2 ** -3', ' 1 / 8 ']) {
+    const f = parseProbability(text);
+    assert.deepEqual([f.num, f.den], [1n, 8n], text);
+    assert.equal(f.value, 0.125);
+  }
+  assert.equal(parseProbability('0.49995').den, 20000n);
+  // 範囲は確認しない (1 を超える値も分数として返す)
+  assert.equal(parseProbability('5/4').num, 5n);
+  for (const bad of ['', 'abc', '1/0', '1/2/3', '-0.5', 'NaN', '2^-5000', '1'.repeat(65)]) {
+    assert.equal(parseProbability(bad), null, bad);
+  }
+});
+
+test('negLogChain: 閉じた形があれば厳密、なければ小数', () => {
+  assert.deepEqual(negLogChain(parseProbability('1/8')), { text: '-log₂(1/8) = -log₂(2⁻³) = 3', exact: 3 });
+  assert.equal(negLogChain(parseProbability('0.125')).text, '-log₂(0.125) = -log₂(1/8) = -log₂(2⁻³) = 3');
+  assert.deepEqual(negLogChain(parseProbability('1')), { text: '-log₂(1) = 0', exact: 0 });
+  const sixth = negLogChain(parseProbability('1/6'));
+  assert.equal(sixth.exact, null);
+  assert.equal(sixth.text, '-log₂(1/6) = log₂ 6 ≈ 2.584963');
+  assert.equal(negLogChain(parseProbability('3/8')).text, '-log₂(3/8) = 3 - log₂ 3 ≈ 1.415037');
+  assert.equal(negLogChain(parseProbability('1/1000'), { unit: 'hartley' }).exact, 3);
+  assert.equal(negLogChain(parseProbability('1/8'), { unit: 'nat' }).text, '-ln(1/8) = -ln(2⁻³) = 3 ln 2 ≈ 2.079442');
+  assert.equal(negLogChain(parseProbability('1/8'), { sep: '\n= ' }).text, '-log₂(1/8)\n= -log₂(2⁻³)\n= 3');
+  // 確率でない値は情報量を計算しない
+  assert.deepEqual(negLogChain(parseProbability('0')), { text: '—', exact: null });
+  assert.deepEqual(negLogChain(parseProbability('3/2')), { text: '—', exact: null });
+  assert.deepEqual(negLogChain(makeFraction(-1n, 2n)), { text: '—', exact: null });
+});
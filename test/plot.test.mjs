@@ -0,0 +1,131 @@
+// plot.mjs の目盛り・座標変換・拡大の計算の単体テスト (node --test で実行)
+// Canvas と DOM を使う関数 (beginPlot など) はブラウザーでしか動かないので対象外 (createSvgContext は measureText 以外を確認)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  niceTicks, niceDomain, logTicks, createScale, zoomDomain, panDomain, tickDigits, powerLabel, createSvgContext
+} from '../plot.mjs';
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= eps * Math.max(1, Math.abs(expected)), `${actual} ≉ ${expected}`);
+const closeAll = (actual, expected, eps) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((v, i) => close(v, expected[i], eps));
+};
+
+test('niceTicks: 刻みは 1, 2, 5 × 10^k で、浮動小数点の誤差を残さない', () => {
+  assert.deepEqual(niceTicks(0, 1), [0, 0.2, 0.4, 0.6, 0.8, 1]);
+  assert.deepEqual(niceTicks(0, 8.3), [0, 2, 4, 6, 8]);
+  assert.deepEqual(niceTicks(-3, 17, 4), [0, 5, 10, 15]);
+  assert.deepEqual(niceTicks(0, 0.3, 3), [0, 0.1, 0.2, 0.3]);
+  assert.deepEqual(niceTicks(1, 0), niceTicks(0, 1));
+  assert.deepEqual(niceTicks(2, 2), [2]);
+  assert.deepEqual(niceTicks(0, Infinity), []);
+});
+
+test('niceDomain: 範囲を含み、両端が目盛りに乗る', () => {
+  assert.deepEqual(niceDomain(0.3, 7.9), [0, 8]);
+  assert.deepEqual(niceDomain(0, 1, 4), [0, 1]);
+  assert.deepEqual(niceDomain(-0.3, 1.1), [-0.5, 1.5]);
+  assert.deepEqual(niceDomain(5, 5), [4.5, 5.5]);
+});
+
+test('logTicks: 範囲にある累乗。狭い範囲は線形の目盛り', () => {
+  assert.deepEqual(logTicks(1e-6, 1), [1e-6, 1e-5, 1e-4, 1e-3, 1e-2, 0.1, 1]);
+  assert.deepEqual(logTicks(3e-4, 0.2), [1e-3, 1e-2, 0.1]);
+  assert.deepEqual(logTicks(0.2, 0.8), niceTicks(0.2, 0.8));
+  assert.deepEqual(logTicks(1, 16, 2), [1, 2, 4, 8, 16]);
+  assert.deepEqual(logTicks(0, 1), []);
+});
+
+test('createScale: 線形・対数の変換と逆変換', () => {
+  const x = createScale([0, 10], [100, 200]);
+  assert.equal(x(5), 150);
+  assert.equal(x.invert(150), 5);
+  assert.deepEqual(x.ticks(5), [0, 2, 4, 6, 8, 10]);
+  assert.equal(x.type, 'linear');
+
+  // 縦軸のように座標が逆向きでもよい
+  const y = createScale([0, 1], [300, 20]);
+  assert.equal(y(0), 300);
+  assert.equal(y(1), 20);
+  close(y.invert(y(0.37)), 0.37);
+
+  const log = createScale([1e-4, 1], [0, 400], 'log');
+  close(log(1e-2), 200);
+  close(log.invert(100), 1e-3);
+  assert.deepEqual(log.ticks(), [1e-4, 1e-3, 1e-2, 0.1, 1]);
+  assert.deepEqual(log.domain, [1e-4, 1]);
+});
+
+test('zoomDomain: anchor の位置を保って拡大・縮小し、limits と minSpan に収める', () => {
+  assert.deepEqual(zoomDomain([0, 1], 0.5, 0.5), [0.25, 0.75]);
+  assert.deepEqual(zoomDomain([0, 1], 0, 0.5), [0, 0.5]);
+  // anchor の相対位置 (左から 1/4) は変わらない
+  const [a, b] = zoomDomain([0, 8], 2, 0.5, { limits: [0, 8] });
+  close((2 - a) / (b - a), 0.25);
+  // 縮小は limits まで
+  assert.deepEqual(zoomDomain([0.25, 0.75], 0.5, 4, { limits: [0, 1] }), [0, 1]);
+  closeAll(zoomDomain([0, 1], 0.5, 1e-9, { minSpan: 1e-3 }), [0.4995, 0.5005]);
+  // 対数目盛りでは比で拡大する
+  closeAll(zoomDomain([1e-6, 1], 1e-3, 0.5, { type: 'log' }), [10 ** -4.5, 10 ** -1.5]);
+});
+
+test('panDomain: 幅の割合だけずらし、limits の外には出ない', () => {
+  assert.deepEqual(panDomain([0, 0.5], 0.5, { limits: [0, 1] }), [0.25, 0.75]);
+  assert.deepEqual(panDomain([0.5, 1], 0.5, { limits: [0, 1] }), [0.5, 1]);
+  closeAll(panDomain([0.2, 0.6], -1, { limits: [0, 1] }), [0, 0.4]);
+  closeAll(panDomain([1e-6, 1e-3], 1 / 3, { type: 'log', limits: [1e-6, 1] }), [1e-5, 1e-2]);
+});
+
+test('tickDigits: すべての目盛りを丸めずに書ける桁数', () => {
+  assert.equal(tickDigits([0, 2, 4]), 0);
+  assert.equal(tickDigits([0, 0.2, 0.4]), 1);
+  assert.equal(tickDigits([0, 0.25, 0.5]), 2);
+  assert.equal(tickDigits([0.1, 0.2, 0.30000000000000004]), 1);
+  assert.equal(tickDigits([1e-6, 1e-3]), 6);
+  assert.equal(tickDigits([0, 0.05, 0.1]), 2);
+  assert.equal(tickDigits([3]), 0);
+  assert.equal(tickDigits([-1.5, 0, 1.5]), 1);
+});
+
+test('powerLabel: 10 の累乗は上付きの指数で、それ以外はそのまま', () => {
+  assert.equal(powerLabel(1e-3), '10⁻³');
+  assert.equal(powerLabel(100), '10²');
+  assert.equal(powerLabel(1), '1');
+  assert.equal(powerLabel(0.5), '0.5');
+});
+
+test('createSvgContext: Canvas の描画命令を SVG の要素として記録する', () => {
+  const ctx = createSvgContext(200, 100, { idPrefix: 'g-' });
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, 200, 100);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(10, 10, 100, 50);
+  ctx.clip();
+  ctx.strokeStyle = 'red';
+  ctx.lineWidth = 2;
+  ctx.setLineDash([3, 3]);
+  ctx.beginPath();
+  ctx.moveTo(0, 0);
+  ctx.lineTo(50, 50.123);
+  ctx.stroke();
+  ctx.restore();
+  ctx.beginPath();
+  ctx.arc(50, 50, 5, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.translate(20, 50);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textAlign = 'center';
+  ctx.fillText('a < b & c', 0, 0);
+  const svg = ctx.toSvg('図 "1"');
+
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="200" height="100" viewBox="0 0 200 100">/);
+  assert.match(svg, /<title>図 &quot;1&quot;<\/title>/);
+  assert.match(svg, /<clipPath id="g-clip0"><path d="M10 10L110 10L110 60L10 60Z"\/><\/clipPath>/);
+  assert.match(svg, /<path d="M0 0L50 50.12" fill="none" stroke="red" stroke-width="2" stroke-dasharray="3 3" clip-path="url\(#g-clip0\)"\/>/);
+  // restore で線の色・クリップが戻る。円は半円 2 つ
+  assert.match(svg, /<path d="M55 50A5 5 0 1 1 45 50A5 5 0 1 1 55 50" fill="#fff"\/>/);
+  assert.match(svg, /<text x="0" y="0" transform="matrix\(0 -1 1 0 20 50\)" fill="#fff" text-anchor="middle"[^>]*>a &lt; b &amp; c<\/text>/);
+});
@@ -0,0 +1,72 @@
+// quiz.mjs (確認クイズの出題) と問題集 data/quiz-bank*.json の単体テスト (node --test で実行)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { instantiateQuestion, evalQuizExpression, fillQuizTemplate, formatQuizNumber, shuffle, QUIZ_CHOICES } from '../quiz.mjs';
+import { seededRandom } from '../infoquantity.mjs';
+
+const readJson = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const bank = readJson('../data/quiz-bank.json');
+const overlay = readJson('../data/quiz-bank.en.json');
+
+// params のとりうる値の組をすべて並べる (where を満たすものだけ)
+function paramSpace(params = {}, where){
+  let space = [{}];
+  for (const [name, spec] of Object.entries(params)) {
+    if (typeof spec === 'string') {
+      space = space.map(vars => ({ ...vars, [name]: evalQuizExpression(spec, vars) }));
+      continue;
+    }
+    const step = spec.step || 1;
+    const values = Array.isArray(spec) ? spec
+      : Array.from({ length: Math.floor((spec.max - spec.min) / step + 1e-9) + 1 }, (_, i) => Number((spec.min + step * i).toFixed(10)));
+    space = space.flatMap(vars => values.map(v => ({ ...vars, [name]: v })));
+  }
+  return where ? space.filter(vars => evalQuizExpression(where, vars)) : space;
+}
+
+test('evalQuizExpression: 四則演算・累乗 (右結合)・関数と、誤りの指摘', () => {
+  assert.equal(evalQuizExpression('2^3^2', {}), 512);
+  assert.equal(evalQuizExpression('-log2(p) + k*2', { p: 0.25, k: 1 }), 4);
+  assert.equal(evalQuizExpression('h(0.5)', {}), 1);
+  assert.throws(() => evalQuizExpression('2 +', {}), /Unexpected end of expression/);
+  assert.throws(() => evalQuizExpression('foo(1)', {}), /Unknown function: foo/);
+  assert.throws(() => evalQuizExpression('x', {}), /Undefined variable: x/);
+});
+
+test('fillQuizTemplate: {式} と {式|桁数} を置き換える', () => {
+  assert.equal(fillQuizTemplate('1/{2^k} → {k} bit', { k: 3 }), '1/8 → 3 bit');
+  assert.equal(fillQuizTemplate('{log2(3)|2}', {}), '1.58');
+  assert.equal(formatQuizNumber(1 / 0), '∞');
+});
+
+test('instantiateQuestion: 同じ乱数なら同じ問題。生成できない問題は id を添えて例外', () => {
+  const def = bank.questions.find(q => q.id === 'si-power');
+  assert.deepEqual(instantiateQuestion(def, seededRandom('q')), instantiateQuestion(def, seededRandom('q')));
+  assert.deepEqual(shuffle([1, 2, 3], seededRandom(1)).sort(), [1, 2, 3]);
+  assert.throws(() => instantiateQuestion({ ...def, where: '0' }), /Quiz question "si-power": No params satisfy where: 0/);
+});
+
+test('問題集: すべての問題が params のどの値でも生成でき、選択肢がそろって重ならない', () => {
+  const localized = bank.questions.map(def => ({ ...def, ...overlay.questions?.[def.id] }));
+  for (const def of [...bank.questions, ...localized]) {
+    const space = paramSpace(def.params, def.where);
+    assert.ok(space.length > 0, `${def.id}: where を満たす値がない`);
+    for (const vars of space) {
+      const label = `${def.id} ${JSON.stringify(vars)}`;
+      fillQuizTemplate(def.text, vars);
+      fillQuizTemplate(def.explanation, vars);
+      if (def.type === 'numeric') {
+        assert.ok(Number.isFinite(evalQuizExpression(def.answer, vars)), label);
+        continue;
+      }
+      const answer = fillQuizTemplate(def.answer, vars);
+      const distractors = new Set(def.choices.map(c => fillQuizTemplate(c, vars)));
+      distractors.delete(answer);
+      assert.ok(distractors.size >= QUIZ_CHOICES - 1, `${label}: 誤答が ${[...distractors].join(' / ')} だけ`);
+    }
+    // 出題用の生成も通る
+    const q = instantiateQuestion(def, seededRandom(def.id));
+    if (def.type === 'choice') assert.equal(new Set(q.choices).size, QUIZ_CHOICES, def.id);
+  }
+});
@@ -0,0 +1,56 @@
+// worksheet.mjs (問題プリントの出題) の単体テスト (node --test で実行)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateWorksheet, WORKSHEET_KINDS, WORKSHEET_MAX_PER_KIND } from '../worksheet.mjs';
+import { addFractions, makeFraction, information, isDistribution } from '../infoquantity.mjs';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≉ ${expected}`);
+
+test('generateWorksheet: 同じシードなら同じ問題、違うシードなら違う問題', () => {
+  const a = generateWorksheet({ seed: 'class-1', perKind: 3 });
+  const b = generateWorksheet({ seed: 'class-1', perKind: 3 });
+  const c = generateWorksheet({ seed: 'class-2', perKind: 3 });
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a.problems, c.problems);
+  assert.equal(a.seed, 'class-1');
+  assert.equal(typeof generateWorksheet().seed, 'string');
+});
+
+test('generateWorksheet: 種類は WORKSHEET_KINDS の順に perKind 問ずつ', () => {
+  const { problems } = generateWorksheet({ seed: 1, kinds: ['entropy', 'coin', 'unknown'], perKind: 2 });
+  assert.deepEqual(problems.map(p => p.kind), ['coin', 'coin', 'entropy', 'entropy']);
+  assert.equal(generateWorksheet({ seed: 1 }).problems.length, WORKSHEET_KINDS.length * 2);
+  assert.equal(generateWorksheet({ seed: 1, kinds: ['apartment'], perKind: 99 }).problems.length, WORKSHEET_MAX_PER_KIND);
+  assert.equal(generateWorksheet({ seed: 1, kinds: ['apartment'], perKind: 0 }).problems.length, 1);
+  assert.equal(generateWorksheet({ seed: 1, kinds: [] }).problems.length, 0);
+});
+
+test('generateWorksheet: 出題の数値は正しい分布で、答えは情報量の定義どおり', () => {
+  for (let seed = 0; seed < 30; seed++) {
+    for (const p of generateWorksheet({ seed, perKind: 3 }).problems) {
+      if (p.kind === 'coin') {
+        assert.ok(p.ps.length >= 2 && p.ps.length <= 4);
+        assert.deepEqual(p.ps.reduce(addFractions), makeFraction(1n, 1n));
+        assert.ok(p.ps.every(f => f.num > 0n));
+        p.answers.forEach((I, i) => close(I, information(p.ps[i].value)));
+      } else if (p.kind === 'additivity') {
+        assert.ok(p.pa.num > 0n && p.pa.num < p.pa.den && p.pb.num > 0n && p.pb.num < p.pb.den);
+        close(p.pab.value, p.pa.value * p.pb.value);
+        close(p.answers.IAB, p.answers.IA + p.answers.IB);
+      } else if (p.kind === 'apartment') {
+        assert.equal(p.rooms, p.floors * p.perFloor);
+        close(p.answers.total, Math.log2(p.rooms));
+      } else {
+        assert.ok(p.ps.length >= 2 && p.ps.length <= 5);
+        assert.ok(isDistribution(p.ps));
+        assert.ok(p.answers.H <= p.answers.Hmax + 1e-12);
+      }
+    }
+  }
+});
+
+test('generateWorksheet: 重なった問題は選び直す (このシードでは上限の問題数でも重ならない)', () => {
+  const { problems } = generateWorksheet({ seed: 'dup', kinds: ['apartment', 'additivity'], perKind: WORKSHEET_MAX_PER_KIND });
+  const keys = problems.map(p => p.kind === 'apartment' ? `${p.floors}x${p.perFloor}` : `${p.pa.num}/${p.pa.den},${p.pb.num}/${p.pb.den}`);
+  assert.equal(new Set(keys).size, keys.length);
+});
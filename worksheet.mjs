@@ -0,0 +1,121 @@
+/**
+ * worksheet - 問題プリント (ワークシート) の出題
+ *
+ * 計算例タブ・加算性タブ・エントロピータブの4つの計算器 (コイン投げ・独立事象・マンション・エントロピー) と
+ * 同じ計算を、数値を変えて出題する。数値はシード付き乱数で選ぶので、同じシードなら同じプリントになる
+ * (問題と解答を別々に印刷しても対応がずれない)。
+ *
+ * ここでは数値と正解 (bit) だけを決める。問題文・途中式は script.js が表示言語と単位に合わせて作る。
+ * DOM に依存しないので node --test で確認できる
+ *
+ * @example
+ * const { problems } = generateWorksheet({ seed: 'A-1', kinds: ['coin', 'entropy'], perKind: 3 });
+ * problems[0]; // { kind: 'coin', ps: [{num: 1n, den: 4n, value: 0.25}, …], answers: [2, …] }
+ *
+ * @module worksheet
+ */
+import { seededRandom, makeFraction, multiplyFractions, fractionLog2, apartmentInformation, entropy } from './infoquantity.mjs';
+
+/** 出題できる計算の種類 (出題順) */
+export const WORKSHEET_KINDS = Object.freeze(['coin', 'additivity', 'apartment', 'entropy']);
+/** 1種類あたりの問題数の上限 */
+export const WORKSHEET_MAX_PER_KIND = 10;
+
+// 分母の候補: 2 のべき乗 (答えが整数) と、そうでないもの (対数の近似値を求める) を混ぜる
+const COIN_DENOMINATORS = [4, 8, 16, 3, 5, 6, 10];
+const EVENT_DENOMINATORS = [2, 4, 8, 16, 3, 5, 6, 10];
+// エントロピーの分布は小数で出題するので、有限小数になる分母だけ
+const ENTROPY_DENOMINATORS = [4, 8, 10, 16, 20];
+const RETRIES = 20;   // 同じ問題が重なったときに選び直す回数 (使い切ったら重なったまま出題する)
+
+const randInt = (rng, lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));
+const pick = (rng, items) => items[Math.floor(rng() * items.length)];
+
+/**
+ * 1 〜 total - 1 から重ならない k - 1 個の区切りを選び、total を k 個の正の整数に分ける
+ * @param {function(): number} rng
+ * @param {number} total
+ * @param {number} k - total 以下
+ * @returns {number[]} - 大きい順
+ */
+function splitInteger(rng, total, k){
+  const cuts = new Set();
+  while (cuts.size < k - 1) cuts.add(randInt(rng, 1, total - 1));
+  const points = [0, ...[...cuts].sort((a, b) => a - b), total];
+  return points.slice(1).map((p, i) => p - points[i]).sort((a, b) => b - a);
+}
+
+const fractionInformation = (f) => -fractionLog2(f);
+
+// 種類ごとの出題 (rng → 問題)
+const GENERATORS = {
+  // 2〜4 個の事象の確率 (合計 1 の分数) と、それぞれの情報量
+  coin(rng){
+    const den = pick(rng, COIN_DENOMINATORS);
+    const k = randInt(rng, 2, Math.min(4, den));
+    const ps = splitInteger(rng, den, k).map(n => makeFraction(BigInt(n), BigInt(den)));
+    return { kind: 'coin', ps, answers: ps.map(fractionInformation) };
+  },
+  // 独立な事象 A, B: I(A), I(B), I(A∧B) = I(A) + I(B)
+  additivity(rng){
+    const event = () => {
+      const den = pick(rng, EVENT_DENOMINATORS);
+      return makeFraction(BigInt(randInt(rng, 1, den - 1)), BigInt(den));
+    };
+    const pa = event(), pb = event();
+    const pab = multiplyFractions(pa, pb);
+    return { kind: 'additivity', pa, pb, pab, answers: { IA: fractionInformation(pa), IB: fractionInformation(pb), IAB: fractionInformation(pab) } };
+  },
+  // F 階 × R 部屋のマンション (半分は 2 のべき乗で、答えが整数になる)
+  apartment(rng){
+    const [floors, perFloor] = rng() < 0.5
+      ? [2 ** randInt(rng, 1, 5), 2 ** randInt(rng, 1, 4)]
+      : [randInt(rng, 2, 30), randInt(rng, 2, 12)];
+    const { rooms, floor, room, total } = apartmentInformation(floors, perFloor);
+    return { kind: 'apartment', floors, perFloor, rooms, answers: { floor, room, total } };
+  },
+  // 2〜5 個の結果の分布 (有限小数) のエントロピー
+  entropy(rng){
+    const den = pick(rng, ENTROPY_DENOMINATORS);
+    const k = randInt(rng, 2, Math.min(5, den));
+    const ps = splitInteger(rng, den, k).map(n => n / den);
+    return { kind: 'entropy', ps, answers: { H: entropy(ps), Hmax: Math.log2(k) } };
+  }
+};
+
+// 同じ数値の問題を見分けるための文字列
+function problemKey(problem){
+  const text = (f) => `${f.num}/${f.den}`;
+  switch (problem.kind) {
+    case 'coin': return problem.ps.map(text).join(',');
+    case 'additivity': return [problem.pa, problem.pb].map(text).join(',');
+    case 'apartment': return `${problem.floors}x${problem.perFloor}`;
+    default: return problem.ps.join(',');
+  }
+}
+
+/**
+ * 問題プリントの問題を作る
+ * 種類ごとに perKind 問ずつ、kinds の順 (WORKSHEET_KINDS にないものは無視) に並べる。
+ * 同じ種類の中で数値が重なったら RETRIES 回まで選び直す (数値の組み合わせは十分多いので、実際にはまず重ならない)
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - 同じシードなら同じ問題 (省略時は毎回変わる)
+ * @param {string[]} [options.kinds=WORKSHEET_KINDS]
+ * @param {number} [options.perKind=2] - 1 〜 WORKSHEET_MAX_PER_KIND に丸める
+ * @returns {{seed: string, problems: Object[]}} - problems の各要素は kind・出題の数値・answers (bit)
+ */
+export function generateWorksheet({ seed = Math.random().toString(36).slice(2, 8), kinds = WORKSHEET_KINDS, perKind = 2 } = {}){
+  const count = Math.min(WORKSHEET_MAX_PER_KIND, Math.max(1, Math.floor(Number(perKind)) || 1));
+  const rng = seededRandom(seed);
+  const problems = [];
+  WORKSHEET_KINDS.filter(kind => kinds.includes(kind)).forEach(kind => {
+    const seen = new Set();
+    for (let i = 0; i < count; i++) {
+      let problem = GENERATORS[kind](rng);
+      for (let retry = 0; retry < RETRIES && seen.has(problemKey(problem)); retry++) problem = GENERATORS[kind](rng);
+      seen.add(problemKey(problem));
+      problems.push(problem);
+    }
+  });
+  return { seed: String(seed), problems };
+}